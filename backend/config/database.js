@@ -1,16 +1,31 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
-const dbPath = path.join(__dirname, '../database/ecommerce.db');
+// DB_PATH is relative to the project root, as in .env.example
+const getDbPath = () => {
+  return process.env.DB_PATH
+    ? path.resolve(__dirname, '../..', process.env.DB_PATH)
+    : path.join(__dirname, '../database/ecommerce.db');
+};
 
 class Database {
   constructor() {
     this.db = null;
+    this.transactionQueue = Promise.resolve();
+    // Set while a transaction is open (or waiting to begin); resolves when
+    // it ends
+    this.openTransaction = null;
+    // Statements running outside a transaction, which one waits for before
+    // it begins
+    this.activeStatements = 0;
+    this.statementsDone = null;
+    this.transactionScope = new AsyncLocalStorage();
   }
 
   connect() {
     return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(dbPath, (err) => {
+      this.db = new sqlite3.Database(getDbPath(), (err) => {
         if (err) {
           console.error('Error connecting to database:', err.message);
           reject(err);
@@ -39,40 +54,85 @@ class Database {
     });
   }
 
+  // Every statement shares the one connection, so a statement issued while
+  // another caller's transaction is open would commit or roll back with it.
+  // Statements from outside the transaction wait for it to end instead.
+  async schedule(statement) {
+    if (this.transactionScope.getStore()) {
+      return statement();
+    }
+
+    while (this.openTransaction) {
+      await this.openTransaction;
+    }
+
+    this.activeStatements++;
+    try {
+      return await statement();
+    } finally {
+      this.activeStatements--;
+      if (this.activeStatements === 0 && this.statementsDone) {
+        const done = this.statementsDone;
+        this.statementsDone = null;
+        done();
+      }
+    }
+  }
+
+  // Resolves once no statements outside a transaction are running
+  waitForStatements() {
+    if (this.activeStatements === 0) return Promise.resolve();
+    return new Promise(resolve => { this.statementsDone = resolve; });
+  }
+
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) {
-          reject(err);
-        } else {
-          resolve({ id: this.lastID, changes: this.changes });
-        }
-      });
-    });
+    return this.schedule(() => this.query('run', sql, params));
   }
 
   get(sql, params = []) {
+    return this.schedule(() => this.query('get', sql, params));
+  }
+
+  all(sql, params = []) {
+    return this.schedule(() => this.query('all', sql, params));
+  }
+
+  // Run one statement on the connection right away
+  query(method, sql, params) {
+    if (method === 'get' || method === 'all') {
+      return new Promise((resolve, reject) => {
+        this.db[method](sql, params, (err, result) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(result);
+          }
+        });
+      });
+    }
+
     return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
+      this.db.run(sql, params, function(err) {
         if (err) {
           reject(err);
         } else {
-          resolve(row);
+          resolve({ id: this.lastID, changes: this.changes });
         }
       });
     });
   }
 
-  all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
+  // Execute one or more SQL statements without parameters (used by migrations)
+  exec(sql) {
+    return this.schedule(() => new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => {
         if (err) {
           reject(err);
         } else {
-          resolve(rows);
+          resolve();
         }
       });
-    });
+    }));
   }
 
   // Transaction support
@@ -88,23 +148,49 @@ class Database {
     return await this.run('ROLLBACK');
   }
 
+  // Run a callback inside a transaction. SQLite allows only one open
+  // transaction per connection, so callers are queued and run one at a time.
+  // Statements the callback issues (through `db` or any model) run in the
+  // transaction; everyone else's wait until it commits or rolls back.
+  async withTransaction(callback) {
+    const previous = this.transactionQueue;
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    this.transactionQueue = current;
+
+    await previous;
+    this.openTransaction = current;
+    try {
+      // Let statements already on the connection finish first
+      await this.waitForStatements();
+
+      return await this.transactionScope.run(true, async () => {
+        await this.beginTransaction();
+        try {
+          const result = await callback(this);
+          await this.commit();
+          return result;
+        } catch (error) {
+          await this.rollback();
+          throw error;
+        }
+      });
+    } finally {
+      this.openTransaction = null;
+      release();
+    }
+  }
+
   // Execute multiple queries in a transaction
   async transaction(queries) {
-    try {
-      await this.beginTransaction();
-      
+    return await this.withTransaction(async () => {
       const results = [];
       for (const query of queries) {
         const result = await this.run(query.sql, query.params);
         results.push(result);
       }
-      
-      await this.commit();
       return results;
-    } catch (error) {
-      await this.rollback();
-      throw error;
-    }
+    });
   }
 
   // Helper method for INSERT OR UPDATE operations
@@ -162,31 +248,74 @@ class Database {
     return count > 0;
   }
 
-  // Helper method for pagination
-  async paginate(sql, params = [], page = 1, limit = 10) {
-    const offset = (page - 1) * limit;
-    const paginatedSql = `${sql} LIMIT ? OFFSET ?`;
-    const paginatedParams = [...params, limit, offset];
-    
-    const rows = await this.all(paginatedSql, paginatedParams);
-    
-    // Get total count for pagination info
-    const countSql = sql.replace(/SELECT .+ FROM/, 'SELECT COUNT(*) as total FROM');
-    const countResult = await this.get(countSql, params);
+  // Helper method for pagination. `sql` must select an `id` and a non-null
+  // `sort_value` column; rows come back ordered by sort_value then id, both
+  // in `direction`. Pass `page` for offset pagination, or a `cursor` (a
+  // previous page's nextCursor) to continue right after that page's last
+  // row, which stays stable while rows are added. A cursor only works with
+  // the `sortKey` it was made for.
+  async paginate(sql, params = [], { page = 1, pageSize = 20, cursor = null, sortKey = null, direction = 'DESC' } = {}) {
+    const order = direction === 'ASC' ? 'ASC' : 'DESC';
+    const after = order === 'ASC' ? '>' : '<';
+
+    let pageSql = `SELECT * FROM (${sql}) AS page_rows`;
+    const pageParams = [...params];
+
+    if (cursor) {
+      const position = this.decodeCursor(cursor, sortKey);
+      pageSql += ` WHERE (sort_value ${after} ? OR (sort_value = ? AND id ${after} ?))`;
+      pageParams.push(position.value, position.value, position.id);
+    }
+
+    // One extra row tells whether there is a next page
+    pageSql += ` ORDER BY sort_value ${order}, id ${order} LIMIT ?`;
+    pageParams.push(pageSize + 1);
+
+    if (!cursor) {
+      pageSql += ' OFFSET ?';
+      pageParams.push((page - 1) * pageSize);
+    }
+
+    const rows = await this.all(pageSql, pageParams);
+    const hasNext = rows.length > pageSize;
+    if (hasNext) rows.pop();
+
+    const countResult = await this.get(`SELECT COUNT(*) as total FROM (${sql})`, params);
     const total = countResult ? countResult.total : 0;
-    
+
     return {
-      data: rows,
+      rows,
       pagination: {
-        page,
-        limit,
+        page: cursor ? null : page,
+        pageSize,
         total,
-        pages: Math.ceil(total / limit),
-        hasNext: page * limit < total,
-        hasPrev: page > 1
+        totalPages: Math.ceil(total / pageSize),
+        hasNext,
+        hasPrev: cursor ? true : page > 1,
+        nextCursor: hasNext ? this.encodeCursor(sortKey, rows[rows.length - 1]) : null
       }
     };
   }
+
+  // Opaque token for the position after `row` in a `sortKey` ordering
+  encodeCursor(sortKey, row) {
+    return Buffer.from(JSON.stringify({ s: sortKey, v: row.sort_value, id: row.id })).toString('base64url');
+  }
+
+  // Read a cursor back, checking it was made for the same ordering
+  decodeCursor(cursor, sortKey) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+
+    if (!position || position.s !== sortKey || !Number.isInteger(position.id) || position.v === undefined || position.v === null) {
+      throw new Error('Invalid cursor');
+    }
+    return { value: position.v, id: position.id };
+  }
 }
 
 module.exports = new Database();
\ No newline at end of file
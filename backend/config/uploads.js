@@ -0,0 +1,17 @@
+const path = require('path');
+
+// Uploaded files are stored under UPLOAD_PATH (relative to the project root,
+// as in .env.example) and served from /uploads
+const getUploadDir = () => {
+  return path.resolve(__dirname, '../..', process.env.UPLOAD_PATH || 'uploads');
+};
+
+// The file on disk for an upload's /uploads/... URL
+const resolveUploadPath = (url) => {
+  return path.join(getUploadDir(), String(url).replace(/^\/?uploads\//, ''));
+};
+
+module.exports = {
+  getUploadDir,
+  resolveUploadPath
+};
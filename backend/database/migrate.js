@@ -2,58 +2,205 @@ const fs = require('fs');
 const path = require('path');
 const database = require('../config/database');
 
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Create the table that records which migrations have been applied
+ */
+async function ensureMigrationsTable() {
+  await database.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Load migration modules from the migrations directory, ordered by version
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+
+      return {
+        version: match[1],
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+/**
+ * Get applied migration rows, oldest first
+ */
+async function getAppliedMigrations() {
+  return await database.all('SELECT * FROM schema_migrations ORDER BY version ASC');
+}
+
+/**
+ * Apply every pending migration, each inside its own transaction
+ */
+async function migrateUp() {
+  await ensureMigrationsTable();
+
+  const applied = new Set((await getAppliedMigrations()).map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+    return [];
+  }
+
+  console.log(`Applying ${pending.length} migration(s)...`);
+
+  for (const migration of pending) {
+    try {
+      await database.withTransaction(async (db) => {
+        await migration.up(db);
+        await db.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+      console.log(`✓ ${migration.file}`);
+    } catch (error) {
+      console.error(`✗ ${migration.file} failed:`, error.message);
+      throw new Error(`Migration ${migration.file} failed: ${error.message}`);
+    }
+  }
+
+  return pending.map(migration => migration.file);
+}
+
+/**
+ * Revert the most recently applied migrations
+ */
+async function migrateDown(steps = 1) {
+  await ensureMigrationsTable();
+
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const toRevert = (await getAppliedMigrations()).reverse().slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log('No migrations to roll back');
+    return [];
+  }
+
+  for (const row of toRevert) {
+    const migration = migrations.get(row.version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${row.version} (${row.name}) not found`);
+    }
+
+    try {
+      await database.withTransaction(async (db) => {
+        await migration.down(db);
+        await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+      console.log(`✓ Rolled back ${migration.file}`);
+    } catch (error) {
+      console.error(`✗ Rollback of ${migration.file} failed:`, error.message);
+      throw new Error(`Rollback of ${migration.file} failed: ${error.message}`);
+    }
+  }
+
+  return toRevert.map(row => `${row.version}_${row.name}.js`);
+}
+
+/**
+ * Describe every known migration and whether it has been applied
+ */
+async function getStatus() {
+  await ensureMigrationsTable();
+
+  const applied = new Map((await getAppliedMigrations()).map(row => [row.version, row]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+}
+
 async function runMigrations() {
   try {
     console.log('Starting database migration...');
-    
-    // Connect to database
     await database.connect();
-    
-    // Read and execute schema
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-    
-    // Split schema into individual statements
-    const statements = schema
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0);
-    
-    console.log(`Executing ${statements.length} migration statements...`);
-    
-    // Execute each statement
-    for (let i = 0; i < statements.length; i++) {
-      const statement = statements[i];
-      try {
-        await database.run(statement);
-        console.log(`✓ Statement ${i + 1}/${statements.length} executed successfully`);
-      } catch (error) {
-        console.error(`✗ Statement ${i + 1}/${statements.length} failed:`, error.message);
-        throw error;
-      }
-    }
-    
-    // Verify tables were created
-    const tables = await database.all(`
-      SELECT name FROM sqlite_master 
-      WHERE type='table' AND name NOT LIKE 'sqlite_%'
-      ORDER BY name
-    `);
-    
-    console.log('Created tables:', tables.map(t => t.name).join(', '));
+    await migrateUp();
     console.log('Database migration completed successfully!');
-    
-  } catch (error) {
-    console.error('Migration failed:', error);
-    process.exit(1);
   } finally {
     await database.close();
   }
 }
 
-// Run migrations if this file is executed directly
+async function rollbackMigrations(steps = 1) {
+  try {
+    console.log(`Rolling back ${steps} migration(s)...`);
+    await database.connect();
+    await migrateDown(steps);
+    console.log('Rollback completed successfully!');
+  } finally {
+    await database.close();
+  }
+}
+
+async function printStatus() {
+  try {
+    await database.connect();
+    const status = await getStatus();
+
+    for (const migration of status) {
+      const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+      console.log(`${migration.applied ? '✓' : '·'} ${migration.version}_${migration.name} (${state})`);
+    }
+
+    const pendingCount = status.filter(migration => !migration.applied).length;
+    console.log(`${status.length - pendingCount} applied, ${pendingCount} pending`);
+  } finally {
+    await database.close();
+  }
+}
+
+// Run migrations if this file is executed directly:
+//   node migrate.js [up|rollback [steps]|status]
 if (require.main === module) {
-  runMigrations();
+  const [command = 'up', arg] = process.argv.slice(2);
+  const commands = {
+    up: () => runMigrations(),
+    rollback: () => rollbackMigrations(parseInt(arg) || 1),
+    status: () => printStatus()
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  commands[command]().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
 }
 
-module.exports = { runMigrations };
\ No newline at end of file
+module.exports = {
+  runMigrations,
+  rollbackMigrations,
+  migrateUp,
+  migrateDown,
+  getStatus
+};
@@ -0,0 +1,30 @@
+/**
+ * Time-limited inventory holds placed on cart lines during checkout.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS inventory_reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cart_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE(cart_id, product_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reservations_product_expires ON inventory_reservations(product_id, expires_at);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_reservations_product_expires;
+      DROP TABLE IF EXISTS inventory_reservations;
+    `);
+  }
+};
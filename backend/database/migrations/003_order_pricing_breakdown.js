@@ -0,0 +1,44 @@
+/**
+ * Product weights for shipping and the persisted price breakdown
+ * (subtotal, discount, tax, shipping) on orders and order lines.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE products ADD COLUMN weight DECIMAL(8,3) DEFAULT 0;
+
+      ALTER TABLE orders ADD COLUMN subtotal DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE orders ADD COLUMN discount_amount DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE orders ADD COLUMN tax_amount DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE orders ADD COLUMN tax_rate DECIMAL(6,5) DEFAULT 0;
+      ALTER TABLE orders ADD COLUMN shipping_amount DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE orders ADD COLUMN shipping_method TEXT;
+
+      ALTER TABLE order_items ADD COLUMN discount_amount DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE order_items ADD COLUMN tax_amount DECIMAL(10,2) DEFAULT 0;
+      ALTER TABLE order_items ADD COLUMN line_total DECIMAL(10,2);
+
+      -- Orders placed before the pricing engine charged the bare item total
+      UPDATE orders SET subtotal = total_amount;
+      UPDATE order_items SET line_total = price * quantity;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE order_items DROP COLUMN line_total;
+      ALTER TABLE order_items DROP COLUMN tax_amount;
+      ALTER TABLE order_items DROP COLUMN discount_amount;
+
+      ALTER TABLE orders DROP COLUMN shipping_method;
+      ALTER TABLE orders DROP COLUMN shipping_amount;
+      ALTER TABLE orders DROP COLUMN tax_rate;
+      ALTER TABLE orders DROP COLUMN tax_amount;
+      ALTER TABLE orders DROP COLUMN discount_amount;
+      ALTER TABLE orders DROP COLUMN subtotal;
+
+      ALTER TABLE products DROP COLUMN weight;
+    `);
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Coupon codes and promotions, and the record of which orders redeemed them.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS promotions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        description TEXT,
+        type TEXT NOT NULL CHECK (type IN ('percentage', 'fixed', 'free_shipping', 'buy_x_get_y')),
+        value DECIMAL(10,2) DEFAULT 0, -- percent off, amount off, or percent off the "get" units
+        buy_quantity INTEGER,
+        get_quantity INTEGER,
+        min_subtotal DECIMAL(10,2) DEFAULT 0,
+        product_ids TEXT, -- JSON array, empty for every product
+        categories TEXT, -- JSON array, empty for every category
+        starts_at DATETIME,
+        ends_at DATETIME,
+        usage_limit INTEGER, -- total redemptions, NULL for unlimited
+        per_user_limit INTEGER, -- redemptions per user, NULL for unlimited
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS promotion_redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        promotion_id INTEGER NOT NULL,
+        order_id INTEGER NOT NULL,
+        user_id INTEGER,
+        discount_amount DECIMAL(10,2) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        UNIQUE(promotion_id, order_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_redemptions_promotion_user ON promotion_redemptions(promotion_id, user_id);
+
+      ALTER TABLE orders ADD COLUMN coupon_code TEXT;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE orders DROP COLUMN coupon_code;
+
+      DROP INDEX IF EXISTS idx_redemptions_promotion_user;
+      DROP TABLE IF EXISTS promotion_redemptions;
+      DROP TABLE IF EXISTS promotions;
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Every call made to a payment gateway (authorize, capture, void, refund)
+ * and its outcome.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        provider TEXT NOT NULL,
+        operation TEXT NOT NULL CHECK (operation IN ('authorize', 'capture', 'void', 'refund')),
+        status TEXT NOT NULL CHECK (status IN ('succeeded', 'failed')),
+        amount DECIMAL(10,2) NOT NULL,
+        currency TEXT DEFAULT 'USD',
+        transaction_id TEXT,
+        error_code TEXT,
+        error_message TEXT,
+        raw_response TEXT, -- JSON returned by the gateway
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id);
+      CREATE INDEX IF NOT EXISTS idx_payments_transaction ON payments(transaction_id);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_payments_transaction;
+      DROP INDEX IF EXISTS idx_payments_order;
+      DROP TABLE IF EXISTS payments;
+    `);
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Webhook events received from payment providers. `event_id` is the
+ * provider's id for the event, so a replayed delivery can be recognised.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS payment_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        type TEXT NOT NULL,
+        order_id INTEGER,
+        transaction_id TEXT,
+        payload TEXT NOT NULL, -- raw request body as received
+        status TEXT NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processed', 'ignored', 'failed')),
+        error_message TEXT,
+        received_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        processed_at DATETIME,
+        UNIQUE(provider, event_id),
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_payment_events_order ON payment_events(order_id);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_payment_events_order;
+      DROP TABLE IF EXISTS payment_events;
+    `);
+  }
+};
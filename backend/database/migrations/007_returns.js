@@ -0,0 +1,53 @@
+/**
+ * Return merchandise authorizations: a customer's request to send back some
+ * of an order's items, and what was received and refunded for it.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS returns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN ('requested', 'approved', 'rejected', 'received', 'refunded')),
+        reason TEXT,
+        admin_notes TEXT,
+        refund_amount DECIMAL(10,2) DEFAULT 0,
+        refund_payment_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (refund_payment_id) REFERENCES payments(id) ON DELETE SET NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS return_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        return_id INTEGER NOT NULL,
+        order_item_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        quantity_received INTEGER DEFAULT 0,
+        refund_amount DECIMAL(10,2) NOT NULL, -- share of the line total paid for these units
+        FOREIGN KEY (return_id) REFERENCES returns(id) ON DELETE CASCADE,
+        FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_returns_order ON returns(order_id);
+      CREATE INDEX IF NOT EXISTS idx_returns_user ON returns(user_id);
+      CREATE INDEX IF NOT EXISTS idx_returns_status ON returns(status);
+      CREATE INDEX IF NOT EXISTS idx_return_items_return ON return_items(return_id);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_return_items_return;
+      DROP INDEX IF EXISTS idx_returns_status;
+      DROP INDEX IF EXISTS idx_returns_user;
+      DROP INDEX IF EXISTS idx_returns_order;
+      DROP TABLE IF EXISTS return_items;
+      DROP TABLE IF EXISTS returns;
+    `);
+  }
+};
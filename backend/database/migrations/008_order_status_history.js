@@ -0,0 +1,38 @@
+/**
+ * Every order status change: from and to, who made it (NULL for the system)
+ * and an optional note. Existing orders get their creation and, if it has
+ * moved on since, their current status.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        from_status TEXT, -- NULL for the order being placed
+        to_status TEXT NOT NULL,
+        changed_by INTEGER,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id);
+
+      INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, created_at)
+      SELECT id, NULL, 'pending', user_id, created_at FROM orders;
+
+      INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+      SELECT id, 'pending', status, updated_at FROM orders WHERE status != 'pending';
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_order_status_history_order;
+      DROP TABLE IF EXISTS order_status_history;
+    `);
+  }
+};
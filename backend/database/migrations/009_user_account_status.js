@@ -0,0 +1,20 @@
+/**
+ * Let admins disable user accounts. Disabled users can't log in and their
+ * existing tokens stop working.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE users ADD COLUMN is_active BOOLEAN DEFAULT 1;
+      ALTER TABLE users ADD COLUMN disabled_at DATETIME;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE users DROP COLUMN disabled_at;
+      ALTER TABLE users DROP COLUMN is_active;
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Refresh tokens for login sessions. Only a SHA-256 hash of each token is
+ * stored. Every refresh replaces the token with a new one in the same
+ * `family_id`, which identifies the session across rotations.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        family_id TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        replaced_by INTEGER,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (replaced_by) REFERENCES refresh_tokens(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_refresh_tokens_family;
+      DROP INDEX IF EXISTS idx_refresh_tokens_user;
+      DROP TABLE IF EXISTS refresh_tokens;
+    `);
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Email verification and password resets. Both use single-use tokens from
+ * `account_tokens`, stored as SHA-256 hashes with an expiry. Accounts that
+ * existed before verification was introduced count as verified.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT 0;
+      ALTER TABLE users ADD COLUMN email_verified_at DATETIME;
+
+      UPDATE users SET email_verified = 1, email_verified_at = created_at;
+
+      CREATE TABLE IF NOT EXISTS account_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_account_tokens_user;
+      DROP TABLE IF EXISTS account_tokens;
+      ALTER TABLE users DROP COLUMN email_verified_at;
+      ALTER TABLE users DROP COLUMN email_verified;
+    `);
+  }
+};
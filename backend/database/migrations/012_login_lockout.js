@@ -0,0 +1,21 @@
+/**
+ * Track failed logins per account so repeated failures lock it for a while.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE users ADD COLUMN failed_login_attempts INTEGER DEFAULT 0;
+      ALTER TABLE users ADD COLUMN last_failed_login_at DATETIME;
+      ALTER TABLE users ADD COLUMN locked_until DATETIME;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE users DROP COLUMN locked_until;
+      ALTER TABLE users DROP COLUMN last_failed_login_at;
+      ALTER TABLE users DROP COLUMN failed_login_attempts;
+    `);
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Roles and permissions for staff accounts. Each role grants a set of
+ * permissions; users can hold several roles. `super_admin` grants
+ * everything and replaces the old `is_admin` flag, which is kept in sync
+ * for existing clients. Existing admins become super admins.
+ */
+
+const PERMISSIONS = [
+  ['products:read', 'View all products, including inactive ones'],
+  ['products:create', 'Create products'],
+  ['products:update', 'Edit products, prices and images'],
+  ['products:delete', 'Delete products'],
+  ['inventory:read', 'View stock levels and alerts'],
+  ['inventory:update', 'Adjust stock levels'],
+  ['orders:read', 'View any customer\'s orders'],
+  ['orders:update', 'Change order status and tracking, and cancel orders'],
+  ['payments:update', 'Change order payment status'],
+  ['returns:read', 'View any customer\'s returns'],
+  ['returns:update', 'Approve, reject and receive returns'],
+  ['returns:refund', 'Refund returns'],
+  ['promotions:manage', 'Create and edit promotions'],
+  ['analytics:read', 'View sales analytics'],
+  ['users:read', 'View user accounts'],
+  ['users:update', 'Disable, enable and unlock user accounts'],
+  ['roles:assign', 'Assign roles to users']
+];
+
+const ROLES = [
+  ['super_admin', 'Full access to everything', PERMISSIONS.map(([name]) => name)],
+  ['catalog_manager', 'Manages products, stock and promotions', [
+    'products:read', 'products:create', 'products:update', 'products:delete',
+    'inventory:read', 'inventory:update', 'promotions:manage', 'analytics:read'
+  ]],
+  ['fulfillment', 'Ships orders and handles returned parcels', [
+    'orders:read', 'orders:update', 'inventory:read', 'returns:read', 'returns:update'
+  ]],
+  ['support', 'Helps customers with their accounts, orders and refunds', [
+    'orders:read', 'users:read', 'users:update', 'returns:read', 'returns:update', 'returns:refund'
+  ]]
+];
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS permissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL,
+        permission_id INTEGER NOT NULL,
+        PRIMARY KEY (role_id, permission_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INTEGER NOT NULL,
+        role_id INTEGER NOT NULL,
+        assigned_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, role_id),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (assigned_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role_id);
+    `);
+
+    for (const [name, description] of PERMISSIONS) {
+      await db.run('INSERT INTO permissions (name, description) VALUES (?, ?)', [name, description]);
+    }
+
+    for (const [name, description, permissions] of ROLES) {
+      await db.run('INSERT INTO roles (name, description) VALUES (?, ?)', [name, description]);
+      await db.run(`
+        INSERT INTO role_permissions (role_id, permission_id)
+        SELECT r.id, p.id FROM roles r, permissions p
+        WHERE r.name = ? AND p.name IN (${permissions.map(() => '?').join(', ')})
+      `, [name, ...permissions]);
+    }
+
+    await db.run(`
+      INSERT INTO user_roles (user_id, role_id)
+      SELECT u.id, r.id FROM users u, roles r
+      WHERE u.is_admin = 1 AND r.name = 'super_admin'
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_user_roles_role;
+      DROP TABLE IF EXISTS user_roles;
+      DROP TABLE IF EXISTS role_permissions;
+      DROP TABLE IF EXISTS permissions;
+      DROP TABLE IF EXISTS roles;
+    `);
+  }
+};
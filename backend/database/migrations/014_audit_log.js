@@ -0,0 +1,47 @@
+/**
+ * Audit log of staff changes. Each entry names the actor (their email is
+ * copied so entries survive the account being deleted), the action, the
+ * entity it touched and the changed fields before and after, as JSON.
+ * Reading it needs the new `audit:read` permission, granted to super admins.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id INTEGER,
+        actor_email TEXT,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        before_data TEXT,
+        after_data TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+
+      INSERT INTO permissions (name, description) VALUES ('audit:read', 'View and export the audit log');
+
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r, permissions p
+      WHERE r.name = 'super_admin' AND p.name = 'audit:read';
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DELETE FROM permissions WHERE name = 'audit:read';
+      DROP INDEX IF EXISTS idx_audit_log_created;
+      DROP INDEX IF EXISTS idx_audit_log_entity;
+      DROP INDEX IF EXISTS idx_audit_log_actor;
+      DROP TABLE IF EXISTS audit_log;
+    `);
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * Product variants: purchasable versions of a product along option axes
+ * such as size or color, each with its own SKU, optional price override and
+ * stock. Cart lines, reservations and order items gain a variant_id.
+ *
+ * cart_items and inventory_reservations were unique per (cart, product), so
+ * they are rebuilt with a unique index that also covers the variant. For a
+ * product that has variants, products.inventory is kept equal to the stock
+ * of its active variants by triggers.
+ *
+ * order_items.variant_id is deliberately not a foreign key: deleting a
+ * variant must not touch order history, which keeps the SKU and a snapshot.
+ */
+
+const syncProductInventory = (productRef) => `
+  UPDATE products
+  SET inventory = (
+    SELECT COALESCE(SUM(inventory), 0) FROM product_variants
+    WHERE product_id = ${productRef} AND is_active = 1
+  ), updated_at = CURRENT_TIMESTAMP
+  WHERE id = ${productRef};
+`;
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        sku TEXT NOT NULL UNIQUE,
+        options TEXT NOT NULL,
+        price DECIMAL(10,2),
+        inventory INTEGER NOT NULL DEFAULT 0,
+        is_active BOOLEAN DEFAULT 1,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE(product_id, options)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id, position);
+
+      CREATE TRIGGER IF NOT EXISTS trg_product_variants_insert
+      AFTER INSERT ON product_variants
+      BEGIN
+        ${syncProductInventory('NEW.product_id')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_product_variants_update
+      AFTER UPDATE OF inventory, is_active ON product_variants
+      BEGIN
+        ${syncProductInventory('NEW.product_id')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_product_variants_delete
+      AFTER DELETE ON product_variants
+      BEGIN
+        ${syncProductInventory('OLD.product_id')}
+      END;
+
+      CREATE TABLE cart_items_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cart_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        variant_id INTEGER,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+      );
+      INSERT INTO cart_items_new (id, cart_id, product_id, quantity, created_at)
+      SELECT id, cart_id, product_id, quantity, created_at FROM cart_items;
+      DROP TABLE cart_items;
+      ALTER TABLE cart_items_new RENAME TO cart_items;
+      CREATE UNIQUE INDEX idx_cart_items_line ON cart_items(cart_id, product_id, COALESCE(variant_id, 0));
+
+      DROP INDEX IF EXISTS idx_reservations_product_expires;
+      CREATE TABLE inventory_reservations_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cart_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        variant_id INTEGER,
+        quantity INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE
+      );
+      INSERT INTO inventory_reservations_new (id, cart_id, product_id, quantity, expires_at, created_at)
+      SELECT id, cart_id, product_id, quantity, expires_at, created_at FROM inventory_reservations;
+      DROP TABLE inventory_reservations;
+      ALTER TABLE inventory_reservations_new RENAME TO inventory_reservations;
+      CREATE UNIQUE INDEX idx_reservations_line ON inventory_reservations(cart_id, product_id, COALESCE(variant_id, 0));
+      CREATE INDEX idx_reservations_product_expires ON inventory_reservations(product_id, expires_at);
+      CREATE INDEX idx_reservations_variant_expires ON inventory_reservations(variant_id, expires_at);
+
+      ALTER TABLE order_items ADD COLUMN variant_id INTEGER;
+      ALTER TABLE order_items ADD COLUMN sku TEXT;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE order_items DROP COLUMN sku;
+      ALTER TABLE order_items DROP COLUMN variant_id;
+
+      DROP INDEX IF EXISTS idx_reservations_variant_expires;
+      DROP INDEX IF EXISTS idx_reservations_product_expires;
+      DROP INDEX IF EXISTS idx_reservations_line;
+      CREATE TABLE inventory_reservations_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cart_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE(cart_id, product_id)
+      );
+      INSERT INTO inventory_reservations_old (id, cart_id, product_id, quantity, expires_at, created_at)
+      SELECT id, cart_id, product_id, quantity, expires_at, created_at FROM inventory_reservations
+      WHERE variant_id IS NULL;
+      DROP TABLE inventory_reservations;
+      ALTER TABLE inventory_reservations_old RENAME TO inventory_reservations;
+      CREATE INDEX idx_reservations_product_expires ON inventory_reservations(product_id, expires_at);
+
+      DROP INDEX IF EXISTS idx_cart_items_line;
+      CREATE TABLE cart_items_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        cart_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        UNIQUE(cart_id, product_id)
+      );
+      INSERT INTO cart_items_old (id, cart_id, product_id, quantity, created_at)
+      SELECT id, cart_id, product_id, quantity, created_at FROM cart_items
+      WHERE variant_id IS NULL;
+      DROP TABLE cart_items;
+      ALTER TABLE cart_items_old RENAME TO cart_items;
+
+      DROP TRIGGER IF EXISTS trg_product_variants_delete;
+      DROP TRIGGER IF EXISTS trg_product_variants_update;
+      DROP TRIGGER IF EXISTS trg_product_variants_insert;
+      DROP INDEX IF EXISTS idx_product_variants_product;
+      DROP TABLE IF EXISTS product_variants;
+    `);
+  }
+};
@@ -0,0 +1,70 @@
+/**
+ * Full-text product search: an FTS5 index over name, description, category
+ * and specifications, keyed by product id (the FTS rowid). Triggers keep it
+ * in step with every insert, update and delete on products.
+ *
+ * Specifications are stored as a JSON object; they are indexed as their
+ * keys and values so that "bandwidth 10 gbps" finds {"Bandwidth": "10 Gbps"}.
+ *
+ * products_fts_vocab lists the indexed terms, which search uses to correct
+ * misspelt query terms.
+ */
+
+const specificationsText = (ref) => `
+  CASE WHEN json_valid(${ref}) AND json_type(${ref}) = 'object'
+    THEN (SELECT group_concat(key || ' ' || value, ' ') FROM json_each(${ref}))
+    ELSE ${ref}
+  END
+`;
+
+const indexProduct = (ref) => `
+  INSERT INTO products_fts (rowid, name, description, category, specifications)
+  VALUES (${ref}.id, ${ref}.name, ${ref}.description, ${ref}.category, ${specificationsText(`${ref}.specifications`)});
+`;
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS products_fts USING fts5(
+        name, description, category, specifications,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      );
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS products_fts_vocab USING fts5vocab(products_fts, 'row');
+
+      INSERT INTO products_fts (rowid, name, description, category, specifications)
+      SELECT id, name, description, category, ${specificationsText('specifications')}
+      FROM products;
+
+      CREATE TRIGGER IF NOT EXISTS trg_products_fts_insert
+      AFTER INSERT ON products
+      BEGIN
+        ${indexProduct('NEW')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_products_fts_update
+      AFTER UPDATE OF name, description, category, specifications ON products
+      BEGIN
+        DELETE FROM products_fts WHERE rowid = OLD.id;
+        ${indexProduct('NEW')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_products_fts_delete
+      AFTER DELETE ON products
+      BEGIN
+        DELETE FROM products_fts WHERE rowid = OLD.id;
+      END;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP TRIGGER IF EXISTS trg_products_fts_delete;
+      DROP TRIGGER IF EXISTS trg_products_fts_update;
+      DROP TRIGGER IF EXISTS trg_products_fts_insert;
+      DROP TABLE IF EXISTS products_fts_vocab;
+      DROP TABLE IF EXISTS products_fts;
+    `);
+  }
+};
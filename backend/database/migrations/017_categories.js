@@ -0,0 +1,105 @@
+/**
+ * Category taxonomy: nested categories with slugs, descriptions and display
+ * order, managed by staff with the new `categories:manage` permission.
+ *
+ * Products are assigned by products.category_id. products.category keeps
+ * the category's slug, which promotions, search and facets match on; a
+ * trigger follows slug renames. Each distinct existing category string
+ * becomes a top-level category.
+ *
+ * products.category_id is a plain column rather than a foreign key so that
+ * `down` can drop it.
+ */
+
+// "neural-tech" -> "Neural Tech"
+const titleFor = (slug) => slug
+  .split(/[-_\s]+/)
+  .filter(Boolean)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const slugFor = (value) => value
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        parent_id INTEGER,
+        slug TEXT NOT NULL UNIQUE,
+        name TEXT NOT NULL,
+        description TEXT,
+        position INTEGER NOT NULL DEFAULT 0,
+        is_active BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_id) REFERENCES categories(id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id, position);
+
+      ALTER TABLE products ADD COLUMN category_id INTEGER;
+      CREATE INDEX IF NOT EXISTS idx_products_category_id ON products(category_id);
+
+      CREATE TRIGGER IF NOT EXISTS trg_categories_slug_update
+      AFTER UPDATE OF slug ON categories
+      BEGIN
+        UPDATE products SET category = NEW.slug, updated_at = CURRENT_TIMESTAMP
+        WHERE category_id = NEW.id;
+      END;
+    `);
+
+    const rows = await db.all(`
+      SELECT DISTINCT category FROM products
+      WHERE category IS NOT NULL AND TRIM(category) != ''
+      ORDER BY category
+    `);
+
+    let position = 0;
+    for (const { category } of rows) {
+      const slug = slugFor(category) || `category-${position + 1}`;
+      let existing = await db.get('SELECT id FROM categories WHERE slug = ?', [slug]);
+
+      if (!existing) {
+        const result = await db.run(
+          'INSERT INTO categories (slug, name, position) VALUES (?, ?, ?)',
+          [slug, titleFor(slug), position++]
+        );
+        existing = { id: result.id };
+      }
+
+      await db.run(
+        'UPDATE products SET category_id = ?, category = ? WHERE category = ?',
+        [existing.id, slug, category]
+      );
+    }
+
+    await db.run(`
+      INSERT INTO permissions (name, description) VALUES ('categories:manage', 'Create, edit and delete categories')
+    `);
+    await db.run(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r, permissions p
+      WHERE r.name IN ('super_admin', 'catalog_manager') AND p.name = 'categories:manage'
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DELETE FROM role_permissions
+      WHERE permission_id IN (SELECT id FROM permissions WHERE name = 'categories:manage');
+      DELETE FROM permissions WHERE name = 'categories:manage';
+
+      DROP TRIGGER IF EXISTS trg_categories_slug_update;
+      DROP INDEX IF EXISTS idx_products_category_id;
+      ALTER TABLE products DROP COLUMN category_id;
+      DROP INDEX IF EXISTS idx_categories_parent;
+      DROP TABLE IF EXISTS categories;
+    `);
+  }
+};
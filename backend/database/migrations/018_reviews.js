@@ -0,0 +1,98 @@
+/**
+ * Product reviews: a 1-5 star rating with an optional title and text, one
+ * per customer per product. Reviews from customers who had the product
+ * delivered are marked verified when written. Staff with the new
+ * `reviews:moderate` permission can hide reviews.
+ *
+ * products.rating_average and products.rating_count summarise the
+ * published reviews and are kept up to date by triggers.
+ */
+
+const syncProductRating = (productRef) => `
+  UPDATE products
+  SET rating_average = COALESCE((
+        SELECT ROUND(AVG(rating), 2) FROM reviews
+        WHERE product_id = ${productRef} AND status = 'published'
+      ), 0),
+      rating_count = (
+        SELECT COUNT(*) FROM reviews
+        WHERE product_id = ${productRef} AND status = 'published'
+      )
+  WHERE id = ${productRef};
+`;
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        title TEXT,
+        body TEXT,
+        is_verified BOOLEAN NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'published' CHECK (status IN ('published', 'hidden')),
+        moderation_note TEXT,
+        moderated_by INTEGER,
+        moderated_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (moderated_by) REFERENCES users(id),
+        UNIQUE(product_id, user_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reviews_product_status ON reviews(product_id, status, created_at);
+      CREATE INDEX IF NOT EXISTS idx_reviews_status ON reviews(status, created_at);
+
+      ALTER TABLE products ADD COLUMN rating_average DECIMAL(3,2) NOT NULL DEFAULT 0;
+      ALTER TABLE products ADD COLUMN rating_count INTEGER NOT NULL DEFAULT 0;
+
+      CREATE TRIGGER IF NOT EXISTS trg_reviews_insert
+      AFTER INSERT ON reviews
+      BEGIN
+        ${syncProductRating('NEW.product_id')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_reviews_update
+      AFTER UPDATE OF rating, status ON reviews
+      BEGIN
+        ${syncProductRating('NEW.product_id')}
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS trg_reviews_delete
+      AFTER DELETE ON reviews
+      BEGIN
+        ${syncProductRating('OLD.product_id')}
+      END;
+    `);
+
+    await db.run(`
+      INSERT INTO permissions (name, description) VALUES ('reviews:moderate', 'Hide, restore and delete product reviews')
+    `);
+    await db.run(`
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r, permissions p
+      WHERE r.name IN ('super_admin', 'catalog_manager', 'support') AND p.name = 'reviews:moderate'
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DELETE FROM role_permissions
+      WHERE permission_id IN (SELECT id FROM permissions WHERE name = 'reviews:moderate');
+      DELETE FROM permissions WHERE name = 'reviews:moderate';
+
+      DROP TRIGGER IF EXISTS trg_reviews_delete;
+      DROP TRIGGER IF EXISTS trg_reviews_update;
+      DROP TRIGGER IF EXISTS trg_reviews_insert;
+      ALTER TABLE products DROP COLUMN rating_count;
+      ALTER TABLE products DROP COLUMN rating_average;
+      DROP INDEX IF EXISTS idx_reviews_status;
+      DROP INDEX IF EXISTS idx_reviews_product_status;
+      DROP TABLE IF EXISTS reviews;
+    `);
+  }
+};
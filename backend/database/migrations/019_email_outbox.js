@@ -0,0 +1,54 @@
+/**
+ * Outbox for transactional email. Order emails are written here first and
+ * then handed to the configured transport; a message whose send fails goes
+ * back to `pending` with a later `next_attempt_at` until it runs out of
+ * attempts and is marked `failed`. Staff with the new `emails:manage`
+ * permission can inspect and resend messages.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        from_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT,
+        text TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        transport TEXT,
+        message_id TEXT,
+        sent_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_created ON email_outbox(created_at);
+
+      INSERT INTO permissions (name, description) VALUES ('emails:manage', 'View the email outbox and resend messages');
+
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r, permissions p
+      WHERE r.name IN ('super_admin', 'support') AND p.name = 'emails:manage';
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DELETE FROM role_permissions
+      WHERE permission_id IN (SELECT id FROM permissions WHERE name = 'emails:manage');
+      DELETE FROM permissions WHERE name = 'emails:manage';
+
+      DROP INDEX IF EXISTS idx_email_outbox_created;
+      DROP INDEX IF EXISTS idx_email_outbox_due;
+      DROP TABLE IF EXISTS email_outbox;
+    `);
+  }
+};
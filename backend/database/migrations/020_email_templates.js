@@ -0,0 +1,40 @@
+/**
+ * Admin versions of the email templates. The built-in templates live in
+ * backend/email/templates; a row here replaces one of them until it is
+ * deleted again. Editing them needs the new `email_templates:manage`
+ * permission, granted to super admins.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS email_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        subject TEXT,
+        html TEXT NOT NULL,
+        text TEXT NOT NULL,
+        updated_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+
+      INSERT INTO permissions (name, description) VALUES ('email_templates:manage', 'Edit and preview email templates');
+
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r, permissions p
+      WHERE r.name = 'super_admin' AND p.name = 'email_templates:manage';
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DELETE FROM role_permissions
+      WHERE permission_id IN (SELECT id FROM permissions WHERE name = 'email_templates:manage');
+      DELETE FROM permissions WHERE name = 'email_templates:manage';
+
+      DROP TABLE IF EXISTS email_templates;
+    `);
+  }
+};
@@ -0,0 +1,67 @@
+/**
+ * Background job queue. Jobs are run by the in-process worker once
+ * `run_at` has passed; a job that throws is retried with backoff until it
+ * runs out of attempts and is moved to `dead` (the dead-letter state),
+ * where it stays until staff retry it.
+ *
+ * job_schedules records when each scheduled job (see backend/jobs/schedules.js)
+ * last ran and is next due, so restarts don't skip or repeat runs.
+ *
+ * New permissions: `jobs:read` to view jobs and `jobs:manage` to retry them,
+ * both granted to super admins.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        payload TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        completed_at DATETIME,
+        last_error TEXT,
+        result TEXT,
+        schedule TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(status, run_at);
+      CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type, created_at);
+
+      CREATE TABLE IF NOT EXISTS job_schedules (
+        name TEXT PRIMARY KEY,
+        last_run_at DATETIME,
+        next_run_at DATETIME,
+        last_job_id INTEGER,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      INSERT INTO permissions (name, description) VALUES
+        ('jobs:read', 'View background jobs and schedules'),
+        ('jobs:manage', 'Retry failed background jobs');
+
+      INSERT INTO role_permissions (role_id, permission_id)
+      SELECT r.id, p.id FROM roles r, permissions p
+      WHERE r.name = 'super_admin' AND p.name IN ('jobs:read', 'jobs:manage');
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DELETE FROM role_permissions
+      WHERE permission_id IN (SELECT id FROM permissions WHERE name IN ('jobs:read', 'jobs:manage'));
+      DELETE FROM permissions WHERE name IN ('jobs:read', 'jobs:manage');
+
+      DROP TABLE IF EXISTS job_schedules;
+      DROP INDEX IF EXISTS idx_jobs_type;
+      DROP INDEX IF EXISTS idx_jobs_due;
+      DROP TABLE IF EXISTS jobs;
+    `);
+  }
+};
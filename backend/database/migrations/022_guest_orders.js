@@ -0,0 +1,24 @@
+/**
+ * Guest checkout: orders placed without an account have no user_id and
+ * record the email address given at checkout in guest_email. Guests look
+ * their order up with that address, the order number and the lookup token
+ * from their confirmation email, and can later claim it into an account
+ * registered with the same address.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE orders ADD COLUMN guest_email TEXT;
+
+      CREATE INDEX IF NOT EXISTS idx_orders_guest_email ON orders(guest_email);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_orders_guest_email;
+      ALTER TABLE orders DROP COLUMN guest_email;
+    `);
+  }
+};
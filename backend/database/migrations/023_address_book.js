@@ -0,0 +1,36 @@
+/**
+ * Address book: saved addresses carry the name and phone number a parcel is
+ * addressed to, plus an optional label ("Home", "Work") to pick them by.
+ * Orders keep the billing address separately from the shipping address;
+ * orders placed before this have none recorded.
+ */
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE user_addresses ADD COLUMN label TEXT;
+      ALTER TABLE user_addresses ADD COLUMN first_name TEXT;
+      ALTER TABLE user_addresses ADD COLUMN last_name TEXT;
+      ALTER TABLE user_addresses ADD COLUMN phone TEXT;
+      ALTER TABLE user_addresses ADD COLUMN updated_at DATETIME;
+
+      CREATE INDEX IF NOT EXISTS idx_user_addresses_user ON user_addresses(user_id);
+
+      ALTER TABLE orders ADD COLUMN billing_address TEXT;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE orders DROP COLUMN billing_address;
+
+      DROP INDEX IF EXISTS idx_user_addresses_user;
+
+      ALTER TABLE user_addresses DROP COLUMN updated_at;
+      ALTER TABLE user_addresses DROP COLUMN phone;
+      ALTER TABLE user_addresses DROP COLUMN last_name;
+      ALTER TABLE user_addresses DROP COLUMN first_name;
+      ALTER TABLE user_addresses DROP COLUMN label;
+    `);
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Returns gain a 'refunding' status: a refund claims its return before the
+ * gateway is called, so concurrent refunds can't both go through. SQLite
+ * can't alter a CHECK constraint, so the table is rebuilt.
+ */
+
+const createReturnsTable = (table, statuses) => `
+  CREATE TABLE ${table} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    order_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'requested' CHECK (status IN (${statuses.map(status => `'${status}'`).join(', ')})),
+    reason TEXT,
+    admin_notes TEXT,
+    refund_amount DECIMAL(10,2) DEFAULT 0,
+    refund_payment_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id),
+    FOREIGN KEY (refund_payment_id) REFERENCES payments(id) ON DELETE SET NULL
+  );
+`;
+
+const rebuildReturns = (statuses) => `
+  ${createReturnsTable('returns_new', statuses)}
+  INSERT INTO returns_new SELECT * FROM returns;
+  DROP TABLE returns;
+  ALTER TABLE returns_new RENAME TO returns;
+  CREATE INDEX IF NOT EXISTS idx_returns_order ON returns(order_id);
+  CREATE INDEX IF NOT EXISTS idx_returns_user ON returns(user_id);
+  CREATE INDEX IF NOT EXISTS idx_returns_status ON returns(status);
+`;
+
+module.exports = {
+  async up(db) {
+    await db.exec(rebuildReturns(['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded']));
+  },
+
+  async down(db) {
+    await db.exec(`
+      UPDATE returns SET status = 'received' WHERE status = 'refunding';
+      ${rebuildReturns(['requested', 'approved', 'rejected', 'received', 'refunded'])}
+    `);
+  }
+};
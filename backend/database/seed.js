@@ -1,6 +1,19 @@
 const bcrypt = require('bcrypt');
 const database = require('../config/database');
-const { Product, User } = require('../models');
+const { Product, User, Category } = require('../models');
+
+// Top-level categories, in display order
+const sampleCategories = [
+  { slug: 'neural-tech', name: 'Neural Tech' },
+  { slug: 'cybernetics', name: 'Cybernetics' },
+  { slug: 'processors', name: 'Processors' },
+  { slug: 'displays', name: 'Displays' },
+  { slug: 'ar-vr', name: 'AR / VR' },
+  { slug: 'gaming', name: 'Gaming' },
+  { slug: 'storage', name: 'Storage' },
+  { slug: 'security', name: 'Security' },
+  { slug: 'power', name: 'Power' }
+];
 
 const sampleProducts = [
   {
@@ -197,6 +210,15 @@ async function seedDatabase() {
       console.log('✓ Test customer already exists:', existingCustomer.email);
     }
     
+    // Create sample categories
+    const categoryIds = {};
+    for (const [position, categoryData] of sampleCategories.entries()) {
+      const category = await Category.findBySlug(categoryData.slug)
+        || await Category.create({ ...categoryData, position });
+      categoryIds[category.slug] = category.id;
+    }
+    console.log(`✓ ${sampleCategories.length} categories ready`);
+
     // Insert sample products using Product model
     let createdCount = 0;
     let existingCount = 0;
@@ -212,6 +234,7 @@ async function seedDatabase() {
           description: productData.description,
           price: productData.price,
           category: productData.category,
+          category_id: categoryIds[productData.category],
           icon: productData.icon,
           images: productData.images,
           specifications: productData.specifications,
@@ -1,5 +1,5 @@
 const database = require('../config/database');
-const { Product, User, Cart, Order } = require('../models');
+const { Product, User, Cart, Order, Reservation, RefreshToken, AccountToken, Job } = require('../models');
 
 /**
  * Database utility functions for common operations
@@ -31,11 +31,14 @@ class DatabaseUtils {
     try {
       await database.connect();
       
-      // Drop all tables
-      const tables = ['order_items', 'orders', 'cart_items', 'carts', 'user_addresses', 'products', 'users'];
+      // Drop all tables, including the migration history
+      const tables = await database.all(`
+        SELECT name FROM sqlite_master 
+        WHERE type='table' AND name NOT LIKE 'sqlite_%'
+      `);
       
       for (const table of tables) {
-        await database.run(`DROP TABLE IF EXISTS ${table}`);
+        await database.run(`DROP TABLE IF EXISTS ${table.name}`);
       }
       
       console.log('All tables dropped');
@@ -89,30 +92,7 @@ class DatabaseUtils {
   static async cleanup(options = {}) {
     try {
       await database.connect();
-      
-      const results = {
-        deletedCarts: 0,
-        deletedSessions: 0
-      };
-      
-      // Clean up old empty carts (older than 30 days)
-      const cartCleanupDays = options.cartCleanupDays || 30;
-      const cartResult = await database.run(`
-        DELETE FROM carts 
-        WHERE id NOT IN (SELECT DISTINCT cart_id FROM cart_items)
-        AND created_at < datetime('now', '-${cartCleanupDays} days')
-      `);
-      results.deletedCarts = cartResult.changes;
-      
-      // Clean up old guest carts with no items (older than 7 days)
-      const guestCartResult = await database.run(`
-        DELETE FROM carts 
-        WHERE user_id IS NULL 
-        AND id NOT IN (SELECT DISTINCT cart_id FROM cart_items)
-        AND created_at < datetime('now', '-7 days')
-      `);
-      results.deletedSessions = guestCartResult.changes;
-      
+      const results = await this.cleanupData(options);
       await database.close();
       return results;
     } catch (error) {
@@ -121,6 +101,51 @@ class DatabaseUtils {
     }
   }
 
+  /**
+   * Delete old data on the open connection. Used by cleanup() and the
+   * scheduled maintenance job.
+   */
+  static async cleanupData(options = {}) {
+    const results = {
+      deletedCarts: 0,
+      deletedSessions: 0,
+      releasedReservations: 0,
+      deletedRefreshTokens: 0,
+      deletedAccountTokens: 0,
+      deletedJobs: 0
+    };
+
+    // Release checkout holds that have expired
+    results.releasedReservations = await Reservation.releaseExpired();
+
+    // Drop refresh tokens that can no longer be used
+    results.deletedRefreshTokens = await RefreshToken.deleteStale();
+    results.deletedAccountTokens = await AccountToken.deleteStale();
+
+    // Clean up old empty carts (older than 30 days)
+    const cartCleanupDays = options.cartCleanupDays || 30;
+    const cartResult = await database.run(`
+      DELETE FROM carts 
+      WHERE id NOT IN (SELECT DISTINCT cart_id FROM cart_items)
+      AND created_at < datetime('now', '-${cartCleanupDays} days')
+    `);
+    results.deletedCarts = cartResult.changes;
+
+    // Clean up old guest carts with no items (older than 7 days)
+    const guestCartResult = await database.run(`
+      DELETE FROM carts 
+      WHERE user_id IS NULL 
+      AND id NOT IN (SELECT DISTINCT cart_id FROM cart_items)
+      AND created_at < datetime('now', '-7 days')
+    `);
+    results.deletedSessions = guestCartResult.changes;
+
+    // Completed jobs are only kept for a while
+    results.deletedJobs = await Job.deleteCompleted(options.jobRetentionDays);
+
+    return results;
+  }
+
   /**
    * Backup database to JSON format
    */
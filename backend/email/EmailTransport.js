@@ -0,0 +1,21 @@
+/**
+ * Email transport interface
+ * Transports extend this class and implement `send`, which delivers one
+ * message and resolves to { messageId }, or throws if delivery failed. The
+ * outbox retries messages whose send threw.
+ *
+ * Messages are plain objects: { from, to, subject, html, text }
+ */
+
+class EmailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Deliver one message
+  async send() {
+    throw new Error(`${this.name} transport does not implement send`);
+  }
+}
+
+module.exports = EmailTransport;
@@ -0,0 +1,35 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EmailTransport = require('./EmailTransport');
+const { buildMessage, createMessageId } = require('./mime');
+
+/**
+ * Writes each message to a maildir for development, so mail can be read
+ * with any mail client or just opened as a file. Files are written to
+ * `tmp/` and then moved into `new/`, so readers never see half a message.
+ *
+ * The directory is EMAIL_FILE_DIR, or `mail/` at the project root.
+ */
+class FileTransport extends EmailTransport {
+  constructor(directory = process.env.EMAIL_FILE_DIR || path.join(__dirname, '../../mail')) {
+    super('file');
+    this.directory = directory;
+  }
+
+  async send(message) {
+    const messageId = createMessageId();
+    const filename = `${Date.now()}.${process.pid}_${crypto.randomBytes(4).toString('hex')}.eml`;
+    const tmpPath = path.join(this.directory, 'tmp', filename);
+    const newPath = path.join(this.directory, 'new', filename);
+
+    await fs.mkdir(path.dirname(tmpPath), { recursive: true });
+    await fs.mkdir(path.dirname(newPath), { recursive: true });
+    await fs.writeFile(tmpPath, buildMessage(message, messageId));
+    await fs.rename(tmpPath, newPath);
+
+    return { messageId, path: newPath };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const EmailTransport = require('./EmailTransport');
+
+/**
+ * Keeps sent messages in memory, for tests. Nothing leaves the process.
+ * `failNext(count, message)` makes the next sends throw, to exercise retries.
+ */
+class MemoryTransport extends EmailTransport {
+  constructor() {
+    super('memory');
+    this.sent = [];
+    this.failures = [];
+  }
+
+  async send(message) {
+    if (this.failures.length > 0) {
+      throw new Error(this.failures.shift());
+    }
+
+    const messageId = `<${crypto.randomBytes(8).toString('hex')}@memory>`;
+    this.sent.push({ ...message, messageId });
+    return { messageId };
+  }
+
+  failNext(count = 1, message = 'Simulated transport failure') {
+    for (let i = 0; i < count; i++) {
+      this.failures.push(message);
+    }
+  }
+
+  reset() {
+    this.sent = [];
+    this.failures = [];
+  }
+}
+
+module.exports = MemoryTransport;
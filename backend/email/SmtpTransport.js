@@ -0,0 +1,176 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const EmailTransport = require('./EmailTransport');
+const { buildMessage, createMessageId, recipients } = require('./mime');
+
+// Bare address from "Name <address>" or "address"
+const envelopeAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+// A client socket that reads SMTP replies one at a time. A reply is one or
+// more lines; every line but the last has a dash after the code.
+class SmtpConnection {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => {
+      this.fail(new Error('SMTP connection timed out'));
+      socket.destroy();
+    });
+    socket.on('data', (chunk) => {
+      this.buffer += chunk;
+      this.flush();
+    });
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  flush() {
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3)), text: this.lines.join('\n') };
+        this.lines = [];
+        if (this.waiting) {
+          const { resolve } = this.waiting;
+          this.waiting = null;
+          resolve(reply);
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  fail(error) {
+    if (!this.error) this.error = error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  // The next reply, which must have one of the expected codes
+  async read(expected) {
+    const reply = await new Promise((resolve, reject) => {
+      if (this.replies.length > 0) return resolve(this.replies.shift());
+      if (this.error) return reject(this.error);
+      this.waiting = { resolve, reject };
+    });
+
+    if (![].concat(expected).includes(reply.code)) {
+      throw new Error(`SMTP server replied ${reply.text}`);
+    }
+    return reply;
+  }
+
+  async command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return this.read(expected);
+  }
+
+  // Switch the connection to TLS after STARTTLS
+  async upgrade(servername) {
+    const plain = this.socket;
+    plain.removeAllListeners('data');
+    plain.removeAllListeners('error');
+    plain.removeAllListeners('close');
+    plain.setTimeout(0);
+
+    const secure = tls.connect({ socket: plain, servername });
+    await new Promise((resolve, reject) => {
+      secure.once('secureConnect', resolve);
+      secure.once('error', reject);
+    });
+    this.attach(secure);
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Sends mail through an SMTP server, using STARTTLS when the server offers
+ * it and AUTH PLAIN when a user is configured.
+ *
+ * Settings come from SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for
+ * TLS from the start, usually port 465), SMTP_USER and SMTP_PASS.
+ */
+class SmtpTransport extends EmailTransport {
+  constructor(options = {}) {
+    super('smtp');
+    this.host = options.host || process.env.SMTP_HOST || 'localhost';
+    this.secure = options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true';
+    this.port = parseInt(options.port || process.env.SMTP_PORT) || (this.secure ? 465 : 587);
+    this.user = options.user !== undefined ? options.user : process.env.SMTP_USER;
+    this.pass = options.pass !== undefined ? options.pass : process.env.SMTP_PASS;
+    this.timeout = options.timeout || 30000;
+    this.clientName = options.clientName || os.hostname() || 'localhost';
+    this.tlsOptions = options.tls || {};
+  }
+
+  connect() {
+    const socket = this.secure
+      ? tls.connect({ host: this.host, port: this.port, servername: this.host, ...this.tlsOptions })
+      : net.connect({ host: this.host, port: this.port });
+    return new SmtpConnection(socket, this.timeout);
+  }
+
+  async send(message) {
+    const messageId = createMessageId();
+    const source = buildMessage(message, messageId);
+    const connection = this.connect();
+
+    try {
+      await connection.read(220);
+      let hello = await connection.command(`EHLO ${this.clientName}`, 250);
+
+      if (!this.secure && /^250[ -]STARTTLS/im.test(hello.text)) {
+        await connection.command('STARTTLS', 220);
+        await connection.upgrade(this.host);
+        hello = await connection.command(`EHLO ${this.clientName}`, 250);
+      }
+
+      if (this.user) {
+        const credentials = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, 235);
+      }
+
+      await connection.command(`MAIL FROM:<${envelopeAddress(message.from)}>`, 250);
+      for (const address of recipients(message.to)) {
+        await connection.command(`RCPT TO:<${envelopeAddress(address)}>`, [250, 251]);
+      }
+
+      await connection.command('DATA', 354);
+      // Lines starting with a dot get another one so they don't end the data
+      await connection.command(`${source.replace(/^\./gm, '..')}\r\n.`, 250);
+      await connection.command('QUIT', 221).catch(() => {});
+    } finally {
+      connection.close();
+    }
+
+    return { messageId };
+  }
+}
+
+module.exports = SmtpTransport;
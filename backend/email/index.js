@@ -0,0 +1,49 @@
+const EmailTransport = require('./EmailTransport');
+const MemoryTransport = require('./MemoryTransport');
+const FileTransport = require('./FileTransport');
+const SmtpTransport = require('./SmtpTransport');
+
+// Transport factories by name. Other providers register here.
+const transports = {
+  smtp: () => new SmtpTransport(),
+  file: () => new FileTransport(),
+  memory: () => new MemoryTransport()
+};
+
+const instances = {};
+
+/**
+ * Register an email transport (a factory returning an EmailTransport)
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * Get a transport by name, defaulting to EMAIL_TRANSPORT (or the maildir)
+ */
+function getTransport(name = process.env.EMAIL_TRANSPORT || 'file') {
+  if (!transports[name]) {
+    throw new Error(`Unknown email transport: ${name}`);
+  }
+
+  if (!instances[name]) {
+    const transport = transports[name]();
+    if (!(transport instanceof EmailTransport)) {
+      throw new Error(`Email transport ${name} must extend EmailTransport`);
+    }
+    instances[name] = transport;
+  }
+
+  return instances[name];
+}
+
+module.exports = {
+  EmailTransport,
+  MemoryTransport,
+  FileTransport,
+  SmtpTransport,
+  registerTransport,
+  getTransport
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const os = require('os');
+
+/**
+ * Build RFC 5322 messages for transports that deliver raw mail (SMTP,
+ * maildir). Bodies are base64 encoded; a plain-text part is made from the
+ * HTML when the message has none.
+ */
+
+// A new Message-ID for the sending host
+const createMessageId = (domain = os.hostname() || 'localhost') =>
+  `<${Date.now()}.${crypto.randomBytes(8).toString('hex')}@${domain}>`;
+
+// Encode a header value that isn't plain ASCII (RFC 2047)
+const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+// Base64 in 76 character lines
+const encodeBody = (content) => Buffer.from(content, 'utf8')
+  .toString('base64')
+  .replace(/.{76}/g, '$&\r\n');
+
+// Readable text version of an HTML body
+const htmlToText = (html) => html
+  .replace(/<(style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|tr|li)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\n\s*\n+/g, '\n\n')
+  .trim();
+
+// Address list for headers and envelopes
+const recipients = (to) => (Array.isArray(to) ? to : String(to).split(','))
+  .map(address => address.trim())
+  .filter(Boolean);
+
+// The full message source, with CRLF line endings
+function buildMessage({ from, to, subject, html, text }, messageId = createMessageId()) {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  const plain = text || (html ? htmlToText(html) : '');
+
+  const headers = [
+    `From: ${from}`,
+    `To: ${recipients(to).join(', ')}`,
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  if (!html) {
+    return [
+      ...headers,
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      encodeBody(plain)
+    ].join('\r\n');
+  }
+
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(plain),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+module.exports = {
+  buildMessage,
+  createMessageId,
+  htmlToText,
+  recipients
+};
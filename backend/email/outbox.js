@@ -0,0 +1,55 @@
+const EmailMessage = require('../models/EmailMessage');
+const { getTransport } = require('./index');
+
+/**
+ * Delivery from the email outbox. Messages are claimed before sending so
+ * two workers never send the same one; a failed send is rescheduled by
+ * EmailMessage#markFailed.
+ */
+
+// Try to deliver one outbox message. Resolves to the updated message, or
+// null when it wasn't due or another worker claimed it first.
+async function deliver(message, transport = getTransport()) {
+  if (!(await message.claim())) {
+    return null;
+  }
+
+  try {
+    const { messageId } = await transport.send({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text
+    });
+    await message.markSent(messageId, transport.name);
+  } catch (error) {
+    console.warn(`Email ${message.id} delivery failed:`, error.message);
+    await message.markFailed(error.message, transport.name);
+  }
+
+  return message;
+}
+
+// Send every message that is due. Returns how many were sent, rescheduled
+// and given up on.
+async function processOutbox({ limit = 20, transport = getTransport() } = {}) {
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+  const messages = await EmailMessage.findDue(limit);
+
+  for (const message of messages) {
+    const delivered = await deliver(message, transport);
+    if (!delivered) continue;
+
+    if (delivered.status === 'sent') summary.sent++;
+    else if (delivered.status === 'pending') summary.retrying++;
+    else summary.failed++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  deliver,
+  processOutbox
+};
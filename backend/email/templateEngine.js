@@ -0,0 +1,198 @@
+/**
+ * A small Mustache-style template language for emails:
+ *
+ *   {{name}}            value, HTML-escaped when rendering HTML
+ *   {{{name}}}          value, never escaped
+ *   {{#name}}..{{/name}} repeated for each item of a list, or shown once
+ *                       if the value is truthy (objects become the context)
+ *   {{^name}}..{{/name}} shown if the value is falsy or an empty list
+ *   {{> name}}          another template (a partial)
+ *
+ * Names may be dotted (`order.total`); `.` is the current list item.
+ * Section and partial tags on a line of their own don't leave a blank line.
+ */
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/>]?)\s*([\w.]*)\s*\}\}/g;
+
+// Partials may include other partials, but not without end
+const MAX_PARTIAL_DEPTH = 10;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const parsed = new Map();
+
+// Parsed templates by source; cleared when it grows past this many entries
+const MAX_PARSED = 100;
+
+// Parse a template into a tree of text, variable, section and partial nodes
+function parse(source) {
+  if (parsed.has(source)) return parsed.get(source);
+
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    const current = stack[stack.length - 1];
+    const [tag, rawName, sigil, name] = match;
+
+    // A section or partial tag alone on its line takes the line with it
+    let textEnd = match.index;
+    let next = TAG.lastIndex;
+    if (sigil) {
+      const lineStart = source.lastIndexOf('\n', match.index - 1) + 1;
+      const lineEnd = source.indexOf('\n', TAG.lastIndex);
+      const before = source.slice(lineStart, match.index);
+      const after = source.slice(TAG.lastIndex, lineEnd === -1 ? source.length : lineEnd);
+      if (lineStart >= last && /^[ \t]*$/.test(before) && /^[ \t\r]*$/.test(after)) {
+        textEnd = lineStart;
+        next = lineEnd === -1 ? source.length : lineEnd + 1;
+      }
+    }
+
+    if (textEnd > last) {
+      current.children.push({ type: 'text', value: source.slice(last, textEnd) });
+    }
+    last = next;
+    TAG.lastIndex = next;
+    if (rawName) {
+      current.children.push({ type: 'raw', name: rawName });
+      continue;
+    }
+
+    if (!name) {
+      throw new Error(`Invalid template: empty tag ${tag}`);
+    }
+
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: sigil === '#' ? 'section' : 'inverted', name, children: [] };
+      current.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Invalid template: unexpected {{/${name}}}`);
+      }
+      stack.pop();
+    } else if (sigil === '>') {
+      current.children.push({ type: 'partial', name });
+    } else {
+      current.children.push({ type: 'variable', name });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid template: {{#${stack[stack.length - 1].name}}} is never closed`);
+  }
+
+  if (last < source.length) {
+    root.children.push({ type: 'text', value: source.slice(last) });
+  }
+
+  if (parsed.size >= MAX_PARSED) parsed.clear();
+  parsed.set(source, root.children);
+  return root.children;
+}
+
+// Look a (dotted) name up, starting from the innermost context
+function lookup(contexts, name) {
+  if (name === '.') return contexts[contexts.length - 1];
+
+  const [first, ...rest] = name.split('.');
+  let value;
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && first in context) {
+      value = context[first];
+      break;
+    }
+  }
+
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function renderNodes(nodes, contexts, options, depth) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+      continue;
+    }
+
+    if (node.type === 'partial') {
+      const partial = options.partials[node.name];
+      if (partial === undefined) {
+        throw new Error(`Invalid template: unknown partial ${node.name}`);
+      }
+      if (depth >= MAX_PARTIAL_DEPTH) {
+        throw new Error(`Invalid template: partials nested more than ${MAX_PARTIAL_DEPTH} deep`);
+      }
+      output += renderNodes(parse(partial), contexts, options, depth + 1);
+      continue;
+    }
+
+    const value = lookup(contexts, node.name);
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+
+    if (node.type === 'section') {
+      if (empty) continue;
+      const items = Array.isArray(value) ? value : [value];
+      for (const item of items) {
+        output += renderNodes(node.children, [...contexts, item], options, depth);
+      }
+    } else if (node.type === 'inverted') {
+      if (empty) output += renderNodes(node.children, contexts, options, depth);
+    } else if (value !== null && value !== undefined) {
+      const text = String(value);
+      output += node.type === 'variable' && options.escape ? escapeHtml(text) : text;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template with data. `partials` maps partial names to their
+ * sources; set `escape` to false for plain text.
+ */
+function render(source, data = {}, { partials = {}, escape = true } = {}) {
+  return renderNodes(parse(source), [data], { partials, escape }, 0);
+}
+
+/**
+ * Check a template parses and only uses the given partials. Throws an
+ * `Invalid template: ...` error if not.
+ */
+function validate(source, partialNames = []) {
+  const check = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'partial' && !partialNames.includes(node.name)) {
+        throw new Error(`Invalid template: unknown partial ${node.name}`);
+      }
+      if (node.children) check(node.children);
+    }
+  };
+
+  check(parse(source));
+  return true;
+}
+
+module.exports = {
+  render,
+  validate,
+  escapeHtml
+};
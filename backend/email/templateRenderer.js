@@ -0,0 +1,116 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const { render, validate } = require('./templateEngine');
+const { TEMPLATES, PARTIALS, getDefaultTemplate } = require('./templates');
+
+const MAX_SUBJECT_LENGTH = 200;
+
+// The version of a template in use: the admin's if saved, else the default
+const effectiveTemplate = (name, saved) => {
+  const source = saved || getDefaultTemplate(name);
+
+  return {
+    name,
+    ...TEMPLATES[name],
+    subject: TEMPLATES[name].kind === 'email' ? source.subject : null,
+    html: source.html,
+    text: source.text,
+    customized: Boolean(saved),
+    updatedBy: saved ? saved.updatedBy : null,
+    updatedAt: saved ? saved.updatedAt : null
+  };
+};
+
+/**
+ * Every template as it is used now, by name
+ */
+async function loadTemplates() {
+  const saved = {};
+  for (const template of await EmailTemplate.findAll()) {
+    if (TEMPLATES[template.name]) saved[template.name] = template;
+  }
+
+  const templates = {};
+  for (const name of Object.keys(TEMPLATES)) {
+    templates[name] = effectiveTemplate(name, saved[name]);
+  }
+  return templates;
+}
+
+/**
+ * One template as it is used now
+ */
+async function loadTemplate(name) {
+  if (!TEMPLATES[name]) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return effectiveTemplate(name, await EmailTemplate.findByName(name));
+}
+
+/**
+ * Check a new version of a template ({ subject, html, text }) before it is
+ * saved. Throws an `Invalid template: ...` error describing the problem.
+ */
+function validateTemplate(name, { subject, html, text }) {
+  const definition = TEMPLATES[name];
+  if (!definition) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  if (typeof html !== 'string' || !html.trim() || typeof text !== 'string' || !text.trim()) {
+    throw new Error('Invalid template: html and text are required');
+  }
+
+  if (definition.kind === 'email') {
+    if (typeof subject !== 'string' || !subject.trim()) {
+      throw new Error('Invalid template: subject is required');
+    }
+    if (subject.length > MAX_SUBJECT_LENGTH) {
+      throw new Error(`Invalid template: subject must be at most ${MAX_SUBJECT_LENGTH} characters`);
+    }
+    validate(subject);
+  }
+
+  if (definition.kind === 'layout' && (!/\{\{\{\s*body\s*\}\}\}/.test(html) || !/\{\{\{?\s*body\s*\}?\}\}/.test(text))) {
+    throw new Error('Invalid template: the layout must include {{{body}}}');
+  }
+
+  validate(html, PARTIALS);
+  validate(text, PARTIALS);
+  return true;
+}
+
+/**
+ * Render an email template with its layout and partials. Resolves to
+ * { subject, html, text }.
+ */
+async function renderEmail(name, data = {}) {
+  const templates = await loadTemplates();
+  const template = templates[name];
+  if (!template || template.kind !== 'email') {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const partials = { html: {}, text: {} };
+  for (const partial of PARTIALS) {
+    partials.html[partial] = templates[partial].html;
+    partials.text[partial] = templates[partial].text;
+  }
+
+  const context = { heading: template.heading, ...data };
+  const subject = render(template.subject, context, { escape: false }).replace(/\s+/g, ' ').trim();
+  const htmlBody = render(template.html, context, { partials: partials.html });
+  const textBody = render(template.text, context, { partials: partials.text, escape: false });
+
+  return {
+    subject,
+    html: render(templates.layout.html, { ...context, subject, body: htmlBody }, { partials: partials.html }),
+    text: render(templates.layout.text, { ...context, subject, body: textBody.trim() }, { partials: partials.text, escape: false })
+  };
+}
+
+module.exports = {
+  loadTemplates,
+  loadTemplate,
+  validateTemplate,
+  renderEmail
+};
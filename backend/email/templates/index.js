@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * The email templates and their defaults. Each has an HTML and a plain-text
+ * version in this directory (`<name>.html`, `<name>.txt`); admins can
+ * replace any of them, and emails can have their subject replaced too
+ * (see models/EmailTemplate.js).
+ *
+ * - `layout` wraps every email; the rendered email goes in `{{{body}}}`
+ * - partials are included with `{{> name}}`
+ * - emails use `order` data (order emails) or an `actionUrl` (account
+ *   emails); all have `appName`, `appUrl` and `user`
+ */
+const TEMPLATES = {
+  layout: {
+    kind: 'layout',
+    description: 'Header and footer around every email'
+  },
+  order_items: {
+    kind: 'partial',
+    description: 'Table of order lines'
+  },
+  order_totals: {
+    kind: 'partial',
+    description: 'Subtotal, discount, shipping, tax and total'
+  },
+  shipping_address: {
+    kind: 'partial',
+    description: 'Where the order is going'
+  },
+  order_confirmation: {
+    kind: 'email',
+    data: 'order',
+    heading: 'Order Confirmation',
+    subject: 'Order Confirmation - {{appName}} #{{order.id}}',
+    description: 'Sent when an order is placed'
+  },
+  order_status_update: {
+    kind: 'email',
+    data: 'order',
+    heading: 'Order Status Update',
+    subject: 'Order Update - {{appName}} #{{order.id}}',
+    description: 'Sent when staff change an order\'s status'
+  },
+  shipping_notification: {
+    kind: 'email',
+    data: 'order',
+    heading: 'Your Order Has Shipped!',
+    subject: 'Your Order Has Shipped - {{appName}} #{{order.id}}',
+    description: 'Sent when an order ships'
+  },
+  password_reset: {
+    kind: 'email',
+    data: 'account',
+    heading: 'Password Reset',
+    subject: 'Reset Your Password - {{appName}}',
+    description: 'Password reset link'
+  },
+  email_verification: {
+    kind: 'email',
+    data: 'account',
+    heading: 'Verify Your Email',
+    subject: 'Verify Your Email - {{appName}}',
+    description: 'Email address verification link'
+  }
+};
+
+const PARTIALS = Object.keys(TEMPLATES).filter(name => TEMPLATES[name].kind === 'partial');
+
+const defaults = {};
+
+// The built-in { subject, html, text } of a template
+function getDefaultTemplate(name) {
+  const definition = TEMPLATES[name];
+  if (!definition) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  if (!defaults[name]) {
+    defaults[name] = {
+      subject: definition.subject || null,
+      html: fs.readFileSync(path.join(__dirname, `${name}.html`), 'utf8'),
+      text: fs.readFileSync(path.join(__dirname, `${name}.txt`), 'utf8')
+    };
+  }
+
+  return defaults[name];
+}
+
+module.exports = {
+  TEMPLATES,
+  PARTIALS,
+  getDefaultTemplate
+};
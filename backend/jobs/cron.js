@@ -0,0 +1,118 @@
+/**
+ * Five-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in UTC. Fields take `*`, numbers, ranges (`1-5`), lists
+ * (`1,15`) and steps (`*\/15`, `0-30/10`). Day of week is 0-6 from Sunday
+ * (7 is also Sunday). As in cron, when both day fields are restricted a
+ * day matching either one runs.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up looking for a matching time after this many years
+const MAX_SEARCH_YEARS = 5;
+
+// The set of values one field allows
+function parseField(source, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    const [, range, start, end, step] = match;
+    let from = range === '*' ? min : parseInt(start);
+    let to = range === '*' ? max : (end !== undefined ? parseInt(end) : from);
+    const increment = step !== undefined ? parseInt(step) : 1;
+
+    // A bare number with a step runs from it to the end of the range
+    if (range !== '*' && end === undefined && step !== undefined) to = max;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse an expression into the allowed values of each field
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression: ${expression}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+const dayMatches = (schedule, date) => {
+  const dayOk = schedule.days.has(date.getUTCDate());
+  const weekdayOk = schedule.weekdays.has(date.getUTCDay());
+
+  if (schedule.anyDay) return weekdayOk;
+  if (schedule.anyWeekday) return dayOk;
+  return dayOk || weekdayOk;
+};
+
+/**
+ * The first time after `from` that the expression matches
+ */
+function nextRun(expression, from = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  // Move forward a whole month, day or hour at a time while that unit
+  // can't match, then minute by minute
+  while (date < limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never runs: ${expression}`);
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
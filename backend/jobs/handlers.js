@@ -0,0 +1,85 @@
+const { Order, Product, Reservation } = require('../models');
+const DatabaseUtils = require('../database/utils');
+const EmailService = require('../utils/emailService');
+const { processOutbox } = require('../email/outbox');
+const { registerJob } = require('./queue');
+
+// Send one of the order emails to the customer, or the guest's checkout
+// address. Skipped when the order or its customer has gone; a failure to
+// build the email fails the job so it's retried.
+const orderEmail = (send) => async (payload) => {
+  const order = await Order.findById(payload.orderId);
+  if (!order) return { skipped: 'Order not found' };
+
+  const user = await order.getRecipient();
+  if (!user) return { skipped: 'Customer not found' };
+
+  const result = await send(new EmailService(), user, order, payload);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to send email');
+  }
+  return { emailId: result.emailId || null, message: result.message };
+};
+
+registerJob('email.order_confirmation', orderEmail(
+  (emailService, user, order) => emailService.sendOrderConfirmation(user, order)
+));
+
+registerJob('email.order_status_update', orderEmail(
+  (emailService, user, order, { previousStatus }) => emailService.sendOrderStatusUpdate(user, order, previousStatus)
+));
+
+registerJob('email.shipping_notification', orderEmail(
+  (emailService, user, order) => emailService.sendShippingNotification(user, order)
+));
+
+// Retry outbox email that couldn't be delivered when it was queued
+registerJob('email.process_outbox', () => processOutbox());
+
+registerJob('reservations.expire', async () => ({
+  released: await Reservation.releaseExpired()
+}));
+
+// The products and variants at or below the threshold (payload.threshold,
+// else LOW_STOCK_THRESHOLD, default 5)
+registerJob('inventory.low_stock_scan', async (payload) => {
+  const threshold = Number.isInteger(payload.threshold)
+    ? payload.threshold
+    : parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+  const stockLines = (products) => products.flatMap(product => (
+    product.variants
+      ? product.variants.map(variant => ({ productId: product.id, variantId: variant.id, name: product.name, sku: variant.sku, inventory: variant.inventory }))
+      : [{ productId: product.id, variantId: null, name: product.name, sku: null, inventory: product.inventory }]
+  ));
+
+  const lowStock = stockLines(await Product.getLowStock(threshold));
+  const outOfStock = stockLines(await Product.getOutOfStock());
+
+  if (outOfStock.length > 0) {
+    console.warn(`Low stock scan: ${outOfStock.length} item(s) out of stock`);
+  }
+
+  return { threshold, lowStock, outOfStock };
+});
+
+// Sales for one UTC day (payload.date as YYYY-MM-DD, default yesterday)
+registerJob('reports.daily_sales', async (payload) => {
+  let date = payload.date;
+  if (!date) {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    date = yesterday.toISOString().slice(0, 10);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`Invalid report date: ${date}`);
+  }
+
+  const analytics = await Order.getAnalytics({
+    dateFrom: `${date} 00:00:00`,
+    dateTo: `${date} 23:59:59`
+  });
+
+  return { date, ...analytics };
+});
+
+registerJob('maintenance.cleanup', (payload) => DatabaseUtils.cleanupData(payload));
@@ -0,0 +1,40 @@
+const { registerJob, enqueueJob, runJob, processJobs, jobTypes } = require('./queue');
+const { runDueSchedules, getSchedules } = require('./scheduler');
+
+// Built-in job types
+require('./handlers');
+
+/**
+ * Queue scheduled jobs that are due and run the queue, on an interval. A
+ * tick is skipped while the previous one is still running. The timer
+ * doesn't keep the process alive; call clearInterval on the result to stop.
+ */
+function startJobWorker(intervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runDueSchedules();
+      await processJobs();
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  registerJob,
+  enqueueJob,
+  runJob,
+  processJobs,
+  jobTypes,
+  runDueSchedules,
+  getSchedules,
+  startJobWorker
+};
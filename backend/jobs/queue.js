@@ -0,0 +1,71 @@
+const Job = require('../models/Job');
+
+// Job handlers by type: async (payload, job) => result
+const handlers = {};
+
+/**
+ * Register the handler for a job type. What it returns is stored as the
+ * job's result; throwing fails the run and schedules a retry.
+ */
+function registerJob(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Queue a job of a registered type. Options as for Job.enqueue.
+ */
+async function enqueueJob(type, payload = {}, options = {}) {
+  if (!handlers[type]) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  return Job.enqueue(type, payload, options);
+}
+
+// Run one job. Resolves to the updated job, or null when it wasn't due,
+// another worker claimed it first, or the run took so long that another
+// worker took it over (whose outcome then stands).
+async function runJob(job) {
+  if (!(await job.claim())) {
+    return null;
+  }
+
+  let recorded;
+  try {
+    const handler = handlers[job.type];
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    recorded = await job.complete(await handler(job.payload, job));
+  } catch (error) {
+    console.warn(`Job ${job.id} (${job.type}) failed:`, error.message);
+    recorded = await job.fail(error.message);
+  }
+
+  return recorded ? job : null;
+}
+
+// Run every job that is due, optionally only of some types. Returns how
+// many completed, will be retried and went to the dead-letter state.
+async function processJobs({ limit = 20, types = null } = {}) {
+  const summary = { completed: 0, retrying: 0, dead: 0 };
+  const jobs = await Job.findDue(limit, types);
+
+  for (const job of jobs) {
+    const ran = await runJob(job);
+    if (!ran) continue;
+
+    if (ran.status === 'completed') summary.completed++;
+    else if (ran.status === 'pending') summary.retrying++;
+    else summary.dead++;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  registerJob,
+  enqueueJob,
+  runJob,
+  processJobs,
+  jobTypes: () => Object.keys(handlers)
+};
@@ -0,0 +1,62 @@
+const { Job, JobSchedule } = require('../models');
+const { enqueueJob } = require('./queue');
+const { nextRun } = require('./cron');
+const SCHEDULES = require('./schedules');
+
+/**
+ * Queue a job for every schedule that is due at `now`. A schedule seen for
+ * the first time is first due at its next matching time. If the job from a
+ * schedule's previous run hasn't finished, that run is skipped rather than
+ * piling up another job. Resolves to the jobs queued.
+ */
+async function runDueSchedules({ now = new Date(), schedules = SCHEDULES } = {}) {
+  const queued = [];
+  const nowSql = Job.toSqlDate(now);
+
+  for (const schedule of schedules) {
+    const nextRunAt = Job.toSqlDate(nextRun(schedule.cron, now));
+    const state = await JobSchedule.findByName(schedule.name);
+
+    if (!state) {
+      await JobSchedule.start(schedule.name, nextRunAt);
+      continue;
+    }
+
+    if (state.nextRunAt > nowSql) continue;
+    if (!(await state.claimRun(nowSql, nextRunAt))) continue;
+
+    const previous = state.lastJobId ? await Job.findById(state.lastJobId) : null;
+    if (previous && ['pending', 'running'].includes(previous.status)) continue;
+
+    const job = await enqueueJob(schedule.type, schedule.payload || {}, { schedule: schedule.name });
+    await state.setLastJob(job.id);
+    queued.push(job);
+  }
+
+  return queued;
+}
+
+/**
+ * Every schedule with when it last ran and is next due
+ */
+async function getSchedules(schedules = SCHEDULES) {
+  const states = new Map((await JobSchedule.findAll()).map(state => [state.name, state]));
+
+  return schedules.map(schedule => {
+    const state = states.get(schedule.name);
+    return {
+      name: schedule.name,
+      cron: schedule.cron,
+      type: schedule.type,
+      description: schedule.description,
+      lastRunAt: state ? state.lastRunAt : null,
+      nextRunAt: state ? state.nextRunAt : null,
+      lastJobId: state ? state.lastJobId : null
+    };
+  });
+}
+
+module.exports = {
+  runDueSchedules,
+  getSchedules
+};
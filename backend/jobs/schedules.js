@@ -0,0 +1,36 @@
+/**
+ * Jobs the scheduler queues on a cron schedule (UTC; see cron.js). Each
+ * names the job type to queue and, optionally, its payload.
+ */
+module.exports = [
+  {
+    name: 'expire-reservations',
+    cron: '* * * * *',
+    type: 'reservations.expire',
+    description: 'Release checkout holds that have expired'
+  },
+  {
+    name: 'email-outbox',
+    cron: '* * * * *',
+    type: 'email.process_outbox',
+    description: 'Retry email that could not be delivered'
+  },
+  {
+    name: 'low-stock-scan',
+    cron: '0 * * * *',
+    type: 'inventory.low_stock_scan',
+    description: 'List products and variants that are low on or out of stock'
+  },
+  {
+    name: 'daily-sales-report',
+    cron: '5 0 * * *',
+    type: 'reports.daily_sales',
+    description: 'Sales report for the previous day'
+  },
+  {
+    name: 'cleanup',
+    cron: '30 3 * * *',
+    type: 'maintenance.cleanup',
+    description: 'Delete old empty carts, stale tokens and completed jobs'
+  }
+];
@@ -1,4 +1,8 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Role = require('../models/Role');
+const { getJwtSecret } = require('../utils/authTokens');
 
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
@@ -15,7 +19,18 @@ const authenticateToken = (req, res, next) => {
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
+  jwt.verify(token, getJwtSecret(), async (err, user) => {
+    // Expired access tokens get a 401 so clients know to refresh them
+    if (err && err.name === 'TokenExpiredError') {
+      return res.status(401).json({ 
+        success: false, 
+        error: { 
+          code: 'TOKEN_EXPIRED', 
+          message: 'Access token has expired' 
+        } 
+      });
+    }
+
     if (err) {
       return res.status(403).json({ 
         success: false, 
@@ -25,14 +40,87 @@ const authenticateToken = (req, res, next) => {
         } 
       });
     }
-    req.user = user;
-    next();
+
+    try {
+      // Tokens outlive account changes, so check the account is still
+      // usable and take the roles from it rather than from the token
+      const account = await User.findById(user.id);
+
+      if (!account) {
+        return res.status(403).json({ 
+          success: false, 
+          error: { 
+            code: 'INVALID_TOKEN', 
+            message: 'Invalid or expired token' 
+          } 
+        });
+      }
+
+      if (!account.isActive) {
+        return res.status(403).json({ 
+          success: false, 
+          error: { 
+            code: 'ACCOUNT_DISABLED', 
+            message: 'This account has been disabled' 
+          } 
+        });
+      }
+
+      // Tokens issued for a session stop working once it is logged out
+      if (user.sid && !(await RefreshToken.isSessionActive(user.sid))) {
+        return res.status(401).json({ 
+          success: false, 
+          error: { 
+            code: 'SESSION_REVOKED', 
+            message: 'This session has been logged out' 
+          } 
+        });
+      }
+
+      const { roles, permissions } = await Role.getUserAccess(account.id);
+
+      req.user = {
+        ...user,
+        isAdmin: Boolean(account.isAdmin),
+        emailVerified: account.emailVerified,
+        roles,
+        permissions
+      };
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: { 
+          code: 'AUTHENTICATION_FAILED', 
+          message: 'Failed to authenticate request' 
+        } 
+      });
+    }
   });
 };
 
-// Middleware to verify admin role
-const requireAdmin = (req, res, next) => {
-  if (!req.user || !req.user.isAdmin) {
+// Middleware for endpoints guests can use too: authenticates the request
+// when it carries a token (rejecting bad ones as authenticateToken does) and
+// otherwise continues without req.user
+const authenticateOptional = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader || !authHeader.split(' ')[1]) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
+// Whether an authenticated user's roles grant a permission
+const hasPermission = (user, permission) => {
+  return Boolean(user && user.permissions && user.permissions.includes(permission));
+};
+
+// Middleware to require a permission, e.g. requirePermission('orders:update').
+// Customers (no roles) get ADMIN_REQUIRED; staff whose roles don't grant it
+// get PERMISSION_DENIED. Use after authenticateToken.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !req.user.roles || req.user.roles.length === 0) {
     return res.status(403).json({ 
       success: false, 
       error: { 
@@ -41,10 +129,39 @@ const requireAdmin = (req, res, next) => {
       } 
     });
   }
+
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ 
+      success: false, 
+      error: { 
+        code: 'PERMISSION_DENIED', 
+        message: `Missing permission: ${permission}` 
+      } 
+    });
+  }
+  next();
+};
+
+// Middleware to block unverified accounts, when REQUIRE_EMAIL_VERIFICATION
+// is enabled. Use after authenticateToken.
+const requireVerifiedEmail = (req, res, next) => {
+  // Guests (see authenticateOptional) have no account to verify
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && req.user && !req.user.emailVerified) {
+    return res.status(403).json({ 
+      success: false, 
+      error: { 
+        code: 'EMAIL_NOT_VERIFIED', 
+        message: 'Please verify your email address first' 
+      } 
+    });
+  }
   next();
 };
 
 module.exports = {
   authenticateToken,
-  requireAdmin
+  authenticateOptional,
+  hasPermission,
+  requirePermission,
+  requireVerifiedEmail
 };
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * Fixed-window rate limiting.
+ *
+ * Hits are counted in a store, which implements:
+ *   increment(key, windowMs) -> { count, resetAt }  (resetAt in ms since epoch)
+ *   reset(key)
+ * Both may return promises. MemoryStore keeps counts in this process, so
+ * running several server processes needs a shared store (e.g. Redis) that
+ * implements the same two methods.
+ *
+ * Set RATE_LIMIT_ENABLED=false to turn limiting off.
+ */
+
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+    this.nextSweep = 0;
+  }
+
+  increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count += 1;
+    this.nextSweep = Math.min(this.nextSweep || entry.resetAt, entry.resetAt);
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  reset(key) {
+    this.hits.delete(key);
+  }
+
+  // Drop finished windows now and then so idle keys don't pile up
+  sweep(now) {
+    if (!this.nextSweep || now < this.nextSweep) return;
+
+    this.nextSweep = 0;
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      } else if (!this.nextSweep || entry.resetAt < this.nextSweep) {
+        this.nextSweep = entry.resetAt;
+      }
+    }
+  }
+}
+
+/**
+ * Build a limiter allowing `max` requests per `windowMs` for each key.
+ * `keyGenerator(req)` defaults to the client IP; returning null skips the
+ * request. Over the limit the response is 429 with Retry-After.
+ */
+function rateLimit({ name, windowMs, max, keyGenerator = (req) => req.ip, store = new MemoryStore(), message = 'Too many requests, please try again later' }) {
+  const limiter = async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') return next();
+
+    try {
+      const key = keyGenerator(req);
+      if (key === null || key === undefined) return next();
+
+      const { count, resetAt } = await store.increment(`${name}:${key}`, windowMs);
+      const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+      res.set('X-RateLimit-Limit', String(max));
+      res.set('X-RateLimit-Remaining', String(Math.max(max - count, 0)));
+      res.set('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+      if (count > max) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: {
+            code: 'RATE_LIMITED',
+            message,
+            retryAfter
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      // A failing store shouldn't take the API down with it
+      console.error('Rate limiter error:', error);
+      next();
+    }
+  };
+
+  limiter.store = store;
+  limiter.resetKey = (key) => store.reset(`${name}:${key}`);
+  return limiter;
+}
+
+// Login, registration and the other unauthenticated auth endpoints, per IP
+const authLimiter = rateLimit({
+  name: 'auth',
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many authentication attempts, please try again later'
+});
+
+// Password reset emails, per address, so nobody can flood an inbox
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset',
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: (req) => (typeof req.body.email === 'string' ? req.body.email.toLowerCase() : null),
+  message: 'Too many password reset requests for this email, please try again later'
+});
+
+// Cart changes, per account for logged-in users and per IP for guests.
+// Use after the route's auth middleware.
+const cartLimiter = rateLimit({
+  name: 'cart',
+  windowMs: 60 * 1000,
+  max: 60,
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  message: 'Too many cart updates, please slow down'
+});
+
+module.exports = {
+  MemoryStore,
+  rateLimit,
+  authLimiter,
+  passwordResetLimiter,
+  cartLimiter
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+
+// How long each kind of token can be used for
+const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 48 * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use tokens emailed to users: password resets and email verification
+class AccountToken {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.purpose = data.purpose;
+    this.expiresAt = data.expires_at;
+    this.usedAt = data.used_at;
+    this.createdAt = data.created_at;
+  }
+
+  // Issue a token, invalidating any earlier unused ones for the same purpose
+  // so only the latest email works. Returns the raw token; only its hash is
+  // stored.
+  static async issue(userId, purpose) {
+    try {
+      if (!TOKEN_TTL_MINUTES[purpose]) {
+        throw new Error(`Unknown token purpose: ${purpose}`);
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await database.withTransaction(async (db) => {
+        await db.run(`
+          UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+          WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+        `, [userId, purpose]);
+
+        await db.run(`
+          INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+          VALUES (?, ?, ?, datetime('now', ?))
+        `, [userId, purpose, hashToken(token), `+${TOKEN_TTL_MINUTES[purpose]} minutes`]);
+      });
+
+      return token;
+    } catch (error) {
+      throw new Error(`Failed to issue account token: ${error.message}`);
+    }
+  }
+
+  // Use up a token. Returns the user id it was issued to, or null if the
+  // token is unknown, expired or already used.
+  static async consume(token, purpose) {
+    try {
+      if (typeof token !== 'string' || !token) return null;
+
+      const tokenHash = hashToken(token);
+
+      // Claiming it in one statement means it can only be used once
+      const claim = await database.run(`
+        UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = ? AND purpose = ? AND used_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+      `, [tokenHash, purpose]);
+
+      if (claim.changes === 0) return null;
+
+      const row = await database.get(
+        'SELECT user_id FROM account_tokens WHERE token_hash = ?',
+        [tokenHash]
+      );
+      return row.user_id;
+    } catch (error) {
+      throw new Error(`Failed to use account token: ${error.message}`);
+    }
+  }
+
+  // Remove tokens that can no longer be used
+  static async deleteStale() {
+    try {
+      const result = await database.run(`
+        DELETE FROM account_tokens
+        WHERE used_at IS NOT NULL OR expires_at <= CURRENT_TIMESTAMP
+      `);
+      return result.changes;
+    } catch (error) {
+      throw new Error(`Failed to delete stale account tokens: ${error.message}`);
+    }
+  }
+}
+
+AccountToken.PURPOSES = Object.keys(TOKEN_TTL_MINUTES);
+
+module.exports = AccountToken;
@@ -0,0 +1,173 @@
+const database = require('../config/database');
+
+// Fields that change on every save and would only add noise to diffs
+const IGNORED_FIELDS = ['updatedAt'];
+
+const BARE_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseJson = (value) => (value ? JSON.parse(value) : null);
+
+// Record of a privileged change: who did what to which record, and how
+class AuditLog {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.actorId = data.actor_id;
+    this.actorEmail = data.actor_email;
+    this.action = data.action;
+    this.entityType = data.entity_type;
+    this.entityId = data.entity_id;
+    this.before = parseJson(data.before_data);
+    this.after = parseJson(data.after_data);
+    this.ipAddress = data.ip_address;
+    this.userAgent = data.user_agent;
+    this.createdAt = data.created_at;
+  }
+
+  // Reduce two snapshots to the fields that differ. A missing snapshot
+  // (creation or deletion) keeps the other one whole.
+  static diff(before, after) {
+    if (!before || !after) {
+      return { before: before || null, after: after || null };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const field of fields) {
+      if (IGNORED_FIELDS.includes(field)) continue;
+      if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+
+      changedBefore[field] = before[field] === undefined ? null : before[field];
+      changedAfter[field] = after[field] === undefined ? null : after[field];
+    }
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  // Write an entry. `before` and `after` are snapshots of the entity and
+  // are stored as a diff.
+  static async record({ actorId = null, actorEmail = null, action, entityType, entityId = null, before = null, after = null, ipAddress = null, userAgent = null }) {
+    try {
+      const changes = AuditLog.diff(before, after);
+
+      const result = await database.run(`
+        INSERT INTO audit_log (actor_id, actor_email, action, entity_type, entity_id, before_data, after_data, ip_address, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        actorId,
+        actorEmail,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        changes.before ? JSON.stringify(changes.before) : null,
+        changes.after ? JSON.stringify(changes.after) : null,
+        ipAddress,
+        userAgent
+      ]);
+
+      return result.id;
+    } catch (error) {
+      throw new Error(`Failed to record audit entry: ${error.message}`);
+    }
+  }
+
+  // Build the WHERE clause shared by findAll and count. Dates are compared
+  // in UTC; a bare `dateTo` date includes that whole day.
+  static buildFilters(filters = {}) {
+    let sql = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.actorId) {
+      sql += ' AND actor_id = ?';
+      params.push(filters.actorId);
+    }
+
+    if (filters.actorEmail) {
+      sql += ' AND LOWER(actor_email) = LOWER(?)';
+      params.push(filters.actorEmail);
+    }
+
+    if (filters.action) {
+      sql += ' AND action = ?';
+      params.push(filters.action);
+    }
+
+    if (filters.entityType) {
+      sql += ' AND entity_type = ?';
+      params.push(filters.entityType);
+    }
+
+    if (filters.entityId) {
+      sql += ' AND entity_id = ?';
+      params.push(String(filters.entityId));
+    }
+
+    if (filters.dateFrom) {
+      sql += ' AND created_at >= datetime(?)';
+      params.push(filters.dateFrom);
+    }
+
+    if (filters.dateTo) {
+      sql += BARE_DATE.test(filters.dateTo)
+        ? " AND created_at < datetime(?, '+1 day')"
+        : ' AND created_at <= datetime(?)';
+      params.push(filters.dateTo);
+    }
+
+    return { sql, params };
+  }
+
+  // Entries matching the filters, newest first
+  static async findAll(filters = {}) {
+    try {
+      const where = AuditLog.buildFilters(filters);
+      let sql = 'SELECT * FROM audit_log' + where.sql + ' ORDER BY created_at DESC, id DESC';
+      const params = [...where.params];
+
+      if (filters.limit) {
+        sql += ' LIMIT ?';
+        params.push(filters.limit);
+
+        if (filters.offset) {
+          sql += ' OFFSET ?';
+          params.push(filters.offset);
+        }
+      }
+
+      const rows = await database.all(sql, params);
+      return rows.map(row => new AuditLog(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch audit log: ${error.message}`);
+    }
+  }
+
+  // Count entries matching the same filters as findAll
+  static async count(filters = {}) {
+    try {
+      const where = AuditLog.buildFilters(filters);
+      const row = await database.get('SELECT COUNT(*) as count FROM audit_log' + where.sql, where.params);
+      return row.count;
+    } catch (error) {
+      throw new Error(`Failed to count audit entries: ${error.message}`);
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      actorId: this.actorId,
+      actorEmail: this.actorEmail,
+      action: this.action,
+      entityType: this.entityType,
+      entityId: this.entityId,
+      before: this.before,
+      after: this.after,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -1,5 +1,9 @@
 const database = require('../config/database');
 const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+const Reservation = require('./Reservation');
+const Promotion = require('./Promotion');
+const { calculateQuote } = require('../utils/pricing');
 
 class Cart {
   constructor(data = {}) {
@@ -52,79 +56,127 @@ class Cart {
     }
   }
 
-  // Load cart items
+  // Find an existing cart for a user (does not create one)
+  static async findByUserId(userId) {
+    try {
+      const row = await database.get('SELECT * FROM carts WHERE user_id = ?', [userId]);
+      if (!row) return null;
+
+      const cart = new Cart(row);
+      await cart.loadItems();
+      return cart;
+    } catch (error) {
+      throw new Error(`Failed to find cart: ${error.message}`);
+    }
+  }
+
+  // Load cart items. A line for a variant takes the variant's price (when
+  // it overrides the product's) and stock.
   async loadItems() {
     try {
       const rows = await database.all(`
-        SELECT ci.*, p.name, p.price, p.icon, p.inventory, p.is_active
+        SELECT ci.*, p.name, p.price, p.category, p.icon, p.inventory, p.weight, p.is_active,
+               v.sku, v.options, v.price AS variant_price, v.inventory AS variant_inventory,
+               v.is_active AS variant_is_active
         FROM cart_items ci
         JOIN products p ON ci.product_id = p.id
+        LEFT JOIN product_variants v ON ci.variant_id = v.id
         WHERE ci.cart_id = ?
-        ORDER BY ci.created_at ASC
+        ORDER BY ci.created_at ASC, ci.id ASC
       `, [this.id]);
 
-      this.items = rows.map(row => ({
-        id: row.id,
-        productId: row.product_id,
-        quantity: row.quantity,
-        createdAt: row.created_at,
-        product: {
-          id: row.product_id,
-          name: row.name,
-          price: row.price,
-          icon: row.icon,
-          inventory: row.inventory,
-          isActive: row.is_active
-        }
-      }));
+      this.items = rows.map(row => {
+        const variant = row.variant_id ? new ProductVariant({
+          id: row.variant_id,
+          product_id: row.product_id,
+          sku: row.sku,
+          options: row.options,
+          price: row.variant_price,
+          inventory: row.variant_inventory,
+          is_active: row.variant_is_active
+        }) : null;
+
+        return {
+          id: row.id,
+          productId: row.product_id,
+          variantId: row.variant_id || null,
+          quantity: row.quantity,
+          createdAt: row.created_at,
+          variant: variant ? {
+            id: variant.id,
+            sku: variant.sku,
+            options: variant.options,
+            label: ProductVariant.labelFor(variant.options)
+          } : null,
+          product: {
+            id: row.product_id,
+            name: row.name,
+            price: variant ? variant.getUnitPrice(row) : row.price,
+            category: row.category,
+            icon: row.icon,
+            inventory: variant ? variant.inventory : row.inventory,
+            weight: row.weight || 0,
+            isActive: variant ? row.is_active && variant.isActive : row.is_active
+          }
+        };
+      });
     } catch (error) {
       throw new Error(`Failed to load cart items: ${error.message}`);
     }
   }
 
+  // Look up what a line refers to: the product, the chosen variant (if the
+  // product has variants) and whichever of the two holds the stock
+  static async resolveLine(productId, variantId = null) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      throw new Error('Product not found');
+    }
+    if (!product.isActive) {
+      throw new Error('Product is inactive');
+    }
+
+    const variant = await ProductVariant.resolveForProduct(product, variantId);
+    return { product, variant, stock: variant || product };
+  }
+
   // Add item to cart
-  async addItem(productId, quantity = 1) {
+  async addItem(productId, quantity = 1, variantId = null) {
     try {
-      // Check if product exists and is active
-      const product = await Product.findById(productId);
-      if (!product) {
-        throw new Error('Product not found');
-      }
-      if (!product.isActive) {
-        throw new Error('Product is inactive');
-      }
+      const { stock } = await Cart.resolveLine(productId, variantId);
+      variantId = variantId || null;
 
       // Check if item already exists in cart
       const existingItem = await database.get(`
         SELECT * FROM cart_items 
-        WHERE cart_id = ? AND product_id = ?
-      `, [this.id, productId]);
+        WHERE cart_id = ? AND product_id = ? AND variant_id IS ?
+      `, [this.id, productId, variantId]);
 
       if (existingItem) {
         // Update quantity
         const newQuantity = existingItem.quantity + quantity;
         
         // Check inventory
-        if (newQuantity > product.inventory) {
+        if (newQuantity > await stock.getAvailableInventory(this.id)) {
           throw new Error('Insufficient inventory');
         }
 
         await database.run(`
           UPDATE cart_items 
           SET quantity = ? 
-          WHERE cart_id = ? AND product_id = ?
-        `, [newQuantity, this.id, productId]);
+          WHERE id = ?
+        `, [newQuantity, existingItem.id]);
       } else {
         // Check inventory
-        if (quantity > product.inventory) {
+        if (quantity > await stock.getAvailableInventory(this.id)) {
           throw new Error('Insufficient inventory');
         }
 
         // Add new item
         await database.run(`
-          INSERT INTO cart_items (cart_id, product_id, quantity)
-          VALUES (?, ?, ?)
-        `, [this.id, productId, quantity]);
+          INSERT INTO cart_items (cart_id, product_id, variant_id, quantity)
+          VALUES (?, ?, ?, ?)
+        `, [this.id, productId, variantId, quantity]);
       }
 
       // Update cart timestamp
@@ -134,6 +186,9 @@ class Cart {
         WHERE id = ?
       `, [this.id]);
 
+      // Any checkout holds no longer match the cart contents
+      await Reservation.releaseForCart(this.id);
+
       // Reload items
       await this.loadItems();
       return true;
@@ -143,27 +198,29 @@ class Cart {
   }
 
   // Update item quantity
-  async updateItemQuantity(productId, quantity) {
+  async updateItemQuantity(productId, quantity, variantId = null) {
     try {
       if (quantity <= 0) {
-        return await this.removeItem(productId);
+        return await this.removeItem(productId, variantId);
       }
 
       // Check if product exists and has sufficient inventory
-      const product = await Product.findById(productId);
-      if (!product || !product.isActive) {
+      let stock;
+      try {
+        ({ stock } = await Cart.resolveLine(productId, variantId));
+      } catch (error) {
         throw new Error('Product not found or inactive');
       }
 
-      if (quantity > product.inventory) {
+      if (quantity > await stock.getAvailableInventory(this.id)) {
         throw new Error('Insufficient inventory');
       }
 
       const result = await database.run(`
         UPDATE cart_items 
         SET quantity = ? 
-        WHERE cart_id = ? AND product_id = ?
-      `, [quantity, this.id, productId]);
+        WHERE cart_id = ? AND product_id = ? AND variant_id IS ?
+      `, [quantity, this.id, productId, variantId || null]);
 
       if (result.changes === 0) {
         throw new Error('Item not found in cart');
@@ -176,6 +233,9 @@ class Cart {
         WHERE id = ?
       `, [this.id]);
 
+      // Any checkout holds no longer match the cart contents
+      await Reservation.releaseForCart(this.id);
+
       // Reload items
       await this.loadItems();
       return true;
@@ -185,12 +245,12 @@ class Cart {
   }
 
   // Remove item from cart
-  async removeItem(productId) {
+  async removeItem(productId, variantId = null) {
     try {
       const result = await database.run(`
         DELETE FROM cart_items 
-        WHERE cart_id = ? AND product_id = ?
-      `, [this.id, productId]);
+        WHERE cart_id = ? AND product_id = ? AND variant_id IS ?
+      `, [this.id, productId, variantId || null]);
 
       if (result.changes === 0) {
         throw new Error('Item not found in cart');
@@ -203,6 +263,9 @@ class Cart {
         WHERE id = ?
       `, [this.id]);
 
+      // Any checkout holds no longer match the cart contents
+      await Reservation.releaseForCart(this.id);
+
       // Reload items
       await this.loadItems();
       return true;
@@ -223,6 +286,9 @@ class Cart {
         WHERE id = ?
       `, [this.id]);
 
+      // Any checkout holds no longer match the cart contents
+      await Reservation.releaseForCart(this.id);
+
       this.items = [];
       return true;
     } catch (error) {
@@ -242,6 +308,35 @@ class Cart {
     return this.items.reduce((count, item) => count + item.quantity, 0);
   }
 
+  // Cart lines in the shape the pricing engine expects
+  getPricingLines() {
+    return this.items.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      name: item.variant ? `${item.product.name} (${item.variant.label})` : item.product.name,
+      category: item.product.category,
+      quantity: item.quantity,
+      unitPrice: item.product.price,
+      weight: item.product.weight
+    }));
+  }
+
+  // Price the cart with the server-side pricing engine (tax, shipping, coupon).
+  // Throws if the coupon code doesn't apply to this cart.
+  async getQuote({ shippingAddress = null, shippingMethod, couponCode = null } = {}) {
+    const lines = this.getPricingLines();
+    const promotion = couponCode
+      ? await Promotion.resolveCoupon(couponCode, { userId: this.userId, lines })
+      : null;
+
+    return calculateQuote({
+      lines,
+      shippingAddress,
+      shippingMethod,
+      discounts: promotion ? [promotion.toDiscount()] : []
+    });
+  }
+
   // Merge guest cart with user cart (for login)
   static async mergeGuestCart(guestSessionId, userId) {
     try {
@@ -261,10 +356,11 @@ class Cart {
 
       // Merge items into user cart
       for (const item of guestItems) {
-        await userCart.addItem(item.product_id, item.quantity);
+        await userCart.addItem(item.product_id, item.quantity, item.variant_id);
       }
 
       // Delete guest cart
+      await Reservation.releaseForCart(guestCart.id);
       await database.run('DELETE FROM cart_items WHERE cart_id = ?', [guestCart.id]);
       await database.run('DELETE FROM carts WHERE id = ?', [guestCart.id]);
 
@@ -280,23 +376,30 @@ class Cart {
       const issues = [];
       
       for (const item of this.items) {
-        const product = await Product.findById(item.productId);
-        
-        if (!product || !product.isActive) {
+        let stock;
+        try {
+          ({ stock } = await Cart.resolveLine(item.productId, item.variantId));
+        } catch (error) {
           issues.push({
             type: 'unavailable',
             productId: item.productId,
+            variantId: item.variantId,
             productName: item.product.name,
             message: 'Product is no longer available'
           });
-        } else if (item.quantity > product.inventory) {
+          continue;
+        }
+
+        const available = await stock.getAvailableInventory(this.id);
+        if (item.quantity > available) {
           issues.push({
             type: 'insufficient_inventory',
             productId: item.productId,
+            variantId: item.variantId,
             productName: item.product.name,
             requested: item.quantity,
-            available: product.inventory,
-            message: `Only ${product.inventory} items available`
+            available,
+            message: `Only ${available} items available`
           });
         }
       }
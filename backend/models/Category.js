@@ -0,0 +1,274 @@
+const database = require('../config/database');
+
+const SLUG = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Ids of a category (looked up by `column`) and everything nested under
+// it, for use in `IN (...)`
+const subtreeSql = (column = 'id') => `
+  WITH RECURSIVE subtree(id) AS (
+    SELECT id FROM categories WHERE ${column} = ?
+    UNION ALL
+    SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+  )
+  SELECT id FROM subtree
+`;
+
+// A node in the product category tree
+class Category {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.parentId = data.parent_id || null;
+    this.slug = data.slug;
+    this.name = data.name;
+    this.description = data.description || null;
+    this.position = data.position || 0;
+    this.isActive = data.is_active !== undefined ? Boolean(data.is_active) : true;
+    this.productCount = data.product_count || 0;
+    this.children = undefined;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // URL-safe slug from a name, e.g. "AR / VR Gear" -> "ar-vr-gear"
+  static slugify(value) {
+    return String(value || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  static isValidSlug(slug) {
+    return typeof slug === 'string' && SLUG.test(slug) && slug.length <= 60;
+  }
+
+  // Find category by ID
+  static async findById(id) {
+    try {
+      const row = await database.get('SELECT * FROM categories WHERE id = ?', [id]);
+      return row ? new Category(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find category: ${error.message}`);
+    }
+  }
+
+  // Find category by slug
+  static async findBySlug(slug) {
+    try {
+      const row = await database.get('SELECT * FROM categories WHERE slug = ?', [slug]);
+      return row ? new Category(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find category: ${error.message}`);
+    }
+  }
+
+  // All categories in display order, each with the number of active
+  // products assigned directly to it
+  static async findAll({ activeOnly = false } = {}) {
+    try {
+      const rows = await database.all(`
+        SELECT categories.*, (
+          SELECT COUNT(*) FROM products p WHERE p.category_id = categories.id AND p.is_active = 1
+        ) AS product_count
+        FROM categories
+        ${activeOnly ? 'WHERE is_active = 1' : ''}
+        ORDER BY position ASC, name ASC
+      `);
+      return rows.map(row => new Category(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch categories: ${error.message}`);
+    }
+  }
+
+  // Nest a flat list into trees of `children`. Product counts are rolled up
+  // so a parent counts its subcategories' products too. Categories whose
+  // parent isn't in the list (e.g. under an inactive one) are left out.
+  static buildTree(categories) {
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const roots = [];
+
+    for (const category of categories) {
+      category.children = [];
+    }
+    for (const category of categories) {
+      if (category.parentId === null) {
+        roots.push(category);
+      } else if (byId.has(category.parentId)) {
+        byId.get(category.parentId).children.push(category);
+      }
+    }
+
+    const rollUp = (category) => {
+      category.productCount += category.children.reduce((sum, child) => sum + rollUp(child), 0);
+      return category.productCount;
+    };
+    roots.forEach(rollUp);
+
+    return roots;
+  }
+
+  // The category tree, optionally without inactive categories
+  static async getTree(options = {}) {
+    return Category.buildTree(await Category.findAll(options));
+  }
+
+  // The chain of categories from the top level down to this one
+  static async getBreadcrumb(id) {
+    try {
+      const rows = await database.all(`
+        WITH RECURSIVE ancestors(id, parent_id, slug, name, depth) AS (
+          SELECT id, parent_id, slug, name, 0 FROM categories WHERE id = ?
+          UNION ALL
+          SELECT c.id, c.parent_id, c.slug, c.name, a.depth + 1
+          FROM categories c JOIN ancestors a ON c.id = a.parent_id
+          WHERE a.depth < 50
+        )
+        SELECT id, slug, name FROM ancestors ORDER BY depth DESC
+      `, [id]);
+      return rows;
+    } catch (error) {
+      throw new Error(`Failed to build breadcrumb: ${error.message}`);
+    }
+  }
+
+  // Ids of the category and all categories nested under it
+  static async getSubtreeIds(id) {
+    try {
+      const rows = await database.all(subtreeSql(), [id]);
+      return rows.map(row => row.id);
+    } catch (error) {
+      throw new Error(`Failed to fetch subcategories: ${error.message}`);
+    }
+  }
+
+  // Work out a product's category from API data: `categoryId` wins, else
+  // the `category` slug is matched against the taxonomy. Unknown slugs are
+  // kept as plain text with no category id.
+  static async resolveAssignment({ categoryId, category }) {
+    if (categoryId !== undefined && categoryId !== null && categoryId !== '') {
+      const found = await Category.findById(parseInt(categoryId));
+      if (!found) {
+        throw new Error('Category not found');
+      }
+      return { categoryId: found.id, category: found.slug };
+    }
+
+    const found = category ? await Category.findBySlug(category) : null;
+    return { categoryId: found ? found.id : null, category };
+  }
+
+  // Create and save a new category from API-style data
+  static async create(categoryData) {
+    try {
+      const category = new Category({
+        parent_id: categoryData.parentId || null,
+        slug: categoryData.slug || Category.slugify(categoryData.name),
+        name: categoryData.name,
+        description: categoryData.description,
+        position: categoryData.position || 0,
+        is_active: categoryData.isActive !== undefined ? categoryData.isActive : true
+      });
+      await category.save();
+      return category;
+    } catch (error) {
+      throw new Error(`Failed to create category: ${error.message}`);
+    }
+  }
+
+  // Insert or update the category. The parent must exist and can't be the
+  // category itself or one of its descendants.
+  async save() {
+    try {
+      if (!this.name || !String(this.name).trim()) {
+        throw new Error('Name is required');
+      }
+      if (!Category.isValidSlug(this.slug)) {
+        throw new Error('Invalid slug');
+      }
+
+      if (this.parentId !== null) {
+        const parent = await Category.findById(this.parentId);
+        if (!parent) {
+          throw new Error('Parent category not found');
+        }
+        if (this.id && (await Category.getSubtreeIds(this.id)).includes(this.parentId)) {
+          throw new Error('A category cannot be nested under itself');
+        }
+      }
+
+      const params = [
+        this.parentId, this.slug, String(this.name).trim(), this.description,
+        this.position, this.isActive
+      ];
+
+      if (this.id) {
+        await database.run(`
+          UPDATE categories
+          SET parent_id = ?, slug = ?, name = ?, description = ?, position = ?, is_active = ?,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [...params, this.id]);
+      } else {
+        const result = await database.run(`
+          INSERT INTO categories (parent_id, slug, name, description, position, is_active)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, params);
+        this.id = result.id;
+      }
+      return true;
+    } catch (error) {
+      if (error.message.includes('categories.slug')) {
+        throw new Error('Slug already in use');
+      }
+      throw new Error(`Failed to save category: ${error.message}`);
+    }
+  }
+
+  // Delete the category. Categories with subcategories or products can't
+  // be deleted until those are moved.
+  async delete() {
+    try {
+      const usage = await database.get(`
+        SELECT
+          (SELECT COUNT(*) FROM categories WHERE parent_id = ?) AS children,
+          (SELECT COUNT(*) FROM products WHERE category_id = ?) AS products
+      `, [this.id, this.id]);
+
+      if (usage.children > 0 || usage.products > 0) {
+        throw new Error('Category has subcategories or products');
+      }
+
+      const result = await database.run('DELETE FROM categories WHERE id = ?', [this.id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete category: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    const json = {
+      id: this.id,
+      parentId: this.parentId,
+      slug: this.slug,
+      name: this.name,
+      description: this.description,
+      position: this.position,
+      isActive: this.isActive,
+      productCount: this.productCount,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+
+    if (this.children !== undefined) {
+      json.children = this.children.map(child => child.toJSON());
+    }
+
+    return json;
+  }
+}
+
+Category.subtreeSql = subtreeSql;
+
+module.exports = Category;
@@ -0,0 +1,262 @@
+const database = require('../config/database');
+
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Retry delays double from the base after each failure, up to the cap
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// A message left in `sending` this long is assumed lost (e.g. the process
+// died mid-send) and can be claimed again
+const SENDING_TIMEOUT_MINUTES = 10;
+
+// Rows that are due for a delivery attempt
+const DUE_CONDITION = `(
+  (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+  OR (status = 'sending' AND updated_at <= datetime('now', '-${SENDING_TIMEOUT_MINUTES} minutes'))
+)`;
+
+// Sort orders for outbox lists: a SQL expression and direction
+const SORTS = {
+  newest: { expression: 'created_at', direction: 'DESC' },
+  oldest: { expression: 'created_at', direction: 'ASC' },
+  'next-attempt': { expression: 'next_attempt_at', direction: 'ASC' }
+};
+
+// A transactional email waiting in, or delivered from, the outbox
+class EmailMessage {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.type = data.type;
+    this.to = data.to_address;
+    this.from = data.from_address;
+    this.subject = data.subject;
+    this.html = data.html || null;
+    this.text = data.text || null;
+    this.status = data.status || 'pending';
+    this.attempts = data.attempts || 0;
+    this.maxAttempts = data.max_attempts || DEFAULT_MAX_ATTEMPTS;
+    this.nextAttemptAt = data.next_attempt_at || null;
+    this.lastError = data.last_error || null;
+    this.transport = data.transport || null;
+    this.messageId = data.message_id || null;
+    this.sentAt = data.sent_at || null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // How many times a message is tried before it is marked failed
+  static getMaxAttempts() {
+    return parseInt(process.env.EMAIL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+  }
+
+  // Seconds to wait before the next try, after `attempts` failed tries
+  static retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+  }
+
+  // Add a message to the outbox ({ type, to, from, subject, html, text })
+  static async enqueue({ type, to, from, subject, html = null, text = null, maxAttempts = EmailMessage.getMaxAttempts() }) {
+    try {
+      if (!type || !to || !from || !subject) {
+        throw new Error('Type, recipient, sender and subject are required');
+      }
+
+      const result = await database.run(`
+        INSERT INTO email_outbox (type, to_address, from_address, subject, html, text, max_attempts)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [type, to, from, subject, html, text, maxAttempts]);
+
+      return await EmailMessage.findById(result.id);
+    } catch (error) {
+      throw new Error(`Failed to enqueue email: ${error.message}`);
+    }
+  }
+
+  // Find message by ID
+  static async findById(id) {
+    try {
+      const row = await database.get('SELECT * FROM email_outbox WHERE id = ?', [id]);
+      return row ? new EmailMessage(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find email: ${error.message}`);
+    }
+  }
+
+  // Messages due for delivery, longest waiting first
+  static async findDue(limit = 20) {
+    try {
+      const rows = await database.all(`
+        SELECT * FROM email_outbox
+        WHERE ${DUE_CONDITION}
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT ?
+      `, [limit]);
+      return rows.map(row => new EmailMessage(row));
+    } catch (error) {
+      throw new Error(`Failed to find due emails: ${error.message}`);
+    }
+  }
+
+  // WHERE clause for outbox lists ({ status, type, to })
+  static buildFilters(filters = {}) {
+    let sql = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.type) {
+      sql += ' AND type = ?';
+      params.push(filters.type);
+    }
+
+    if (filters.to) {
+      sql += ' AND LOWER(to_address) = LOWER(?)';
+      params.push(filters.to);
+    }
+
+    return { sql, params };
+  }
+
+  // One page of messages matching the filters, in a SORTS order. Takes
+  // `page` and `pageSize`, or a `cursor` from the previous page.
+  static async findPage(filters = {}, { sort = 'newest', page = 1, pageSize = 20, cursor = null } = {}) {
+    try {
+      const order = SORTS[sort];
+      if (!order) {
+        throw new Error(`Invalid sort: ${sort}`);
+      }
+
+      const where = EmailMessage.buildFilters(filters);
+      const sql = `SELECT *, ${order.expression} AS sort_value FROM email_outbox` + where.sql;
+      const result = await database.paginate(sql, where.params, {
+        page, pageSize, cursor, sortKey: sort, direction: order.direction
+      });
+
+      return { messages: result.rows.map(row => new EmailMessage(row)), pagination: result.pagination };
+    } catch (error) {
+      throw new Error(`Failed to find emails: ${error.message}`);
+    }
+  }
+
+  // Take the message for delivery. Returns false if it isn't due or another
+  // worker has it.
+  async claim() {
+    try {
+      const result = await database.run(`
+        UPDATE email_outbox
+        SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND ${DUE_CONDITION}
+      `, [this.id]);
+
+      if (result.changes === 0) return false;
+      this.status = 'sending';
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to claim email: ${error.message}`);
+    }
+  }
+
+  // Record a successful delivery
+  async markSent(messageId, transport) {
+    try {
+      await database.run(`
+        UPDATE email_outbox
+        SET status = 'sent', attempts = attempts + 1, message_id = ?, transport = ?, last_error = NULL,
+            sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [messageId || null, transport || null, this.id]);
+
+      this.status = 'sent';
+      this.attempts += 1;
+      this.messageId = messageId || null;
+      this.transport = transport || null;
+      this.lastError = null;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to mark email sent: ${error.message}`);
+    }
+  }
+
+  // Record a failed delivery: schedule a retry with backoff, or give up
+  // once the message is out of attempts
+  async markFailed(errorMessage, transport) {
+    try {
+      const attempts = this.attempts + 1;
+      const status = attempts >= this.maxAttempts ? 'failed' : 'pending';
+      const delay = EmailMessage.retryDelaySeconds(attempts);
+
+      await database.run(`
+        UPDATE email_outbox
+        SET status = ?, attempts = ?, last_error = ?, transport = ?,
+            next_attempt_at = CASE WHEN ? = 'pending' THEN datetime('now', ?) ELSE next_attempt_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [status, attempts, errorMessage, transport || null, status, `+${delay} seconds`, this.id]);
+
+      this.status = status;
+      this.attempts = attempts;
+      this.lastError = errorMessage;
+      this.transport = transport || null;
+      return status;
+    } catch (error) {
+      throw new Error(`Failed to mark email failed: ${error.message}`);
+    }
+  }
+
+  // Queue the message to go out again now, with a fresh set of attempts
+  async resend() {
+    try {
+      if (this.status === 'sending') {
+        throw new Error('Email is being sent');
+      }
+
+      await database.run(`
+        UPDATE email_outbox
+        SET status = 'pending', attempts = 0, last_error = NULL,
+            next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [this.id]);
+
+      this.status = 'pending';
+      this.attempts = 0;
+      this.lastError = null;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to resend email: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      to: this.to,
+      from: this.from,
+      subject: this.subject,
+      html: this.html,
+      text: this.text,
+      status: this.status,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: this.nextAttemptAt,
+      lastError: this.lastError,
+      transport: this.transport,
+      messageId: this.messageId,
+      sentAt: this.sentAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+EmailMessage.SORTS = SORTS;
+EmailMessage.EMAIL_STATUSES = EMAIL_STATUSES;
+
+module.exports = EmailMessage;
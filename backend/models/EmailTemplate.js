@@ -0,0 +1,67 @@
+const database = require('../config/database');
+
+// An admin's version of one of the built-in email templates
+class EmailTemplate {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.subject = data.subject || null;
+    this.html = data.html;
+    this.text = data.text;
+    this.updatedBy = data.updated_by || null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Find the saved version of a template
+  static async findByName(name) {
+    try {
+      const row = await database.get('SELECT * FROM email_templates WHERE name = ?', [name]);
+      return row ? new EmailTemplate(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find email template: ${error.message}`);
+    }
+  }
+
+  // Every saved template
+  static async findAll() {
+    try {
+      const rows = await database.all('SELECT * FROM email_templates ORDER BY name ASC');
+      return rows.map(row => new EmailTemplate(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch email templates: ${error.message}`);
+    }
+  }
+
+  // Save a version of a template, replacing any earlier one
+  static async save(name, { subject = null, html, text }, userId = null) {
+    try {
+      await database.run(`
+        INSERT INTO email_templates (name, subject, html, text, updated_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET
+          subject = excluded.subject,
+          html = excluded.html,
+          text = excluded.text,
+          updated_by = excluded.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      `, [name, subject, html, text, userId]);
+
+      return await EmailTemplate.findByName(name);
+    } catch (error) {
+      throw new Error(`Failed to save email template: ${error.message}`);
+    }
+  }
+
+  // Delete the saved version, so the built-in template is used again
+  async delete() {
+    try {
+      const result = await database.run('DELETE FROM email_templates WHERE id = ?', [this.id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete email template: ${error.message}`);
+    }
+  }
+}
+
+module.exports = EmailTemplate;
@@ -0,0 +1,303 @@
+const database = require('../config/database');
+
+const JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Retry delays double from the base after each failure, up to the cap
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+
+// A job left `running` this long is assumed lost (e.g. the process died
+// mid-run) and can be claimed again. The lost run counts as an attempt.
+const RUNNING_TIMEOUT_MINUTES = 15;
+const RUNNING_TIMEOUT_ERROR = `Job did not finish within ${RUNNING_TIMEOUT_MINUTES} minutes`;
+
+// Rows that are due to run
+const DUE_CONDITION = `(
+  (status = 'pending' AND run_at <= CURRENT_TIMESTAMP)
+  OR (status = 'running' AND started_at <= datetime('now', '-${RUNNING_TIMEOUT_MINUTES} minutes'))
+)`;
+
+// Sort orders for job lists: a SQL expression and direction
+const SORTS = {
+  newest: { expression: 'created_at', direction: 'DESC' },
+  oldest: { expression: 'created_at', direction: 'ASC' },
+  'run-at': { expression: 'run_at', direction: 'ASC' }
+};
+
+const parseJson = (value) => (value ? JSON.parse(value) : null);
+
+// SQLite's DATETIME text (UTC) for a Date
+const toSqlDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// A unit of background work: a handler type and its payload
+class Job {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.type = data.type;
+    this.payload = parseJson(data.payload) || {};
+    this.status = data.status || 'pending';
+    this.attempts = data.attempts || 0;
+    this.maxAttempts = data.max_attempts || DEFAULT_MAX_ATTEMPTS;
+    this.runAt = data.run_at || null;
+    this.startedAt = data.started_at || null;
+    this.completedAt = data.completed_at || null;
+    this.lastError = data.last_error || null;
+    this.result = parseJson(data.result);
+    this.schedule = data.schedule || null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Seconds to wait before the next try, after `attempts` failed tries
+  static retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+  }
+
+  // Queue a job. Options: `runAt` (a Date) or `delaySeconds` to run it
+  // later, `maxAttempts`, and the `schedule` that queued it.
+  static async enqueue(type, payload = {}, { runAt = null, delaySeconds = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS, schedule = null } = {}) {
+    try {
+      if (!type) {
+        throw new Error('Job type is required');
+      }
+
+      const when = runAt || new Date(Date.now() + delaySeconds * 1000);
+      const result = await database.run(`
+        INSERT INTO jobs (type, payload, max_attempts, run_at, schedule)
+        VALUES (?, ?, ?, ?, ?)
+      `, [type, JSON.stringify(payload || {}), maxAttempts, toSqlDate(when), schedule]);
+
+      return await Job.findById(result.id);
+    } catch (error) {
+      throw new Error(`Failed to enqueue job: ${error.message}`);
+    }
+  }
+
+  // Find job by ID
+  static async findById(id) {
+    try {
+      const row = await database.get('SELECT * FROM jobs WHERE id = ?', [id]);
+      return row ? new Job(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find job: ${error.message}`);
+    }
+  }
+
+  // Jobs due to run, oldest first, optionally only of the given types
+  static async findDue(limit = 20, types = null) {
+    try {
+      let sql = `SELECT * FROM jobs WHERE ${DUE_CONDITION}`;
+      const params = [];
+
+      if (types && types.length > 0) {
+        sql += ` AND type IN (${types.map(() => '?').join(', ')})`;
+        params.push(...types);
+      }
+
+      sql += ' ORDER BY run_at ASC, id ASC LIMIT ?';
+      params.push(limit);
+
+      const rows = await database.all(sql, params);
+      return rows.map(row => new Job(row));
+    } catch (error) {
+      throw new Error(`Failed to find due jobs: ${error.message}`);
+    }
+  }
+
+  // WHERE clause for job lists ({ status, type })
+  static buildFilters(filters = {}) {
+    let sql = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.status) {
+      sql += ' AND status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.type) {
+      sql += ' AND type = ?';
+      params.push(filters.type);
+    }
+
+    return { sql, params };
+  }
+
+  // One page of jobs matching the filters, in a SORTS order. Takes `page`
+  // and `pageSize`, or a `cursor` from the previous page.
+  static async findPage(filters = {}, { sort = 'newest', page = 1, pageSize = 20, cursor = null } = {}) {
+    try {
+      const order = SORTS[sort];
+      if (!order) {
+        throw new Error(`Invalid sort: ${sort}`);
+      }
+
+      const where = Job.buildFilters(filters);
+      const sql = `SELECT *, ${order.expression} AS sort_value FROM jobs` + where.sql;
+      const result = await database.paginate(sql, where.params, {
+        page, pageSize, cursor, sortKey: sort, direction: order.direction
+      });
+
+      return { jobs: result.rows.map(row => new Job(row)), pagination: result.pagination };
+    } catch (error) {
+      throw new Error(`Failed to find jobs: ${error.message}`);
+    }
+  }
+
+  // Number of jobs in each status
+  static async countByStatus() {
+    try {
+      const rows = await database.all('SELECT status, COUNT(*) as count FROM jobs GROUP BY status');
+      const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+      for (const row of rows) {
+        counts[row.status] = row.count;
+      }
+      return counts;
+    } catch (error) {
+      throw new Error(`Failed to count jobs: ${error.message}`);
+    }
+  }
+
+  // Delete completed jobs older than the given number of days
+  static async deleteCompleted(days = 14) {
+    try {
+      const result = await database.run(`
+        DELETE FROM jobs
+        WHERE status = 'completed' AND completed_at < datetime('now', ?)
+      `, [`-${days} days`]);
+      return result.changes;
+    } catch (error) {
+      throw new Error(`Failed to delete completed jobs: ${error.message}`);
+    }
+  }
+
+  // Take the job to run it, counting the attempt. Returns false if it isn't
+  // due or another worker has it. A lost run that was the job's last attempt
+  // sends it to the dead-letter state instead.
+  async claim() {
+    try {
+      await database.run(`
+        UPDATE jobs
+        SET status = 'dead', last_error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running' AND attempts >= max_attempts
+          AND started_at <= datetime('now', '-${RUNNING_TIMEOUT_MINUTES} minutes')
+      `, [RUNNING_TIMEOUT_ERROR, this.id]);
+
+      const startedAt = toSqlDate(new Date());
+      const result = await database.run(`
+        UPDATE jobs
+        SET status = 'running', attempts = attempts + 1, started_at = ?,
+            last_error = CASE WHEN status = 'running' THEN ? ELSE last_error END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND ${DUE_CONDITION}
+      `, [startedAt, RUNNING_TIMEOUT_ERROR, this.id]);
+
+      if (result.changes === 0) return false;
+
+      const claimed = await database.get('SELECT attempts, last_error FROM jobs WHERE id = ?', [this.id]);
+      this.status = 'running';
+      this.startedAt = startedAt;
+      this.attempts = claimed.attempts;
+      this.lastError = claimed.last_error;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to claim job: ${error.message}`);
+    }
+  }
+
+  // Record a successful run and what it returned. Returns false, changing
+  // nothing, if the run's claim went stale and another worker took the job.
+  async complete(result = null) {
+    try {
+      const update = await database.run(`
+        UPDATE jobs
+        SET status = 'completed', result = ?, last_error = NULL,
+            completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running' AND started_at = ?
+      `, [result === null || result === undefined ? null : JSON.stringify(result), this.id, this.startedAt]);
+
+      if (update.changes === 0) return false;
+      this.status = 'completed';
+      this.result = result === undefined ? null : result;
+      this.lastError = null;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to complete job: ${error.message}`);
+    }
+  }
+
+  // Record a failed run: schedule a retry with backoff, or move the job to
+  // the dead-letter state once it is out of attempts. Returns the new
+  // status, or false if the run's claim went stale as for complete().
+  async fail(errorMessage) {
+    try {
+      const status = this.attempts >= this.maxAttempts ? 'dead' : 'pending';
+      const delay = Job.retryDelaySeconds(this.attempts);
+
+      const update = await database.run(`
+        UPDATE jobs
+        SET status = ?, last_error = ?,
+            run_at = CASE WHEN ? = 'pending' THEN datetime('now', ?) ELSE run_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running' AND started_at = ?
+      `, [status, errorMessage, status, `+${delay} seconds`, this.id, this.startedAt]);
+
+      if (update.changes === 0) return false;
+      this.status = status;
+      this.lastError = errorMessage;
+      return status;
+    } catch (error) {
+      throw new Error(`Failed to record job failure: ${error.message}`);
+    }
+  }
+
+  // Queue a dead job to run again now, with a fresh set of attempts
+  async retry() {
+    try {
+      if (this.status !== 'dead') {
+        throw new Error('Only dead jobs can be retried');
+      }
+
+      await database.run(`
+        UPDATE jobs
+        SET status = 'pending', attempts = 0, last_error = NULL,
+            run_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [this.id]);
+
+      this.status = 'pending';
+      this.attempts = 0;
+      this.lastError = null;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to retry job: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      maxAttempts: this.maxAttempts,
+      runAt: this.runAt,
+      startedAt: this.startedAt,
+      completedAt: this.completedAt,
+      lastError: this.lastError,
+      result: this.result,
+      schedule: this.schedule,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Job.SORTS = SORTS;
+Job.JOB_STATUSES = JOB_STATUSES;
+Job.toSqlDate = toSqlDate;
+
+module.exports = Job;
@@ -0,0 +1,90 @@
+const database = require('../config/database');
+
+// When a scheduled job last ran and is next due
+class JobSchedule {
+  constructor(data = {}) {
+    this.name = data.name;
+    this.lastRunAt = data.last_run_at || null;
+    this.nextRunAt = data.next_run_at || null;
+    this.lastJobId = data.last_job_id || null;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Find a schedule's state by name
+  static async findByName(name) {
+    try {
+      const row = await database.get('SELECT * FROM job_schedules WHERE name = ?', [name]);
+      return row ? new JobSchedule(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find job schedule: ${error.message}`);
+    }
+  }
+
+  // Every schedule's state
+  static async findAll() {
+    try {
+      const rows = await database.all('SELECT * FROM job_schedules ORDER BY name ASC');
+      return rows.map(row => new JobSchedule(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch job schedules: ${error.message}`);
+    }
+  }
+
+  // Start tracking a schedule, first due at `nextRunAt`
+  static async start(name, nextRunAt) {
+    try {
+      await database.run(
+        'INSERT OR IGNORE INTO job_schedules (name, next_run_at) VALUES (?, ?)',
+        [name, nextRunAt]
+      );
+      return await JobSchedule.findByName(name);
+    } catch (error) {
+      throw new Error(`Failed to start job schedule: ${error.message}`);
+    }
+  }
+
+  // Take this run of the schedule, moving it on to `nextRunAt`. Returns
+  // false if another worker took it first.
+  async claimRun(ranAt, nextRunAt) {
+    try {
+      const result = await database.run(`
+        UPDATE job_schedules
+        SET last_run_at = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE name = ? AND next_run_at = ?
+      `, [ranAt, nextRunAt, this.name, this.nextRunAt]);
+
+      if (result.changes === 0) return false;
+      this.lastRunAt = ranAt;
+      this.nextRunAt = nextRunAt;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to claim job schedule: ${error.message}`);
+    }
+  }
+
+  // Remember the job queued by the latest run
+  async setLastJob(jobId) {
+    try {
+      await database.run(
+        'UPDATE job_schedules SET last_job_id = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?',
+        [jobId, this.name]
+      );
+      this.lastJobId = jobId;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to update job schedule: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      name: this.name,
+      lastRunAt: this.lastRunAt,
+      nextRunAt: this.nextRunAt,
+      lastJobId: this.lastJobId
+    };
+  }
+}
+
+module.exports = JobSchedule;
@@ -1,14 +1,48 @@
 const database = require('../config/database');
 const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
 const User = require('./User');
+const Promotion = require('./Promotion');
+const { calculateQuote } = require('../utils/pricing');
+
+// Statuses an order can move to from each status. Delivered and cancelled
+// orders are final; returns are handled separately.
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Orders can be listed in: the value sorted on and its direction
+// (ties are broken by id)
+const SORTS = {
+  newest: { expression: 'orders.created_at', direction: 'DESC' },
+  oldest: { expression: 'orders.created_at', direction: 'ASC' },
+  total: { expression: 'orders.total_amount', direction: 'ASC' },
+  'total-desc': { expression: 'orders.total_amount', direction: 'DESC' }
+};
 
 class Order {
   constructor(data = {}) {
     this.id = data.id;
     this.userId = data.user_id;
+    this.guestEmail = data.guest_email || null;
     this.totalAmount = data.total_amount;
+    this.subtotal = data.subtotal;
+    this.discountAmount = data.discount_amount || 0;
+    this.taxAmount = data.tax_amount || 0;
+    this.taxRate = data.tax_rate || 0;
+    this.shippingAmount = data.shipping_amount || 0;
+    this.shippingMethod = data.shipping_method;
+    this.couponCode = data.coupon_code;
     this.status = data.status;
     this.shippingAddress = data.shipping_address;
+    this.billingAddress = data.billing_address;
     this.paymentMethod = data.payment_method;
     this.paymentStatus = data.payment_status;
     this.trackingNumber = data.tracking_number;
@@ -17,74 +51,167 @@ class Order {
     this.items = [];
   }
 
-  // Create new order
+  // Create new order. The order row, its items, the inventory decrements and
+  // (optionally) consuming the holds and clearing the cart the order came from
+  // all commit together or not at all. Guest orders have a `guestEmail`
+  // instead of a `userId`. Without a `billingAddress` the order is billed to
+  // the shipping address.
   static async create(orderData) {
     try {
       // Validate required fields
-      if (!orderData.userId || !orderData.items || !orderData.shippingAddress) {
+      if ((!orderData.userId && !orderData.guestEmail) || !orderData.items || !orderData.shippingAddress) {
         throw new Error('Missing required order data');
       }
 
-      // Calculate total amount
-      let totalAmount = 0;
-      const orderItems = [];
-
-      // Validate items and calculate total
-      for (const item of orderData.items) {
-        const product = await Product.findById(item.productId);
-        if (!product || !product.isActive) {
-          throw new Error(`Product ${item.productId} not found or inactive`);
-        }
-
-        // Check inventory
-        if (item.quantity > product.inventory) {
-          throw new Error(`Insufficient inventory for product ${product.name}`);
+      const orderId = await database.withTransaction(async (db) => {
+        const orderItems = [];
+
+        // Validate items against current prices and stock
+        for (const item of orderData.items) {
+          const product = await Product.findById(item.productId);
+          if (!product || !product.isActive) {
+            throw new Error(`Product ${item.productId} not found or inactive`);
+          }
+
+          // Lines for products with variants name the variant, whose stock
+          // and (optional) price they use
+          const variant = await ProductVariant.resolveForProduct(product, item.variantId);
+          const stock = variant || product;
+
+          // Check inventory, counting the ordering cart's own holds as available
+          if (item.quantity > await stock.getAvailableInventory(orderData.cartId || null)) {
+            throw new Error(`Insufficient inventory for product ${product.name}`);
+          }
+
+          orderItems.push({
+            productId: item.productId,
+            variantId: variant ? variant.id : null,
+            sku: variant ? variant.sku : null,
+            productName: variant ? `${product.name} (${ProductVariant.labelFor(variant.options)})` : product.name,
+            quantity: item.quantity,
+            price: variant ? variant.getUnitPrice(product) : product.price,
+            category: product.category,
+            weight: product.weight,
+            productSnapshot: JSON.stringify({
+              ...product.toJSON(),
+              ...(variant && { variant: variant.toJSON() })
+            })
+          });
         }
 
-        const itemTotal = product.price * item.quantity;
-        totalAmount += itemTotal;
-
-        orderItems.push({
+        const lines = orderItems.map(item => ({
           productId: item.productId,
+          variantId: item.variantId,
+          name: item.productName,
+          category: item.category,
           quantity: item.quantity,
-          price: product.price,
-          productSnapshot: JSON.stringify(product.toJSON())
+          unitPrice: item.price,
+          weight: item.weight
+        }));
+
+        // Check the coupon inside the transaction so concurrent orders
+        // can't push it past its usage limits
+        const promotion = orderData.couponCode
+          ? await Promotion.resolveCoupon(orderData.couponCode, {
+            userId: orderData.userId,
+            guestEmail: orderData.userId ? null : orderData.guestEmail,
+            lines
+          })
+          : null;
+
+        // Price the order server-side; the total charged is the quote total
+        const quote = calculateQuote({
+          lines,
+          shippingAddress: orderData.shippingAddress,
+          shippingMethod: orderData.shippingMethod,
+          discounts: promotion ? [promotion.toDiscount()] : []
         });
-      }
 
-      // Create order
-      const result = await database.run(`
-        INSERT INTO orders (user_id, total_amount, status, shipping_address, payment_method, payment_status)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `, [
-        orderData.userId,
-        totalAmount,
-        orderData.status || 'pending',
-        JSON.stringify(orderData.shippingAddress),
-        orderData.paymentMethod || null,
-        orderData.paymentStatus || 'pending'
-      ]);
-
-      const orderId = result.id;
-
-      // Create order items and reduce inventory
-      for (const item of orderItems) {
-        await database.run(`
-          INSERT INTO order_items (order_id, product_id, quantity, price, product_snapshot)
-          VALUES (?, ?, ?, ?, ?)
-        `, [orderId, item.productId, item.quantity, item.price, item.productSnapshot]);
-
-        // Reduce product inventory
-        const product = await Product.findById(item.productId);
-        const inventoryReduced = await product.reduceInventory(item.quantity);
-        
-        if (!inventoryReduced) {
-          // Rollback the order if inventory reduction fails
-          await database.run('DELETE FROM orders WHERE id = ?', [orderId]);
-          await database.run('DELETE FROM order_items WHERE order_id = ?', [orderId]);
-          throw new Error(`Failed to reduce inventory for product ${product.name}. Order cancelled.`);
+        // Create order
+        const result = await db.run(`
+          INSERT INTO orders (
+            user_id, guest_email, total_amount, subtotal, discount_amount, tax_amount, tax_rate,
+            shipping_amount, shipping_method, coupon_code, status, shipping_address, billing_address,
+            payment_method, payment_status
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          orderData.userId || null,
+          orderData.userId ? null : orderData.guestEmail.toLowerCase(),
+          quote.total,
+          quote.subtotal,
+          quote.discountTotal,
+          quote.tax,
+          quote.taxRate,
+          quote.shipping,
+          quote.shippingMethod,
+          promotion ? promotion.code : null,
+          orderData.status || 'pending',
+          JSON.stringify(orderData.shippingAddress),
+          JSON.stringify(orderData.billingAddress || orderData.shippingAddress),
+          orderData.paymentMethod || null,
+          orderData.paymentStatus || 'pending'
+        ]);
+
+        await db.run(`
+          INSERT INTO order_status_history (order_id, from_status, to_status, changed_by)
+          VALUES (?, NULL, ?, ?)
+        `, [result.id, orderData.status || 'pending', orderData.userId || null]);
+
+        // Create order items and reduce inventory
+        for (const [index, item] of orderItems.entries()) {
+          const line = quote.lines[index];
+          await db.run(`
+            INSERT INTO order_items (
+              order_id, product_id, variant_id, sku, quantity, price, discount_amount, tax_amount, line_total, product_snapshot
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            result.id, item.productId, item.variantId, item.sku, item.quantity, item.price,
+            line.discount, line.tax, line.total, item.productSnapshot
+          ]);
+
+          // Conditional decrement: a concurrent checkout that took the last
+          // units, or stock held by another cart, makes this match no rows
+          // instead of overselling. Variant stock rolls up to the product
+          // by trigger.
+          const stockTable = item.variantId ? 'product_variants' : 'products';
+          const stockColumn = item.variantId ? 'variant_id' : 'product_id';
+          const stockId = item.variantId || item.productId;
+          const inventoryResult = await db.run(`
+            UPDATE ${stockTable} 
+            SET inventory = inventory - ?, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ? AND inventory - (
+              SELECT COALESCE(SUM(quantity), 0) FROM inventory_reservations
+              WHERE ${stockColumn} = ? AND cart_id IS NOT ? AND expires_at > CURRENT_TIMESTAMP
+            ) >= ?
+          `, [item.quantity, stockId, stockId, orderData.cartId || null, item.quantity]);
+
+          if (inventoryResult.changes === 0) {
+            throw new Error(`Insufficient inventory for product ${item.productName}`);
+          }
+        }
+
+        if (promotion) {
+          await db.run(`
+            INSERT INTO promotion_redemptions (promotion_id, order_id, user_id, discount_amount)
+            VALUES (?, ?, ?, ?)
+          `, [promotion.id, result.id, orderData.userId || null, quote.discounts[0].amount]);
         }
-      }
+
+        // Consume the cart's holds and clear the cart the order was placed from
+        if (orderData.cartId) {
+          await db.run('DELETE FROM inventory_reservations WHERE cart_id = ?', [orderData.cartId]);
+          await db.run('DELETE FROM cart_items WHERE cart_id = ?', [orderData.cartId]);
+          await db.run(`
+            UPDATE carts 
+            SET updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ?
+          `, [orderData.cartId]);
+        }
+
+        return result.id;
+      });
 
       // Load and return the created order
       return await Order.findById(orderId);
@@ -107,6 +234,25 @@ class Order {
     }
   }
 
+  // Find a guest order by number and the email it was placed with
+  static async findGuestOrder(id, email) {
+    try {
+      if (!email) return null;
+
+      const row = await database.get(
+        'SELECT * FROM orders WHERE id = ? AND user_id IS NULL AND guest_email = ?',
+        [id, String(email).trim().toLowerCase()]
+      );
+      if (!row) return null;
+
+      const order = new Order(row);
+      await order.loadItems();
+      return order;
+    } catch (error) {
+      throw new Error(`Failed to find guest order: ${error.message}`);
+    }
+  }
+
   // Find orders by user ID
   static async findByUserId(userId, filters = {}) {
     try {
@@ -145,37 +291,80 @@ class Order {
     }
   }
 
-  // Find all orders (admin)
-  static async findAll(filters = {}) {
-    try {
-      let sql = 'SELECT * FROM orders WHERE 1=1';
-      const params = [];
+  // Build the WHERE clause shared by findAll and count. `search` matches the
+  // order number, customer name or email, tracking number, coupon code,
+  // shipping address and the names of the products ordered.
+  static buildFilters(filters = {}) {
+    let sql = ' WHERE 1=1';
+    const params = [];
 
-      if (filters.status) {
-        sql += ' AND status = ?';
-        params.push(filters.status);
-      }
+    if (filters.userId) {
+      sql += ' AND orders.user_id = ?';
+      params.push(filters.userId);
+    }
 
-      if (filters.paymentStatus) {
-        sql += ' AND payment_status = ?';
-        params.push(filters.paymentStatus);
-      }
+    if (filters.status) {
+      sql += ' AND orders.status = ?';
+      params.push(filters.status);
+    }
 
-      if (filters.dateFrom) {
-        sql += ' AND created_at >= ?';
-        params.push(filters.dateFrom);
-      }
+    if (filters.paymentStatus) {
+      sql += ' AND orders.payment_status = ?';
+      params.push(filters.paymentStatus);
+    }
 
-      if (filters.dateTo) {
-        sql += ' AND created_at <= ?';
-        params.push(filters.dateTo);
-      }
+    if (filters.dateFrom) {
+      sql += ' AND orders.created_at >= ?';
+      params.push(filters.dateFrom);
+    }
 
-      sql += ' ORDER BY created_at DESC';
+    if (filters.dateTo) {
+      sql += ' AND orders.created_at <= ?';
+      params.push(filters.dateTo);
+    }
+
+    if (filters.search) {
+      const term = `%${filters.search.trim()}%`;
+      sql += ` AND (
+        CAST(orders.id AS TEXT) = ?
+        OR orders.tracking_number LIKE ?
+        OR orders.coupon_code LIKE ?
+        OR orders.shipping_address LIKE ?
+        OR orders.guest_email LIKE ?
+        OR EXISTS (
+          SELECT 1 FROM users u
+          WHERE u.id = orders.user_id
+            AND (u.email LIKE ? OR (u.first_name || ' ' || u.last_name) LIKE ?)
+        )
+        OR EXISTS (
+          SELECT 1 FROM order_items oi
+          LEFT JOIN products p ON oi.product_id = p.id
+          WHERE oi.order_id = orders.id AND (p.name LIKE ? OR oi.sku LIKE ?)
+        )
+      )`;
+      params.push(filters.search.trim().replace(/^#/, ''), term, term, term, term, term, term, term, term);
+    }
+
+    return { sql, params };
+  }
+
+  // Find all orders (admin)
+  static async findAll(filters = {}) {
+    try {
+      const where = Order.buildFilters(filters);
+      let sql = 'SELECT * FROM orders' + where.sql;
+      const params = [...where.params];
+
+      sql += ' ORDER BY created_at DESC, id DESC';
 
       if (filters.limit) {
         sql += ' LIMIT ?';
         params.push(filters.limit);
+
+        if (filters.offset) {
+          sql += ' OFFSET ?';
+          params.push(filters.offset);
+        }
       }
 
       const rows = await database.all(sql, params);
@@ -193,6 +382,34 @@ class Order {
     }
   }
 
+  // One page of orders matching the findAll filters, in a SORTS order.
+  // Takes `page` and `pageSize`, or a `cursor` from the previous page.
+  static async findPage(filters = {}, { sort = 'newest', page = 1, pageSize = 20, cursor = null } = {}) {
+    try {
+      const order = SORTS[sort];
+      if (!order) {
+        throw new Error(`Invalid sort: ${sort}`);
+      }
+
+      const where = Order.buildFilters(filters);
+      const sql = `SELECT orders.*, ${order.expression} AS sort_value FROM orders` + where.sql;
+      const result = await database.paginate(sql, where.params, {
+        page, pageSize, cursor, sortKey: sort, direction: order.direction
+      });
+
+      const orders = [];
+      for (const row of result.rows) {
+        const found = new Order(row);
+        await found.loadItems();
+        orders.push(found);
+      }
+
+      return { orders, pagination: result.pagination };
+    } catch (error) {
+      throw new Error(`Failed to find orders: ${error.message}`);
+    }
+  }
+
   // Load order items
   async loadItems() {
     try {
@@ -204,46 +421,108 @@ class Order {
         ORDER BY oi.id ASC
       `, [this.id]);
 
-      this.items = rows.map(row => ({
-        id: row.id,
-        productId: row.product_id,
-        quantity: row.quantity,
-        price: row.price,
-        productSnapshot: row.product_snapshot ? JSON.parse(row.product_snapshot) : null,
-        product: {
-          name: row.name,
-          icon: row.icon
-        }
-      }));
+      this.items = rows.map(row => {
+        const productSnapshot = row.product_snapshot ? JSON.parse(row.product_snapshot) : null;
+        const variant = productSnapshot && productSnapshot.variant;
+
+        return {
+          id: row.id,
+          productId: row.product_id,
+          variantId: row.variant_id || null,
+          sku: row.sku || null,
+          quantity: row.quantity,
+          price: row.price,
+          discountAmount: row.discount_amount || 0,
+          taxAmount: row.tax_amount || 0,
+          lineTotal: row.line_total,
+          productSnapshot,
+          variant: variant ? { id: variant.id, sku: variant.sku, options: variant.options, label: variant.label } : null,
+          product: {
+            name: row.name,
+            icon: row.icon
+          }
+        };
+      });
     } catch (error) {
       throw new Error(`Failed to load order items: ${error.message}`);
     }
   }
 
-  // Update order status
-  async updateStatus(status) {
-    try {
-      const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-      if (!validStatuses.includes(status)) {
-        throw new Error('Invalid order status');
-      }
+  // Whether an order may move from one status to another
+  static canTransition(fromStatus, toStatus) {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
 
-      const result = await database.run(`
-        UPDATE orders 
-        SET status = ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE id = ?
-      `, [status, this.id]);
+  // Change status and record it in the history, within an open transaction.
+  // Only matches the status this instance was loaded with, so a concurrent
+  // change can't be silently overwritten.
+  async applyStatusChange(db, status, { changedBy = null, note = null } = {}) {
+    if (!ORDER_STATUSES.includes(status)) {
+      throw new Error('Invalid order status');
+    }
 
-      if (result.changes > 0) {
-        this.status = status;
-        return true;
-      }
-      return false;
+    if (!Order.canTransition(this.status, status)) {
+      throw new Error(`Invalid status transition from ${this.status} to ${status}`);
+    }
+
+    const result = await db.run(`
+      UPDATE orders 
+      SET status = ?, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = ? AND status = ?
+    `, [status, this.id, this.status]);
+
+    if (result.changes === 0) {
+      throw new Error('Order status was changed by another request');
+    }
+
+    await db.run(`
+      INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+      VALUES (?, ?, ?, ?, ?)
+    `, [this.id, this.status, status, changedBy, note]);
+  }
+
+  // Update order status ({ changedBy: user id, note } are kept in the history)
+  async updateStatus(status, options = {}) {
+    // Cancelling also puts the stock back, which cancel() does
+    if (status === 'cancelled' && Order.canTransition(this.status, status)) {
+      return this.cancel(options);
+    }
+
+    try {
+      await database.withTransaction(db => this.applyStatusChange(db, status, options));
+      this.status = status;
+      return true;
     } catch (error) {
       throw new Error(`Failed to update order status: ${error.message}`);
     }
   }
 
+  // Status changes, oldest first. `actor` says who made each one:
+  // 'customer', 'admin' (any staff role) or 'system'.
+  async getStatusHistory() {
+    try {
+      const rows = await database.all(`
+        SELECT h.*,
+               EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = h.changed_by) as is_staff
+        FROM order_status_history h
+        WHERE h.order_id = ?
+        ORDER BY h.created_at ASC, h.id ASC
+      `, [this.id]);
+
+      return rows.map(row => ({
+        id: row.id,
+        fromStatus: row.from_status,
+        toStatus: row.to_status,
+        note: row.note,
+        changedBy: row.changed_by,
+        actor: row.changed_by === null ? 'system' : (row.is_staff ? 'admin' : 'customer'),
+        createdAt: row.created_at
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get order status history: ${error.message}`);
+    }
+  }
+
   // Update payment status
   async updatePaymentStatus(paymentStatus) {
     try {
@@ -268,6 +547,26 @@ class Order {
     }
   }
 
+  // Move a pending or failed payment to 'processing'. Returns false if the
+  // order is already paid, being paid, or cancelled.
+  async markPaymentProcessing() {
+    try {
+      const result = await database.run(`
+        UPDATE orders 
+        SET payment_status = 'processing', updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ? AND payment_status IN ('pending', 'failed') AND status != 'cancelled'
+      `, [this.id]);
+
+      if (result.changes > 0) {
+        this.paymentStatus = 'processing';
+        return true;
+      }
+      return false;
+    } catch (error) {
+      throw new Error(`Failed to mark payment processing: ${error.message}`);
+    }
+  }
+
   // Add tracking number
   async addTrackingNumber(trackingNumber) {
     try {
@@ -288,7 +587,7 @@ class Order {
   }
 
   // Cancel order
-  async cancel() {
+  async cancel(options = {}) {
     try {
       if (this.status === 'cancelled') {
         throw new Error('Order is already cancelled');
@@ -298,18 +597,23 @@ class Order {
         throw new Error('Cannot cancel shipped or delivered order');
       }
 
-      // Restore inventory for cancelled orders
       await this.loadItems(); // Ensure items are loaded
-      for (const item of this.items) {
-        const product = await Product.findById(item.productId);
-        if (product) {
-          const newInventory = product.inventory + item.quantity;
-          await product.updateInventory(newInventory);
-          console.log(`Restored ${item.quantity} units to product ${product.name}. New inventory: ${newInventory}`);
+
+      // Cancel and restore inventory together, so a cancel that loses a race
+      // with another status change doesn't restock
+      await database.withTransaction(async (db) => {
+        await this.applyStatusChange(db, 'cancelled', options);
+
+        for (const item of this.items) {
+          await db.run(`
+            UPDATE ${item.variantId ? 'product_variants' : 'products'} 
+            SET inventory = inventory + ?, updated_at = CURRENT_TIMESTAMP 
+            WHERE id = ?
+          `, [item.quantity, item.variantId || item.productId]);
         }
-      }
+      });
 
-      await this.updateStatus('cancelled');
+      this.status = 'cancelled';
       return true;
     } catch (error) {
       throw new Error(`Failed to cancel order: ${error.message}`);
@@ -328,7 +632,7 @@ class Order {
       
       // Update order status to confirmed if still pending
       if (this.status === 'pending') {
-        await this.updateStatus('confirmed');
+        await this.updateStatus('confirmed', { note: 'Payment received' });
       }
 
       return true;
@@ -337,6 +641,17 @@ class Order {
     }
   }
 
+  // Count orders matching the same filters as findAll
+  static async count(filters = {}) {
+    try {
+      const where = Order.buildFilters(filters);
+      const row = await database.get('SELECT COUNT(*) as count FROM orders' + where.sql, where.params);
+      return row.count;
+    } catch (error) {
+      throw new Error(`Failed to count orders: ${error.message}`);
+    }
+  }
+
   // Get order analytics
   static async getAnalytics(filters = {}) {
     try {
@@ -344,12 +659,12 @@ class Order {
       const params = [];
 
       if (filters.dateFrom) {
-        dateFilter += ' AND created_at >= ?';
+        dateFilter += ' AND orders.created_at >= ?';
         params.push(filters.dateFrom);
       }
 
       if (filters.dateTo) {
-        dateFilter += ' AND created_at <= ?';
+        dateFilter += ' AND orders.created_at <= ?';
         params.push(filters.dateTo);
       }
 
@@ -380,9 +695,9 @@ class Order {
           SUM(oi.quantity) as total_sold,
           SUM(oi.quantity * oi.price) as total_revenue
         FROM order_items oi
-        JOIN orders o ON oi.order_id = o.id
+        JOIN orders ON oi.order_id = orders.id
         LEFT JOIN products p ON oi.product_id = p.id
-        WHERE o.payment_status = 'completed'${dateFilter}
+        WHERE orders.payment_status = 'completed'${dateFilter}
         GROUP BY oi.product_id, p.name
         ORDER BY total_sold DESC
         LIMIT 10
@@ -407,14 +722,62 @@ class Order {
     }
   }
 
+  // Who order emails go to: the customer's account, or for guest orders the
+  // checkout email with the name from the shipping address
+  async getRecipient() {
+    if (this.userId) {
+      return this.getUser();
+    }
+    if (!this.guestEmail) return null;
+
+    const address = this.shippingAddress ? JSON.parse(this.shippingAddress) : {};
+    return {
+      email: this.guestEmail,
+      firstName: address.firstName || null,
+      lastName: address.lastName || null
+    };
+  }
+
+  // Move a guest order into a user's account. Returns false if the order
+  // already belongs to someone.
+  async claim(userId) {
+    try {
+      const claimed = await database.withTransaction(async (db) => {
+        const result = await db.run(`
+          UPDATE orders SET user_id = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND user_id IS NULL
+        `, [userId, this.id]);
+        if (result.changes === 0) return false;
+
+        // Coupon limits per customer count the order from now on
+        await db.run('UPDATE promotion_redemptions SET user_id = ? WHERE order_id = ?', [userId, this.id]);
+        return true;
+      });
+
+      if (claimed) this.userId = userId;
+      return claimed;
+    } catch (error) {
+      throw new Error(`Failed to claim order: ${error.message}`);
+    }
+  }
+
   // Convert to JSON (for API responses)
   toJSON() {
     return {
       id: this.id,
       userId: this.userId,
+      guestEmail: this.guestEmail,
       totalAmount: this.totalAmount,
+      subtotal: this.subtotal,
+      discountAmount: this.discountAmount,
+      taxAmount: this.taxAmount,
+      taxRate: this.taxRate,
+      shippingAmount: this.shippingAmount,
+      shippingMethod: this.shippingMethod,
+      couponCode: this.couponCode,
       status: this.status,
       shippingAddress: this.shippingAddress ? JSON.parse(this.shippingAddress) : null,
+      billingAddress: this.billingAddress ? JSON.parse(this.billingAddress) : null,
       paymentMethod: this.paymentMethod,
       paymentStatus: this.paymentStatus,
       trackingNumber: this.trackingNumber,
@@ -425,4 +788,8 @@ class Order {
   }
 }
 
+Order.STATUSES = ORDER_STATUSES;
+Order.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+Order.SORTS = SORTS;
+
 module.exports = Order;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const database = require('../config/database');
+
+class Payment {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.orderId = data.order_id;
+    this.provider = data.provider;
+    this.operation = data.operation;
+    this.status = data.status;
+    this.amount = data.amount;
+    this.currency = data.currency;
+    this.transactionId = data.transaction_id;
+    this.errorCode = data.error_code;
+    this.errorMessage = data.error_message;
+    this.rawResponse = data.raw_response;
+    this.createdAt = data.created_at;
+  }
+
+  // Record a gateway call and its result
+  static async record({ orderId, provider, operation, amount, currency = 'USD', result }) {
+    try {
+      const insert = await database.run(`
+        INSERT INTO payments (
+          order_id, provider, operation, status, amount, currency,
+          transaction_id, error_code, error_message, raw_response
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        orderId,
+        provider,
+        operation,
+        result.success ? 'succeeded' : 'failed',
+        amount,
+        currency,
+        result.transactionId || null,
+        result.errorCode || null,
+        result.message || null,
+        result.raw ? JSON.stringify(result.raw) : null
+      ]);
+
+      return await Payment.findById(insert.id);
+    } catch (error) {
+      throw new Error(`Failed to record payment: ${error.message}`);
+    }
+  }
+
+  // Find payment by ID
+  static async findById(id) {
+    try {
+      const row = await database.get('SELECT * FROM payments WHERE id = ?', [id]);
+      return row ? new Payment(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find payment: ${error.message}`);
+    }
+  }
+
+  // Find every payment attempt for an order, oldest first
+  static async findByOrderId(orderId) {
+    try {
+      const rows = await database.all(
+        'SELECT * FROM payments WHERE order_id = ? ORDER BY id ASC',
+        [orderId]
+      );
+      return rows.map(row => new Payment(row));
+    } catch (error) {
+      throw new Error(`Failed to find payments by order: ${error.message}`);
+    }
+  }
+
+  // Find the successful capture an order was charged through
+  static async findCaptureForOrder(orderId) {
+    try {
+      const row = await database.get(`
+        SELECT * FROM payments
+        WHERE order_id = ? AND operation = 'capture' AND status = 'succeeded'
+        ORDER BY id DESC LIMIT 1
+      `, [orderId]);
+      return row ? new Payment(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find order capture: ${error.message}`);
+    }
+  }
+
+  // Total successfully refunded for an order
+  static async getRefundedTotal(orderId) {
+    try {
+      const row = await database.get(`
+        SELECT COALESCE(SUM(amount), 0) as total FROM payments
+        WHERE order_id = ? AND operation = 'refund' AND status = 'succeeded'
+      `, [orderId]);
+      return row.total;
+    } catch (error) {
+      throw new Error(`Failed to get refunded total: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses). The raw gateway response stays server-side.
+  toJSON() {
+    return {
+      id: this.id,
+      orderId: this.orderId,
+      provider: this.provider,
+      operation: this.operation,
+      status: this.status,
+      amount: this.amount,
+      currency: this.currency,
+      transactionId: this.transactionId,
+      errorCode: this.errorCode,
+      errorMessage: this.errorMessage,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Payment;
@@ -0,0 +1,119 @@
+const database = require('../config/database');
+
+class PaymentEvent {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.eventId = data.event_id;
+    this.provider = data.provider;
+    this.type = data.type;
+    this.orderId = data.order_id;
+    this.transactionId = data.transaction_id;
+    this.payload = data.payload;
+    this.status = data.status;
+    this.errorMessage = data.error_message;
+    this.receivedAt = data.received_at;
+    this.processedAt = data.processed_at;
+  }
+
+  // Record an incoming event. Returns { event, duplicate }; duplicate is true
+  // when the event was already received, unless its earlier processing
+  // failed, in which case it is claimed again so the delivery can retry it.
+  static async receive({ eventId, provider, type, orderId = null, transactionId = null, payload }) {
+    try {
+      const insert = await database.run(`
+        INSERT OR IGNORE INTO payment_events (
+          event_id, provider, type, order_id, transaction_id, payload
+        )
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [eventId, provider, type, orderId, transactionId, payload]);
+
+      if (insert.changes > 0) {
+        return { event: await PaymentEvent.findById(insert.id), duplicate: false };
+      }
+
+      const retry = await database.run(`
+        UPDATE payment_events
+        SET status = 'received', error_message = NULL
+        WHERE provider = ? AND event_id = ? AND status = 'failed'
+      `, [provider, eventId]);
+
+      return {
+        event: await PaymentEvent.findByEventId(provider, eventId),
+        duplicate: retry.changes === 0
+      };
+    } catch (error) {
+      throw new Error(`Failed to record payment event: ${error.message}`);
+    }
+  }
+
+  // Find event by ID
+  static async findById(id) {
+    try {
+      const row = await database.get('SELECT * FROM payment_events WHERE id = ?', [id]);
+      return row ? new PaymentEvent(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find payment event: ${error.message}`);
+    }
+  }
+
+  // Find event by the provider's event id
+  static async findByEventId(provider, eventId) {
+    try {
+      const row = await database.get(
+        'SELECT * FROM payment_events WHERE provider = ? AND event_id = ?',
+        [provider, eventId]
+      );
+      return row ? new PaymentEvent(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find payment event: ${error.message}`);
+    }
+  }
+
+  // Find every event received for an order, oldest first
+  static async findByOrderId(orderId) {
+    try {
+      const rows = await database.all(
+        'SELECT * FROM payment_events WHERE order_id = ? ORDER BY id ASC',
+        [orderId]
+      );
+      return rows.map(row => new PaymentEvent(row));
+    } catch (error) {
+      throw new Error(`Failed to find payment events by order: ${error.message}`);
+    }
+  }
+
+  // Record the outcome of processing ('processed', 'ignored' or 'failed')
+  async finish(status, errorMessage = null) {
+    try {
+      await database.run(`
+        UPDATE payment_events
+        SET status = ?, error_message = ?, processed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [status, errorMessage, this.id]);
+
+      this.status = status;
+      this.errorMessage = errorMessage;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to update payment event: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      eventId: this.eventId,
+      provider: this.provider,
+      type: this.type,
+      orderId: this.orderId,
+      transactionId: this.transactionId,
+      status: this.status,
+      errorMessage: this.errorMessage,
+      receivedAt: this.receivedAt,
+      processedAt: this.processedAt
+    };
+  }
+}
+
+module.exports = PaymentEvent;
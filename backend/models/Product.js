@@ -1,4 +1,77 @@
 const database = require('../config/database');
+const ProductVariant = require('./ProductVariant');
+const Category = require('./Category');
+
+// Units held by unexpired checkout reservations, selected alongside product rows
+const RESERVED_QUANTITY_SQL = `(
+  SELECT COALESCE(SUM(r.quantity), 0) FROM inventory_reservations r
+  WHERE r.product_id = products.id AND r.expires_at > CURRENT_TIMESTAMP
+) AS reserved_quantity`;
+
+// Active variants, selected alongside product rows. A product with any has
+// its stock tracked per variant.
+const VARIANT_COUNT_SQL = `(
+  SELECT COUNT(*) FROM product_variants v
+  WHERE v.product_id = products.id AND v.is_active = 1
+) AS variant_count`;
+
+// Orders products can be listed in: the value sorted on and its direction
+// (ties are broken by id). Best-selling counts units in orders that weren't
+// cancelled.
+const SORTS = {
+  newest: { expression: 'products.created_at', direction: 'DESC' },
+  price: { expression: 'products.price', direction: 'ASC' },
+  'price-desc': { expression: 'products.price', direction: 'DESC' },
+  name: { expression: 'LOWER(products.name)', direction: 'ASC' },
+  'name-desc': { expression: 'LOWER(products.name)', direction: 'DESC' },
+  'best-selling': {
+    expression: `(
+      SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi
+      JOIN orders o ON o.id = oi.order_id
+      WHERE oi.product_id = products.id AND o.status != 'cancelled'
+    )`,
+    direction: 'DESC'
+  }
+};
+
+// Relevance weights for bm25() over the products_fts columns: name,
+// description, category, specifications
+const SEARCH_WEIGHTS = '10.0, 2.0, 5.0, 1.0';
+
+// Price ranges counted in search facets. `max` is exclusive.
+const PRICE_BANDS = [
+  { key: 'under-100', label: 'Under $100', min: 0, max: 100 },
+  { key: '100-500', label: '$100 - $500', min: 100, max: 500 },
+  { key: '500-1000', label: '$500 - $1,000', min: 500, max: 1000 },
+  { key: '1000-2500', label: '$1,000 - $2,500', min: 1000, max: 2500 },
+  { key: '2500-plus', label: '$2,500 and up', min: 2500, max: null }
+];
+
+// Edit distance between two terms (optimal string alignment, so a swap of
+// neighbouring letters is one edit), giving up (returning max + 1) once it
+// exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      // Swapping two neighbouring letters counts as one edit
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    if (Math.min(...current) > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
 
 class Product {
   constructor(data = {}) {
@@ -7,10 +80,17 @@ class Product {
     this.description = data.description;
     this.price = data.price;
     this.category = data.category;
+    this.categoryId = data.category_id || null;
     this.icon = data.icon;
     this.images = data.images;
     this.specifications = data.specifications;
     this.inventory = data.inventory;
+    this.weight = data.weight || 0;
+    this.reservedQuantity = data.reserved_quantity || 0;
+    this.variantCount = data.variant_count || 0;
+    this.ratingAverage = data.rating_average || 0;
+    this.ratingCount = data.rating_count || 0;
+    this.variants = undefined;
     this.isActive = data.is_active !== undefined ? Boolean(data.is_active) : true;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
@@ -23,23 +103,23 @@ class Product {
         // Update existing product
         const result = await database.run(`
           UPDATE products 
-          SET name = ?, description = ?, price = ?, category = ?, icon = ?, 
-              images = ?, specifications = ?, inventory = ?, is_active = ?, 
+          SET name = ?, description = ?, price = ?, category = ?, category_id = ?, icon = ?, 
+              images = ?, specifications = ?, inventory = ?, weight = ?, is_active = ?, 
               updated_at = CURRENT_TIMESTAMP
           WHERE id = ?
         `, [
-          this.name, this.description, this.price, this.category, this.icon,
-          this.images, this.specifications, this.inventory, this.isActive, this.id
+          this.name, this.description, this.price, this.category, this.categoryId, this.icon,
+          this.images, this.specifications, this.inventory, this.weight, this.isActive, this.id
         ]);
         return result.changes > 0;
       } else {
         // Create new product
         const result = await database.run(`
-          INSERT INTO products (name, description, price, category, icon, images, specifications, inventory, is_active)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          INSERT INTO products (name, description, price, category, category_id, icon, images, specifications, inventory, weight, is_active)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
-          this.name, this.description, this.price, this.category, this.icon,
-          this.images, this.specifications, this.inventory, this.isActive
+          this.name, this.description, this.price, this.category, this.categoryId, this.icon,
+          this.images, this.specifications, this.inventory, this.weight, this.isActive
         ]);
         this.id = result.id;
         return true;
@@ -49,10 +129,39 @@ class Product {
     }
   }
 
+  // Create and save a new product from API-style (camelCase) data. The
+  // category is given by `categoryId` or by slug as `category`.
+  static async create(productData) {
+    try {
+      const assignment = await Category.resolveAssignment(productData);
+      const product = new Product({
+        name: productData.name,
+        description: productData.description,
+        price: productData.price,
+        category: assignment.category,
+        category_id: assignment.categoryId,
+        icon: productData.icon || null,
+        images: typeof productData.images === 'string'
+          ? productData.images
+          : JSON.stringify(productData.images || []),
+        specifications: typeof productData.specifications === 'string'
+          ? productData.specifications
+          : JSON.stringify(productData.specifications || {}),
+        inventory: productData.inventory || 0,
+        weight: productData.weight || 0,
+        is_active: productData.isActive !== undefined ? productData.isActive : true
+      });
+      await product.save();
+      return product;
+    } catch (error) {
+      throw new Error(`Failed to create product: ${error.message}`);
+    }
+  }
+
   // Find product by ID
   static async findById(id) {
     try {
-      const row = await database.get('SELECT * FROM products WHERE id = ?', [id]);
+      const row = await database.get(`SELECT products.*, ${RESERVED_QUANTITY_SQL}, ${VARIANT_COUNT_SQL} FROM products WHERE id = ?`, [id]);
       return row ? new Product(row) : null;
     } catch (error) {
       throw new Error(`Failed to find product: ${error.message}`);
@@ -62,45 +171,236 @@ class Product {
   // Find all products with optional filters
   static async findAll(filters = {}) {
     try {
-      let sql = 'SELECT * FROM products WHERE 1=1';
-      const params = [];
+      const where = Product.buildFilters(filters);
+      let sql = `SELECT products.*, ${RESERVED_QUANTITY_SQL}, ${VARIANT_COUNT_SQL} FROM products` + where.sql;
+      const params = [...where.params];
 
-      if (filters.category) {
-        sql += ' AND category = ?';
-        params.push(filters.category);
-      }
+      sql += ' ORDER BY created_at DESC';
+
+      if (filters.limit) {
+        sql += ' LIMIT ?';
+        params.push(filters.limit);
 
-      if (filters.isActive !== undefined) {
-        sql += ' AND is_active = ?';
-        params.push(filters.isActive);
+        if (filters.offset) {
+          sql += ' OFFSET ?';
+          params.push(filters.offset);
+        }
       }
 
-      if (filters.search) {
-        sql += ' AND (name LIKE ? OR description LIKE ?)';
-        params.push(`%${filters.search}%`, `%${filters.search}%`);
+      const rows = await database.all(sql, params);
+      return rows.map(row => new Product(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch products: ${error.message}`);
+    }
+  }
+
+  // One page of products matching the findAll filters, in a SORTS order.
+  // Takes `page` and `pageSize`, or a `cursor` from the previous page.
+  static async findPage(filters = {}, { sort = 'newest', page = 1, pageSize = 20, cursor = null } = {}) {
+    try {
+      const order = SORTS[sort];
+      if (!order) {
+        throw new Error(`Invalid sort: ${sort}`);
       }
 
-      if (filters.minPrice) {
-        sql += ' AND price >= ?';
-        params.push(filters.minPrice);
+      const where = Product.buildFilters(filters);
+      const sql = `SELECT products.*, ${RESERVED_QUANTITY_SQL}, ${VARIANT_COUNT_SQL}, ${order.expression} AS sort_value FROM products` + where.sql;
+      const result = await database.paginate(sql, where.params, {
+        page, pageSize, cursor, sortKey: sort, direction: order.direction
+      });
+
+      return {
+        products: result.rows.map(row => new Product(row)),
+        pagination: result.pagination
+      };
+    } catch (error) {
+      throw new Error(`Failed to fetch products: ${error.message}`);
+    }
+  }
+
+  // Build the WHERE clause shared by findAll and count
+  static buildFilters(filters = {}) {
+    let sql = ' WHERE 1=1';
+    const params = [];
+
+    // A category slug matches products in that category or any nested
+    // under it, plus products whose category isn't in the taxonomy
+    if (filters.category) {
+      sql += ` AND (products.category = ? OR products.category_id IN (${Category.subtreeSql('slug')}))`;
+      params.push(filters.category, filters.category);
+    }
+
+    if (filters.categoryId) {
+      sql += ` AND products.category_id IN (${Category.subtreeSql()})`;
+      params.push(filters.categoryId);
+    }
+
+    if (filters.isActive !== undefined) {
+      sql += ' AND products.is_active = ?';
+      params.push(filters.isActive);
+    }
+
+    // Every word must match the start of an indexed word
+    if (filters.search) {
+      const terms = Product.searchTerms(filters.search);
+      if (terms.length === 0) {
+        sql += ' AND 0';
+      } else {
+        sql += ' AND products.id IN (SELECT rowid FROM products_fts WHERE products_fts MATCH ?)';
+        params.push(Product.matchExpression(terms));
       }
+    }
+
+    if (filters.minPrice) {
+      sql += ' AND products.price >= ?';
+      params.push(filters.minPrice);
+    }
+
+    if (filters.maxPrice) {
+      sql += ' AND products.price <= ?';
+      params.push(filters.maxPrice);
+    }
+
+    return { sql, params };
+  }
+
+  // Split a search query into lower-cased words without accents, the way
+  // the search index tokenizes text
+  static searchTerms(query) {
+    const normalized = String(query || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    return normalized.match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  // FTS5 query requiring every term, each as a prefix or one of its
+  // corrections
+  static matchExpression(terms, corrections = {}) {
+    return terms.map(term => {
+      const alternatives = [`"${term}"*`, ...(corrections[term] || []).map(fix => `"${fix}"`)];
+      return alternatives.length > 1 ? `(${alternatives.join(' OR ')})` : alternatives[0];
+    }).join(' AND ');
+  }
+
+  // Indexed words close to query terms that match nothing, as a map of
+  // term to corrections (closest and most common first). Terms of four
+  // letters or more may be one edit off; eight or more, two.
+  static async findCorrections(terms) {
+    try {
+      const corrections = {};
+
+      for (const term of new Set(terms)) {
+        const maxDistance = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (maxDistance === 0) continue;
+
+        const known = await database.get(
+          'SELECT 1 FROM products_fts_vocab WHERE term >= ? AND term < ? LIMIT 1',
+          [term, `${term}\uffff`]
+        );
+        if (known) continue;
+
+        const rows = await database.all(
+          'SELECT term, doc FROM products_fts_vocab WHERE length(term) BETWEEN ? AND ?',
+          [term.length - maxDistance, term.length + maxDistance]
+        );
 
-      if (filters.maxPrice) {
-        sql += ' AND price <= ?';
-        params.push(filters.maxPrice);
+        const matches = rows
+          .map(row => ({ term: row.term, doc: row.doc, distance: editDistance(term, row.term, maxDistance) }))
+          .filter(candidate => candidate.distance <= maxDistance)
+          .sort((a, b) => a.distance - b.distance || b.doc - a.doc)
+          .slice(0, 5);
+
+        if (matches.length > 0) {
+          corrections[term] = matches.map(match => match.term);
+        }
       }
 
-      sql += ' ORDER BY created_at DESC';
+      return corrections;
+    } catch (error) {
+      throw new Error(`Failed to correct search terms: ${error.message}`);
+    }
+  }
+
+  // Ranked full-text search. Matches every word of `query` by prefix,
+  // correcting words that match nothing, and applies the findAll filters.
+  // Without a query, products are listed newest first. Also returns facet
+  // counts by category and price band; each facet ignores its own filter
+  // so the other choices stay visible.
+  static async search(query, filters = {}) {
+    try {
+      const terms = Product.searchTerms(query);
+      const corrections = await Product.findCorrections(terms);
+      const match = terms.length > 0 ? Product.matchExpression(terms, corrections) : null;
+
+      const from = match
+        ? ' FROM products_fts JOIN products ON products.id = products_fts.rowid'
+        : ' FROM products';
+      const scoped = (overrides = {}) => {
+        const where = Product.buildFilters({ ...filters, search: undefined, ...overrides });
+        if (match) {
+          where.sql += ' AND products_fts MATCH ?';
+          where.params.push(match);
+        }
+        return where;
+      };
+
+      const where = scoped();
+      let sql = `SELECT products.*, ${RESERVED_QUANTITY_SQL}, ${VARIANT_COUNT_SQL}` + from + where.sql;
+      sql += match
+        ? ` ORDER BY bm25(products_fts, ${SEARCH_WEIGHTS}) ASC, products.id ASC`
+        : ' ORDER BY products.created_at DESC, products.id DESC';
+      const params = [...where.params];
 
       if (filters.limit) {
         sql += ' LIMIT ?';
         params.push(filters.limit);
+
+        if (filters.offset) {
+          sql += ' OFFSET ?';
+          params.push(filters.offset);
+        }
       }
 
       const rows = await database.all(sql, params);
-      return rows.map(row => new Product(row));
+      const total = await database.get('SELECT COUNT(*) as count' + from + where.sql, where.params);
+
+      const byCategory = scoped({ category: undefined, categoryId: undefined });
+      const categories = await database.all(`
+        SELECT products.category AS value, COUNT(*) AS count${from}${byCategory.sql}
+        GROUP BY products.category
+        ORDER BY count DESC, value ASC
+      `, byCategory.params);
+
+      const byPrice = scoped({ minPrice: undefined, maxPrice: undefined });
+      const bandCase = PRICE_BANDS.map((band, index) => band.max === null
+        ? `ELSE ${index}`
+        : `WHEN products.price < ${band.max} THEN ${index}`).join(' ');
+      const bandRows = await database.all(`
+        SELECT CASE ${bandCase} END AS band, COUNT(*) AS count${from}${byPrice.sql}
+        GROUP BY band
+      `, byPrice.params);
+      const bandCounts = new Map(bandRows.map(row => [row.band, row.count]));
+
+      return {
+        products: rows.map(row => new Product(row)),
+        total: total.count,
+        corrections,
+        facets: {
+          categories,
+          priceBands: PRICE_BANDS.map((band, index) => ({ ...band, count: bandCounts.get(index) || 0 }))
+        }
+      };
     } catch (error) {
-      throw new Error(`Failed to fetch products: ${error.message}`);
+      throw new Error(`Failed to search products: ${error.message}`);
+    }
+  }
+
+  // Count products matching the same filters as findAll
+  static async count(filters = {}) {
+    try {
+      const where = Product.buildFilters(filters);
+      const row = await database.get('SELECT COUNT(*) as count FROM products' + where.sql, where.params);
+      return row.count;
+    } catch (error) {
+      throw new Error(`Failed to count products: ${error.message}`);
     }
   }
 
@@ -117,12 +417,16 @@ class Product {
     }
   }
 
-  // Update inventory
+  // Update inventory. Products with variants keep their stock on the
+  // variants, so theirs can't be set directly.
   async updateInventory(quantity) {
     try {
       if (!this.id) {
         throw new Error('Cannot update inventory without product ID');
       }
+      if (this.variantCount > 0) {
+        throw new Error('Inventory is tracked per variant');
+      }
       const result = await database.run(`
         UPDATE products 
         SET inventory = ?, updated_at = CURRENT_TIMESTAMP 
@@ -162,34 +466,95 @@ class Product {
     }
   }
 
-  // Get low stock products
+  // Attach variants to the given products (as `product.variants`)
+  static async loadVariants(products, options = {}) {
+    const byProduct = await ProductVariant.findByProductIds(products.map(p => p.id), options);
+    for (const product of products) {
+      product.variants = byProduct.get(product.id) || [];
+    }
+    return products;
+  }
+
+  // Products running low. Products without variants are judged by their own
+  // stock; products with variants are listed when any active variant is low,
+  // with `variants` holding just the low ones.
   static async getLowStock(threshold = 5) {
     try {
       const rows = await database.all(`
-        SELECT * FROM products 
+        SELECT products.*, ${VARIANT_COUNT_SQL} FROM products 
         WHERE inventory <= ? AND is_active = 1 
+        AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id AND v.is_active = 1)
         ORDER BY inventory ASC
       `, [threshold]);
-      return rows.map(row => new Product(row));
+      const products = rows.map(row => new Product(row));
+
+      const lowVariants = await ProductVariant.findLowStock(threshold);
+      return Product.mergeVariantStock(products, lowVariants, (a, b) => Product.lowestStock(a) - Product.lowestStock(b));
     } catch (error) {
       throw new Error(`Failed to get low stock products: ${error.message}`);
     }
   }
 
-  // Get out of stock products
+  // Products with nothing left to sell, or with an active variant sold out
+  // (`variants` then holds the sold-out ones)
   static async getOutOfStock() {
     try {
       const rows = await database.all(`
-        SELECT * FROM products 
+        SELECT products.*, ${VARIANT_COUNT_SQL} FROM products 
         WHERE inventory = 0 AND is_active = 1 
+        AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = products.id AND v.is_active = 1)
         ORDER BY name ASC
       `);
-      return rows.map(row => new Product(row));
+      const products = rows.map(row => new Product(row));
+
+      const soldOutVariants = await ProductVariant.findLowStock(0);
+      return Product.mergeVariantStock(products, soldOutVariants, (a, b) => a.name.localeCompare(b.name));
     } catch (error) {
       throw new Error(`Failed to get out of stock products: ${error.message}`);
     }
   }
 
+  // Add the products owning the given variants to a list, each with its
+  // matching variants attached, then sort the lot
+  static async mergeVariantStock(products, variants, compare) {
+    const byProduct = new Map();
+    for (const variant of variants) {
+      if (!byProduct.has(variant.productId)) byProduct.set(variant.productId, []);
+      byProduct.get(variant.productId).push(variant);
+    }
+
+    for (const [productId, productVariants] of byProduct) {
+      const product = await Product.findById(productId);
+      if (!product) continue;
+      product.variants = productVariants;
+      products.push(product);
+    }
+
+    return products.sort(compare);
+  }
+
+  // The stock level that put a product on a low stock list
+  static lowestStock(product) {
+    return product.variants && product.variants.length > 0
+      ? Math.min(...product.variants.map(variant => variant.inventory))
+      : product.inventory;
+  }
+
+  // Units not held by other carts' active reservations. Pass the cart being
+  // checked out so its own holds count as available to it.
+  async getAvailableInventory(excludeCartId = null) {
+    try {
+      const row = await database.get(`
+        SELECT COALESCE(SUM(quantity), 0) as reserved
+        FROM inventory_reservations
+        WHERE product_id = ? AND cart_id IS NOT ? AND expires_at > CURRENT_TIMESTAMP
+      `, [this.id, excludeCartId]);
+      return Math.max(0, this.inventory - row.reserved);
+    } catch (error) {
+      throw new Error(`Failed to get available inventory: ${error.message}`);
+    }
+  }
+
   // Check if product is in stock
   isInStock(quantity = 1) {
     return this.inventory >= quantity;
@@ -216,18 +581,34 @@ class Product {
     }
   }
 
-  // Bulk update inventory for multiple products
+  // Bulk update inventory for multiple products. An update naming a
+  // variantId sets that variant's stock instead of the product's.
   static async bulkUpdateInventory(updates) {
     try {
       const results = [];
       for (const update of updates) {
-        const { productId, quantity } = update;
+        const { productId, variantId, quantity } = update;
         const product = await Product.findById(productId);
-        if (product) {
-          await product.updateInventory(quantity);
-          results.push({ productId, success: true, newQuantity: quantity });
-        } else {
+        if (!product) {
           results.push({ productId, success: false, error: 'Product not found' });
+          continue;
+        }
+
+        if (variantId) {
+          const variant = await ProductVariant.findById(variantId);
+          if (!variant || variant.productId !== product.id) {
+            results.push({ productId, variantId, success: false, error: 'Variant not found' });
+            continue;
+          }
+          const previousQuantity = variant.inventory;
+          await variant.updateInventory(quantity);
+          results.push({ productId, variantId, success: true, previousQuantity, newQuantity: quantity });
+        } else if (product.variantCount > 0) {
+          results.push({ productId, success: false, error: 'Inventory is tracked per variant' });
+        } else {
+          const previousQuantity = product.inventory;
+          await product.updateInventory(quantity);
+          results.push({ productId, success: true, previousQuantity, newQuantity: quantity });
         }
       }
       return results;
@@ -250,6 +631,16 @@ class Product {
         FROM products 
         WHERE is_active = 1
       `);
+
+      const variants = await database.get(`
+        SELECT 
+          COUNT(*) as total_variants,
+          SUM(CASE WHEN v.inventory = 0 THEN 1 ELSE 0 END) as out_of_stock_count,
+          SUM(CASE WHEN v.inventory <= 5 AND v.inventory > 0 THEN 1 ELSE 0 END) as low_stock_count
+        FROM product_variants v
+        JOIN products p ON p.id = v.product_id
+        WHERE v.is_active = 1 AND p.is_active = 1
+      `);
       
       return {
         totalProducts: summary.total_products || 0,
@@ -257,7 +648,10 @@ class Product {
         lowStockCount: summary.low_stock_count || 0,
         inStockCount: summary.in_stock_count || 0,
         totalInventoryValue: summary.total_inventory_value || 0,
-        averageInventory: Math.round((summary.average_inventory || 0) * 100) / 100
+        averageInventory: Math.round((summary.average_inventory || 0) * 100) / 100,
+        totalVariants: variants.total_variants || 0,
+        outOfStockVariantCount: variants.out_of_stock_count || 0,
+        lowStockVariantCount: variants.low_stock_count || 0
       };
     } catch (error) {
       throw new Error(`Failed to get inventory summary: ${error.message}`);
@@ -286,15 +680,42 @@ class Product {
       description: this.description,
       price: this.price,
       category: this.category,
+      categoryId: this.categoryId,
       icon: this.icon,
       images: this.images ? JSON.parse(this.images) : [],
       specifications: this.specifications ? JSON.parse(this.specifications) : {},
       inventory: this.inventory,
+      availableInventory: Math.max(0, this.inventory - this.reservedQuantity),
+      weight: this.weight,
       isActive: this.isActive,
+      hasVariants: this.variantCount > 0,
+      rating: {
+        average: this.ratingAverage,
+        count: this.ratingCount
+      },
+      ...(this.variants !== undefined && {
+        options: Product.optionAxes(this.variants),
+        variants: this.variants.map(variant => variant.toJSON())
+      }),
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
   }
+
+  // The option axes the variants span, e.g. [{ name: 'size', values: ['S', 'M'] }],
+  // in the order values first appear
+  static optionAxes(variants) {
+    const axes = new Map();
+    for (const variant of variants) {
+      for (const [name, value] of Object.entries(variant.options)) {
+        if (!axes.has(name)) axes.set(name, []);
+        if (!axes.get(name).includes(value)) axes.get(name).push(value);
+      }
+    }
+    return [...axes].map(([name, values]) => ({ name, values }));
+  }
 }
 
+Product.SORTS = SORTS;
+
 module.exports = Product;
\ No newline at end of file
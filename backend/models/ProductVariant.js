@@ -0,0 +1,265 @@
+const database = require('../config/database');
+
+// Units of a variant held by unexpired checkout reservations
+const RESERVED_QUANTITY_SQL = `(
+  SELECT COALESCE(SUM(r.quantity), 0) FROM inventory_reservations r
+  WHERE r.variant_id = product_variants.id AND r.expires_at > CURRENT_TIMESTAMP
+) AS reserved_quantity`;
+
+const OPTION_NAME = /^[a-z][a-z0-9_ -]{0,29}$/i;
+
+// A purchasable version of a product along its option axes (size, color...),
+// with its own SKU, stock and optionally its own price
+class ProductVariant {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.productId = data.product_id;
+    this.sku = data.sku;
+    this.options = typeof data.options === 'string' ? JSON.parse(data.options) : (data.options || {});
+    this.price = data.price !== undefined && data.price !== null ? data.price : null;
+    this.inventory = data.inventory || 0;
+    this.reservedQuantity = data.reserved_quantity || 0;
+    this.isActive = data.is_active !== undefined ? Boolean(data.is_active) : true;
+    this.position = data.position || 0;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Validate an options object and return it with lower-cased names in a
+  // stable order, so the same choice always serialises the same way
+  static normalizeOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Options must be an object of option names to values');
+    }
+
+    const names = Object.keys(options);
+    if (names.length === 0) {
+      throw new Error('Options must name at least one option');
+    }
+
+    const entries = names.map(name => {
+      const value = options[name];
+      if (!OPTION_NAME.test(name)) {
+        throw new Error(`Invalid option name: ${name}`);
+      }
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`Option ${name} must have a non-empty value`);
+      }
+      return [name.trim().toLowerCase(), value.trim()];
+    });
+
+    entries.sort(([a], [b]) => a.localeCompare(b));
+    return Object.fromEntries(entries);
+  }
+
+  // Human-readable option values, e.g. "L / Black"
+  static labelFor(options) {
+    return Object.values(options || {}).join(' / ');
+  }
+
+  // Find variant by ID
+  static async findById(id) {
+    try {
+      const row = await database.get(`SELECT product_variants.*, ${RESERVED_QUANTITY_SQL} FROM product_variants WHERE id = ?`, [id]);
+      return row ? new ProductVariant(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find variant: ${error.message}`);
+    }
+  }
+
+  // Variants of a product in display order
+  static async findByProductId(productId, { activeOnly = false } = {}) {
+    const byProduct = await ProductVariant.findByProductIds([productId], { activeOnly });
+    return byProduct.get(productId) || [];
+  }
+
+  // Variants of several products at once, as a Map of product id to variants
+  static async findByProductIds(productIds, { activeOnly = false } = {}) {
+    try {
+      const byProduct = new Map();
+      if (productIds.length === 0) return byProduct;
+
+      const placeholders = productIds.map(() => '?').join(', ');
+      const rows = await database.all(`
+        SELECT product_variants.*, ${RESERVED_QUANTITY_SQL}
+        FROM product_variants
+        WHERE product_id IN (${placeholders})${activeOnly ? ' AND is_active = 1' : ''}
+        ORDER BY position ASC, id ASC
+      `, productIds);
+
+      for (const row of rows) {
+        if (!byProduct.has(row.product_id)) byProduct.set(row.product_id, []);
+        byProduct.get(row.product_id).push(new ProductVariant(row));
+      }
+      return byProduct;
+    } catch (error) {
+      throw new Error(`Failed to fetch variants: ${error.message}`);
+    }
+  }
+
+  // Active variants of active products at or below a stock threshold
+  static async findLowStock(threshold = 5) {
+    try {
+      const rows = await database.all(`
+        SELECT product_variants.*, ${RESERVED_QUANTITY_SQL}
+        FROM product_variants
+        JOIN products p ON p.id = product_variants.product_id
+        WHERE product_variants.inventory <= ? AND product_variants.is_active = 1 AND p.is_active = 1
+        ORDER BY product_variants.inventory ASC, product_variants.id ASC
+      `, [threshold]);
+      return rows.map(row => new ProductVariant(row));
+    } catch (error) {
+      throw new Error(`Failed to get low stock variants: ${error.message}`);
+    }
+  }
+
+  // The variant a cart or order line refers to. Products with active
+  // variants must have one chosen; products without them take none.
+  static async resolveForProduct(product, variantId) {
+    if (!variantId) {
+      if (product.variantCount > 0) {
+        throw new Error(`Variant selection required for ${product.name}`);
+      }
+      return null;
+    }
+
+    const variant = await ProductVariant.findById(variantId);
+    if (!variant || variant.productId !== product.id) {
+      throw new Error('Variant not found');
+    }
+    if (!variant.isActive) {
+      throw new Error('Variant is inactive');
+    }
+    return variant;
+  }
+
+  // Create and save a new variant of a product from API-style data
+  static async create(productId, variantData) {
+    try {
+      const variant = new ProductVariant({
+        product_id: productId,
+        sku: variantData.sku,
+        options: ProductVariant.normalizeOptions(variantData.options),
+        price: variantData.price,
+        inventory: variantData.inventory || 0,
+        is_active: variantData.isActive !== undefined ? variantData.isActive : true,
+        position: variantData.position || 0
+      });
+      await variant.save();
+      return variant;
+    } catch (error) {
+      throw new Error(`Failed to create variant: ${error.message}`);
+    }
+  }
+
+  // Insert or update the variant. SKUs and option combinations are unique.
+  async save() {
+    try {
+      if (!this.sku || !String(this.sku).trim()) {
+        throw new Error('SKU is required');
+      }
+
+      const params = [
+        String(this.sku).trim(), JSON.stringify(this.options), this.price,
+        this.inventory, this.isActive, this.position
+      ];
+
+      if (this.id) {
+        await database.run(`
+          UPDATE product_variants
+          SET sku = ?, options = ?, price = ?, inventory = ?, is_active = ?, position = ?,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [...params, this.id]);
+      } else {
+        const result = await database.run(`
+          INSERT INTO product_variants (sku, options, price, inventory, is_active, position, product_id)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [...params, this.productId]);
+        this.id = result.id;
+      }
+      return true;
+    } catch (error) {
+      if (error.message.includes('product_variants.sku')) {
+        throw new Error('SKU already in use');
+      }
+      if (error.message.includes('product_variants.product_id, product_variants.options')) {
+        throw new Error('A variant with these options already exists');
+      }
+      throw new Error(`Failed to save variant: ${error.message}`);
+    }
+  }
+
+  // Set the stock level
+  async updateInventory(quantity) {
+    try {
+      const result = await database.run(`
+        UPDATE product_variants
+        SET inventory = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [quantity, this.id]);
+
+      if (result.changes > 0) {
+        this.inventory = quantity;
+        return true;
+      }
+      return false;
+    } catch (error) {
+      throw new Error(`Failed to update variant inventory: ${error.message}`);
+    }
+  }
+
+  // Delete the variant along with cart lines and holds for it. Order items
+  // keep their SKU and snapshot.
+  async delete() {
+    try {
+      return await database.withTransaction(async (db) => {
+        await db.run('DELETE FROM inventory_reservations WHERE variant_id = ?', [this.id]);
+        await db.run('DELETE FROM cart_items WHERE variant_id = ?', [this.id]);
+        const result = await db.run('DELETE FROM product_variants WHERE id = ?', [this.id]);
+        return result.changes > 0;
+      });
+    } catch (error) {
+      throw new Error(`Failed to delete variant: ${error.message}`);
+    }
+  }
+
+  // Units not held by other carts' active reservations
+  async getAvailableInventory(excludeCartId = null) {
+    try {
+      const row = await database.get(`
+        SELECT COALESCE(SUM(quantity), 0) as reserved
+        FROM inventory_reservations
+        WHERE variant_id = ? AND cart_id IS NOT ? AND expires_at > CURRENT_TIMESTAMP
+      `, [this.id, excludeCartId]);
+      return Math.max(0, this.inventory - row.reserved);
+    } catch (error) {
+      throw new Error(`Failed to get available inventory: ${error.message}`);
+    }
+  }
+
+  // Price of one unit: the override, or else the product's price
+  getUnitPrice(product) {
+    return this.price !== null ? this.price : product.price;
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      sku: this.sku,
+      options: this.options,
+      label: ProductVariant.labelFor(this.options),
+      price: this.price,
+      inventory: this.inventory,
+      availableInventory: Math.max(0, this.inventory - this.reservedQuantity),
+      isActive: this.isActive,
+      position: this.position,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = ProductVariant;
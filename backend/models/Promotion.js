@@ -0,0 +1,353 @@
+const database = require('../config/database');
+const { isLineEligible, roundCurrency } = require('../utils/pricing');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y'];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/i;
+
+// SQLite stores timestamps as UTC "YYYY-MM-DD HH:MM:SS"
+const toSqlDate = (value) => {
+  if (!value) return null;
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+};
+
+const fromSqlDate = (value) => {
+  return value ? new Date(value.replace(' ', 'T') + 'Z') : null;
+};
+
+const parseList = (value) => {
+  if (!value) return [];
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+class Promotion {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.code = data.code;
+    this.description = data.description;
+    this.type = data.type;
+    this.value = data.value || 0;
+    this.buyQuantity = data.buy_quantity;
+    this.getQuantity = data.get_quantity;
+    this.minSubtotal = data.min_subtotal || 0;
+    this.productIds = parseList(data.product_ids);
+    this.categories = parseList(data.categories);
+    this.startsAt = data.starts_at;
+    this.endsAt = data.ends_at;
+    this.usageLimit = data.usage_limit;
+    this.perUserLimit = data.per_user_limit;
+    this.isActive = data.is_active !== undefined ? Boolean(data.is_active) : true;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Validate API-style (camelCase) promotion data; returns a list of messages.
+  // Updates validate the existing promotion merged with the changes.
+  static validate(data) {
+    const errors = [];
+    const has = (field) => data[field] !== undefined && data[field] !== null && data[field] !== '';
+
+    if (!has('code') || !CODE_PATTERN.test(data.code)) {
+      errors.push('Code must be 3-32 letters, numbers, dashes or underscores');
+    }
+
+    if (!PROMOTION_TYPES.includes(data.type)) {
+      errors.push(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+    }
+
+    if (data.type === 'free_shipping') {
+      // No amount to validate
+    } else if (has('value')) {
+      const value = parseFloat(data.value);
+      if (isNaN(value) || value <= 0) {
+        errors.push('Value must be a positive number');
+      } else if (['percentage', 'buy_x_get_y'].includes(data.type) && value > 100) {
+        errors.push('Percentage value cannot exceed 100');
+      }
+    } else if (['percentage', 'fixed'].includes(data.type)) {
+      errors.push('Value is required');
+    }
+
+    if (data.type === 'buy_x_get_y' || has('buyQuantity') || has('getQuantity')) {
+      if (!isPositiveInteger(data.buyQuantity) || !isPositiveInteger(data.getQuantity)) {
+        errors.push('Buy and get quantities must be positive integers');
+      }
+    }
+
+    if (has('minSubtotal') && (isNaN(parseFloat(data.minSubtotal)) || parseFloat(data.minSubtotal) < 0)) {
+      errors.push('Minimum subtotal must be a non-negative number');
+    }
+
+    for (const field of ['usageLimit', 'perUserLimit']) {
+      if (has(field) && !isPositiveInteger(data[field])) {
+        errors.push(`${field} must be a positive integer`);
+      }
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+      if (has(field) && isNaN(new Date(data[field]).getTime())) {
+        errors.push(`${field} must be a valid date`);
+      }
+    }
+
+    if (has('startsAt') && has('endsAt') && new Date(data.endsAt) <= new Date(data.startsAt)) {
+      errors.push('endsAt must be after startsAt');
+    }
+
+    if (has('productIds') && (!Array.isArray(data.productIds) || !data.productIds.every(isPositiveInteger))) {
+      errors.push('productIds must be an array of product IDs');
+    }
+
+    if (has('categories') && (!Array.isArray(data.categories) || !data.categories.every(c => typeof c === 'string'))) {
+      errors.push('categories must be an array of category names');
+    }
+
+    return errors;
+  }
+
+  // Copy API-style (camelCase) fields onto the instance
+  assign(data) {
+    const fields = {
+      code: value => String(value).toUpperCase(),
+      description: value => value,
+      type: value => value,
+      value: value => parseFloat(value),
+      buyQuantity: value => value ? parseInt(value) : null,
+      getQuantity: value => value ? parseInt(value) : null,
+      minSubtotal: value => parseFloat(value) || 0,
+      productIds: value => (value || []).map(id => parseInt(id)),
+      categories: value => value || [],
+      startsAt: toSqlDate,
+      endsAt: toSqlDate,
+      usageLimit: value => value ? parseInt(value) : null,
+      perUserLimit: value => value ? parseInt(value) : null,
+      isActive: value => Boolean(value)
+    };
+
+    for (const [field, convert] of Object.entries(fields)) {
+      if (data[field] !== undefined) {
+        this[field] = convert(data[field]);
+      }
+    }
+
+    return this;
+  }
+
+  // Create or update promotion
+  async save() {
+    try {
+      const values = [
+        this.code, this.description || null, this.type, this.value || 0,
+        this.buyQuantity || null, this.getQuantity || null, this.minSubtotal || 0,
+        JSON.stringify(this.productIds), JSON.stringify(this.categories),
+        this.startsAt || null, this.endsAt || null,
+        this.usageLimit || null, this.perUserLimit || null, this.isActive ? 1 : 0
+      ];
+
+      if (this.id) {
+        const result = await database.run(`
+          UPDATE promotions
+          SET code = ?, description = ?, type = ?, value = ?, buy_quantity = ?, get_quantity = ?,
+              min_subtotal = ?, product_ids = ?, categories = ?, starts_at = ?, ends_at = ?,
+              usage_limit = ?, per_user_limit = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [...values, this.id]);
+        return result.changes > 0;
+      } else {
+        const result = await database.run(`
+          INSERT INTO promotions (
+            code, description, type, value, buy_quantity, get_quantity, min_subtotal,
+            product_ids, categories, starts_at, ends_at, usage_limit, per_user_limit, is_active
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, values);
+        this.id = result.id;
+        return true;
+      }
+    } catch (error) {
+      throw new Error(`Failed to save promotion: ${error.message}`);
+    }
+  }
+
+  // Create and save a promotion from API-style (camelCase) data
+  static async create(promotionData) {
+    try {
+      // Buy X get Y defaults to the "get" units being free
+      const defaults = { isActive: true, value: promotionData.type === 'buy_x_get_y' ? 100 : 0 };
+      const promotion = new Promotion().assign({ ...defaults, ...promotionData });
+      await promotion.save();
+      return await Promotion.findById(promotion.id);
+    } catch (error) {
+      throw new Error(`Failed to create promotion: ${error.message}`);
+    }
+  }
+
+  // Find promotion by ID
+  static async findById(id) {
+    try {
+      const row = await database.get('SELECT * FROM promotions WHERE id = ?', [id]);
+      return row ? new Promotion(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find promotion: ${error.message}`);
+    }
+  }
+
+  // Find promotion by coupon code (case-insensitive)
+  static async findByCode(code) {
+    try {
+      const row = await database.get('SELECT * FROM promotions WHERE code = ?', [String(code).trim()]);
+      return row ? new Promotion(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find promotion by code: ${error.message}`);
+    }
+  }
+
+  // Find all promotions (admin)
+  static async findAll(filters = {}) {
+    try {
+      let sql = 'SELECT * FROM promotions WHERE 1=1';
+      const params = [];
+
+      if (filters.isActive !== undefined) {
+        sql += ' AND is_active = ?';
+        params.push(filters.isActive ? 1 : 0);
+      }
+
+      if (filters.search) {
+        sql += ' AND (code LIKE ? OR description LIKE ?)';
+        params.push(`%${filters.search}%`, `%${filters.search}%`);
+      }
+
+      sql += ' ORDER BY created_at DESC, id DESC';
+
+      const rows = await database.all(sql, params);
+      return rows.map(row => new Promotion(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch promotions: ${error.message}`);
+    }
+  }
+
+  // Delete promotion
+  async delete() {
+    try {
+      const result = await database.run('DELETE FROM promotions WHERE id = ?', [this.id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete promotion: ${error.message}`);
+    }
+  }
+
+  // Count redemptions, overall or for one customer: a user, or a guest by
+  // the email their orders were placed with
+  async getUsageCount(userId = null, guestEmail = null) {
+    try {
+      let sql = `
+        SELECT COUNT(*) as count FROM promotion_redemptions
+        LEFT JOIN orders ON orders.id = promotion_redemptions.order_id
+        WHERE promotion_redemptions.promotion_id = ?
+      `;
+      const params = [this.id];
+
+      if (userId || guestEmail) {
+        sql += ' AND (promotion_redemptions.user_id = ? OR LOWER(orders.guest_email) = LOWER(?))';
+        params.push(userId || null, guestEmail || null);
+      }
+
+      const row = await database.get(sql, params);
+      return row.count;
+    } catch (error) {
+      throw new Error(`Failed to count promotion usage: ${error.message}`);
+    }
+  }
+
+  // Throw if the coupon can't be used by this customer on these pricing
+  // lines. Guests are identified by `guestEmail`.
+  async checkEligibility({ userId = null, guestEmail = null, lines = [] } = {}) {
+    const now = new Date();
+
+    if (!this.isActive) {
+      throw new Error('Coupon is no longer active');
+    }
+
+    if (this.startsAt && fromSqlDate(this.startsAt) > now) {
+      throw new Error('Coupon is not active yet');
+    }
+
+    if (this.endsAt && fromSqlDate(this.endsAt) <= now) {
+      throw new Error('Coupon has expired');
+    }
+
+    if (this.usageLimit && await this.getUsageCount() >= this.usageLimit) {
+      throw new Error('Coupon usage limit has been reached');
+    }
+
+    if (this.perUserLimit && (userId || guestEmail) && await this.getUsageCount(userId, guestEmail) >= this.perUserLimit) {
+      throw new Error('Coupon has already been used the maximum number of times');
+    }
+
+    const eligibleLines = lines.filter(line => isLineEligible(line, this.toDiscount()));
+    if (eligibleLines.length === 0) {
+      throw new Error('Coupon does not apply to any items in the cart');
+    }
+
+    const eligibleSubtotal = roundCurrency(
+      eligibleLines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0)
+    );
+    if (eligibleSubtotal < this.minSubtotal) {
+      throw new Error(`Coupon requires a minimum purchase of $${Number(this.minSubtotal).toFixed(2)}`);
+    }
+  }
+
+  // Look up a coupon code and check it applies; throws when it doesn't
+  static async resolveCoupon(code, { userId = null, guestEmail = null, lines = [] } = {}) {
+    const promotion = await Promotion.findByCode(code);
+    if (!promotion) {
+      throw new Error('Coupon code is not valid');
+    }
+
+    await promotion.checkEligibility({ userId, guestEmail, lines });
+    return promotion;
+  }
+
+  // Discount definition understood by the pricing engine
+  toDiscount() {
+    return {
+      code: this.code,
+      description: this.description,
+      type: this.type,
+      value: this.value,
+      buyQuantity: this.buyQuantity,
+      getQuantity: this.getQuantity,
+      productIds: this.productIds,
+      categories: this.categories
+    };
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      code: this.code,
+      description: this.description,
+      type: this.type,
+      value: this.value,
+      buyQuantity: this.buyQuantity,
+      getQuantity: this.getQuantity,
+      minSubtotal: this.minSubtotal,
+      productIds: this.productIds,
+      categories: this.categories,
+      startsAt: this.startsAt,
+      endsAt: this.endsAt,
+      usageLimit: this.usageLimit,
+      perUserLimit: this.perUserLimit,
+      isActive: this.isActive,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Promotion.TYPES = PROMOTION_TYPES;
+
+module.exports = Promotion;
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+
+const DEFAULT_TTL_DAYS = 30;
+
+// Only hashes are stored, so a leaked database can't be used to log in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class RefreshToken {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.userId = data.user_id;
+    this.familyId = data.family_id;
+    this.expiresAt = data.expires_at;
+    this.revokedAt = data.revoked_at;
+    this.replacedBy = data.replaced_by;
+    this.userAgent = data.user_agent;
+    this.ipAddress = data.ip_address;
+    this.createdAt = data.created_at;
+  }
+
+  // How long a session lasts without being refreshed
+  static getTtlDays() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_TTL_DAYS;
+  }
+
+  // Issue a token for a new session, or for an existing one when `familyId`
+  // is given. Returns { token, record }; the raw token is never stored.
+  static async issue(userId, { familyId, userAgent = null, ipAddress = null } = {}, db = database) {
+    try {
+      const token = crypto.randomBytes(48).toString('hex');
+      const family = familyId || crypto.randomUUID();
+
+      const result = await db.run(`
+        INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip_address)
+        VALUES (?, ?, ?, datetime('now', ?), ?, ?)
+      `, [userId, hashToken(token), family, `+${RefreshToken.getTtlDays()} days`, userAgent, ipAddress]);
+
+      const row = await db.get('SELECT * FROM refresh_tokens WHERE id = ?', [result.id]);
+      return { token, record: new RefreshToken(row) };
+    } catch (error) {
+      throw new Error(`Failed to issue refresh token: ${error.message}`);
+    }
+  }
+
+  // Find the record for a raw token
+  static async findByToken(token) {
+    try {
+      if (typeof token !== 'string' || !token) return null;
+
+      const row = await database.get(
+        'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+        [hashToken(token)]
+      );
+      return row ? new RefreshToken(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find refresh token: ${error.message}`);
+    }
+  }
+
+  // Exchange a token for a new one in the same session. Presenting a token
+  // that was already rotated means it was copied, so the whole session is
+  // revoked and both holders have to log in again.
+  static async rotate(token, { userAgent = null, ipAddress = null } = {}) {
+    try {
+      const current = await RefreshToken.findByToken(token);
+
+      if (!current) {
+        throw new Error('Refresh token not found');
+      }
+
+      if (current.replacedBy) {
+        await RefreshToken.revokeFamily(current.familyId);
+        throw new Error('Refresh token reuse detected');
+      }
+
+      if (current.revokedAt) {
+        throw new Error('Refresh token has been revoked');
+      }
+
+      if (current.isExpired()) {
+        throw new Error('Refresh token has expired');
+      }
+
+      return await database.withTransaction(async (db) => {
+        // Claim the token so two concurrent refreshes can't both succeed
+        const claim = await db.run(`
+          UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND revoked_at IS NULL
+        `, [current.id]);
+
+        if (claim.changes === 0) {
+          throw new Error('Refresh token has been revoked');
+        }
+
+        const next = await RefreshToken.issue(current.userId, {
+          familyId: current.familyId,
+          userAgent,
+          ipAddress
+        }, db);
+
+        await db.run(
+          'UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?',
+          [next.record.id, current.id]
+        );
+
+        return next;
+      });
+    } catch (error) {
+      throw new Error(`Failed to rotate refresh token: ${error.message}`);
+    }
+  }
+
+  // End a session
+  static async revokeFamily(familyId) {
+    try {
+      const result = await database.run(`
+        UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE family_id = ? AND revoked_at IS NULL
+      `, [familyId]);
+      return result.changes;
+    } catch (error) {
+      throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+  }
+
+  // End every session of a user
+  static async revokeAllForUser(userId) {
+    try {
+      const result = await database.run(`
+        UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND revoked_at IS NULL
+      `, [userId]);
+      return result.changes;
+    } catch (error) {
+      throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+  }
+
+  // Whether a session still has a usable token. Access tokens name their
+  // session, so this is what makes logout take effect before they expire.
+  static async isSessionActive(familyId) {
+    try {
+      const row = await database.get(`
+        SELECT 1 FROM refresh_tokens
+        WHERE family_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        LIMIT 1
+      `, [familyId]);
+      return Boolean(row);
+    } catch (error) {
+      throw new Error(`Failed to check session: ${error.message}`);
+    }
+  }
+
+  // Remove tokens that expired or were revoked more than a day ago
+  static async deleteStale() {
+    try {
+      const result = await database.run(`
+        DELETE FROM refresh_tokens
+        WHERE expires_at <= CURRENT_TIMESTAMP
+           OR revoked_at <= datetime('now', '-1 day')
+      `);
+      return result.changes;
+    } catch (error) {
+      throw new Error(`Failed to delete stale refresh tokens: ${error.message}`);
+    }
+  }
+
+  isExpired() {
+    return new Date(`${this.expiresAt}Z`) <= new Date();
+  }
+}
+
+module.exports = RefreshToken;
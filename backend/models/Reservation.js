@@ -0,0 +1,144 @@
+const database = require('../config/database');
+const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+
+const DEFAULT_TTL_MINUTES = 15;
+
+class Reservation {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.cartId = data.cart_id;
+    this.productId = data.product_id;
+    this.variantId = data.variant_id || null;
+    this.quantity = data.quantity;
+    this.expiresAt = data.expires_at;
+    this.createdAt = data.created_at;
+  }
+
+  // How long a hold lasts before the stock is released again
+  static getTtlMinutes() {
+    return parseInt(process.env.RESERVATION_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+  }
+
+  // Find the active (unexpired) holds for a cart
+  static async findActiveByCartId(cartId) {
+    try {
+      const rows = await database.all(`
+        SELECT * FROM inventory_reservations
+        WHERE cart_id = ? AND expires_at > CURRENT_TIMESTAMP
+        ORDER BY id ASC
+      `, [cartId]);
+      return rows.map(row => new Reservation(row));
+    } catch (error) {
+      throw new Error(`Failed to find reservations: ${error.message}`);
+    }
+  }
+
+  // Hold stock for every line in the cart, replacing any previous holds.
+  // Returns the issues instead of reserving anything if a line can't be held.
+  static async reserveCart(cart, ttlMinutes = Reservation.getTtlMinutes()) {
+    try {
+      if (!cart.items || cart.items.length === 0) {
+        throw new Error('Cart is empty');
+      }
+
+      return await database.withTransaction(async (db) => {
+        const issues = [];
+
+        for (const item of cart.items) {
+          const product = await Product.findById(item.productId);
+          let variant = null;
+
+          try {
+            if (!product || !product.isActive) {
+              throw new Error('Product not found or inactive');
+            }
+            variant = await ProductVariant.resolveForProduct(product, item.variantId);
+          } catch (error) {
+            issues.push({
+              type: 'unavailable',
+              productId: item.productId,
+              variantId: item.variantId,
+              productName: item.product.name,
+              message: 'Product is no longer available'
+            });
+            continue;
+          }
+
+          const available = await (variant || product).getAvailableInventory(cart.id);
+          if (item.quantity > available) {
+            issues.push({
+              type: 'insufficient_inventory',
+              productId: item.productId,
+              variantId: item.variantId,
+              productName: product.name,
+              requested: item.quantity,
+              available,
+              message: `Only ${available} items available`
+            });
+          }
+        }
+
+        if (issues.length > 0) {
+          return { reservations: [], issues };
+        }
+
+        await db.run('DELETE FROM inventory_reservations WHERE cart_id = ?', [cart.id]);
+
+        for (const item of cart.items) {
+          await db.run(`
+            INSERT INTO inventory_reservations (cart_id, product_id, variant_id, quantity, expires_at)
+            VALUES (?, ?, ?, ?, datetime('now', ?))
+          `, [cart.id, item.productId, item.variantId || null, item.quantity, `+${ttlMinutes} minutes`]);
+        }
+
+        const rows = await db.all(
+          'SELECT * FROM inventory_reservations WHERE cart_id = ? ORDER BY id ASC',
+          [cart.id]
+        );
+
+        return { reservations: rows.map(row => new Reservation(row)), issues };
+      });
+    } catch (error) {
+      throw new Error(`Failed to reserve cart: ${error.message}`);
+    }
+  }
+
+  // Release every hold for a cart (cart changed, checkout abandoned or completed)
+  static async releaseForCart(cartId) {
+    try {
+      const result = await database.run('DELETE FROM inventory_reservations WHERE cart_id = ?', [cartId]);
+      return result.changes;
+    } catch (error) {
+      throw new Error(`Failed to release reservations: ${error.message}`);
+    }
+  }
+
+  // Delete holds that have passed their expiry time
+  static async releaseExpired() {
+    try {
+      const result = await database.run(`
+        DELETE FROM inventory_reservations
+        WHERE expires_at <= CURRENT_TIMESTAMP
+      `);
+      return result.changes;
+    } catch (error) {
+      throw new Error(`Failed to release expired reservations: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      cartId: this.cartId,
+      productId: this.productId,
+      variantId: this.variantId,
+      quantity: this.quantity,
+      expiresAt: this.expiresAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = Reservation;
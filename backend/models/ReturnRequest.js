@@ -0,0 +1,372 @@
+const database = require('../config/database');
+const { roundCurrency } = require('../utils/pricing');
+
+// Orders customers can return items from
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'delivered'];
+
+class ReturnRequest {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.orderId = data.order_id;
+    this.userId = data.user_id;
+    this.status = data.status;
+    this.reason = data.reason;
+    this.adminNotes = data.admin_notes;
+    this.refundAmount = data.refund_amount || 0;
+    this.refundPaymentId = data.refund_payment_id;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+    this.items = [];
+  }
+
+  // Request a return of some of an order's items
+  // ({ order, userId, reason, items: [{ orderItemId, quantity }] })
+  static async create({ order, userId, reason, items }) {
+    try {
+      if (!RETURNABLE_ORDER_STATUSES.includes(order.status) || order.paymentStatus !== 'completed') {
+        throw new Error('Order is not eligible for return');
+      }
+
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('Return items are required');
+      }
+
+      const returnId = await database.withTransaction(async (db) => {
+        // Checked inside the transaction so concurrent requests can't return
+        // the same units twice
+        const returnable = await ReturnRequest.getReturnableQuantities(order.id);
+        const lines = [];
+
+        for (const item of items) {
+          const orderItemId = parseInt(item.orderItemId);
+          const quantity = parseInt(item.quantity);
+          const orderItem = returnable[orderItemId];
+
+          if (!orderItem) {
+            throw new Error(`Return item ${item.orderItemId} is not part of this order`);
+          }
+
+          if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new Error(`Return quantity for item ${orderItemId} must be a positive integer`);
+          }
+
+          if (quantity > orderItem.returnable) {
+            throw new Error(`Return quantity for item ${orderItemId} exceeds the ${orderItem.returnable} returnable`);
+          }
+
+          orderItem.returnable -= quantity;
+          lines.push({
+            orderItemId,
+            quantity,
+            refundAmount: roundCurrency(orderItem.lineTotal * quantity / orderItem.quantity)
+          });
+        }
+
+        const result = await db.run(`
+          INSERT INTO returns (order_id, user_id, reason)
+          VALUES (?, ?, ?)
+        `, [order.id, userId, reason || null]);
+
+        for (const line of lines) {
+          await db.run(`
+            INSERT INTO return_items (return_id, order_item_id, quantity, refund_amount)
+            VALUES (?, ?, ?, ?)
+          `, [result.id, line.orderItemId, line.quantity, line.refundAmount]);
+        }
+
+        return result.id;
+      });
+
+      return await ReturnRequest.findById(returnId);
+    } catch (error) {
+      throw new Error(`Failed to create return: ${error.message}`);
+    }
+  }
+
+  // Quantities of each order item not yet covered by a (non-rejected) return,
+  // keyed by order item id
+  static async getReturnableQuantities(orderId) {
+    try {
+      const rows = await database.all(`
+        SELECT oi.id, oi.quantity,
+               COALESCE(oi.line_total, oi.price * oi.quantity) as line_total,
+               COALESCE((
+                 SELECT SUM(ri.quantity) FROM return_items ri
+                 JOIN returns r ON ri.return_id = r.id
+                 WHERE ri.order_item_id = oi.id AND r.status != 'rejected'
+               ), 0) as returned
+        FROM order_items oi
+        WHERE oi.order_id = ?
+      `, [orderId]);
+
+      return Object.fromEntries(rows.map(row => [row.id, {
+        quantity: row.quantity,
+        lineTotal: row.line_total,
+        returnable: row.quantity - row.returned
+      }]));
+    } catch (error) {
+      throw new Error(`Failed to get returnable quantities: ${error.message}`);
+    }
+  }
+
+  // Find return by ID
+  static async findById(id) {
+    try {
+      const row = await database.get('SELECT * FROM returns WHERE id = ?', [id]);
+      if (!row) return null;
+
+      const returnRequest = new ReturnRequest(row);
+      await returnRequest.loadItems();
+      return returnRequest;
+    } catch (error) {
+      throw new Error(`Failed to find return: ${error.message}`);
+    }
+  }
+
+  // Find returns, newest first ({ userId, orderId, status })
+  static async findAll(filters = {}) {
+    try {
+      let sql = 'SELECT * FROM returns WHERE 1=1';
+      const params = [];
+
+      if (filters.userId) {
+        sql += ' AND user_id = ?';
+        params.push(filters.userId);
+      }
+
+      if (filters.orderId) {
+        sql += ' AND order_id = ?';
+        params.push(filters.orderId);
+      }
+
+      if (filters.status) {
+        sql += ' AND status = ?';
+        params.push(filters.status);
+      }
+
+      sql += ' ORDER BY created_at DESC, id DESC';
+
+      const rows = await database.all(sql, params);
+      const returns = rows.map(row => new ReturnRequest(row));
+
+      for (const returnRequest of returns) {
+        await returnRequest.loadItems();
+      }
+
+      return returns;
+    } catch (error) {
+      throw new Error(`Failed to find returns: ${error.message}`);
+    }
+  }
+
+  // Load return items with the order item and product they refer to
+  async loadItems() {
+    try {
+      const rows = await database.all(`
+        SELECT ri.*, oi.product_id, oi.variant_id, oi.sku, oi.price, p.name, p.icon
+        FROM return_items ri
+        JOIN order_items oi ON ri.order_item_id = oi.id
+        LEFT JOIN products p ON oi.product_id = p.id
+        WHERE ri.return_id = ?
+        ORDER BY ri.id ASC
+      `, [this.id]);
+
+      this.items = rows.map(row => ({
+        id: row.id,
+        orderItemId: row.order_item_id,
+        productId: row.product_id,
+        variantId: row.variant_id || null,
+        sku: row.sku || null,
+        quantity: row.quantity,
+        quantityReceived: row.quantity_received,
+        price: row.price,
+        refundAmount: row.refund_amount,
+        product: {
+          name: row.name,
+          icon: row.icon
+        }
+      }));
+    } catch (error) {
+      throw new Error(`Failed to load return items: ${error.message}`);
+    }
+  }
+
+  // Move from one status to another, failing if the return has moved on
+  async transition(from, to, adminNotes) {
+    const result = await database.run(`
+      UPDATE returns
+      SET status = ?, admin_notes = COALESCE(?, admin_notes), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = ?
+    `, [to, adminNotes || null, this.id, from]);
+
+    if (result.changes === 0) {
+      throw new Error(`Return cannot move from ${this.status} to ${to}`);
+    }
+
+    this.status = to;
+    if (adminNotes) this.adminNotes = adminNotes;
+  }
+
+  // Accept a requested return; the customer can now send the items back
+  async approve(adminNotes) {
+    try {
+      await this.transition('requested', 'approved', adminNotes);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to approve return: ${error.message}`);
+    }
+  }
+
+  // Decline a requested return; its quantities become returnable again
+  async reject(adminNotes) {
+    try {
+      await this.transition('requested', 'rejected', adminNotes);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to reject return: ${error.message}`);
+    }
+  }
+
+  // Record the items that arrived back and restock them. `received` maps
+  // return item ids to quantities; items left out count as fully received.
+  // The refund due becomes the paid share of what was received.
+  async receive(received = {}, adminNotes) {
+    try {
+      if (this.status !== 'approved') {
+        throw new Error(`Return cannot move from ${this.status} to received`);
+      }
+
+      await database.withTransaction(async (db) => {
+        // Claim the return first so a concurrent receive can't restock twice
+        const claim = await db.run(`
+          UPDATE returns
+          SET status = 'received', admin_notes = COALESCE(?, admin_notes), updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = 'approved'
+        `, [adminNotes || null, this.id]);
+
+        if (claim.changes === 0) {
+          throw new Error('Return has already been received');
+        }
+
+        let refundAmount = 0;
+
+        for (const item of this.items) {
+          const quantity = received[item.id] !== undefined ? parseInt(received[item.id]) : item.quantity;
+
+          if (!Number.isInteger(quantity) || quantity < 0 || quantity > item.quantity) {
+            throw new Error(`Received quantity for return item ${item.id} must be between 0 and ${item.quantity}`);
+          }
+
+          await db.run(
+            'UPDATE return_items SET quantity_received = ? WHERE id = ?',
+            [quantity, item.id]
+          );
+
+          if (quantity > 0) {
+            await db.run(`
+              UPDATE ${item.variantId ? 'product_variants' : 'products'}
+              SET inventory = inventory + ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?
+            `, [quantity, item.variantId || item.productId]);
+          }
+
+          item.quantityReceived = quantity;
+          refundAmount += item.refundAmount * quantity / item.quantity;
+        }
+
+        this.refundAmount = roundCurrency(refundAmount);
+        await db.run(
+          'UPDATE returns SET refund_amount = ? WHERE id = ?',
+          [this.refundAmount, this.id]
+        );
+      });
+
+      this.status = 'received';
+      if (adminNotes) this.adminNotes = adminNotes;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to receive return: ${error.message}`);
+    }
+  }
+
+  // Claim a received return for refunding, so two concurrent refunds can't
+  // both reach the gateway. Only one return per order is refunded at a time,
+  // which keeps the order's refundable amount from being spent twice.
+  // Returns false if the return or its order is already being refunded.
+  async claimRefund() {
+    try {
+      const result = await database.run(`
+        UPDATE returns
+        SET status = 'refunding', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'received'
+          AND NOT EXISTS (SELECT 1 FROM returns WHERE order_id = ? AND status = 'refunding')
+      `, [this.id, this.orderId]);
+
+      if (result.changes > 0) {
+        this.status = 'refunding';
+        return true;
+      }
+      return false;
+    } catch (error) {
+      throw new Error(`Failed to claim return for refund: ${error.message}`);
+    }
+  }
+
+  // Give back the claim when the refund didn't go through, so it can be retried
+  async releaseRefund() {
+    try {
+      await database.run(`
+        UPDATE returns
+        SET status = 'received', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'refunding'
+      `, [this.id]);
+      this.status = 'received';
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to release refund claim: ${error.message}`);
+    }
+  }
+
+  // Record the refund issued for a return claimed with claimRefund()
+  async markRefunded(amount, paymentId = null) {
+    try {
+      const result = await database.run(`
+        UPDATE returns
+        SET status = 'refunded', refund_amount = ?, refund_payment_id = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'refunding'
+      `, [amount, paymentId, this.id]);
+
+      if (result.changes === 0) {
+        throw new Error(`Return cannot move from ${this.status} to refunded`);
+      }
+
+      this.status = 'refunded';
+      this.refundAmount = amount;
+      this.refundPaymentId = paymentId;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to mark return refunded: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      orderId: this.orderId,
+      userId: this.userId,
+      status: this.status,
+      reason: this.reason,
+      adminNotes: this.adminNotes,
+      refundAmount: this.refundAmount,
+      refundPaymentId: this.refundPaymentId,
+      items: this.items,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+ReturnRequest.RETURNABLE_ORDER_STATUSES = RETURNABLE_ORDER_STATUSES;
+
+module.exports = ReturnRequest;
@@ -0,0 +1,256 @@
+const database = require('../config/database');
+
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 5000;
+
+// Orders whose items count as a verified purchase
+const VERIFIED_ORDER_STATUSES = ['delivered'];
+
+// Sort orders for review lists: a SQL expression and direction
+const SORTS = {
+  newest: { expression: 'reviews.created_at', direction: 'DESC' },
+  oldest: { expression: 'reviews.created_at', direction: 'ASC' },
+  'rating-desc': { expression: 'reviews.rating', direction: 'DESC' },
+  rating: { expression: 'reviews.rating', direction: 'ASC' }
+};
+
+// A customer's rating and review of a product
+class Review {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.productId = data.product_id;
+    this.userId = data.user_id;
+    this.rating = data.rating;
+    this.title = data.title || null;
+    this.body = data.body || null;
+    this.isVerified = Boolean(data.is_verified);
+    this.status = data.status || 'published';
+    this.moderationNote = data.moderation_note || null;
+    this.moderatedBy = data.moderated_by || null;
+    this.moderatedAt = data.moderated_at || null;
+    this.authorName = Review.displayName(data.first_name, data.last_name);
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Public name for a reviewer: first name and last initial
+  static displayName(firstName, lastName) {
+    if (!firstName) return 'Anonymous';
+    return lastName ? `${firstName} ${lastName.charAt(0)}.` : firstName;
+  }
+
+  // Check review fields from the API. Returns a list of error messages.
+  static validate(data) {
+    const errors = [];
+    const rating = Number(data.rating);
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      errors.push('Rating must be a whole number from 1 to 5');
+    }
+
+    if (data.title !== undefined && data.title !== null && String(data.title).length > MAX_TITLE_LENGTH) {
+      errors.push(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    if (data.body !== undefined && data.body !== null && String(data.body).length > MAX_BODY_LENGTH) {
+      errors.push(`Review must be at most ${MAX_BODY_LENGTH} characters`);
+    }
+
+    return errors;
+  }
+
+  // Whether the user has had the product delivered
+  static async isVerifiedPurchase(userId, productId) {
+    try {
+      const row = await database.get(`
+        SELECT 1 FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.user_id = ? AND oi.product_id = ?
+          AND o.status IN (${VERIFIED_ORDER_STATUSES.map(() => '?').join(', ')})
+        LIMIT 1
+      `, [userId, productId, ...VERIFIED_ORDER_STATUSES]);
+      return Boolean(row);
+    } catch (error) {
+      throw new Error(`Failed to check purchase: ${error.message}`);
+    }
+  }
+
+  // Add a user's review of a product ({ productId, userId, rating, title, body })
+  static async create({ productId, userId, rating, title, body }) {
+    try {
+      const isVerified = await Review.isVerifiedPurchase(userId, productId);
+
+      const result = await database.run(`
+        INSERT INTO reviews (product_id, user_id, rating, title, body, is_verified)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [productId, userId, parseInt(rating), title || null, body || null, isVerified]);
+
+      return await Review.findById(result.id);
+    } catch (error) {
+      if (error.message.includes('reviews.product_id, reviews.user_id')) {
+        throw new Error('Failed to create review: Product already reviewed by this user');
+      }
+      throw new Error(`Failed to create review: ${error.message}`);
+    }
+  }
+
+  // Find review by ID, with the reviewer's name
+  static async findById(id) {
+    try {
+      const row = await database.get(`
+        SELECT reviews.*, users.first_name, users.last_name
+        FROM reviews LEFT JOIN users ON reviews.user_id = users.id
+        WHERE reviews.id = ?
+      `, [id]);
+      return row ? new Review(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to find review: ${error.message}`);
+    }
+  }
+
+  // WHERE clause for review lists ({ productId, userId, status, rating, verified })
+  static buildFilters(filters = {}) {
+    let sql = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.productId) {
+      sql += ' AND reviews.product_id = ?';
+      params.push(filters.productId);
+    }
+
+    if (filters.userId) {
+      sql += ' AND reviews.user_id = ?';
+      params.push(filters.userId);
+    }
+
+    if (filters.status) {
+      sql += ' AND reviews.status = ?';
+      params.push(filters.status);
+    }
+
+    if (filters.rating) {
+      sql += ' AND reviews.rating = ?';
+      params.push(filters.rating);
+    }
+
+    if (filters.verified !== undefined) {
+      sql += ' AND reviews.is_verified = ?';
+      params.push(filters.verified ? 1 : 0);
+    }
+
+    return { sql, params };
+  }
+
+  // One page of reviews matching the filters, in a SORTS order. Takes
+  // `page` and `pageSize`, or a `cursor` from the previous page.
+  static async findPage(filters = {}, { sort = 'newest', page = 1, pageSize = 20, cursor = null } = {}) {
+    try {
+      const order = SORTS[sort];
+      if (!order) {
+        throw new Error(`Invalid sort: ${sort}`);
+      }
+
+      const where = Review.buildFilters(filters);
+      const sql = `
+        SELECT reviews.*, users.first_name, users.last_name, ${order.expression} AS sort_value
+        FROM reviews LEFT JOIN users ON reviews.user_id = users.id
+      ` + where.sql;
+      const result = await database.paginate(sql, where.params, {
+        page, pageSize, cursor, sortKey: sort, direction: order.direction
+      });
+
+      return { reviews: result.rows.map(row => new Review(row)), pagination: result.pagination };
+    } catch (error) {
+      throw new Error(`Failed to find reviews: ${error.message}`);
+    }
+  }
+
+  // Average rating, count and the number of reviews per star for a
+  // product's published reviews
+  static async getSummary(productId) {
+    try {
+      const rows = await database.all(`
+        SELECT rating, COUNT(*) as count FROM reviews
+        WHERE product_id = ? AND status = 'published'
+        GROUP BY rating
+      `, [productId]);
+
+      const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      let count = 0;
+      let total = 0;
+      for (const row of rows) {
+        distribution[row.rating] = row.count;
+        count += row.count;
+        total += row.rating * row.count;
+      }
+
+      return {
+        average: count > 0 ? Math.round(total / count * 100) / 100 : 0,
+        count,
+        distribution
+      };
+    } catch (error) {
+      throw new Error(`Failed to summarise reviews: ${error.message}`);
+    }
+  }
+
+  // Publish or hide the review, recording who did it and why
+  async moderate(status, note, moderatorId) {
+    try {
+      if (!REVIEW_STATUSES.includes(status)) {
+        throw new Error(`Invalid status: must be one of ${REVIEW_STATUSES.join(', ')}`);
+      }
+
+      await database.run(`
+        UPDATE reviews
+        SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [status, note || null, moderatorId, this.id]);
+
+      this.status = status;
+      this.moderationNote = note || null;
+      this.moderatedBy = moderatorId;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to moderate review: ${error.message}`);
+    }
+  }
+
+  // Delete the review
+  async delete() {
+    try {
+      const result = await database.run('DELETE FROM reviews WHERE id = ?', [this.id]);
+      return result.changes > 0;
+    } catch (error) {
+      throw new Error(`Failed to delete review: ${error.message}`);
+    }
+  }
+
+  // Convert to JSON (for API responses)
+  toJSON() {
+    return {
+      id: this.id,
+      productId: this.productId,
+      userId: this.userId,
+      rating: this.rating,
+      title: this.title,
+      body: this.body,
+      isVerified: this.isVerified,
+      author: this.authorName,
+      status: this.status,
+      moderationNote: this.moderationNote,
+      moderatedBy: this.moderatedBy,
+      moderatedAt: this.moderatedAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+Review.SORTS = SORTS;
+Review.REVIEW_STATUSES = REVIEW_STATUSES;
+
+module.exports = Review;
@@ -0,0 +1,161 @@
+const database = require('../config/database');
+
+// Grants every permission. Holding it is what `is_admin` records.
+const SUPER_ADMIN = 'super_admin';
+
+const splitList = (value) => (value ? value.split(',') : []);
+
+// Staff roles. Roles and their permissions are defined by migrations;
+// admins assign them to users.
+class Role {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.permissions = splitList(data.permissions).sort();
+    this.createdAt = data.created_at;
+  }
+
+  // All roles with their permissions
+  static async findAll() {
+    try {
+      const rows = await database.all(`
+        SELECT r.*, GROUP_CONCAT(p.name) as permissions
+        FROM roles r
+        LEFT JOIN role_permissions rp ON rp.role_id = r.id
+        LEFT JOIN permissions p ON p.id = rp.permission_id
+        GROUP BY r.id
+        ORDER BY r.id ASC
+      `);
+      return rows.map(row => new Role(row));
+    } catch (error) {
+      throw new Error(`Failed to fetch roles: ${error.message}`);
+    }
+  }
+
+  // Every permission a role can grant, with what it allows
+  static async findAllPermissions() {
+    try {
+      return await database.all('SELECT name, description FROM permissions ORDER BY name ASC');
+    } catch (error) {
+      throw new Error(`Failed to fetch permissions: ${error.message}`);
+    }
+  }
+
+  // A user's role names and the permissions they grant
+  static async getUserAccess(userId) {
+    try {
+      const rows = await database.all(`
+        SELECT r.name as role, p.name as permission
+        FROM user_roles ur
+        JOIN roles r ON r.id = ur.role_id
+        LEFT JOIN role_permissions rp ON rp.role_id = r.id
+        LEFT JOIN permissions p ON p.id = rp.permission_id
+        WHERE ur.user_id = ?
+      `, [userId]);
+
+      const roles = new Set();
+      const permissions = new Set();
+      for (const row of rows) {
+        roles.add(row.role);
+        if (row.permission) permissions.add(row.permission);
+      }
+
+      return { roles: [...roles].sort(), permissions: [...permissions].sort() };
+    } catch (error) {
+      throw new Error(`Failed to get user access: ${error.message}`);
+    }
+  }
+
+  // Role names for several users at once, as a Map of user id to names
+  static async getRolesForUsers(userIds) {
+    try {
+      const roles = new Map(userIds.map(id => [id, []]));
+      if (userIds.length === 0) return roles;
+
+      const rows = await database.all(`
+        SELECT ur.user_id, r.name
+        FROM user_roles ur
+        JOIN roles r ON r.id = ur.role_id
+        WHERE ur.user_id IN (${userIds.map(() => '?').join(', ')})
+        ORDER BY r.name ASC
+      `, userIds);
+
+      for (const row of rows) {
+        roles.get(row.user_id).push(row.name);
+      }
+      return roles;
+    } catch (error) {
+      throw new Error(`Failed to get user roles: ${error.message}`);
+    }
+  }
+
+  // Give a user a role, if they don't have it already
+  static async addToUser(userId, roleName, { assignedBy = null } = {}, db = database) {
+    try {
+      const result = await db.run(`
+        INSERT OR IGNORE INTO user_roles (user_id, role_id, assigned_by)
+        SELECT ?, id, ? FROM roles WHERE name = ?
+      `, [userId, assignedBy, roleName]);
+      return result.changes > 0;
+    } catch (error) {
+      throw new Error(`Failed to assign role: ${error.message}`);
+    }
+  }
+
+  // Take a role away from a user
+  static async removeFromUser(userId, roleName, db = database) {
+    try {
+      const result = await db.run(`
+        DELETE FROM user_roles
+        WHERE user_id = ? AND role_id = (SELECT id FROM roles WHERE name = ?)
+      `, [userId, roleName]);
+      return result.changes > 0;
+    } catch (error) {
+      throw new Error(`Failed to remove role: ${error.message}`);
+    }
+  }
+
+  // Replace a user's roles. Keeps `is_admin` in step with super_admin.
+  static async setUserRoles(userId, roleNames, { assignedBy = null } = {}) {
+    try {
+      const names = [...new Set(roleNames)];
+      const known = new Set((await Role.findAll()).map(role => role.name));
+      const unknown = names.filter(name => !known.has(name));
+
+      if (unknown.length > 0) {
+        throw new Error(`Unknown role: ${unknown.join(', ')}`);
+      }
+
+      await database.withTransaction(async (db) => {
+        await db.run('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+
+        for (const name of names) {
+          await Role.addToUser(userId, name, { assignedBy }, db);
+        }
+
+        await db.run(
+          'UPDATE users SET is_admin = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [names.includes(SUPER_ADMIN) ? 1 : 0, userId]
+        );
+      });
+
+      return names.sort();
+    } catch (error) {
+      throw new Error(`Failed to set user roles: ${error.message}`);
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      permissions: this.permissions
+    };
+  }
+}
+
+Role.SUPER_ADMIN = SUPER_ADMIN;
+
+module.exports = Role;
@@ -1,5 +1,33 @@
 const database = require('../config/database');
 const bcrypt = require('bcrypt');
+const Role = require('./Role');
+
+// Failed logins before an account is locked. Each further failure doubles
+// the lock, up to the maximum. Failures are forgotten after a quiet day.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MINUTES = 1;
+const LOCKOUT_MAX_MINUTES = 60;
+// Doublings it takes to reach the maximum. The exponent is capped here so a
+// long run of failures can't overflow the shift and clear the lock.
+const LOCKOUT_MAX_DOUBLINGS = Math.ceil(Math.log2(LOCKOUT_MAX_MINUTES / LOCKOUT_BASE_MINUTES));
+
+// Saved address rows as the API returns them; the name, phone and country
+// fields line up with an order's shipping address
+const formatAddress = (row) => ({
+  id: row.id,
+  label: row.label,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  street: row.street,
+  city: row.city,
+  state: row.state,
+  zipCode: row.zip_code,
+  country: row.country,
+  phone: row.phone,
+  isDefault: Boolean(row.is_default),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
 
 class User {
   constructor(data = {}) {
@@ -10,6 +38,13 @@ class User {
     this.lastName = data.last_name;
     this.phone = data.phone;
     this.isAdmin = data.is_admin;
+    this.isActive = data.is_active !== undefined ? Boolean(data.is_active) : true;
+    this.disabledAt = data.disabled_at;
+    this.emailVerified = Boolean(data.email_verified);
+    this.emailVerifiedAt = data.email_verified_at;
+    this.failedLoginAttempts = data.failed_login_attempts || 0;
+    this.lastFailedLoginAt = data.last_failed_login_at;
+    this.lockedUntil = data.locked_until;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
@@ -33,6 +68,10 @@ class User {
           VALUES (?, ?, ?, ?, ?, ?)
         `, [this.email, this.password, this.firstName, this.lastName, this.phone, this.isAdmin || 0]);
         this.id = result.id;
+
+        if (this.isAdmin) {
+          await Role.addToUser(this.id, Role.SUPER_ADMIN);
+        }
         return true;
       }
     } catch (error) {
@@ -60,27 +99,60 @@ class User {
     }
   }
 
+  // Build the WHERE clause shared by findAll and count
+  static buildFilters(filters = {}) {
+    let sql = ' WHERE 1=1';
+    const params = [];
+
+    if (filters.isAdmin !== undefined) {
+      sql += ' AND is_admin = ?';
+      params.push(filters.isAdmin ? 1 : 0);
+    }
+
+    // Staff hold at least one role; customers hold none
+    if (filters.isStaff !== undefined) {
+      sql += ` AND ${filters.isStaff ? '' : 'NOT '}EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = users.id)`;
+    }
+
+    if (filters.role) {
+      sql += ' AND EXISTS (SELECT 1 FROM user_roles ur JOIN roles r ON r.id = ur.role_id WHERE ur.user_id = users.id AND r.name = ?)';
+      params.push(filters.role);
+    }
+
+    if (filters.isActive !== undefined) {
+      sql += ' AND is_active = ?';
+      params.push(filters.isActive ? 1 : 0);
+    }
+
+    if (filters.isLocked) {
+      sql += ' AND locked_until > CURRENT_TIMESTAMP';
+    }
+
+    if (filters.search) {
+      sql += " AND (first_name LIKE ? OR last_name LIKE ? OR email LIKE ? OR (first_name || ' ' || last_name) LIKE ?)";
+      params.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+    }
+
+    return { sql, params };
+  }
+
   // Find all users
   static async findAll(filters = {}) {
     try {
-      let sql = 'SELECT * FROM users WHERE 1=1';
-      const params = [];
-
-      if (filters.isAdmin !== undefined) {
-        sql += ' AND is_admin = ?';
-        params.push(filters.isAdmin);
-      }
-
-      if (filters.search) {
-        sql += ' AND (first_name LIKE ? OR last_name LIKE ? OR email LIKE ?)';
-        params.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
-      }
+      const where = User.buildFilters(filters);
+      let sql = 'SELECT * FROM users' + where.sql;
+      const params = [...where.params];
 
-      sql += ' ORDER BY created_at DESC';
+      sql += ' ORDER BY created_at DESC, id DESC';
 
       if (filters.limit) {
         sql += ' LIMIT ?';
         params.push(filters.limit);
+
+        if (filters.offset) {
+          sql += ' OFFSET ?';
+          params.push(filters.offset);
+        }
       }
 
       const rows = await database.all(sql, params);
@@ -90,6 +162,17 @@ class User {
     }
   }
 
+  // Count users matching the same filters as findAll
+  static async count(filters = {}) {
+    try {
+      const where = User.buildFilters(filters);
+      const row = await database.get('SELECT COUNT(*) as count FROM users' + where.sql, where.params);
+      return row.count;
+    } catch (error) {
+      throw new Error(`Failed to count users: ${error.message}`);
+    }
+  }
+
   // Create user with hashed password
   static async create(userData) {
     try {
@@ -138,6 +221,156 @@ class User {
     }
   }
 
+  // Record that the user proved they own their email address
+  async markEmailVerified() {
+    try {
+      await database.run(`
+        UPDATE users 
+        SET email_verified = 1, email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ?
+      `, [this.id]);
+
+      const user = await User.findById(this.id);
+      this.emailVerified = user.emailVerified;
+      this.emailVerifiedAt = user.emailVerifiedAt;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to verify email: ${error.message}`);
+    }
+  }
+
+  // Whether repeated failed logins have locked the account right now
+  isLocked() {
+    return Boolean(this.lockedUntil) && new Date(`${this.lockedUntil}Z`) > new Date();
+  }
+
+  // Seconds until the lock lifts (0 when not locked)
+  getLockSecondsRemaining() {
+    if (!this.isLocked()) return 0;
+    return Math.ceil((new Date(`${this.lockedUntil}Z`) - new Date()) / 1000);
+  }
+
+  // Count a failed login, locking the account once there have been too many
+  async recordFailedLogin() {
+    try {
+      await database.run(`
+        UPDATE users SET failed_login_attempts = 0
+        WHERE id = ? AND last_failed_login_at < datetime('now', '-1 day')
+      `, [this.id]);
+
+      // Done in SQL so concurrent failures all count
+      await database.run(`
+        UPDATE users
+        SET failed_login_attempts = failed_login_attempts + 1,
+            last_failed_login_at = CURRENT_TIMESTAMP,
+            locked_until = CASE
+              WHEN failed_login_attempts + 1 >= ?
+              THEN datetime('now', '+' || MIN(? << MIN(failed_login_attempts + 1 - ?, ?), ?) || ' minutes')
+              ELSE locked_until
+            END
+        WHERE id = ?
+      `, [LOCKOUT_THRESHOLD, LOCKOUT_BASE_MINUTES, LOCKOUT_THRESHOLD, LOCKOUT_MAX_DOUBLINGS, LOCKOUT_MAX_MINUTES, this.id]);
+
+      const user = await User.findById(this.id);
+      this.failedLoginAttempts = user.failedLoginAttempts;
+      this.lastFailedLoginAt = user.lastFailedLoginAt;
+      this.lockedUntil = user.lockedUntil;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to record failed login: ${error.message}`);
+    }
+  }
+
+  // Clear failed logins and any lock, after a successful login, a password
+  // reset or an admin unlock
+  async resetFailedLogins() {
+    try {
+      await database.run(`
+        UPDATE users 
+        SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL 
+        WHERE id = ?
+      `, [this.id]);
+
+      this.failedLoginAttempts = 0;
+      this.lastFailedLoginAt = null;
+      this.lockedUntil = null;
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to reset failed logins: ${error.message}`);
+    }
+  }
+
+  // Grant or revoke the super_admin role. Other roles are left alone.
+  async setAdmin(isAdmin, { assignedBy = null } = {}) {
+    try {
+      const result = await database.withTransaction(async (db) => {
+        const update = await db.run(`
+          UPDATE users 
+          SET is_admin = ?, updated_at = CURRENT_TIMESTAMP 
+          WHERE id = ?
+        `, [isAdmin ? 1 : 0, this.id]);
+
+        if (isAdmin) {
+          await Role.addToUser(this.id, Role.SUPER_ADMIN, { assignedBy }, db);
+        } else {
+          await Role.removeFromUser(this.id, Role.SUPER_ADMIN, db);
+        }
+        return update;
+      });
+
+      if (result.changes > 0) {
+        this.isAdmin = isAdmin ? 1 : 0;
+        return true;
+      }
+      return false;
+    } catch (error) {
+      throw new Error(`Failed to update user role: ${error.message}`);
+    }
+  }
+
+  // Enable or disable the account. Disabled users can't log in or use
+  // tokens issued before they were disabled.
+  async setActive(isActive) {
+    try {
+      const result = await database.run(`
+        UPDATE users 
+        SET is_active = ?, disabled_at = ${isActive ? 'NULL' : 'CURRENT_TIMESTAMP'}, updated_at = CURRENT_TIMESTAMP 
+        WHERE id = ?
+      `, [isActive ? 1 : 0, this.id]);
+
+      if (result.changes > 0) {
+        const user = await User.findById(this.id);
+        this.isActive = user.isActive;
+        this.disabledAt = user.disabledAt;
+        return true;
+      }
+      return false;
+    } catch (error) {
+      throw new Error(`Failed to update account status: ${error.message}`);
+    }
+  }
+
+  // Order count and lifetime spend, for the admin user view
+  async getOrderStats() {
+    try {
+      const row = await database.get(`
+        SELECT COUNT(*) as order_count,
+               COALESCE(SUM(CASE WHEN payment_status = 'completed' THEN total_amount ELSE 0 END), 0) as total_spent,
+               MAX(created_at) as last_order_at
+        FROM orders
+        WHERE user_id = ?
+      `, [this.id]);
+
+      return {
+        orderCount: row.order_count,
+        totalSpent: row.total_spent,
+        lastOrderAt: row.last_order_at
+      };
+    } catch (error) {
+      throw new Error(`Failed to get user order stats: ${error.message}`);
+    }
+  }
+
   // Delete user
   async delete() {
     try {
@@ -151,92 +384,146 @@ class User {
     }
   }
 
-  // Get user addresses
+  // Get the user's saved addresses, default first
   async getAddresses() {
     try {
       const rows = await database.all(`
         SELECT * FROM user_addresses 
         WHERE user_id = ? 
-        ORDER BY is_default DESC, created_at DESC
+        ORDER BY is_default DESC, created_at DESC, id DESC
       `, [this.id]);
-      return rows;
+      return rows.map(formatAddress);
     } catch (error) {
       throw new Error(`Failed to get user addresses: ${error.message}`);
     }
   }
 
-  // Add address
+  // Get one of the user's saved addresses
+  async getAddress(addressId) {
+    try {
+      const row = await database.get(
+        'SELECT * FROM user_addresses WHERE id = ? AND user_id = ?',
+        [addressId, this.id]
+      );
+      return row ? formatAddress(row) : null;
+    } catch (error) {
+      throw new Error(`Failed to get user address: ${error.message}`);
+    }
+  }
+
+  // Add address. A user's first address becomes their default.
   async addAddress(addressData) {
     try {
-      const result = await database.run(`
-        INSERT INTO user_addresses (user_id, street, city, state, zip_code, country, is_default)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `, [
-        this.id,
-        addressData.street,
-        addressData.city,
-        addressData.state,
-        addressData.zipCode,
-        addressData.country || 'US',
-        addressData.isDefault || 0
-      ]);
-      
-      // If this is set as default, unset other defaults
-      if (addressData.isDefault) {
-        await database.run(`
-          UPDATE user_addresses 
-          SET is_default = 0 
-          WHERE user_id = ? AND id != ?
-        `, [this.id, result.id]);
-      }
-      
-      return result.id;
+      return await database.withTransaction(async (db) => {
+        const existing = await db.get(
+          'SELECT COUNT(*) AS count FROM user_addresses WHERE user_id = ?',
+          [this.id]
+        );
+        const isDefault = Boolean(addressData.isDefault) || existing.count === 0;
+
+        const result = await db.run(`
+          INSERT INTO user_addresses (
+            user_id, label, first_name, last_name, street, city, state, zip_code, country, phone, is_default
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          this.id,
+          addressData.label || null,
+          addressData.firstName || null,
+          addressData.lastName || null,
+          addressData.street,
+          addressData.city,
+          addressData.state,
+          addressData.zipCode,
+          addressData.country || 'US',
+          addressData.phone || null,
+          isDefault ? 1 : 0
+        ]);
+
+        // If this is set as default, unset other defaults
+        if (isDefault) {
+          await db.run(`
+            UPDATE user_addresses 
+            SET is_default = 0 
+            WHERE user_id = ? AND id != ?
+          `, [this.id, result.id]);
+        }
+
+        return result.id;
+      });
     } catch (error) {
       throw new Error(`Failed to add address: ${error.message}`);
     }
   }
 
-  // Update address
+  // Update address. An address can be made the default but not unmade:
+  // the user picks another default instead, so one always exists.
   async updateAddress(addressId, addressData) {
     try {
-      const result = await database.run(`
-        UPDATE user_addresses 
-        SET street = ?, city = ?, state = ?, zip_code = ?, country = ?, is_default = ?
-        WHERE id = ? AND user_id = ?
-      `, [
-        addressData.street,
-        addressData.city,
-        addressData.state,
-        addressData.zipCode,
-        addressData.country || 'US',
-        addressData.isDefault || 0,
-        addressId,
-        this.id
-      ]);
-      
-      // If this is set as default, unset other defaults
-      if (addressData.isDefault) {
-        await database.run(`
+      return await database.withTransaction(async (db) => {
+        const result = await db.run(`
           UPDATE user_addresses 
-          SET is_default = 0 
-          WHERE user_id = ? AND id != ?
-        `, [this.id, addressId]);
-      }
-      
-      return result.changes > 0;
+          SET label = ?, first_name = ?, last_name = ?, street = ?, city = ?, state = ?, zip_code = ?,
+              country = ?, phone = ?, is_default = CASE WHEN ? THEN 1 ELSE is_default END,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND user_id = ?
+        `, [
+          addressData.label || null,
+          addressData.firstName || null,
+          addressData.lastName || null,
+          addressData.street,
+          addressData.city,
+          addressData.state,
+          addressData.zipCode,
+          addressData.country || 'US',
+          addressData.phone || null,
+          addressData.isDefault ? 1 : 0,
+          addressId,
+          this.id
+        ]);
+
+        // If this is set as default, unset other defaults
+        if (result.changes > 0 && addressData.isDefault) {
+          await db.run(`
+            UPDATE user_addresses 
+            SET is_default = 0 
+            WHERE user_id = ? AND id != ?
+          `, [this.id, addressId]);
+        }
+
+        return result.changes > 0;
+      });
     } catch (error) {
       throw new Error(`Failed to update address: ${error.message}`);
     }
   }
 
-  // Delete address
+  // Delete address. Deleting the default makes the most recently added of
+  // the remaining addresses the default.
   async deleteAddress(addressId) {
     try {
-      const result = await database.run(`
-        DELETE FROM user_addresses 
-        WHERE id = ? AND user_id = ?
-      `, [addressId, this.id]);
-      return result.changes > 0;
+      return await database.withTransaction(async (db) => {
+        const address = await db.get(
+          'SELECT is_default FROM user_addresses WHERE id = ? AND user_id = ?',
+          [addressId, this.id]
+        );
+        if (!address) return false;
+
+        await db.run('DELETE FROM user_addresses WHERE id = ?', [addressId]);
+
+        if (address.is_default) {
+          await db.run(`
+            UPDATE user_addresses 
+            SET is_default = 1 
+            WHERE id = (
+              SELECT id FROM user_addresses WHERE user_id = ?
+              ORDER BY created_at DESC, id DESC LIMIT 1
+            )
+          `, [this.id]);
+        }
+
+        return true;
+      });
     } catch (error) {
       throw new Error(`Failed to delete address: ${error.message}`);
     }
@@ -251,15 +538,30 @@ class User {
       lastName: this.lastName,
       phone: this.phone,
       isAdmin: Boolean(this.isAdmin),
+      isActive: this.isActive,
+      disabledAt: this.disabledAt,
+      emailVerified: this.emailVerified,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
   }
 
+  // Convert to JSON for the admin user views, adding the login lockout state
+  toAdminJSON() {
+    return {
+      ...this.toJSON(),
+      failedLoginAttempts: this.failedLoginAttempts,
+      lockedUntil: this.isLocked() ? this.lockedUntil : null
+    };
+  }
+
   // Get full name
   get fullName() {
     return `${this.firstName} ${this.lastName}`.trim();
   }
 }
 
+User.LOCKOUT_THRESHOLD = LOCKOUT_THRESHOLD;
+User.LOCKOUT_MAX_MINUTES = LOCKOUT_MAX_MINUTES;
+
 module.exports = User;
\ No newline at end of file
@@ -1,11 +1,43 @@
 const Product = require('./Product');
+const ProductVariant = require('./ProductVariant');
+const Category = require('./Category');
+const Review = require('./Review');
 const User = require('./User');
 const Cart = require('./Cart');
 const Order = require('./Order');
+const Reservation = require('./Reservation');
+const Promotion = require('./Promotion');
+const Payment = require('./Payment');
+const PaymentEvent = require('./PaymentEvent');
+const ReturnRequest = require('./ReturnRequest');
+const RefreshToken = require('./RefreshToken');
+const AccountToken = require('./AccountToken');
+const Role = require('./Role');
+const AuditLog = require('./AuditLog');
+const EmailMessage = require('./EmailMessage');
+const EmailTemplate = require('./EmailTemplate');
+const Job = require('./Job');
+const JobSchedule = require('./JobSchedule');
 
 module.exports = {
   Product,
+  ProductVariant,
+  Category,
+  Review,
   User,
   Cart,
-  Order
+  Order,
+  Reservation,
+  Promotion,
+  Payment,
+  PaymentEvent,
+  ReturnRequest,
+  RefreshToken,
+  AccountToken,
+  Role,
+  AuditLog,
+  EmailMessage,
+  EmailTemplate,
+  Job,
+  JobSchedule
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+
+/**
+ * Local mock gateway for development and tests. Nothing leaves the process.
+ *
+ * Payment tokens look like `tok_mock_<card suffix>`. The suffix picks the
+ * outcome, mirroring the test cards real providers publish:
+ *   ...0002  card_declined
+ *   ...9995  insufficient_funds
+ *   ...0069  expired_card
+ *   anything else is approved
+ */
+const DECLINE_SUFFIXES = {
+  '0002': { errorCode: 'card_declined', message: 'Your card was declined' },
+  '9995': { errorCode: 'insufficient_funds', message: 'Your card has insufficient funds' },
+  '0069': { errorCode: 'expired_card', message: 'Your card has expired' }
+};
+
+const TOKEN_PATTERN = /^tok_mock_[a-z0-9]+$/i;
+
+class MockGateway extends PaymentGateway {
+  constructor() {
+    super('mock');
+  }
+
+  generateTransactionId(prefix) {
+    return `mock_${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  async authorize({ amount, currency = 'USD', paymentToken }) {
+    if (!paymentToken || !TOKEN_PATTERN.test(paymentToken)) {
+      return {
+        success: false,
+        errorCode: 'invalid_token',
+        message: 'Payment token is not valid',
+        raw: { paymentToken: paymentToken || null }
+      };
+    }
+
+    const decline = Object.entries(DECLINE_SUFFIXES)
+      .find(([suffix]) => paymentToken.endsWith(suffix));
+
+    if (decline) {
+      return { success: false, ...decline[1], raw: { amount, currency, declined: true } };
+    }
+
+    const transactionId = this.generateTransactionId('auth');
+    return {
+      success: true,
+      transactionId,
+      raw: { id: transactionId, amount, currency, status: 'authorized' }
+    };
+  }
+
+  async capture({ transactionId, amount, currency = 'USD' }) {
+    return {
+      success: true,
+      transactionId,
+      raw: { id: transactionId, amount, currency, status: 'captured' }
+    };
+  }
+
+  async void({ transactionId }) {
+    return {
+      success: true,
+      transactionId,
+      raw: { id: transactionId, status: 'voided' }
+    };
+  }
+
+  async refund({ transactionId, amount, currency = 'USD' }) {
+    const refundId = this.generateTransactionId('refund');
+    return {
+      success: true,
+      transactionId: refundId,
+      raw: { id: refundId, charge: transactionId, amount, currency, status: 'refunded' }
+    };
+  }
+}
+
+module.exports = MockGateway;
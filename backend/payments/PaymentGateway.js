@@ -0,0 +1,37 @@
+/**
+ * Payment gateway interface
+ * Adapters for real providers extend this class and implement each operation.
+ *
+ * Every operation resolves to a result object rather than throwing for
+ * declines, so callers can record the attempt either way:
+ *   { success, transactionId, errorCode, message, raw }
+ */
+
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Reserve `amount` on the customer's payment method
+  // ({ amount, currency, paymentToken, orderId })
+  async authorize() {
+    throw new Error(`${this.name} gateway does not implement authorize`);
+  }
+
+  // Collect a previously authorized amount ({ transactionId, amount, currency })
+  async capture() {
+    throw new Error(`${this.name} gateway does not implement capture`);
+  }
+
+  // Release an authorization that will not be captured ({ transactionId })
+  async void() {
+    throw new Error(`${this.name} gateway does not implement void`);
+  }
+
+  // Return all or part of a captured amount ({ transactionId, amount, currency })
+  async refund() {
+    throw new Error(`${this.name} gateway does not implement refund`);
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,43 @@
+const PaymentGateway = require('./PaymentGateway');
+const MockGateway = require('./MockGateway');
+
+// Gateway factories by provider name. Real providers register here.
+const gateways = {
+  mock: () => new MockGateway()
+};
+
+const instances = {};
+
+/**
+ * Register a payment provider adapter (a factory returning a PaymentGateway)
+ */
+function registerGateway(name, factory) {
+  gateways[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * Get the gateway for a provider, defaulting to PAYMENT_PROVIDER (or the mock)
+ */
+function getGateway(name = process.env.PAYMENT_PROVIDER || 'mock') {
+  if (!gateways[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+
+  if (!instances[name]) {
+    const gateway = gateways[name]();
+    if (!(gateway instanceof PaymentGateway)) {
+      throw new Error(`Payment provider ${name} must extend PaymentGateway`);
+    }
+    instances[name] = gateway;
+  }
+
+  return instances[name];
+}
+
+module.exports = {
+  PaymentGateway,
+  MockGateway,
+  registerGateway,
+  getGateway
+};
@@ -0,0 +1,118 @@
+const { getGateway } = require('./index');
+const Payment = require('../models/Payment');
+const { roundCurrency } = require('../utils/pricing');
+
+/**
+ * Call a gateway operation, turning thrown errors (network, provider outage)
+ * into a failed result so the attempt is still recorded
+ */
+async function callGateway(gateway, operation, params) {
+  try {
+    return await gateway[operation](params);
+  } catch (error) {
+    return { success: false, errorCode: 'gateway_error', message: error.message };
+  }
+}
+
+/**
+ * Charge an order through the configured gateway: authorize, then capture.
+ * Every call is recorded in `payments`. On success the order is confirmed
+ * via Order.processPaymentCompletion; on a decline its payment status
+ * becomes 'failed' so the customer can retry.
+ */
+async function payForOrder(order, paymentToken) {
+  // Claim the order first so two concurrent attempts can't both charge it
+  if (!await order.markPaymentProcessing()) {
+    throw new Error('Order is not awaiting payment');
+  }
+
+  const gateway = getGateway();
+  const amount = order.totalAmount;
+  const record = (operation, result) => Payment.record({
+    orderId: order.id,
+    provider: gateway.name,
+    operation,
+    amount,
+    result
+  });
+
+  const authorization = await callGateway(gateway, 'authorize', {
+    amount,
+    currency: 'USD',
+    paymentToken,
+    orderId: order.id
+  });
+  await record('authorize', authorization);
+
+  if (!authorization.success) {
+    await order.updatePaymentStatus('failed');
+    return { success: false, errorCode: authorization.errorCode, message: authorization.message };
+  }
+
+  const capture = await callGateway(gateway, 'capture', {
+    transactionId: authorization.transactionId,
+    amount,
+    currency: 'USD'
+  });
+  const payment = await record('capture', capture);
+
+  if (!capture.success) {
+    // Don't leave funds held on the customer's card
+    await record('void', await callGateway(gateway, 'void', { transactionId: authorization.transactionId }));
+    await order.updatePaymentStatus('failed');
+    return { success: false, errorCode: capture.errorCode, message: capture.message };
+  }
+
+  await order.processPaymentCompletion();
+  return { success: true, payment };
+}
+
+/**
+ * Refund all or part of an order's captured payment through the gateway it
+ * was charged on. Refunds can't exceed what was captured less what was
+ * already refunded; once everything is refunded the order's payment status
+ * becomes 'refunded'.
+ */
+async function refundOrder(order, amount) {
+  const capture = await Payment.findCaptureForOrder(order.id);
+  if (!capture) {
+    throw new Error('Order has no captured payment to refund');
+  }
+
+  const refundable = roundCurrency(capture.amount - await Payment.getRefundedTotal(order.id));
+  amount = roundCurrency(amount);
+
+  if (!(amount > 0) || amount > refundable) {
+    throw new Error(`Refund amount must be between 0.01 and ${refundable.toFixed(2)}`);
+  }
+
+  const gateway = getGateway(capture.provider);
+  const result = await callGateway(gateway, 'refund', {
+    transactionId: capture.transactionId,
+    amount,
+    currency: capture.currency
+  });
+  const payment = await Payment.record({
+    orderId: order.id,
+    provider: gateway.name,
+    operation: 'refund',
+    amount,
+    currency: capture.currency,
+    result
+  });
+
+  if (!result.success) {
+    return { success: false, errorCode: result.errorCode, message: result.message, payment };
+  }
+
+  if (amount >= refundable) {
+    await order.updatePaymentStatus('refunded');
+  }
+
+  return { success: true, payment };
+}
+
+module.exports = {
+  payForOrder,
+  refundOrder
+};
@@ -0,0 +1,79 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { SIGNATURE_HEADER, EVENT_PAYMENT_STATUS, signPayload } = require('./webhooks');
+
+/**
+ * Send a signed fake payment event to a running server, for exercising the
+ * webhook locally. Signs with PAYMENT_WEBHOOK_SECRET, like the server.
+ *
+ *   node backend/payments/sendTestEvent.js <type> <orderId> [--id <eventId>] [--url <webhook url>]
+ *
+ * Pass the same --id twice to check that a replayed delivery is a no-op.
+ */
+
+const DEFAULT_URL = `http://localhost:${process.env.PORT || 3000}/api/payments/webhook`;
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+
+  return { type: positional[0], orderId: positional[1], options };
+}
+
+/**
+ * Build and send an event. Resolves to { status, body } from the server.
+ */
+async function sendTestEvent({ type, orderId, eventId, url = DEFAULT_URL, transactionId }) {
+  const payload = JSON.stringify({
+    id: eventId || `evt_test_${crypto.randomBytes(8).toString('hex')}`,
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      orderId: parseInt(orderId),
+      transactionId: transactionId || null
+    }
+  });
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signPayload(payload)
+    },
+    body: payload
+  });
+
+  return { status: response.status, body: await response.json() };
+}
+
+if (require.main === module) {
+  const { type, orderId, options } = parseArgs(process.argv.slice(2));
+
+  if (!type || !orderId) {
+    console.error('Usage: node backend/payments/sendTestEvent.js <type> <orderId> [--id <eventId>] [--url <url>]');
+    console.error(`Event types: ${Object.keys(EVENT_PAYMENT_STATUS).join(', ')}`);
+    process.exit(1);
+  }
+
+  sendTestEvent({ type, orderId, eventId: options.id, url: options.url, transactionId: options.transaction })
+    .then(({ status, body }) => {
+      console.log(`${status} ${JSON.stringify(body, null, 2)}`);
+      process.exit(status < 300 ? 0 : 1);
+    })
+    .catch(error => {
+      console.error('Failed to send event:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  sendTestEvent
+};
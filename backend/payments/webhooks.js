@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { getGateway } = require('./index');
+const Order = require('../models/Order');
+const PaymentEvent = require('../models/PaymentEvent');
+
+/**
+ * Payment provider webhooks.
+ *
+ * Deliveries are signed with HMAC-SHA256 over `<timestamp>.<raw body>` and
+ * carry the signature in the X-Payment-Signature header as
+ * `t=<unix seconds>,v1=<hex digest>`. Events look like:
+ *   { id: 'evt_...', type: 'payment.succeeded', data: { orderId, transactionId } }
+ */
+
+const SIGNATURE_HEADER = 'X-Payment-Signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Order payment status each event type moves to
+const EVENT_PAYMENT_STATUS = {
+  'payment.succeeded': 'completed',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+// Payment statuses each target status may be reached from. Events can arrive
+// late or out of order, so e.g. a stale failure never undoes a completion.
+const ALLOWED_TRANSITIONS = {
+  completed: ['pending', 'processing', 'failed'],
+  failed: ['pending', 'processing'],
+  refunded: ['completed']
+};
+
+// There is deliberately no fallback: a default secret would be public, and
+// anyone could sign events with it. Without one, webhooks are refused.
+function getWebhookSecret() {
+  return process.env.PAYMENT_WEBHOOK_SECRET || null;
+}
+
+function computeSignature(payload, timestamp, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+}
+
+/**
+ * Build a signature header value for a raw payload
+ */
+function signPayload(payload, { secret = getWebhookSecret(), timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return `t=${timestamp},v1=${computeSignature(payload, timestamp, secret)}`;
+}
+
+/**
+ * Check a signature header against the raw payload. Rejects signatures older
+ * than the tolerance so captured deliveries can't be replayed later.
+ */
+function verifySignature(payload, header, { secret = getWebhookSecret(), now = Date.now() } = {}) {
+  if (!payload || !header || !secret) return false;
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => part.trim().split('=', 2))
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(computeSignature(payload, timestamp, secret), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Record an event and apply it to its order. Replays of an event that was
+ * already handled are no-ops. Returns { event, duplicate }.
+ */
+async function handleWebhookEvent(event, rawPayload) {
+  if (!event || typeof event.id !== 'string' || !event.id || typeof event.type !== 'string') {
+    throw new Error('Invalid webhook event: id and type are required');
+  }
+
+  const data = event.data || {};
+  const order = parseInt(data.orderId) ? await Order.findById(parseInt(data.orderId)) : null;
+
+  const { event: record, duplicate } = await PaymentEvent.receive({
+    eventId: event.id,
+    provider: getGateway().name,
+    type: event.type,
+    orderId: order ? order.id : null,
+    transactionId: data.transactionId || null,
+    payload: rawPayload
+  });
+
+  if (duplicate) {
+    return { event: record, duplicate: true };
+  }
+
+  try {
+    const targetStatus = EVENT_PAYMENT_STATUS[event.type];
+
+    if (!targetStatus) {
+      await record.finish('ignored', `Unhandled event type: ${event.type}`);
+    } else if (!order) {
+      await record.finish('ignored', 'Order not found');
+    } else if (!ALLOWED_TRANSITIONS[targetStatus].includes(order.paymentStatus)) {
+      await record.finish('ignored', `Payment is already ${order.paymentStatus}`);
+    } else {
+      if (targetStatus === 'completed') {
+        await order.processPaymentCompletion();
+      } else {
+        await order.updatePaymentStatus(targetStatus);
+      }
+      await record.finish('processed');
+    }
+  } catch (error) {
+    // Leave the event claimable so the provider's retry processes it
+    await record.finish('failed', error.message);
+    throw error;
+  }
+
+  return { event: record, duplicate: false };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  EVENT_PAYMENT_STATUS,
+  getWebhookSecret,
+  signPayload,
+  verifySignature,
+  handleWebhookEvent
+};
@@ -1,12 +1,87 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ProductVariant = require('../models/ProductVariant');
 const Order = require('../models/Order');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateQuantity, validateRequired } = require('../utils/validation');
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const ReturnRequest = require('../models/ReturnRequest');
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, hasPermission, requirePermission } = require('../middleware/auth');
+const { validateQuantity, validateRequired, sanitizeString } = require('../utils/validation');
+const { auditAction, toCsv } = require('../utils/audit');
+const { parsePagination, buildPagination, sendPaginationError } = require('../utils/pagination');
+
+const MAX_AUDIT_EXPORT_ROWS = 10000;
+
+// Load the user named in the URL, or send the matching error response
+const loadUser = async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  if (isNaN(userId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_USER_ID',
+        message: 'Invalid user ID'
+      }
+    });
+    return null;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'USER_NOT_FOUND',
+        message: 'User not found'
+      }
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Admins can't change their own roles or disable themselves and lock
+// everyone out
+const rejectSelfChange = (req, res, user) => {
+  if (user.id !== req.user.id) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      code: 'CANNOT_MODIFY_SELF',
+      message: 'You cannot change your own role or account status'
+    }
+  });
+  return true;
+};
+
+// Staff accounts (any user holding a role) can only be disabled or unlocked
+// by admins who can assign roles, so e.g. support can't lock out a
+// super_admin
+const rejectStaffChange = async (req, res, user) => {
+  if (hasPermission(req.user, 'roles:assign')) return false;
+
+  const { roles } = await Role.getUserAccess(user.id);
+  if (roles.length === 0) return false;
+
+  res.status(403).json({
+    success: false,
+    error: {
+      code: 'PERMISSION_DENIED',
+      message: 'Changing a staff account requires permission: roles:assign'
+    }
+  });
+  return true;
+};
 
 // Get inventory dashboard data
-router.get('/inventory/dashboard', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/inventory/dashboard', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const { lowStockThreshold = 5 } = req.query;
     const threshold = parseInt(lowStockThreshold);
@@ -43,7 +118,7 @@ router.get('/inventory/dashboard', authenticateToken, requireAdmin, async (req,
 });
 
 // Get low stock alerts
-router.get('/inventory/alerts', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/inventory/alerts', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const { threshold = 5 } = req.query;
     const lowStockThreshold = parseInt(threshold);
@@ -51,21 +126,35 @@ router.get('/inventory/alerts', authenticateToken, requireAdmin, async (req, res
     const lowStockProducts = await Product.getLowStock(lowStockThreshold);
     const outOfStockProducts = await Product.getOutOfStock();
 
+    // Products with variants get one alert per variant that needs stock
+    const stockUnits = (products) => products.flatMap(product => (
+      product.variants
+        ? product.variants.map(variant => ({ product, variant, inventory: variant.inventory }))
+        : [{ product, variant: null, inventory: product.inventory }]
+    ));
+
+    const describe = ({ product, variant }) => (
+      variant ? `${product.name} (${ProductVariant.labelFor(variant.options)})` : product.name
+    );
+
+    const alertFor = (unit, fields) => ({
+      id: unit.variant ? `${unit.product.id}-${unit.variant.id}` : unit.product.id,
+      ...fields,
+      product: unit.product.toJSON(),
+      variant: unit.variant ? unit.variant.toJSON() : null
+    });
+
     const alerts = [
-      ...outOfStockProducts.map(product => ({
-        id: product.id,
+      ...stockUnits(outOfStockProducts).map(unit => alertFor(unit, {
         type: 'out_of_stock',
         severity: 'critical',
-        product: product.toJSON(),
-        message: `${product.name} is out of stock`,
+        message: `${describe(unit)} is out of stock`,
         actionRequired: 'Restock immediately'
       })),
-      ...lowStockProducts.filter(p => p.inventory > 0).map(product => ({
-        id: product.id,
+      ...stockUnits(lowStockProducts).filter(unit => unit.inventory > 0).map(unit => alertFor(unit, {
         type: 'low_stock',
         severity: 'warning',
-        product: product.toJSON(),
-        message: `${product.name} is running low (${product.inventory} remaining)`,
+        message: `${describe(unit)} is running low (${unit.inventory} remaining)`,
         actionRequired: 'Consider restocking soon'
       }))
     ];
@@ -93,7 +182,7 @@ router.get('/inventory/alerts', authenticateToken, requireAdmin, async (req, res
 });
 
 // Get all products with inventory details
-router.get('/inventory/products', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/inventory/products', authenticateToken, requirePermission('inventory:read'), async (req, res) => {
   try {
     const { 
       category, 
@@ -107,6 +196,7 @@ router.get('/inventory/products', authenticateToken, requireAdmin, async (req, r
     const filters = { isActive: status !== 'inactive' };
     
     if (category) filters.category = category;
+    if (categoryId && validateQuantity(categoryId)) filters.categoryId = parseInt(categoryId);
     if (limit) filters.limit = parseInt(limit);
 
     let products = await Product.findAll(filters);
@@ -167,7 +257,7 @@ router.get('/inventory/products', authenticateToken, requireAdmin, async (req, r
 });
 
 // Update product inventory
-router.put('/inventory/products/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/inventory/products/:id', authenticateToken, requirePermission('inventory:update'), async (req, res) => {
   try {
     const { id } = req.params;
     const { inventory } = req.body;
@@ -203,11 +293,29 @@ router.put('/inventory/products/:id', authenticateToken, requireAdmin, async (re
       });
     }
 
+    if (product.variantCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVENTORY_TRACKED_PER_VARIANT',
+          message: 'Set stock on the product\'s variants instead'
+        }
+      });
+    }
+
     const oldInventory = product.inventory;
     const newInventory = parseInt(inventory);
     
     await product.updateInventory(newInventory);
 
+    await auditAction(req, {
+      action: 'inventory.update',
+      entityType: 'product',
+      entityId: product.id,
+      before: { inventory: oldInventory },
+      after: { inventory: newInventory }
+    });
+
     res.json({
       success: true,
       data: {
@@ -229,8 +337,79 @@ router.put('/inventory/products/:id', authenticateToken, requireAdmin, async (re
   }
 });
 
-// Bulk update inventory
-router.put('/inventory/bulk-update', authenticateToken, requireAdmin, async (req, res) => {
+// Update a product variant's inventory
+router.put('/inventory/variants/:id', authenticateToken, requirePermission('inventory:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { inventory } = req.body;
+
+    if (!validateQuantity(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_VARIANT_ID',
+          message: 'Invalid variant ID'
+        }
+      });
+    }
+
+    if (!validateQuantity(inventory)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_INVENTORY',
+          message: 'Inventory must be a valid non-negative number'
+        }
+      });
+    }
+
+    const variant = await ProductVariant.findById(parseInt(id));
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'VARIANT_NOT_FOUND',
+          message: 'Variant not found'
+        }
+      });
+    }
+
+    const oldInventory = variant.inventory;
+    const newInventory = parseInt(inventory);
+
+    await variant.updateInventory(newInventory);
+
+    await auditAction(req, {
+      action: 'inventory.update',
+      entityType: 'product_variant',
+      entityId: variant.id,
+      before: { inventory: oldInventory },
+      after: { inventory: newInventory }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        variant: variant.toJSON(),
+        inventoryChange: newInventory - oldInventory,
+        message: `Inventory updated from ${oldInventory} to ${newInventory}`
+      }
+    });
+
+  } catch (error) {
+    console.error('Variant inventory update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INVENTORY_UPDATE_FAILED',
+        message: 'Failed to update inventory'
+      }
+    });
+  }
+});
+
+// Bulk update inventory. Updates for a variant also carry its variantId.
+router.put('/inventory/bulk-update', authenticateToken, requirePermission('inventory:update'), async (req, res) => {
   try {
     const { updates } = req.body;
 
@@ -246,7 +425,8 @@ router.put('/inventory/bulk-update', authenticateToken, requireAdmin, async (req
 
     // Validate all updates
     for (const update of updates) {
-      if (!validateQuantity(update.productId) || !validateQuantity(update.quantity)) {
+      if (!validateQuantity(update.productId) || !validateQuantity(update.quantity) ||
+          (update.variantId !== undefined && !validateQuantity(update.variantId))) {
         return res.status(400).json({
           success: false,
           error: {
@@ -259,6 +439,16 @@ router.put('/inventory/bulk-update', authenticateToken, requireAdmin, async (req
 
     const results = await Product.bulkUpdateInventory(updates);
 
+    for (const result of results.filter(r => r.success)) {
+      await auditAction(req, {
+        action: 'inventory.bulk_update',
+        entityType: result.variantId ? 'product_variant' : 'product',
+        entityId: result.variantId || result.productId,
+        before: { inventory: result.previousQuantity },
+        after: { inventory: result.newQuantity }
+      });
+    }
+
     const successCount = results.filter(r => r.success).length;
     const failureCount = results.filter(r => !r.success).length;
 
@@ -287,7 +477,7 @@ router.put('/inventory/bulk-update', authenticateToken, requireAdmin, async (req
 });
 
 // Get sales analytics
-router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
+router.get('/analytics', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
   try {
     const { dateFrom, dateTo } = req.query;
 
@@ -314,29 +504,393 @@ router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-// Get all orders (admin view)
-router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
+// List users, with search and pagination
+router.get('/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const pagination = parsePagination(req.query);
+
+    const filters = {};
+    if (search) filters.search = search.trim();
+    // `admin` means super admins, `customer` means users without any role
+    if (role === 'admin') filters.isAdmin = true;
+    else if (role === 'customer') filters.isStaff = false;
+    else if (role) filters.role = role;
+    if (status === 'active' || status === 'disabled') filters.isActive = status === 'active';
+    if (status === 'locked') filters.isLocked = true;
+
+    const [users, total] = await Promise.all([
+      User.findAll({ ...filters, limit: pagination.pageSize, offset: pagination.offset }),
+      User.count(filters)
+    ]);
+    const roles = await Role.getRolesForUsers(users.map(user => user.id));
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => ({ ...user.toAdminJSON(), roles: roles.get(user.id) })),
+        pagination: buildPagination(pagination, total)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin users fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADMIN_USERS_FETCH_FAILED',
+        message: 'Failed to fetch users'
+      }
+    });
+  }
+});
+
+// Get a user with their order stats
+router.get('/users/:id', authenticateToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user) return;
+
+    const { roles, permissions } = await Role.getUserAccess(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        user: { ...user.toAdminJSON(), roles, permissions },
+        stats: await user.getOrderStats()
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin user fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADMIN_USER_FETCH_FAILED',
+        message: 'Failed to fetch user'
+      }
+    });
+  }
+});
+
+// List the roles that can be assigned, with their permissions
+router.get('/roles', authenticateToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const [roles, permissions] = await Promise.all([
+      Role.findAll(),
+      Role.findAllPermissions()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => role.toJSON()),
+        permissions
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin roles fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ROLES_FETCH_FAILED',
+        message: 'Failed to fetch roles'
+      }
+    });
+  }
+});
+
+// Replace a user's roles, e.g. { "roles": ["fulfillment"] }. An empty list
+// makes them a plain customer.
+router.put('/users/:id/roles', authenticateToken, requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'roles must be a list of role names'
+        }
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user || rejectSelfChange(req, res, user)) return;
+
+    const previous = await Role.getUserAccess(user.id);
+    await Role.setUserRoles(user.id, roles, { assignedBy: req.user.id });
+    const updated = await User.findById(user.id);
+    const access = await Role.getUserAccess(user.id);
+
+    await auditAction(req, {
+      action: 'user.set_roles',
+      entityType: 'user',
+      entityId: user.id,
+      before: { roles: previous.roles },
+      after: { roles: access.roles }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: { ...updated.toAdminJSON(), ...access },
+        message: 'Roles updated'
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin roles update error:', error);
+
+    if (error.message.includes('Unknown role')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ROLE',
+          message: error.message.replace('Failed to set user roles: ', '')
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'USER_UPDATE_FAILED',
+        message: 'Failed to update user roles'
+      }
+    });
+  }
+});
+
+// Grant or remove the super_admin role
+router.put('/users/:id/role', authenticateToken, requirePermission('roles:assign'), async (req, res) => {
+  try {
+    const { isAdmin } = req.body;
+
+    if (typeof isAdmin !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'isAdmin must be true or false'
+        }
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user || rejectSelfChange(req, res, user)) return;
+
+    const wasAdmin = Boolean(user.isAdmin);
+    await user.setAdmin(isAdmin, { assignedBy: req.user.id });
+
+    await auditAction(req, {
+      action: 'user.set_admin',
+      entityType: 'user',
+      entityId: user.id,
+      before: { isAdmin: wasAdmin },
+      after: { isAdmin }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toAdminJSON(),
+        message: isAdmin ? 'User promoted to admin' : 'Admin access removed'
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin role update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'USER_UPDATE_FAILED',
+        message: 'Failed to update user role'
+      }
+    });
+  }
+});
+
+// Disable or re-enable a user's account
+router.put('/users/:id/status', authenticateToken, requirePermission('users:update'), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'isActive must be true or false'
+        }
+      });
+    }
+
+    const user = await loadUser(req, res);
+    if (!user || rejectSelfChange(req, res, user) || await rejectStaffChange(req, res, user)) return;
+
+    const wasActive = user.isActive;
+    await user.setActive(isActive);
+
+    await auditAction(req, {
+      action: 'user.set_status',
+      entityType: 'user',
+      entityId: user.id,
+      before: { isActive: wasActive },
+      after: { isActive }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toAdminJSON(),
+        message: isActive ? 'Account enabled' : 'Account disabled'
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin status update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'USER_UPDATE_FAILED',
+        message: 'Failed to update account status'
+      }
+    });
+  }
+});
+
+// Clear failed logins and lift a login lockout
+router.put('/users/:id/unlock', authenticateToken, requirePermission('users:update'), async (req, res) => {
+  try {
+    const user = await loadUser(req, res);
+    if (!user || await rejectStaffChange(req, res, user)) return;
+
+    const before = user.toAdminJSON();
+    await user.resetFailedLogins();
+
+    await auditAction(req, {
+      action: 'user.unlock',
+      entityType: 'user',
+      entityId: user.id,
+      before,
+      after: user.toAdminJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toAdminJSON(),
+        message: 'Account unlocked'
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin unlock error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'USER_UPDATE_FAILED',
+        message: 'Failed to unlock account'
+      }
+    });
+  }
+});
+
+// List products including inactive ones, with search, sorting and pagination
+router.get('/products', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const { search, category, categoryId, status, lowStockThreshold = 5 } = req.query;
+    const pagination = parsePagination(req.query, { sorts: Product.SORTS, defaultSort: 'newest' });
+    const threshold = parseInt(lowStockThreshold);
+
+    const filters = {};
+    if (search) filters.search = search.trim();
+    if (category) filters.category = category;
+    if (status === 'active' || status === 'inactive') filters.isActive = status === 'active';
+
+    const { products, pagination: page } = await Product.findPage(filters, pagination);
+    await Product.loadVariants(products);
+
+    res.json({
+      success: true,
+      data: {
+        products: products.map(product => ({
+          ...product.toJSON(),
+          inventoryStatus: product.getInventoryStatus(threshold)
+        })),
+        sort: pagination.sort,
+        pagination: page
+      }
+    });
+
+  } catch (error) {
+    if (sendPaginationError(res, error)) return;
+    console.error('Admin products list error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADMIN_PRODUCTS_FETCH_FAILED',
+        message: 'Failed to fetch products for admin'
+      }
+    });
+  }
+});
+
+// Full category tree including inactive categories
+router.get('/categories', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const categories = await Category.getTree();
+
+    res.json({
+      success: true,
+      data: {
+        categories: categories.map(category => category.toJSON())
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin categories list error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADMIN_CATEGORIES_FETCH_FAILED',
+        message: 'Failed to fetch categories for admin'
+      }
+    });
+  }
+});
+
+// Get all orders (admin view), with search, sorting and pagination
+router.get('/orders', authenticateToken, requirePermission('orders:read'), async (req, res) => {
   try {
-    const { status, paymentStatus, dateFrom, dateTo, limit } = req.query;
+    const { status, paymentStatus, dateFrom, dateTo, search, userId } = req.query;
+    const pagination = parsePagination(req.query, { sorts: Order.SORTS, defaultSort: 'newest' });
 
     const filters = {};
     if (status) filters.status = status;
     if (paymentStatus) filters.paymentStatus = paymentStatus;
     if (dateFrom) filters.dateFrom = dateFrom;
     if (dateTo) filters.dateTo = dateTo;
-    if (limit) filters.limit = parseInt(limit);
+    if (search) filters.search = search;
+    if (userId) filters.userId = parseInt(userId);
 
-    const orders = await Order.findAll(filters);
+    const { orders, pagination: page } = await Order.findPage(filters, pagination);
 
     res.json({
       success: true,
       data: {
         orders: orders.map(order => order.toJSON()),
-        count: orders.length
+        count: orders.length,
+        sort: pagination.sort,
+        pagination: page
       }
     });
 
   } catch (error) {
+    if (sendPaginationError(res, error)) return;
     console.error('Admin orders fetch error:', error);
     res.status(500).json({
       success: false,
@@ -348,4 +902,240 @@ router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Get an order with its customer, payments, returns and status history
+router.get('/orders/:id', authenticateToken, requirePermission('orders:read'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ORDER_ID',
+          message: 'Invalid order ID'
+        }
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    const [customer, payments, returns, timeline] = await Promise.all([
+      order.getUser(),
+      Payment.findByOrderId(order.id),
+      ReturnRequest.findAll({ orderId: order.id }),
+      order.getStatusHistory()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        order: order.toJSON(),
+        customer: customer ? customer.toJSON() : null,
+        payments: payments.map(payment => payment.toJSON()),
+        returns: returns.map(returnRequest => returnRequest.toJSON()),
+        timeline,
+        nextStatuses: Order.STATUS_TRANSITIONS[order.status] || []
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin order fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADMIN_ORDER_FETCH_FAILED',
+        message: 'Failed to fetch order'
+      }
+    });
+  }
+});
+
+// Update an order's status (with an optional note) and/or tracking number
+router.put('/orders/:id', authenticateToken, requirePermission('orders:update'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { status, note, trackingNumber } = req.body;
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ORDER_ID',
+          message: 'Invalid order ID'
+        }
+      });
+    }
+
+    if (!status && !trackingNumber) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Provide a status or a tracking number'
+        }
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    const before = order.toJSON();
+
+    if (trackingNumber) {
+      if (!validateRequired(trackingNumber)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_TRACKING_NUMBER',
+            message: 'Tracking number cannot be empty'
+          }
+        });
+      }
+      await order.addTrackingNumber(sanitizeString(trackingNumber));
+    }
+
+    if (status && status !== order.status) {
+      await order.updateStatus(status, {
+        changedBy: req.user.id,
+        note: note ? sanitizeString(note) : null
+      });
+    }
+
+    await auditAction(req, {
+      action: 'order.update',
+      entityType: 'order',
+      entityId: order.id,
+      before,
+      after: order.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        order: order.toJSON(),
+        message: 'Order updated successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin order update error:', error);
+
+    if (error.message.includes('Invalid order status')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: 'Invalid order status'
+        }
+      });
+    }
+
+    if (error.message.includes('Invalid status transition') || error.message.includes('changed by another request')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS_TRANSITION',
+          message: error.message.replace('Failed to update order status: ', '')
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ORDER_UPDATE_FAILED',
+        message: 'Failed to update order'
+      }
+    });
+  }
+});
+
+// Audit log of staff changes, newest first. ?format=csv downloads the
+// matching entries (up to MAX_AUDIT_EXPORT_ROWS) instead of a page of them.
+router.get('/audit', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { actorId, actor, action, entityType, entityId, dateFrom, dateTo, format } = req.query;
+
+    if (actorId !== undefined && !validateQuantity(actorId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'actorId must be a user ID'
+        }
+      });
+    }
+
+    for (const date of [dateFrom, dateTo]) {
+      if (date !== undefined && isNaN(Date.parse(date))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_DATE',
+            message: 'dateFrom and dateTo must be dates, e.g. 2025-01-31'
+          }
+        });
+      }
+    }
+
+    const filters = {};
+    if (actorId) filters.actorId = parseInt(actorId);
+    if (actor) filters.actorEmail = actor.trim();
+    if (action) filters.action = action;
+    if (entityType) filters.entityType = entityType;
+    if (entityId) filters.entityId = entityId;
+    if (dateFrom) filters.dateFrom = dateFrom;
+    if (dateTo) filters.dateTo = dateTo;
+
+    if (format === 'csv') {
+      const entries = await AuditLog.findAll({ ...filters, limit: MAX_AUDIT_EXPORT_ROWS });
+
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', 'attachment; filename="audit-log.csv"');
+      return res.send(toCsv(entries));
+    }
+
+    const pagination = parsePagination(req.query);
+    const [entries, total] = await Promise.all([
+      AuditLog.findAll({ ...filters, limit: pagination.pageSize, offset: pagination.offset }),
+      AuditLog.count(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(entry => entry.toJSON()),
+        pagination: buildPagination(pagination, total)
+      }
+    });
+
+  } catch (error) {
+    console.error('Audit log fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'AUDIT_FETCH_FAILED',
+        message: 'Failed to fetch audit log'
+      }
+    });
+  }
+});
+
+module.exports = router;
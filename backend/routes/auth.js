@@ -1,13 +1,44 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AccountToken = require('../models/AccountToken');
+const EmailService = require('../utils/emailService');
 const { authenticateToken } = require('../middleware/auth');
-const { validateEmail, validatePassword, validateRequired, sanitizeString } = require('../utils/validation');
+const { authLimiter, passwordResetLimiter } = require('../middleware/rateLimit');
+const { createSession, refreshSession } = require('../utils/authTokens');
+const { validateEmail, validatePassword, validateRequired, validateQuantity, findMissingAddressField, sanitizeString } = require('../utils/validation');
 
 const router = express.Router();
 
+// 429 for a login to an account locked by failed attempts
+const sendAccountLocked = (res, user) => {
+  const retryAfter = user.getLockSecondsRemaining();
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: {
+      code: 'ACCOUNT_LOCKED',
+      message: 'Too many failed login attempts. Please try again later or reset your password.',
+      retryAfter
+    }
+  });
+};
+
+// Email a new verification link. Failures are logged rather than thrown so
+// they never fail the request that triggered them.
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await AccountToken.issue(user.id, 'email_verification');
+    const emailService = new EmailService();
+    await emailService.sendEmailVerification(user, token);
+  } catch (error) {
+    console.error('Failed to send verification email:', error);
+  }
+};
+
 // User registration endpoint
-router.post('/register', async (req, res) => {
+router.post('/register', authLimiter, async (req, res) => {
   try {
     const { email, password, firstName, lastName, phone } = req.body;
 
@@ -67,23 +98,16 @@ router.post('/register', async (req, res) => {
     };
 
     const user = await User.create(userData);
+    await sendVerificationEmail(user);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        isAdmin: Boolean(user.isAdmin)
-      },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+    // Start a session
+    const session = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       data: {
         user: user.toJSON(),
-        token
+        ...session
       }
     });
 
@@ -100,7 +124,7 @@ router.post('/register', async (req, res) => {
 });
 
 // User login endpoint
-router.post('/login', async (req, res) => {
+router.post('/login', authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -127,9 +151,20 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Locked accounts don't get their password checked at all
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
     // Verify password
     const isValidPassword = await user.verifyPassword(password);
     if (!isValidPassword) {
+      await user.recordFailedLogin();
+
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         error: {
@@ -139,22 +174,28 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        email: user.email, 
-        isAdmin: Boolean(user.isAdmin)
-      },
-      process.env.JWT_SECRET || 'fallback-secret',
-      { expiresIn: '24h' }
-    );
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_DISABLED',
+          message: 'This account has been disabled'
+        }
+      });
+    }
+
+    if (user.failedLoginAttempts > 0) {
+      await user.resetFailedLogins();
+    }
+
+    // Start a session
+    const session = await createSession(user, req);
 
     res.json({
       success: true,
       data: {
         user: user.toJSON(),
-        token
+        ...session
       }
     });
 
@@ -170,14 +211,291 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// User logout endpoint (client-side token removal)
-router.post('/logout', authenticateToken, (req, res) => {
-  // In a JWT-based system, logout is primarily handled client-side
-  // by removing the token. This endpoint confirms the logout action.
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// Email a password reset link. The response is the same whether or not the
+// email belongs to an account, so it can't be used to look accounts up.
+router.post('/forgot-password', authLimiter, passwordResetLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!validateRequired(email) || !validateEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_EMAIL',
+          message: 'Please provide a valid email address'
+        }
+      });
+    }
+
+    const user = await User.findByEmail(email.toLowerCase());
+
+    if (user && user.isActive) {
+      const token = await AccountToken.issue(user.id, 'password_reset');
+      const emailService = new EmailService();
+      await emailService.sendPasswordReset(user, token);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PASSWORD_RESET_FAILED',
+        message: 'Failed to start password reset. Please try again.'
+      }
+    });
+  }
+});
+
+// Set a new password with a token from a reset email
+router.post('/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!validateRequired(token) || !validateRequired(password)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Reset token and new password are required'
+        }
+      });
+    }
+
+    if (!validatePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'WEAK_PASSWORD',
+          message: 'Password must be at least 8 characters long and contain both letters and numbers'
+        }
+      });
+    }
+
+    const userId = await AccountToken.consume(token, 'password_reset');
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_RESET_TOKEN',
+          message: 'This password reset link is invalid or has expired'
+        }
+      });
+    }
+
+    await user.updatePassword(password);
+
+    // Whoever knew the old password is logged out everywhere. Following the
+    // emailed link also proves the user owns the address.
+    await RefreshToken.revokeAllForUser(user.id);
+    await user.markEmailVerified();
+    await user.resetFailedLogins();
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PASSWORD_RESET_FAILED',
+        message: 'Failed to reset password. Please try again.'
+      }
+    });
+  }
+});
+
+// Confirm an email address with a token from a verification email
+router.post('/verify-email', authLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const userId = await AccountToken.consume(token, 'email_verification');
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_VERIFICATION_TOKEN',
+          message: 'This verification link is invalid or has expired'
+        }
+      });
+    }
+
+    await user.markEmailVerified();
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toJSON()
+      },
+      message: 'Email verified successfully'
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_VERIFICATION_FAILED',
+        message: 'Failed to verify email'
+      }
+    });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'EMAIL_ALREADY_VERIFIED',
+          message: 'Your email address is already verified'
+        }
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_VERIFICATION_FAILED',
+        message: 'Failed to send verification email'
+      }
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', authLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!validateRequired(refreshToken)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Refresh token is required'
+        }
+      });
+    }
+
+    const { user, ...session } = await refreshSession(refreshToken, req);
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toJSON(),
+        ...session
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('Account is disabled')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_DISABLED',
+          message: 'This account has been disabled'
+        }
+      });
+    }
+
+    if (error.message.includes('Refresh token')) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_REFRESH_TOKEN',
+          message: 'Refresh token is invalid or expired'
+        }
+      });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REFRESH_FAILED',
+        message: 'Failed to refresh session'
+      }
+    });
+  }
+});
+
+// User logout endpoint: ends the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.sid) {
+      await RefreshToken.revokeFamily(req.user.sid);
+    }
+
+    // Also accept the refresh token, for access tokens without a session
+    const refreshToken = await RefreshToken.findByToken(req.body.refreshToken);
+    if (refreshToken && refreshToken.userId === req.user.id) {
+      await RefreshToken.revokeFamily(refreshToken.familyId);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGOUT_FAILED',
+        message: 'Failed to log out'
+      }
+    });
+  }
+});
+
+// Log out of every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await RefreshToken.revokeAllForUser(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGOUT_FAILED',
+        message: 'Failed to log out of all devices'
+      }
+    });
+  }
 });
 
 // Get current user profile
@@ -197,7 +515,11 @@ router.get('/profile', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       data: {
-        user: user.toJSON()
+        user: {
+          ...user.toJSON(),
+          roles: req.user.roles,
+          permissions: req.user.permissions
+        }
       }
     });
 
@@ -339,9 +661,15 @@ router.put('/password', authenticateToken, async (req, res) => {
       });
     }
 
+    // Whoever had the old password may still hold a session; end them all
+    // and start a fresh one for this device
+    await RefreshToken.revokeAllForUser(user.id);
+    const session = await createSession(user, req);
+
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      data: session
     });
 
   } catch (error) {
@@ -356,4 +684,195 @@ router.put('/password', authenticateToken, async (req, res) => {
   }
 });
 
+// Address fields a saved address can be given, and those it must have
+const ADDRESS_FIELDS = ['label', 'firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+const REQUIRED_ADDRESS_FIELDS = ['street', 'city', 'state', 'zipCode'];
+
+// The address fields sent in a request body, sanitized
+const readAddressFields = (body) => {
+  const fields = {};
+  for (const field of ADDRESS_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === null ? null : sanitizeString(String(body[field]));
+    }
+  }
+  return fields;
+};
+
+const sendInvalidAddress = (res, field) => {
+  return res.status(400).json({
+    success: false,
+    error: {
+      code: 'VALIDATION_ERROR',
+      message: `Missing required address field: ${field}`
+    }
+  });
+};
+
+// Load the signed-in user and the saved address named in the URL, or send
+// the matching error response
+const loadAddress = async (req, res) => {
+  const { id } = req.params;
+
+  if (!validateQuantity(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ADDRESS_ID',
+        message: 'Invalid address ID'
+      }
+    });
+    return {};
+  }
+
+  const user = await User.findById(req.user.id);
+  const address = user ? await user.getAddress(parseInt(id)) : null;
+  if (!address) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'ADDRESS_NOT_FOUND',
+        message: 'Address not found'
+      }
+    });
+    return {};
+  }
+
+  return { user, address };
+};
+
+// List the signed-in user's saved addresses, default first
+router.get('/addresses', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        addresses: await user.getAddresses()
+      }
+    });
+
+  } catch (error) {
+    console.error('Address fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADDRESSES_FETCH_FAILED',
+        message: 'Failed to fetch addresses'
+      }
+    });
+  }
+});
+
+// Save an address. The first one saved becomes the default.
+router.post('/addresses', authenticateToken, async (req, res) => {
+  try {
+    const fields = readAddressFields(req.body);
+    const missing = findMissingAddressField(fields, REQUIRED_ADDRESS_FIELDS);
+    if (missing) {
+      return sendInvalidAddress(res, missing);
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found'
+        }
+      });
+    }
+
+    const addressId = await user.addAddress({ ...fields, isDefault: Boolean(req.body.isDefault) });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        address: await user.getAddress(addressId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Address creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADDRESS_CREATION_FAILED',
+        message: 'Failed to save address'
+      }
+    });
+  }
+});
+
+// Update a saved address. Fields left out keep their values; `isDefault:
+// true` makes it the default.
+router.put('/addresses/:id', authenticateToken, async (req, res) => {
+  try {
+    const { user, address } = await loadAddress(req, res);
+    if (!address) return;
+
+    const updated = { ...address, ...readAddressFields(req.body) };
+    const missing = findMissingAddressField(updated, REQUIRED_ADDRESS_FIELDS);
+    if (missing) {
+      return sendInvalidAddress(res, missing);
+    }
+
+    await user.updateAddress(address.id, { ...updated, isDefault: req.body.isDefault === true });
+
+    res.json({
+      success: true,
+      data: {
+        address: await user.getAddress(address.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Address update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADDRESS_UPDATE_FAILED',
+        message: 'Failed to update address'
+      }
+    });
+  }
+});
+
+// Delete a saved address. If it was the default, the most recently added
+// remaining address takes over.
+router.delete('/addresses/:id', authenticateToken, async (req, res) => {
+  try {
+    const { user, address } = await loadAddress(req, res);
+    if (!address) return;
+
+    await user.deleteAddress(address.id);
+
+    res.json({
+      success: true,
+      message: 'Address deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Address deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ADDRESS_DELETION_FAILED',
+        message: 'Failed to delete address'
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
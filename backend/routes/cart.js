@@ -1,26 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { Cart } = require('../models');
-const { authenticateToken } = require('../middleware/auth');
-
-// Optional authentication middleware - doesn't fail if no token
-const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (token) {
-    const jwt = require('jsonwebtoken');
-    jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, user) => {
-      if (!err) {
-        req.user = user;
-      }
-    });
-  }
-  next();
-};
+const { Cart, Reservation } = require('../models');
+const { authenticateToken, authenticateOptional } = require('../middleware/auth');
+const { cartLimiter } = require('../middleware/rateLimit');
+const { SHIPPING_METHODS, DEFAULT_SHIPPING_METHOD, isValidShippingMethod } = require('../utils/pricing');
 
 // Get cart contents
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/', authenticateOptional, async (req, res) => {
   try {
     const userId = req.user?.id;
     const sessionId = req.headers['x-session-id'] || (req.session && req.session.id);
@@ -54,9 +40,9 @@ router.get('/', optionalAuth, async (req, res) => {
 });
 
 // Add item to cart
-router.post('/items', optionalAuth, async (req, res) => {
+router.post('/items', authenticateOptional, cartLimiter, async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
     
     if (!productId) {
       return res.status(400).json({
@@ -92,7 +78,7 @@ router.post('/items', optionalAuth, async (req, res) => {
     }
 
     const cart = await Cart.getOrCreate(userId, sessionId);
-    await cart.addItem(productId, quantity);
+    await cart.addItem(productId, quantity, variantId);
     
     res.json({
       success: true,
@@ -102,6 +88,36 @@ router.post('/items', optionalAuth, async (req, res) => {
   } catch (error) {
     console.error('Add to cart error:', error);
     
+    if (error.message.includes('Variant selection required')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VARIANT_REQUIRED',
+          message: 'Choose a variant of this product'
+        }
+      });
+    }
+
+    if (error.message.includes('Variant not found')) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'VARIANT_NOT_FOUND',
+          message: 'Variant not found'
+        }
+      });
+    }
+
+    if (error.message.includes('Variant is inactive')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VARIANT_INACTIVE',
+          message: 'Variant is not available'
+        }
+      });
+    }
+
     if (error.message.includes('not found')) {
       return res.status(404).json({
         success: false,
@@ -142,11 +158,13 @@ router.post('/items', optionalAuth, async (req, res) => {
   }
 });
 
-// Update item quantity
-router.put('/items/:productId', optionalAuth, async (req, res) => {
+// Update item quantity. A variant's line is named by ?variantId=, as for
+// DELETE; a variantId in the body is still accepted from older clients.
+router.put('/items/:productId', authenticateOptional, cartLimiter, async (req, res) => {
   try {
     const { productId } = req.params;
     const { quantity } = req.body;
+    const variantId = parseInt(req.query.variantId) || req.body.variantId || null;
     
     if (quantity === undefined || quantity < 0) {
       return res.status(400).json({
@@ -172,7 +190,7 @@ router.put('/items/:productId', optionalAuth, async (req, res) => {
     }
 
     const cart = await Cart.getOrCreate(userId, sessionId);
-    await cart.updateItemQuantity(parseInt(productId), quantity);
+    await cart.updateItemQuantity(parseInt(productId), quantity, variantId);
     
     res.json({
       success: true,
@@ -212,8 +230,8 @@ router.put('/items/:productId', optionalAuth, async (req, res) => {
   }
 });
 
-// Remove item from cart
-router.delete('/items/:productId', optionalAuth, async (req, res) => {
+// Remove item from cart (?variantId= picks a variant's line)
+router.delete('/items/:productId', authenticateOptional, async (req, res) => {
   try {
     const { productId } = req.params;
     
@@ -231,7 +249,7 @@ router.delete('/items/:productId', optionalAuth, async (req, res) => {
     }
 
     const cart = await Cart.getOrCreate(userId, sessionId);
-    await cart.removeItem(parseInt(productId));
+    await cart.removeItem(parseInt(productId), parseInt(req.query.variantId) || null);
     
     res.json({
       success: true,
@@ -262,7 +280,7 @@ router.delete('/items/:productId', optionalAuth, async (req, res) => {
 });
 
 // Clear cart
-router.delete('/', optionalAuth, async (req, res) => {
+router.delete('/', authenticateOptional, async (req, res) => {
   try {
     const userId = req.user?.id;
     const sessionId = req.headers['x-session-id'] || (req.session && req.session.id);
@@ -298,7 +316,7 @@ router.delete('/', optionalAuth, async (req, res) => {
 });
 
 // Validate cart items (check inventory and availability)
-router.get('/validate', optionalAuth, async (req, res) => {
+router.get('/validate', authenticateOptional, async (req, res) => {
   try {
     const userId = req.user?.id;
     const sessionId = req.headers['x-session-id'] || (req.session && req.session.id);
@@ -336,6 +354,160 @@ router.get('/validate', optionalAuth, async (req, res) => {
   }
 });
 
+// Quote the cart: subtotal, coupon discount, tax, shipping and total computed server-side
+router.post('/quote', authenticateOptional, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const sessionId = req.headers['x-session-id'] || (req.session && req.session.id);
+    const { shippingAddress = null, shippingMethod = DEFAULT_SHIPPING_METHOD, couponCode = null } = req.body;
+    
+    if (!userId && !sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_IDENTIFIER',
+          message: 'User ID or session ID required'
+        }
+      });
+    }
+
+    if (!isValidShippingMethod(shippingMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SHIPPING_METHOD',
+          message: `Shipping method must be one of: ${Object.keys(SHIPPING_METHODS).join(', ')}`
+        }
+      });
+    }
+
+    const cart = await Cart.getOrCreate(userId, sessionId);
+    const quote = await cart.getQuote({ shippingAddress, shippingMethod, couponCode });
+    
+    res.json({
+      success: true,
+      data: { quote }
+    });
+  } catch (error) {
+    console.error('Quote cart error:', error);
+
+    if (error.message.includes('Coupon')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_COUPON',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'QUOTE_CART_ERROR',
+        message: 'Failed to calculate cart quote'
+      }
+    });
+  }
+});
+
+// Reserve cart stock for checkout (time-limited holds per cart line)
+router.post('/reserve', authenticateOptional, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const sessionId = req.headers['x-session-id'] || (req.session && req.session.id);
+    
+    if (!userId && !sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_IDENTIFIER',
+          message: 'User ID or session ID required'
+        }
+      });
+    }
+
+    const cart = await Cart.getOrCreate(userId, sessionId);
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'EMPTY_CART',
+          message: 'Cart is empty'
+        }
+      });
+    }
+
+    await Reservation.releaseExpired();
+    const { reservations, issues } = await Reservation.reserveCart(cart);
+
+    if (issues.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INSUFFICIENT_INVENTORY',
+          message: 'Some items could not be reserved',
+          issues
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reservations: reservations.map(reservation => reservation.toJSON()),
+        expiresAt: reservations[0].expiresAt
+      },
+      message: 'Cart items reserved successfully'
+    });
+  } catch (error) {
+    console.error('Reserve cart error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESERVE_CART_ERROR',
+        message: 'Failed to reserve cart items'
+      }
+    });
+  }
+});
+
+// Release cart reservations (checkout abandoned)
+router.delete('/reserve', authenticateOptional, async (req, res) => {
+  try {
+    const userId = req.user?.id;
+    const sessionId = req.headers['x-session-id'] || (req.session && req.session.id);
+    
+    if (!userId && !sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_IDENTIFIER',
+          message: 'User ID or session ID required'
+        }
+      });
+    }
+
+    const cart = await Cart.getOrCreate(userId, sessionId);
+    const released = await Reservation.releaseForCart(cart.id);
+    
+    res.json({
+      success: true,
+      data: { released },
+      message: 'Reservations released successfully'
+    });
+  } catch (error) {
+    console.error('Release reservations error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RELEASE_RESERVATIONS_ERROR',
+        message: 'Failed to release reservations'
+      }
+    });
+  }
+});
+
 // Merge guest cart with user cart (called during login)
 router.post('/merge', authenticateToken, async (req, res) => {
   try {
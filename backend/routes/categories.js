@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuantity, sanitizeString } = require('../utils/validation');
+const { auditAction } = require('../utils/audit');
+
+// Model error messages and the responses they map to
+const CATEGORY_ERRORS = [
+  ['Name is required', 400, 'VALIDATION_ERROR', 'Name is required'],
+  ['Invalid slug', 400, 'INVALID_SLUG', 'Slug must be lowercase letters, numbers and single hyphens'],
+  ['Parent category not found', 400, 'PARENT_NOT_FOUND', 'Parent category not found'],
+  ['cannot be nested under itself', 400, 'INVALID_PARENT', 'A category cannot be nested under itself or its subcategories'],
+  ['Slug already in use', 409, 'DUPLICATE_SLUG', 'A category with this slug already exists'],
+  ['has subcategories or products', 409, 'CATEGORY_NOT_EMPTY', 'Move or delete this category\'s subcategories and products first']
+];
+
+// Send the response for a known category error. Returns false for others.
+const sendCategoryError = (res, error) => {
+  const match = CATEGORY_ERRORS.find(([text]) => error.message.includes(text));
+  if (!match) return false;
+
+  const [, status, code, message] = match;
+  res.status(status).json({
+    success: false,
+    error: { code, message }
+  });
+  return true;
+};
+
+// Copy the editable fields present in a request body onto a category
+const assignFields = (category, body) => {
+  if (body.name !== undefined) {
+    category.name = sanitizeString(body.name);
+  }
+  if (body.slug !== undefined) {
+    category.slug = String(body.slug).trim();
+  }
+  if (body.description !== undefined) {
+    category.description = body.description ? sanitizeString(body.description) : null;
+  }
+  if (body.parentId !== undefined) {
+    category.parentId = body.parentId === null || body.parentId === '' ? null : parseInt(body.parentId);
+  }
+  if (body.position !== undefined) {
+    category.position = parseInt(body.position) || 0;
+  }
+  if (body.isActive !== undefined) {
+    category.isActive = body.isActive === true || body.isActive === 'true';
+  }
+};
+
+// Load the category named in the URL, or send the matching error response
+const loadCategory = async (req, res) => {
+  const { id } = req.params;
+
+  if (!validateQuantity(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_CATEGORY_ID',
+        message: 'Invalid category ID'
+      }
+    });
+    return null;
+  }
+
+  const category = await Category.findById(parseInt(id));
+  if (!category) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_NOT_FOUND',
+        message: 'Category not found'
+      }
+    });
+    return null;
+  }
+
+  return category;
+};
+
+// GET /api/categories - Active category tree for the storefront
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.getTree({ activeOnly: true });
+
+    res.json({
+      success: true,
+      data: {
+        categories: categories.map(category => category.toJSON())
+      }
+    });
+  } catch (error) {
+    console.error('Categories fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CATEGORIES_FETCH_FAILED',
+        message: 'Failed to fetch categories'
+      }
+    });
+  }
+});
+
+// GET /api/categories/:idOrSlug - Category with its subcategories and breadcrumb
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+
+    // Look the category up in the active tree, so categories under an
+    // inactive parent 404 too and counts include subcategories
+    const visible = [];
+    const collect = (nodes) => nodes.forEach(node => {
+      visible.push(node);
+      collect(node.children);
+    });
+    collect(await Category.getTree({ activeOnly: true }));
+
+    const category = visible.find(candidate => /^\d+$/.test(idOrSlug)
+      ? candidate.id === parseInt(idOrSlug)
+      : candidate.slug === idOrSlug);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CATEGORY_NOT_FOUND',
+          message: 'Category not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        category: category.toJSON(),
+        breadcrumb: await Category.getBreadcrumb(category.id)
+      }
+    });
+  } catch (error) {
+    console.error('Category fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_FETCH_FAILED',
+        message: 'Failed to fetch category'
+      }
+    });
+  }
+});
+
+// POST /api/categories - Create category
+router.post('/', authenticateToken, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const category = new Category();
+    assignFields(category, req.body);
+    if (!category.slug) {
+      category.slug = Category.slugify(category.name);
+    }
+    await category.save();
+
+    await auditAction(req, {
+      action: 'category.create',
+      entityType: 'category',
+      entityId: category.id,
+      after: category.toJSON()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        category: category.toJSON()
+      }
+    });
+  } catch (error) {
+    if (sendCategoryError(res, error)) return;
+    console.error('Category creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_CREATION_FAILED',
+        message: 'Failed to create category'
+      }
+    });
+  }
+});
+
+// PUT /api/categories/:id - Update category. Changing the slug updates the
+// category slug stored on its products.
+router.put('/:id', authenticateToken, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const category = await loadCategory(req, res);
+    if (!category) return;
+
+    const before = category.toJSON();
+    assignFields(category, req.body);
+    await category.save();
+    const updated = await Category.findById(category.id);
+
+    await auditAction(req, {
+      action: 'category.update',
+      entityType: 'category',
+      entityId: category.id,
+      before,
+      after: updated.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        category: updated.toJSON()
+      }
+    });
+  } catch (error) {
+    if (sendCategoryError(res, error)) return;
+    console.error('Category update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_UPDATE_FAILED',
+        message: 'Failed to update category'
+      }
+    });
+  }
+});
+
+// DELETE /api/categories/:id - Delete an empty category
+router.delete('/:id', authenticateToken, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    const category = await loadCategory(req, res);
+    if (!category) return;
+
+    await category.delete();
+
+    await auditAction(req, {
+      action: 'category.delete',
+      entityType: 'category',
+      entityId: category.id,
+      before: category.toJSON()
+    });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    if (sendCategoryError(res, error)) return;
+    console.error('Category deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CATEGORY_DELETION_FAILED',
+        message: 'Failed to delete category'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require('express');
+const router = express.Router();
+const { EmailTemplate, Order, User } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuantity } = require('../utils/validation');
+const { auditAction } = require('../utils/audit');
+const EmailService = require('../utils/emailService');
+const { TEMPLATES, getDefaultTemplate } = require('../email/templates');
+const { loadTemplates, loadTemplate, validateTemplate } = require('../email/templateRenderer');
+
+// Placeholder for the one-time token in account email previews
+const PREVIEW_TOKEN = 'preview-token';
+
+// Template fields recorded in the audit log
+const auditFields = (template) => ({
+  subject: template.subject,
+  html: template.html,
+  text: template.text,
+  customized: template.customized
+});
+
+// Send the standard 404 for an unknown template name. Returns true if sent.
+const sendUnknownTemplate = (req, res) => {
+  if (TEMPLATES[req.params.name]) return false;
+
+  res.status(404).json({
+    success: false,
+    error: {
+      code: 'TEMPLATE_NOT_FOUND',
+      message: 'Email template not found'
+    }
+  });
+  return true;
+};
+
+// List the templates and whether each has been customized (admin)
+router.get('/', authenticateToken, requirePermission('email_templates:manage'), async (req, res) => {
+  try {
+    const templates = await loadTemplates();
+
+    res.json({
+      success: true,
+      data: {
+        templates: Object.values(templates).map(({ html, text, ...summary }) => summary)
+      }
+    });
+  } catch (error) {
+    console.error('Email templates fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_TEMPLATES_FETCH_FAILED',
+        message: 'Failed to fetch email templates'
+      }
+    });
+  }
+});
+
+// Get a template's source as used now, and the built-in default (admin)
+router.get('/:name', authenticateToken, requirePermission('email_templates:manage'), async (req, res) => {
+  try {
+    if (sendUnknownTemplate(req, res)) return;
+
+    const template = await loadTemplate(req.params.name);
+
+    res.json({
+      success: true,
+      data: {
+        template,
+        default: getDefaultTemplate(req.params.name)
+      }
+    });
+  } catch (error) {
+    console.error('Email template fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_TEMPLATE_FETCH_FAILED',
+        message: 'Failed to fetch email template'
+      }
+    });
+  }
+});
+
+// Replace a template, e.g. { "subject": "...", "html": "...", "text": "..." }.
+// Fields left out keep their current value. (admin)
+router.put('/:name', authenticateToken, requirePermission('email_templates:manage'), async (req, res) => {
+  try {
+    if (sendUnknownTemplate(req, res)) return;
+
+    const { name } = req.params;
+    const before = await loadTemplate(name);
+    const source = {
+      subject: req.body.subject !== undefined ? req.body.subject : before.subject,
+      html: req.body.html !== undefined ? req.body.html : before.html,
+      text: req.body.text !== undefined ? req.body.text : before.text
+    };
+
+    validateTemplate(name, source);
+    await EmailTemplate.save(name, source, req.user.id);
+    const template = await loadTemplate(name);
+
+    await auditAction(req, {
+      action: 'email_template.update',
+      entityType: 'email_template',
+      entityId: name,
+      before: auditFields(before),
+      after: auditFields(template)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        template
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('Invalid template')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TEMPLATE',
+          message: error.message.replace('Invalid template: ', '')
+        }
+      });
+    }
+
+    console.error('Email template update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_TEMPLATE_UPDATE_FAILED',
+        message: 'Failed to update email template'
+      }
+    });
+  }
+});
+
+// Go back to the built-in version of a template (admin)
+router.delete('/:name', authenticateToken, requirePermission('email_templates:manage'), async (req, res) => {
+  try {
+    if (sendUnknownTemplate(req, res)) return;
+
+    const { name } = req.params;
+    const saved = await EmailTemplate.findByName(name);
+
+    if (saved) {
+      const before = await loadTemplate(name);
+      await saved.delete();
+
+      await auditAction(req, {
+        action: 'email_template.reset',
+        entityType: 'email_template',
+        entityId: name,
+        before: auditFields(before),
+        after: auditFields(await loadTemplate(name))
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        template: await loadTemplate(name)
+      }
+    });
+  } catch (error) {
+    console.error('Email template reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_TEMPLATE_RESET_FAILED',
+        message: 'Failed to reset email template'
+      }
+    });
+  }
+});
+
+// Render an email template against real data: an order's for order emails
+// (?orderId=), the signed-in admin's account for account emails. Add
+// ?format=html or ?format=text to get the rendered body itself. (admin)
+router.get('/:name/preview', authenticateToken, requirePermission('email_templates:manage'), async (req, res) => {
+  try {
+    if (sendUnknownTemplate(req, res)) return;
+
+    const { name } = req.params;
+    const { orderId, format } = req.query;
+    const definition = TEMPLATES[name];
+
+    if (definition.kind !== 'email') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TEMPLATE_NOT_PREVIEWABLE',
+          message: 'Layouts and partials are previewed through the emails that use them'
+        }
+      });
+    }
+
+    const emailService = new EmailService();
+    let email;
+
+    if (definition.data === 'order') {
+      if (!orderId || !validateQuantity(orderId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'ORDER_ID_REQUIRED',
+            message: 'Previewing an order email needs an orderId'
+          }
+        });
+      }
+
+      const order = await Order.findById(parseInt(orderId));
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ORDER_NOT_FOUND',
+            message: 'Order not found'
+          }
+        });
+      }
+
+      const customer = await order.getRecipient();
+      const previews = {
+        order_confirmation: () => emailService.generateOrderConfirmationEmail(customer, order),
+        order_status_update: () => emailService.generateOrderStatusUpdateEmail(customer, order, null),
+        shipping_notification: () => emailService.generateShippingNotificationEmail(customer, order)
+      };
+      email = await previews[name]();
+    } else {
+      const account = await User.findById(req.user.id);
+      const previews = {
+        password_reset: () => emailService.generatePasswordResetEmail(account, PREVIEW_TOKEN),
+        email_verification: () => emailService.generateEmailVerificationEmail(account, PREVIEW_TOKEN)
+      };
+      email = await previews[name]();
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(email.html);
+    }
+    if (format === 'text') {
+      return res.type('text').send(email.text);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email
+      }
+    });
+  } catch (error) {
+    console.error('Email template preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_TEMPLATE_PREVIEW_FAILED',
+        message: 'Failed to render email template'
+      }
+    });
+  }
+});
+
+module.exports = router;
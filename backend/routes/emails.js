@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { EmailMessage } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuantity } = require('../utils/validation');
+const { auditAction } = require('../utils/audit');
+const { parsePagination, sendPaginationError } = require('../utils/pagination');
+const { deliver } = require('../email/outbox');
+
+// Load the outbox message named in the URL, or send the matching error response
+const loadMessage = async (req, res) => {
+  const { id } = req.params;
+
+  if (!validateQuantity(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_EMAIL_ID',
+        message: 'Invalid email ID'
+      }
+    });
+    return null;
+  }
+
+  const message = await EmailMessage.findById(parseInt(id));
+  if (!message) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'EMAIL_NOT_FOUND',
+        message: 'Email not found'
+      }
+    });
+    return null;
+  }
+
+  return message;
+};
+
+// List outbox messages, newest first (admin)
+router.get('/', authenticateToken, requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const { status, type, to } = req.query;
+    const pagination = parsePagination(req.query, { sorts: EmailMessage.SORTS, defaultSort: 'newest' });
+
+    const filters = {};
+    if (EmailMessage.EMAIL_STATUSES.includes(status)) filters.status = status;
+    if (type) filters.type = String(type);
+    if (to) filters.to = String(to);
+
+    const { messages, pagination: page } = await EmailMessage.findPage(filters, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        emails: messages.map(message => message.toJSON()),
+        sort: pagination.sort,
+        pagination: page
+      }
+    });
+  } catch (error) {
+    if (sendPaginationError(res, error)) return;
+    console.error('Emails fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAILS_FETCH_FAILED',
+        message: 'Failed to fetch emails'
+      }
+    });
+  }
+});
+
+// Get one outbox message with its content (admin)
+router.get('/:id', authenticateToken, requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const message = await loadMessage(req, res);
+    if (!message) return;
+
+    res.json({
+      success: true,
+      data: {
+        email: message.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Email fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_FETCH_FAILED',
+        message: 'Failed to fetch email'
+      }
+    });
+  }
+});
+
+// Send a message again now, with a fresh set of retries (admin)
+router.post('/:id/resend', authenticateToken, requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const message = await loadMessage(req, res);
+    if (!message) return;
+
+    const before = message.toJSON();
+    await message.resend();
+    await deliver(message);
+    const updated = await EmailMessage.findById(message.id);
+
+    await auditAction(req, {
+      action: 'email.resend',
+      entityType: 'email',
+      entityId: message.id,
+      before,
+      after: updated.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        email: updated.toJSON()
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('Email is being sent')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'EMAIL_SENDING',
+          message: 'Email is being sent; try again shortly'
+        }
+      });
+    }
+
+    console.error('Email resend error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_RESEND_FAILED',
+        message: 'Failed to resend email'
+      }
+    });
+  }
+});
+
+module.exports = router;
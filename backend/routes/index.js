@@ -4,9 +4,17 @@ const router = express.Router();
 // Import route modules
 const authRoutes = require('./auth');
 const productRoutes = require('./products');
+const categoryRoutes = require('./categories');
 const cartRoutes = require('./cart');
 const orderRoutes = require('./orders');
 const adminRoutes = require('./admin');
+const promotionRoutes = require('./promotions');
+const reviewRoutes = require('./reviews');
+const emailRoutes = require('./emails');
+const emailTemplateRoutes = require('./emailTemplates');
+const jobRoutes = require('./jobs');
+const paymentRoutes = require('./payments');
+const returnRoutes = require('./returns');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -20,8 +28,16 @@ router.get('/health', (req, res) => {
 // Route mounting
 router.use('/auth', authRoutes);
 router.use('/products', productRoutes);
+router.use('/categories', categoryRoutes);
 router.use('/cart', cartRoutes);
 router.use('/orders', orderRoutes);
-// router.use('/admin', adminRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/returns', returnRoutes);
+router.use('/admin/promotions', promotionRoutes);
+router.use('/admin/reviews', reviewRoutes);
+router.use('/admin/emails', emailRoutes);
+router.use('/admin/email-templates', emailTemplateRoutes);
+router.use('/admin/jobs', jobRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const { Job } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuantity } = require('../utils/validation');
+const { auditAction } = require('../utils/audit');
+const { parsePagination, sendPaginationError } = require('../utils/pagination');
+const { getSchedules } = require('../jobs');
+
+// Load the job named in the URL, or send the matching error response
+const loadJob = async (req, res) => {
+  const { id } = req.params;
+
+  if (!validateQuantity(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_JOB_ID',
+        message: 'Invalid job ID'
+      }
+    });
+    return null;
+  }
+
+  const job = await Job.findById(parseInt(id));
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'JOB_NOT_FOUND',
+        message: 'Job not found'
+      }
+    });
+    return null;
+  }
+
+  return job;
+};
+
+// List jobs, newest first, with the number in each status and the
+// schedules (admin)
+router.get('/', authenticateToken, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const pagination = parsePagination(req.query, { sorts: Job.SORTS, defaultSort: 'newest' });
+
+    const filters = {};
+    if (Job.JOB_STATUSES.includes(status)) filters.status = status;
+    if (type) filters.type = String(type);
+
+    const { jobs, pagination: page } = await Job.findPage(filters, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: jobs.map(job => job.toJSON()),
+        counts: await Job.countByStatus(),
+        schedules: await getSchedules(),
+        sort: pagination.sort,
+        pagination: page
+      }
+    });
+  } catch (error) {
+    if (sendPaginationError(res, error)) return;
+    console.error('Jobs fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'JOBS_FETCH_FAILED',
+        message: 'Failed to fetch jobs'
+      }
+    });
+  }
+});
+
+// Get one job with its payload and result (admin)
+router.get('/:id', authenticateToken, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      data: {
+        job: job.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Job fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'JOB_FETCH_FAILED',
+        message: 'Failed to fetch job'
+      }
+    });
+  }
+});
+
+// Queue a dead job to run again, with a fresh set of retries (admin)
+router.post('/:id/retry', authenticateToken, requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const before = job.toJSON();
+    await job.retry();
+    const updated = await Job.findById(job.id);
+
+    await auditAction(req, {
+      action: 'job.retry',
+      entityType: 'job',
+      entityId: job.id,
+      before,
+      after: updated.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        job: updated.toJSON()
+      }
+    });
+  } catch (error) {
+    if (error.message.includes('Only dead jobs can be retried')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'JOB_NOT_DEAD',
+          message: 'Only dead jobs can be retried'
+        }
+      });
+    }
+
+    console.error('Job retry error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'JOB_RETRY_FAILED',
+        message: 'Failed to retry job'
+      }
+    });
+  }
+});
+
+module.exports = router;
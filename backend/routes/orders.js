@@ -1,14 +1,124 @@
 const express = require('express');
 const router = express.Router();
-const { Order, Cart, User } = require('../models');
-const { authenticateToken } = require('../middleware/auth');
-const EmailService = require('../utils/emailService');
+const { Order, Cart, User, Payment } = require('../models');
+const { authenticateToken, authenticateOptional, hasPermission, requirePermission, requireVerifiedEmail } = require('../middleware/auth');
+const { enqueueJob } = require('../jobs');
+const { SHIPPING_METHODS, DEFAULT_SHIPPING_METHOD, isValidShippingMethod } = require('../utils/pricing');
+const { payForOrder } = require('../payments/paymentService');
+const { sanitizeString, validateEmail, validateQuantity, findMissingAddressField } = require('../utils/validation');
+const { createLookupToken, isValidLookupToken } = require('../utils/orderLookup');
+const { auditAction } = require('../utils/audit');
+const { parsePagination, sendPaginationError } = require('../utils/pagination');
+
+// A declined payment leaves the order pending so it can be retried via POST
+// /:id/pay. Guests get the order's lookup token to retry with.
+const sendPaymentDeclined = (res, order, paymentResult) => {
+  return res.status(402).json({
+    success: false,
+    error: {
+      code: 'PAYMENT_DECLINED',
+      message: paymentResult.message || 'Payment was declined',
+      reason: paymentResult.errorCode,
+      orderId: order.id,
+      ...(order.guestEmail && !order.userId && { lookupToken: createLookupToken(order) })
+    }
+  });
+};
+
+// A saved address as an order records it, without the address book details
+const toOrderAddress = ({ id, label, isDefault, createdAt, updatedAt, ...address }) => address;
 
-// Create new order (checkout)
-router.post('/', authenticateToken, async (req, res) => {
+// Create new order (checkout). Signed-in customers send the items; guests
+// check out the cart for their x-session-id and give an email address.
+router.post('/', authenticateOptional, requireVerifiedEmail, async (req, res) => {
   try {
-    const { shippingAddress, paymentMethod, items } = req.body;
-    const userId = req.user.id;
+    const {
+      shippingAddressId,
+      billingAddressId,
+      paymentMethod,
+      paymentToken,
+      shippingMethod = DEFAULT_SHIPPING_METHOD,
+      couponCode,
+      email
+    } = req.body;
+    let { items, shippingAddress, billingAddress } = req.body;
+    const userId = req.user ? req.user.id : null;
+    const sessionId = req.headers['x-session-id'];
+
+    if (!userId) {
+      if (typeof email !== 'string' || !validateEmail(email.trim())) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_EMAIL',
+            message: 'A valid email address is required for guest checkout'
+          }
+        });
+      }
+
+      if (!sessionId) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'MISSING_IDENTIFIER',
+            message: 'Session ID required for guest checkout'
+          }
+        });
+      }
+
+      // Account holders check out signed in, so account rules such as email
+      // verification can't be skipped by leaving the token off
+      if (await User.findByEmail(email.trim().toLowerCase())) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'ACCOUNT_EXISTS',
+            message: 'An account exists for this email address. Please log in to check out.'
+          }
+        });
+      }
+    }
+
+    // The cart is cleared in the same transaction that creates the order
+    const cart = userId ? await Cart.findByUserId(userId) : await Cart.getOrCreate(null, sessionId);
+
+    if (!userId) {
+      if (cart.items.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'EMPTY_CART',
+            message: 'Cart is empty'
+          }
+        });
+      }
+      items = cart.items.map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity }));
+    }
+
+    // Signed-in customers can pick either address from their address book by
+    // id instead of sending it in full
+    if (shippingAddressId !== undefined || billingAddressId !== undefined) {
+      const user = userId ? await User.findById(userId) : null;
+      const loadSavedAddress = async (addressId) => {
+        if (addressId === undefined) return undefined;
+        const address = user && validateQuantity(addressId) ? await user.getAddress(parseInt(addressId)) : null;
+        return address ? toOrderAddress(address) : null;
+      };
+
+      const savedShipping = await loadSavedAddress(shippingAddressId);
+      const savedBilling = await loadSavedAddress(billingAddressId);
+      if (savedShipping === null || savedBilling === null) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ADDRESS_NOT_FOUND',
+            message: 'Address not found'
+          }
+        });
+      }
+      if (savedShipping) shippingAddress = savedShipping;
+      if (savedBilling) billingAddress = savedBilling;
+    }
 
     // Validate required fields
     if (!shippingAddress || !items || !Array.isArray(items) || items.length === 0) {
@@ -21,57 +131,84 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    // Validate shipping address
+    // Validate shipping address; guest orders are addressed by name
     const requiredAddressFields = ['street', 'city', 'state', 'zipCode', 'country'];
-    for (const field of requiredAddressFields) {
-      if (!shippingAddress[field]) {
+    if (!userId) requiredAddressFields.unshift('firstName', 'lastName');
+    const missingShippingField = findMissingAddressField(shippingAddress, requiredAddressFields);
+    if (missingShippingField) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SHIPPING_ADDRESS',
+          message: `Missing required address field: ${missingShippingField}`
+        }
+      });
+    }
+
+    // A separate billing address is optional; the order is billed to the
+    // shipping address without one
+    if (billingAddress) {
+      const missingBillingField = findMissingAddressField(billingAddress, requiredAddressFields);
+      if (missingBillingField) {
         return res.status(400).json({
           success: false,
           error: {
-            code: 'INVALID_SHIPPING_ADDRESS',
-            message: `Missing required address field: ${field}`
+            code: 'INVALID_BILLING_ADDRESS',
+            message: `Missing required billing address field: ${missingBillingField}`
           }
         });
       }
     }
 
+    if (!isValidShippingMethod(shippingMethod)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SHIPPING_METHOD',
+          message: `Shipping method must be one of: ${Object.keys(SHIPPING_METHODS).join(', ')}`
+        }
+      });
+    }
+
     // Create order
     const orderData = {
       userId,
+      guestEmail: userId ? null : email.trim(),
       items,
       shippingAddress,
+      billingAddress,
+      shippingMethod,
+      couponCode,
       paymentMethod,
+      cartId: cart ? cart.id : null,
       status: 'pending',
       paymentStatus: 'pending'
     };
 
-    const order = await Order.create(orderData);
+    let order = await Order.create(orderData);
 
-    // Clear user's cart after successful order
-    try {
-      const cart = await Cart.findByUserId(userId);
-      if (cart) {
-        await cart.clear();
+    // Charge the order when the client sent a payment token; the gateway
+    // result decides whether the order is confirmed
+    if (paymentToken) {
+      const paymentResult = await payForOrder(order, paymentToken);
+      if (!paymentResult.success) {
+        return sendPaymentDeclined(res, order, paymentResult);
       }
-    } catch (cartError) {
-      console.warn('Failed to clear cart after order creation:', cartError.message);
+      order = await Order.findById(order.id);
     }
 
-    // Send order confirmation email
+    // Send the order confirmation email in the background
     try {
-      const user = await User.findById(userId);
-      if (user) {
-        const emailService = new EmailService();
-        await emailService.sendOrderConfirmation(user, order);
-      }
+      await enqueueJob('email.order_confirmation', { orderId: order.id });
     } catch (emailError) {
-      console.warn('Failed to send order confirmation email:', emailError.message);
+      console.warn('Failed to queue order confirmation email:', emailError.message);
     }
 
     res.status(201).json({
       success: true,
       data: {
         order: order.toJSON(),
+        ...(!userId && { lookupToken: createLookupToken(order) }),
         message: 'Order created successfully'
       }
     });
@@ -79,6 +216,16 @@ router.post('/', authenticateToken, async (req, res) => {
   } catch (error) {
     console.error('Order creation error:', error);
     
+    if (error.message.includes('Coupon')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_COUPON',
+          message: error.message
+        }
+      });
+    }
+
     if (error.message.includes('Insufficient inventory')) {
       return res.status(400).json({
         success: false,
@@ -89,6 +236,36 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    if (error.message.includes('Variant selection required')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VARIANT_REQUIRED',
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message.includes('Variant is inactive')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VARIANT_INACTIVE',
+          message: error.message
+        }
+      });
+    }
+
+    if (error.message.includes('Variant not found')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VARIANT_NOT_FOUND',
+          message: error.message
+        }
+      });
+    }
+
     if (error.message.includes('not found')) {
       return res.status(400).json({
         success: false,
@@ -109,27 +286,30 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user's order history
+// Get user's order history, a page at a time
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { status, paymentStatus, limit } = req.query;
+    const { status, paymentStatus } = req.query;
+    const pagination = parsePagination(req.query, { sorts: Order.SORTS, defaultSort: 'newest' });
 
-    const filters = {};
+    const filters = { userId: req.user.id };
     if (status) filters.status = status;
     if (paymentStatus) filters.paymentStatus = paymentStatus;
-    if (limit) filters.limit = parseInt(limit);
 
-    const orders = await Order.findByUserId(userId, filters);
+    const { orders, pagination: page } = await Order.findPage(filters, pagination);
 
     res.json({
       success: true,
       data: {
-        orders: orders.map(order => order.toJSON())
+        orders: orders.map(order => order.toJSON()),
+        count: orders.length,
+        sort: pagination.sort,
+        pagination: page
       }
     });
 
   } catch (error) {
+    if (sendPaginationError(res, error)) return;
     console.error('Get orders error:', error);
     res.status(500).json({
       success: false,
@@ -141,11 +321,91 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get specific order details
-router.get('/:id', authenticateToken, async (req, res) => {
+// Look up a guest order by number, checkout email and the lookup token from
+// the confirmation email (?email=&number=&token=)
+router.get('/lookup', async (req, res) => {
+  try {
+    const { email, number, token } = req.query;
+    const orderId = parseInt(String(number || '').replace(/^#/, ''));
+
+    const order = orderId ? await Order.findGuestOrder(orderId, email) : null;
+
+    // The same answer whichever part is wrong, so order numbers and
+    // addresses can't be probed
+    if (!isValidLookupToken(order, token)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        order: order.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Order lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_ORDER_FAILED',
+        message: 'Failed to fetch order'
+      }
+    });
+  }
+});
+
+// Move a guest order into the signed-in account. The account must use the
+// email the order was placed with; body: { number, token }
+router.post('/claim', authenticateToken, async (req, res) => {
+  try {
+    const { number, token } = req.body;
+    const orderId = parseInt(String(number || '').replace(/^#/, ''));
+
+    const account = await User.findById(req.user.id);
+    const order = orderId && account ? await Order.findGuestOrder(orderId, account.email) : null;
+    if (!isValidLookupToken(order, token) || !(await order.claim(req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        order: (await Order.findById(order.id)).toJSON(),
+        message: 'Order added to your account'
+      }
+    });
+
+  } catch (error) {
+    console.error('Order claim error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ORDER_CLAIM_FAILED',
+        message: 'Failed to claim order'
+      }
+    });
+  }
+});
+
+// Pay for an order (retry after a declined payment, or pay later). Guests
+// send the order's lookupToken with the payment token.
+router.post('/:id/pay', authenticateOptional, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
-    const userId = req.user.id;
+    const { paymentToken, lookupToken } = req.body;
 
     if (isNaN(orderId)) {
       return res.status(400).json({
@@ -157,8 +417,83 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!paymentToken) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_PAYMENT_TOKEN',
+          message: 'Payment token is required'
+        }
+      });
+    }
+
     const order = await Order.findById(orderId);
+    const isOwner = req.user
+      ? order && order.userId === req.user.id
+      : order && !order.userId && isValidLookupToken(order, lookupToken);
+    if (!isOwner) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    const paymentResult = await payForOrder(order, paymentToken);
+    if (!paymentResult.success) {
+      return sendPaymentDeclined(res, order, paymentResult);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        order: (await Order.findById(orderId)).toJSON(),
+        payment: paymentResult.payment.toJSON(),
+        message: 'Payment completed successfully'
+      }
+    });
 
+  } catch (error) {
+    console.error('Order payment error:', error);
+
+    if (error.message.includes('not awaiting payment')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'PAYMENT_NOT_ALLOWED',
+          message: error.message
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PAYMENT_FAILED',
+        message: 'Failed to process payment'
+      }
+    });
+  }
+});
+
+// Get payment attempts for an order (owner or admin)
+router.get('/:id/payments', authenticateToken, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ORDER_ID',
+          message: 'Invalid order ID'
+        }
+      });
+    }
+
+    const order = await Order.findById(orderId);
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -169,8 +504,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if user owns this order (or is admin)
-    if (order.userId !== userId && !req.user.isAdmin) {
+    if (order.userId !== req.user.id && !hasPermission(req.user, 'orders:read')) {
       return res.status(403).json({
         success: false,
         error: {
@@ -180,40 +514,149 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
+    const payments = await Payment.findByOrderId(orderId);
+
     res.json({
       success: true,
       data: {
-        order: order.toJSON()
+        payments: payments.map(payment => payment.toJSON())
       }
     });
 
   } catch (error) {
-    console.error('Get order error:', error);
+    console.error('Get order payments error:', error);
     res.status(500).json({
       success: false,
       error: {
-        code: 'FETCH_ORDER_FAILED',
-        message: 'Failed to fetch order'
+        code: 'FETCH_PAYMENTS_FAILED',
+        message: 'Failed to fetch payments'
       }
     });
   }
 });
 
-// Update order status (admin only)
-router.put('/:id/status', authenticateToken, async (req, res) => {
+// Get an order's status history (owner or admin)
+router.get('/:id/timeline', authenticateToken, async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
+    const orderId = parseInt(req.params.id);
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ORDER_ID',
+          message: 'Invalid order ID'
+        }
+      });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    if (order.userId !== req.user.id && !hasPermission(req.user, 'orders:read')) {
       return res.status(403).json({
         success: false,
         error: {
           code: 'ACCESS_DENIED',
-          message: 'Admin access required'
+          message: 'Access denied'
         }
       });
     }
 
+    const timeline = await order.getStatusHistory();
+
+    res.json({
+      success: true,
+      data: {
+        status: order.status,
+        nextStatuses: Order.STATUS_TRANSITIONS[order.status] || [],
+        timeline
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order timeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_TIMELINE_FAILED',
+        message: 'Failed to fetch order timeline'
+      }
+    });
+  }
+});
+
+// Get specific order details
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
     const orderId = parseInt(req.params.id);
-    const { status } = req.body;
+    const userId = req.user.id;
+
+    if (isNaN(orderId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ORDER_ID',
+          message: 'Invalid order ID'
+        }
+      });
+    }
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    // Check if user owns this order (or is staff who can view orders)
+    if (order.userId !== userId && !hasPermission(req.user, 'orders:read')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCESS_DENIED',
+          message: 'Access denied'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        order: order.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_ORDER_FAILED',
+        message: 'Failed to fetch order'
+      }
+    });
+  }
+});
+
+// Update order status (staff with orders:update)
+router.put('/:id/status', authenticateToken, requirePermission('orders:update'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { status, note } = req.body;
 
     if (isNaN(orderId)) {
       return res.status(400).json({
@@ -247,31 +690,26 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
     }
 
     const previousStatus = order.status;
-    const updated = await order.updateStatus(status);
-    if (!updated) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'STATUS_UPDATE_FAILED',
-          message: 'Failed to update order status'
-        }
-      });
-    }
+    await order.updateStatus(status, { changedBy: req.user.id, note: note ? sanitizeString(note) : null });
+
+    await auditAction(req, {
+      action: 'order.update_status',
+      entityType: 'order',
+      entityId: order.id,
+      before: { status: previousStatus },
+      after: { status: order.status }
+    });
 
-    // Send status update email
+    // Send the status update email in the background
     try {
-      const user = await User.findById(order.userId);
-      if (user) {
-        const emailService = new EmailService();
-        await emailService.sendOrderStatusUpdate(user, order, previousStatus);
-        
-        // Send shipping notification if status changed to shipped
-        if (status === 'shipped') {
-          await emailService.sendShippingNotification(user, order);
-        }
+      await enqueueJob('email.order_status_update', { orderId: order.id, previousStatus, status: order.status });
+
+      // Send shipping notification if status changed to shipped
+      if (status === 'shipped') {
+        await enqueueJob('email.shipping_notification', { orderId: order.id });
       }
     } catch (emailError) {
-      console.warn('Failed to send status update email:', emailError.message);
+      console.warn('Failed to queue status update email:', emailError.message);
     }
 
     res.json({
@@ -295,6 +733,16 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
       });
     }
 
+    if (error.message.includes('Invalid status transition') || error.message.includes('changed by another request')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS_TRANSITION',
+          message: error.message.replace('Failed to update order status: ', '')
+        }
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: {
@@ -306,18 +754,8 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
 });
 
 // Update payment status
-router.put('/:id/payment-status', authenticateToken, async (req, res) => {
+router.put('/:id/payment-status', authenticateToken, requirePermission('payments:update'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'ACCESS_DENIED',
-          message: 'Admin access required'
-        }
-      });
-    }
-
     const orderId = parseInt(req.params.id);
     const { paymentStatus } = req.body;
 
@@ -352,6 +790,7 @@ router.put('/:id/payment-status', authenticateToken, async (req, res) => {
       });
     }
 
+    const previousPaymentStatus = order.paymentStatus;
     const updated = await order.updatePaymentStatus(paymentStatus);
     if (!updated) {
       return res.status(400).json({
@@ -363,6 +802,14 @@ router.put('/:id/payment-status', authenticateToken, async (req, res) => {
       });
     }
 
+    await auditAction(req, {
+      action: 'order.update_payment_status',
+      entityType: 'order',
+      entityId: order.id,
+      before: { paymentStatus: previousPaymentStatus },
+      after: { paymentStatus: order.paymentStatus }
+    });
+
     res.json({
       success: true,
       data: {
@@ -395,18 +842,8 @@ router.put('/:id/payment-status', authenticateToken, async (req, res) => {
 });
 
 // Add tracking number
-router.put('/:id/tracking', authenticateToken, async (req, res) => {
+router.put('/:id/tracking', authenticateToken, requirePermission('orders:update'), async (req, res) => {
   try {
-    if (!req.user.isAdmin) {
-      return res.status(403).json({
-        success: false,
-        error: {
-          code: 'ACCESS_DENIED',
-          message: 'Admin access required'
-        }
-      });
-    }
-
     const orderId = parseInt(req.params.id);
     const { trackingNumber } = req.body;
 
@@ -441,6 +878,7 @@ router.put('/:id/tracking', authenticateToken, async (req, res) => {
       });
     }
 
+    const previousTrackingNumber = order.trackingNumber || null;
     const updated = await order.addTrackingNumber(trackingNumber);
     if (!updated) {
       return res.status(400).json({
@@ -452,6 +890,14 @@ router.put('/:id/tracking', authenticateToken, async (req, res) => {
       });
     }
 
+    await auditAction(req, {
+      action: 'order.add_tracking',
+      entityType: 'order',
+      entityId: order.id,
+      before: { trackingNumber: previousTrackingNumber },
+      after: { trackingNumber: order.trackingNumber }
+    });
+
     res.json({
       success: true,
       data: {
@@ -499,8 +945,8 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if user owns this order (or is admin)
-    if (order.userId !== userId && !req.user.isAdmin) {
+    // Staff need orders:update to cancel someone else's order
+    if (order.userId !== userId && !hasPermission(req.user, 'orders:update')) {
       return res.status(403).json({
         success: false,
         error: {
@@ -510,7 +956,20 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
       });
     }
 
-    await order.cancel();
+    const reason = req.body?.reason;
+    const previousStatus = order.status;
+    await order.cancel({ changedBy: userId, note: reason ? sanitizeString(reason) : null });
+
+    // Customers cancelling their own orders aren't privileged changes
+    if (order.userId !== userId) {
+      await auditAction(req, {
+        action: 'order.cancel',
+        entityType: 'order',
+        entityId: order.id,
+        before: { status: previousStatus },
+        after: { status: order.status }
+      });
+    }
 
     res.json({
       success: true,
@@ -523,7 +982,8 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
   } catch (error) {
     console.error('Cancel order error:', error);
     
-    if (error.message.includes('already cancelled') || error.message.includes('Cannot cancel')) {
+    if (error.message.includes('already cancelled') || error.message.includes('Cannot cancel') ||
+        error.message.includes('changed by another request')) {
       return res.status(400).json({
         success: false,
         error: {
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const { SIGNATURE_HEADER, getWebhookSecret, verifySignature, handleWebhookEvent } = require('../payments/webhooks');
+
+// Payment provider webhook. Authenticated by its signature, not a user token.
+router.post('/webhook', async (req, res) => {
+  try {
+    // Fail closed: without a signing secret no delivery can be trusted. A 5xx
+    // also has the provider retry once the secret is configured.
+    if (!getWebhookSecret()) {
+      console.error('Payment webhook rejected: PAYMENT_WEBHOOK_SECRET is not set');
+      return res.status(503).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_NOT_CONFIGURED',
+          message: 'Payment webhooks are not configured'
+        }
+      });
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+
+    if (!signature) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_SIGNATURE',
+          message: `${SIGNATURE_HEADER} header is required`
+        }
+      });
+    }
+
+    // Verify against the exact bytes received, not the re-serialized body
+    const rawPayload = req.rawBody ? req.rawBody.toString('utf8') : null;
+
+    if (!verifySignature(rawPayload, signature)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_SIGNATURE',
+          message: 'Webhook signature verification failed'
+        }
+      });
+    }
+
+    const { event, duplicate } = await handleWebhookEvent(req.body, rawPayload);
+
+    res.json({
+      success: true,
+      data: {
+        received: true,
+        duplicate,
+        event: event.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+
+    if (error.message.includes('Invalid webhook event')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_EVENT',
+          message: error.message
+        }
+      });
+    }
+
+    // A 5xx tells the provider to deliver the event again
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_PROCESSING_FAILED',
+        message: 'Failed to process webhook event'
+      }
+    });
+  }
+});
+
+module.exports = router;
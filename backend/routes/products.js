@@ -3,15 +3,23 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const Product = require('../models/Product');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const ProductVariant = require('../models/ProductVariant');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 const { validateRequired, validatePrice, validateQuantity, sanitizeString } = require('../utils/validation');
+const { auditAction } = require('../utils/audit');
+const { getUploadDir, resolveUploadPath } = require('../config/uploads');
+const { parsePagination, buildPagination, sendPaginationError } = require('../utils/pagination');
 
 const router = express.Router();
 
+const MAX_SEARCH_QUERY_LENGTH = 200;
+
 // Configure multer for image uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads/products');
+    const uploadDir = path.join(getUploadDir(), 'products');
     try {
       await fs.mkdir(uploadDir, { recursive: true });
       cb(null, uploadDir);
@@ -42,17 +50,42 @@ const upload = multer({
   }
 });
 
-// GET /api/products - Get all products with filtering and search
+// Category assignment from a request's `categoryId` or `category` slug,
+// or null when the given category id doesn't exist
+const resolveCategory = async ({ categoryId, category }) => {
+  try {
+    return await Category.resolveAssignment({
+      categoryId,
+      category: category ? sanitizeString(category) : category
+    });
+  } catch (error) {
+    if (error.message.includes('Category not found')) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const invalidCategory = (res) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'INVALID_CATEGORY',
+    message: 'Category not found'
+  }
+});
+
+// GET /api/products - List products with filtering, search, sorting and pagination
 router.get('/', async (req, res) => {
   try {
     const {
       category,
+      categoryId,
       search,
       minPrice,
       maxPrice,
-      limit,
       isActive = true
     } = req.query;
+    const pagination = parsePagination(req.query, { sorts: Product.SORTS, defaultSort: 'newest' });
 
     // Build filters object
     const filters = {};
@@ -60,6 +93,10 @@ router.get('/', async (req, res) => {
     if (category) {
       filters.category = sanitizeString(category);
     }
+
+    if (categoryId && validateQuantity(categoryId)) {
+      filters.categoryId = parseInt(categoryId);
+    }
     
     if (search) {
       filters.search = sanitizeString(search);
@@ -73,25 +110,25 @@ router.get('/', async (req, res) => {
       filters.maxPrice = parseFloat(maxPrice);
     }
     
-    if (limit && validateQuantity(limit)) {
-      filters.limit = parseInt(limit);
-    }
-    
     // Only show active products by default for public API
     filters.isActive = isActive === 'false' ? false : true;
 
-    const products = await Product.findAll(filters);
+    const { products, pagination: page } = await Product.findPage(filters, pagination);
+    await Product.loadVariants(products, { activeOnly: true });
 
     res.json({
       success: true,
       data: {
         products: products.map(product => product.toJSON()),
         count: products.length,
-        filters: filters
+        filters: filters,
+        sort: pagination.sort,
+        pagination: page
       }
     });
 
   } catch (error) {
+    if (sendPaginationError(res, error)) return;
     console.error('Products fetch error:', error);
     res.status(500).json({
       success: false,
@@ -103,6 +140,64 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/products/search - Ranked full-text search with facet counts
+router.get('/search', async (req, res) => {
+  try {
+    const { q = '', category, categoryId, minPrice, maxPrice } = req.query;
+
+    if (typeof q !== 'string' || q.length > MAX_SEARCH_QUERY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_QUERY',
+          message: `Search query must be at most ${MAX_SEARCH_QUERY_LENGTH} characters`
+        }
+      });
+    }
+
+    const pagination = parsePagination(req.query);
+
+    const filters = { isActive: true, limit: pagination.pageSize, offset: pagination.offset };
+    if (category) {
+      filters.category = sanitizeString(category);
+    }
+    if (categoryId && validateQuantity(categoryId)) {
+      filters.categoryId = parseInt(categoryId);
+    }
+    if (minPrice && validatePrice(minPrice)) {
+      filters.minPrice = parseFloat(minPrice);
+    }
+    if (maxPrice && validatePrice(maxPrice)) {
+      filters.maxPrice = parseFloat(maxPrice);
+    }
+
+    const results = await Product.search(q, filters);
+    await Product.loadVariants(results.products, { activeOnly: true });
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        products: results.products.map(product => product.toJSON()),
+        count: results.products.length,
+        corrections: results.corrections,
+        facets: results.facets,
+        pagination: buildPagination(pagination, results.total)
+      }
+    });
+
+  } catch (error) {
+    console.error('Product search error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PRODUCT_SEARCH_FAILED',
+        message: 'Failed to search products'
+      }
+    });
+  }
+});
+
 // GET /api/products/:id - Get specific product details
 router.get('/:id', async (req, res) => {
   try {
@@ -130,10 +225,14 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    await Product.loadVariants([product], { activeOnly: true });
+    const breadcrumb = product.categoryId ? await Category.getBreadcrumb(product.categoryId) : [];
+
     res.json({
       success: true,
       data: {
-        product: product.toJSON()
+        product: product.toJSON(),
+        breadcrumb
       }
     });
 
@@ -150,21 +249,23 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/products - Create new product (admin only)
-router.post('/', authenticateToken, requireAdmin, upload.array('images', 5), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('products:create'), upload.array('images', 5), async (req, res) => {
   try {
     const {
       name,
       description,
       price,
       category,
+      categoryId,
       icon,
       specifications,
-      inventory = 0
+      inventory = 0,
+      weight = 0
     } = req.body;
 
     // Validate required fields
     if (!validateRequired(name) || !validateRequired(description) || 
-        !validateRequired(price) || !validateRequired(category)) {
+        !validateRequired(price) || (!validateRequired(category) && !validateRequired(categoryId))) {
       return res.status(400).json({
         success: false,
         error: {
@@ -196,6 +297,17 @@ router.post('/', authenticateToken, requireAdmin, upload.array('images', 5), asy
       });
     }
 
+    // Validate shipping weight (kg)
+    if (!validatePrice(weight)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_WEIGHT',
+          message: 'Weight must be a valid non-negative number'
+        }
+      });
+    }
+
     // Process uploaded images
     const imageUrls = [];
     if (req.files && req.files.length > 0) {
@@ -222,22 +334,36 @@ router.post('/', authenticateToken, requireAdmin, upload.array('images', 5), asy
       }
     }
 
+    const assignment = await resolveCategory({ categoryId, category });
+    if (!assignment) {
+      return invalidCategory(res);
+    }
+
     // Create product
     const productData = {
       name: sanitizeString(name),
       description: sanitizeString(description),
       price: parseFloat(price),
-      category: sanitizeString(category),
+      category: assignment.category,
+      category_id: assignment.categoryId,
       icon: icon ? sanitizeString(icon) : null,
       images: JSON.stringify(imageUrls),
       specifications: JSON.stringify(parsedSpecs),
       inventory: parseInt(inventory),
+      weight: parseFloat(weight),
       isActive: true
     };
 
     const product = new Product(productData);
     await product.save();
 
+    await auditAction(req, {
+      action: 'product.create',
+      entityType: 'product',
+      entityId: product.id,
+      after: product.toJSON()
+    });
+
     res.status(201).json({
       success: true,
       data: {
@@ -258,7 +384,7 @@ router.post('/', authenticateToken, requireAdmin, upload.array('images', 5), asy
 });
 
 // PUT /api/products/:id - Update product (admin only)
-router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('products:update'), upload.array('images', 5), async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -266,9 +392,11 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), a
       description,
       price,
       category,
+      categoryId,
       icon,
       specifications,
       inventory,
+      weight,
       isActive
     } = req.body;
 
@@ -294,6 +422,8 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), a
       });
     }
 
+    const before = product.toJSON();
+
     // Validate fields if provided
     if (name !== undefined) {
       if (!validateRequired(name)) {
@@ -344,7 +474,18 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), a
           }
         });
       }
-      product.category = sanitizeString(category);
+    }
+
+    if (category !== undefined || categoryId !== undefined) {
+      const assignment = await resolveCategory({
+        categoryId,
+        category: category !== undefined ? category : product.category
+      });
+      if (!assignment) {
+        return invalidCategory(res);
+      }
+      product.category = assignment.category;
+      product.categoryId = assignment.categoryId;
     }
 
     if (icon !== undefined) {
@@ -361,9 +502,31 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), a
           }
         });
       }
+      if (product.variantCount > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVENTORY_TRACKED_PER_VARIANT',
+            message: 'Set stock on the product\'s variants instead'
+          }
+        });
+      }
       product.inventory = parseInt(inventory);
     }
 
+    if (weight !== undefined) {
+      if (!validatePrice(weight)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_WEIGHT',
+            message: 'Weight must be a valid non-negative number'
+          }
+        });
+      }
+      product.weight = parseFloat(weight);
+    }
+
     if (isActive !== undefined) {
       product.isActive = Boolean(isActive);
     }
@@ -404,6 +567,14 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), a
     // Save updated product
     await product.save();
 
+    await auditAction(req, {
+      action: 'product.update',
+      entityType: 'product',
+      entityId: product.id,
+      before,
+      after: product.toJSON()
+    });
+
     res.json({
       success: true,
       data: {
@@ -424,7 +595,7 @@ router.put('/:id', authenticateToken, requireAdmin, upload.array('images', 5), a
 });
 
 // DELETE /api/products/:id - Delete product (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('products:delete'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -454,7 +625,7 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       try {
         const images = JSON.parse(product.images);
         for (const imagePath of images) {
-          const fullPath = path.join(__dirname, '../../', imagePath);
+          const fullPath = resolveUploadPath(imagePath);
           try {
             await fs.unlink(fullPath);
           } catch (fileError) {
@@ -478,6 +649,13 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
       });
     }
 
+    await auditAction(req, {
+      action: 'product.delete',
+      entityType: 'product',
+      entityId: product.id,
+      before: product.toJSON()
+    });
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
@@ -496,7 +674,7 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
 });
 
 // POST /api/products/:id/images - Add images to existing product (admin only)
-router.post('/:id/images', authenticateToken, requireAdmin, upload.array('images', 5), async (req, res) => {
+router.post('/:id/images', authenticateToken, requirePermission('products:update'), upload.array('images', 5), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -538,12 +716,21 @@ router.post('/:id/images', authenticateToken, requireAdmin, upload.array('images
     });
 
     // Get existing images and add new ones
+    const before = product.toJSON();
     const existingImages = product.images ? JSON.parse(product.images) : [];
     const allImages = [...existingImages, ...newImageUrls];
     
     product.images = JSON.stringify(allImages);
     await product.save();
 
+    await auditAction(req, {
+      action: 'product.add_images',
+      entityType: 'product',
+      entityId: product.id,
+      before,
+      after: product.toJSON()
+    });
+
     res.json({
       success: true,
       data: {
@@ -565,7 +752,7 @@ router.post('/:id/images', authenticateToken, requireAdmin, upload.array('images
 });
 
 // DELETE /api/products/:id/images/:imageIndex - Remove specific image (admin only)
-router.delete('/:id/images/:imageIndex', authenticateToken, requireAdmin, async (req, res) => {
+router.delete('/:id/images/:imageIndex', authenticateToken, requirePermission('products:update'), async (req, res) => {
   try {
     const { id, imageIndex } = req.params;
 
@@ -615,7 +802,7 @@ router.delete('/:id/images/:imageIndex', authenticateToken, requireAdmin, async
 
     // Delete the image file
     const imagePath = images[index];
-    const fullPath = path.join(__dirname, '../../', imagePath);
+    const fullPath = resolveUploadPath(imagePath);
     try {
       await fs.unlink(fullPath);
     } catch (fileError) {
@@ -623,10 +810,19 @@ router.delete('/:id/images/:imageIndex', authenticateToken, requireAdmin, async
     }
 
     // Remove image from array
+    const before = product.toJSON();
     images.splice(index, 1);
     product.images = JSON.stringify(images);
     await product.save();
 
+    await auditAction(req, {
+      action: 'product.remove_image',
+      entityType: 'product',
+      entityId: product.id,
+      before,
+      after: product.toJSON()
+    });
+
     res.json({
       success: true,
       data: {
@@ -646,4 +842,436 @@ router.delete('/:id/images/:imageIndex', authenticateToken, requireAdmin, async
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Load the product named in the URL, or send the matching error response
+const findProduct = async (req, res) => {
+  const { id } = req.params;
+
+  if (!validateQuantity(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_PRODUCT_ID',
+        message: 'Invalid product ID'
+      }
+    });
+    return null;
+  }
+
+  const product = await Product.findById(parseInt(id));
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'PRODUCT_NOT_FOUND',
+        message: 'Product not found'
+      }
+    });
+    return null;
+  }
+
+  return product;
+};
+
+// GET /api/products/:id/reviews - Published reviews with the rating summary
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const product = await findProduct(req, res);
+    if (!product) return;
+
+    const pagination = parsePagination(req.query, { sorts: Review.SORTS, defaultSort: 'newest' });
+    const filters = { productId: product.id, status: 'published' };
+    if (req.query.rating && /^[1-5]$/.test(req.query.rating)) {
+      filters.rating = parseInt(req.query.rating);
+    }
+    if (req.query.verified === 'true') {
+      filters.verified = true;
+    }
+
+    const { reviews, pagination: page } = await Review.findPage(filters, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map(review => review.toJSON()),
+        summary: await Review.getSummary(product.id),
+        sort: pagination.sort,
+        pagination: page
+      }
+    });
+
+  } catch (error) {
+    if (sendPaginationError(res, error)) return;
+    console.error('Reviews fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVIEWS_FETCH_FAILED',
+        message: 'Failed to fetch reviews'
+      }
+    });
+  }
+});
+
+// POST /api/products/:id/reviews - Review a product, once per customer.
+// Customers who had the product delivered get a verified badge.
+router.post('/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const product = await findProduct(req, res);
+    if (!product) return;
+
+    if (!product.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product not found'
+        }
+      });
+    }
+
+    const errors = Review.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join('; ')
+        }
+      });
+    }
+
+    const { rating, title, body } = req.body;
+    const review = await Review.create({
+      productId: product.id,
+      userId: req.user.id,
+      rating,
+      title: title ? sanitizeString(title) : null,
+      body: body ? sanitizeString(body) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        review: review.toJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.message.includes('already reviewed')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'REVIEW_EXISTS',
+          message: 'You have already reviewed this product'
+        }
+      });
+    }
+    console.error('Review creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVIEW_CREATION_FAILED',
+        message: 'Failed to create review'
+      }
+    });
+  }
+});
+
+// Read and validate variant fields from a request body. With `partial`,
+// fields that are left out are skipped. Returns { data } or { error }.
+const parseVariantInput = (body, { partial = false } = {}) => {
+  const { sku, options, price, inventory, isActive, position } = body;
+  const data = {};
+
+  if (sku !== undefined || !partial) {
+    if (!validateRequired(sku)) {
+      return { error: { code: 'INVALID_SKU', message: 'SKU is required' } };
+    }
+    data.sku = sanitizeString(String(sku));
+  }
+
+  if (options !== undefined || !partial) {
+    try {
+      const sanitized = options && typeof options === 'object' && !Array.isArray(options)
+        ? Object.fromEntries(Object.entries(options).map(([name, value]) => [name, sanitizeString(value)]))
+        : options;
+      data.options = ProductVariant.normalizeOptions(sanitized);
+    } catch (error) {
+      return { error: { code: 'INVALID_OPTIONS', message: error.message } };
+    }
+  }
+
+  if (price !== undefined) {
+    if (price !== null && !validatePrice(price)) {
+      return { error: { code: 'INVALID_PRICE', message: 'Price must be a valid positive number, or null to use the product price' } };
+    }
+    data.price = price === null ? null : parseFloat(price);
+  }
+
+  if (inventory !== undefined) {
+    if (!validateQuantity(inventory)) {
+      return { error: { code: 'INVALID_INVENTORY', message: 'Inventory must be a valid non-negative number' } };
+    }
+    data.inventory = parseInt(inventory);
+  }
+
+  if (position !== undefined) {
+    if (!validateQuantity(position)) {
+      return { error: { code: 'INVALID_POSITION', message: 'Position must be a valid non-negative number' } };
+    }
+    data.position = parseInt(position);
+  }
+
+  if (isActive !== undefined) {
+    data.isActive = Boolean(isActive);
+  }
+
+  return { data };
+};
+
+// Respond to a variant save that broke a uniqueness rule
+const sendVariantConflict = (res, error) => {
+  if (error.message.includes('SKU already in use')) {
+    res.status(409).json({
+      success: false,
+      error: {
+        code: 'DUPLICATE_SKU',
+        message: 'Another variant already uses this SKU'
+      }
+    });
+    return true;
+  }
+
+  if (error.message.includes('options already exists')) {
+    res.status(409).json({
+      success: false,
+      error: {
+        code: 'DUPLICATE_VARIANT',
+        message: 'This product already has a variant with these options'
+      }
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Load the product and variant named in the URL, responding with an error
+// (and returning null) if either is invalid or missing
+const findProductVariant = async (req, res) => {
+  const { id, variantId } = req.params;
+
+  if (!validateQuantity(id) || !validateQuantity(variantId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_PARAMETERS',
+        message: 'Invalid product or variant ID'
+      }
+    });
+    return null;
+  }
+
+  const variant = await ProductVariant.findById(parseInt(variantId));
+  if (!variant || variant.productId !== parseInt(id)) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'VARIANT_NOT_FOUND',
+        message: 'Variant not found'
+      }
+    });
+    return null;
+  }
+
+  return variant;
+};
+
+// GET /api/products/:id/variants - List a product's variants, including inactive ones (admin only)
+router.get('/:id/variants', authenticateToken, requirePermission('products:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateQuantity(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PRODUCT_ID',
+          message: 'Invalid product ID'
+        }
+      });
+    }
+
+    const product = await Product.findById(parseInt(id));
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product not found'
+        }
+      });
+    }
+
+    const variants = await ProductVariant.findByProductId(product.id);
+
+    res.json({
+      success: true,
+      data: {
+        variants: variants.map(variant => variant.toJSON()),
+        options: Product.optionAxes(variants)
+      }
+    });
+
+  } catch (error) {
+    console.error('Variants fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VARIANTS_FETCH_FAILED',
+        message: 'Failed to fetch variants'
+      }
+    });
+  }
+});
+
+// POST /api/products/:id/variants - Add a variant to a product (admin only)
+router.post('/:id/variants', authenticateToken, requirePermission('products:update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateQuantity(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PRODUCT_ID',
+          message: 'Invalid product ID'
+        }
+      });
+    }
+
+    const product = await Product.findById(parseInt(id));
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PRODUCT_NOT_FOUND',
+          message: 'Product not found'
+        }
+      });
+    }
+
+    const { data, error } = parseVariantInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const variant = await ProductVariant.create(product.id, data);
+
+    await auditAction(req, {
+      action: 'product.create_variant',
+      entityType: 'product_variant',
+      entityId: variant.id,
+      after: variant.toJSON()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        variant: variant.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Variant creation error:', error);
+
+    if (sendVariantConflict(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VARIANT_CREATION_FAILED',
+        message: 'Failed to create variant'
+      }
+    });
+  }
+});
+
+// PUT /api/products/:id/variants/:variantId - Update a variant (admin only)
+router.put('/:id/variants/:variantId', authenticateToken, requirePermission('products:update'), async (req, res) => {
+  try {
+    const variant = await findProductVariant(req, res);
+    if (!variant) return;
+
+    const { data, error } = parseVariantInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const before = variant.toJSON();
+    Object.assign(variant, data);
+    await variant.save();
+
+    await auditAction(req, {
+      action: 'product.update_variant',
+      entityType: 'product_variant',
+      entityId: variant.id,
+      before,
+      after: variant.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        variant: variant.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Variant update error:', error);
+
+    if (sendVariantConflict(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VARIANT_UPDATE_FAILED',
+        message: 'Failed to update variant'
+      }
+    });
+  }
+});
+
+// DELETE /api/products/:id/variants/:variantId - Delete a variant (admin only)
+router.delete('/:id/variants/:variantId', authenticateToken, requirePermission('products:update'), async (req, res) => {
+  try {
+    const variant = await findProductVariant(req, res);
+    if (!variant) return;
+
+    await variant.delete();
+
+    await auditAction(req, {
+      action: 'product.delete_variant',
+      entityType: 'product_variant',
+      entityId: variant.id,
+      before: variant.toJSON()
+    });
+
+    res.json({
+      success: true,
+      message: 'Variant deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Variant deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VARIANT_DELETE_FAILED',
+        message: 'Failed to delete variant'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const router = express.Router();
+const { Promotion } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuantity } = require('../utils/validation');
+const { auditAction } = require('../utils/audit');
+
+// List promotions (admin)
+router.get('/', authenticateToken, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const { active, search } = req.query;
+
+    const promotions = await Promotion.findAll({
+      isActive: active !== undefined ? active === 'true' : undefined,
+      search
+    });
+
+    res.json({
+      success: true,
+      data: {
+        promotions: promotions.map(promotion => promotion.toJSON())
+      }
+    });
+  } catch (error) {
+    console.error('Promotions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PROMOTIONS_FETCH_FAILED',
+        message: 'Failed to fetch promotions'
+      }
+    });
+  }
+});
+
+// Get promotion with usage count (admin)
+router.get('/:id', authenticateToken, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateQuantity(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PROMOTION_ID',
+          message: 'Invalid promotion ID'
+        }
+      });
+    }
+
+    const promotion = await Promotion.findById(parseInt(id));
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROMOTION_NOT_FOUND',
+          message: 'Promotion not found'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        promotion: promotion.toJSON(),
+        usageCount: await promotion.getUsageCount()
+      }
+    });
+  } catch (error) {
+    console.error('Promotion fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PROMOTION_FETCH_FAILED',
+        message: 'Failed to fetch promotion'
+      }
+    });
+  }
+});
+
+// Create promotion (admin)
+router.post('/', authenticateToken, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const errors = Promotion.validate(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join('; ')
+        }
+      });
+    }
+
+    if (await Promotion.findByCode(req.body.code)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'PROMOTION_CODE_EXISTS',
+          message: 'A promotion with this code already exists'
+        }
+      });
+    }
+
+    const promotion = await Promotion.create(req.body);
+
+    await auditAction(req, {
+      action: 'promotion.create',
+      entityType: 'promotion',
+      entityId: promotion.id,
+      after: promotion.toJSON()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        promotion: promotion.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Promotion creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PROMOTION_CREATION_FAILED',
+        message: 'Failed to create promotion'
+      }
+    });
+  }
+});
+
+// Update promotion (admin)
+router.put('/:id', authenticateToken, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateQuantity(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PROMOTION_ID',
+          message: 'Invalid promotion ID'
+        }
+      });
+    }
+
+    const promotion = await Promotion.findById(parseInt(id));
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROMOTION_NOT_FOUND',
+          message: 'Promotion not found'
+        }
+      });
+    }
+
+    const errors = Promotion.validate({ ...promotion.toJSON(), ...req.body });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: errors.join('; ')
+        }
+      });
+    }
+
+    if (req.body.code !== undefined) {
+      const existing = await Promotion.findByCode(req.body.code);
+      if (existing && existing.id !== promotion.id) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'PROMOTION_CODE_EXISTS',
+            message: 'A promotion with this code already exists'
+          }
+        });
+      }
+    }
+
+    const before = promotion.toJSON();
+    promotion.assign(req.body);
+    await promotion.save();
+    const updated = await Promotion.findById(promotion.id);
+
+    await auditAction(req, {
+      action: 'promotion.update',
+      entityType: 'promotion',
+      entityId: promotion.id,
+      before,
+      after: updated.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        promotion: updated.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Promotion update error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PROMOTION_UPDATE_FAILED',
+        message: 'Failed to update promotion'
+      }
+    });
+  }
+});
+
+// Delete promotion (admin)
+router.delete('/:id', authenticateToken, requirePermission('promotions:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!validateQuantity(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PROMOTION_ID',
+          message: 'Invalid promotion ID'
+        }
+      });
+    }
+
+    const promotion = await Promotion.findById(parseInt(id));
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROMOTION_NOT_FOUND',
+          message: 'Promotion not found'
+        }
+      });
+    }
+
+    await promotion.delete();
+
+    await auditAction(req, {
+      action: 'promotion.delete',
+      entityType: 'promotion',
+      entityId: promotion.id,
+      before: promotion.toJSON()
+    });
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Promotion deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PROMOTION_DELETION_FAILED',
+        message: 'Failed to delete promotion'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,449 @@
+const express = require('express');
+const router = express.Router();
+const { Order, ReturnRequest } = require('../models');
+const { authenticateToken, hasPermission, requirePermission } = require('../middleware/auth');
+const { validatePrice, sanitizeString } = require('../utils/validation');
+const { refundOrder } = require('../payments/paymentService');
+const { auditAction } = require('../utils/audit');
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunding', 'refunded'];
+
+// Load the return named in the URL, or send the matching error response.
+// Customers only see their own returns.
+const loadReturn = async (req, res) => {
+  const returnId = parseInt(req.params.id);
+
+  if (isNaN(returnId)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_RETURN_ID',
+        message: 'Invalid return ID'
+      }
+    });
+    return null;
+  }
+
+  const returnRequest = await ReturnRequest.findById(returnId);
+
+  if (!returnRequest || (!hasPermission(req.user, 'returns:read') && returnRequest.userId !== req.user.id)) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'RETURN_NOT_FOUND',
+        message: 'Return not found'
+      }
+    });
+    return null;
+  }
+
+  return returnRequest;
+};
+
+// Map model errors to responses shared by the admin actions
+const sendReturnError = (res, error, fallback) => {
+  if (error.message.includes('cannot move from') || error.message.includes('already been received')) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'INVALID_RETURN_STATUS',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('Received quantity') || error.message.includes('Refund amount')) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('no captured payment')) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'REFUND_NOT_POSSIBLE',
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// Refund a received return through the payment gateway. A zero amount
+// closes the return without a refund. The return is claimed before the
+// gateway is called, like payForOrder claims an order, and the claim is
+// given back if the refund doesn't go through.
+const issueRefund = async (req, res, returnRequest, amount) => {
+  const before = returnRequest.toJSON();
+
+  if (!await returnRequest.claimRefund()) {
+    const current = await ReturnRequest.findById(returnRequest.id);
+
+    if (current.status === 'received') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'REFUND_IN_PROGRESS',
+          message: 'Another refund for this order is in progress'
+        }
+      });
+    }
+
+    return res.status(409).json({
+      success: false,
+      error: {
+        code: 'INVALID_RETURN_STATUS',
+        message: `Return cannot be refunded while ${current.status}`
+      }
+    });
+  }
+
+  let paymentId = null;
+
+  try {
+    if (amount > 0) {
+      const order = await Order.findById(returnRequest.orderId);
+      const result = await refundOrder(order, amount);
+
+      if (!result.success) {
+        await returnRequest.releaseRefund();
+        return res.status(402).json({
+          success: false,
+          error: {
+            code: 'REFUND_FAILED',
+            message: result.message || 'Refund was declined',
+            reason: result.errorCode,
+            returnId: returnRequest.id
+          }
+        });
+      }
+
+      paymentId = result.payment.id;
+    }
+  } catch (error) {
+    await returnRequest.releaseRefund();
+    throw error;
+  }
+
+  await returnRequest.markRefunded(amount, paymentId);
+
+  await auditAction(req, {
+    action: 'return.refund',
+    entityType: 'return',
+    entityId: returnRequest.id,
+    before,
+    after: returnRequest.toJSON()
+  });
+
+  res.json({
+    success: true,
+    data: {
+      return: returnRequest.toJSON(),
+      message: amount > 0 ? `Refunded $${amount.toFixed(2)}` : 'Return closed without a refund'
+    }
+  });
+};
+
+// Request a return for some of an order's items
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { orderId, items, reason } = req.body;
+
+    if (!orderId || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_RETURN_DATA',
+          message: 'Order ID and at least one item are required'
+        }
+      });
+    }
+
+    const order = await Order.findById(parseInt(orderId));
+    if (!order || order.userId !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ORDER_NOT_FOUND',
+          message: 'Order not found'
+        }
+      });
+    }
+
+    const returnRequest = await ReturnRequest.create({
+      order,
+      userId: req.user.id,
+      reason: reason ? sanitizeString(reason) : null,
+      items
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        return: returnRequest.toJSON(),
+        message: 'Return requested successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Return request error:', error);
+
+    if (error.message.includes('not eligible')) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'RETURN_NOT_ALLOWED',
+          message: 'Only paid orders that have shipped can be returned'
+        }
+      });
+    }
+
+    if (error.message.includes('Return item') || error.message.includes('Return quantity')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_RETURN_ITEMS',
+          message: error.message.replace('Failed to create return: ', '')
+        }
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RETURN_REQUEST_FAILED',
+        message: 'Failed to request return'
+      }
+    });
+  }
+});
+
+// List returns: the customer's own, or all of them for staff with returns:read
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, orderId } = req.query;
+
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `Status must be one of: ${RETURN_STATUSES.join(', ')}`
+        }
+      });
+    }
+
+    const returns = await ReturnRequest.findAll({
+      userId: hasPermission(req.user, 'returns:read') ? undefined : req.user.id,
+      orderId: orderId ? parseInt(orderId) : undefined,
+      status
+    });
+
+    res.json({
+      success: true,
+      data: {
+        returns: returns.map(returnRequest => returnRequest.toJSON())
+      }
+    });
+
+  } catch (error) {
+    console.error('Get returns error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_RETURNS_FAILED',
+        message: 'Failed to fetch returns'
+      }
+    });
+  }
+});
+
+// Get a single return
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+
+    res.json({
+      success: true,
+      data: {
+        return: returnRequest.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_RETURN_FAILED',
+        message: 'Failed to fetch return'
+      }
+    });
+  }
+});
+
+// Approve a requested return (admin)
+router.put('/:id/approve', authenticateToken, requirePermission('returns:update'), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+
+    const before = returnRequest.toJSON();
+    await returnRequest.approve(req.body.notes ? sanitizeString(req.body.notes) : null);
+
+    await auditAction(req, {
+      action: 'return.approve',
+      entityType: 'return',
+      entityId: returnRequest.id,
+      before,
+      after: returnRequest.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        return: returnRequest.toJSON(),
+        message: 'Return approved'
+      }
+    });
+
+  } catch (error) {
+    console.error('Approve return error:', error);
+    sendReturnError(res, error, {
+      code: 'RETURN_UPDATE_FAILED',
+      message: 'Failed to approve return'
+    });
+  }
+});
+
+// Reject a requested return (admin)
+router.put('/:id/reject', authenticateToken, requirePermission('returns:update'), async (req, res) => {
+  try {
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+
+    const before = returnRequest.toJSON();
+    await returnRequest.reject(req.body.notes ? sanitizeString(req.body.notes) : null);
+
+    await auditAction(req, {
+      action: 'return.reject',
+      entityType: 'return',
+      entityId: returnRequest.id,
+      before,
+      after: returnRequest.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        return: returnRequest.toJSON(),
+        message: 'Return rejected'
+      }
+    });
+
+  } catch (error) {
+    console.error('Reject return error:', error);
+    sendReturnError(res, error, {
+      code: 'RETURN_UPDATE_FAILED',
+      message: 'Failed to reject return'
+    });
+  }
+});
+
+// Mark an approved return as received (admin): restock what arrived and
+// refund it. `items` ([{ returnItemId, quantity }]) records partial receipts;
+// `refundAmount` overrides the refund, which otherwise is what the customer
+// paid for the received units.
+router.put('/:id/receive', authenticateToken, requirePermission('returns:update'), async (req, res) => {
+  try {
+    const { items = [], notes, refundAmount } = req.body;
+
+    if (refundAmount !== undefined && !validatePrice(refundAmount)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_REFUND_AMOUNT',
+          message: 'Refund amount must be a non-negative number'
+        }
+      });
+    }
+
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+
+    const received = Object.fromEntries(
+      (Array.isArray(items) ? items : []).map(item => [item.returnItemId, item.quantity])
+    );
+    const before = returnRequest.toJSON();
+    await returnRequest.receive(received, notes ? sanitizeString(notes) : null);
+
+    await auditAction(req, {
+      action: 'return.receive',
+      entityType: 'return',
+      entityId: returnRequest.id,
+      before,
+      after: returnRequest.toJSON()
+    });
+
+    const amount = refundAmount !== undefined ? parseFloat(refundAmount) : returnRequest.refundAmount;
+    await issueRefund(req, res, returnRequest, amount);
+
+  } catch (error) {
+    console.error('Receive return error:', error);
+    sendReturnError(res, error, {
+      code: 'RETURN_UPDATE_FAILED',
+      message: 'Failed to receive return'
+    });
+  }
+});
+
+// Retry the refund for a received return (admin), e.g. after a gateway failure
+router.post('/:id/refund', authenticateToken, requirePermission('returns:refund'), async (req, res) => {
+  try {
+    const { amount } = req.body;
+
+    if (amount !== undefined && !validatePrice(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_REFUND_AMOUNT',
+          message: 'Refund amount must be a non-negative number'
+        }
+      });
+    }
+
+    const returnRequest = await loadReturn(req, res);
+    if (!returnRequest) return;
+
+    if (returnRequest.status !== 'received') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVALID_RETURN_STATUS',
+          message: `Return cannot be refunded while ${returnRequest.status}`
+        }
+      });
+    }
+
+    await issueRefund(req, res, returnRequest, amount !== undefined ? parseFloat(amount) : returnRequest.refundAmount);
+
+  } catch (error) {
+    console.error('Refund return error:', error);
+    sendReturnError(res, error, {
+      code: 'REFUND_FAILED',
+      message: 'Failed to refund return'
+    });
+  }
+});
+
+module.exports = router;
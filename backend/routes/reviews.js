@@ -0,0 +1,153 @@
+const express = require('express');
+const router = express.Router();
+const { Review } = require('../models');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { validateQuantity, sanitizeString } = require('../utils/validation');
+const { auditAction } = require('../utils/audit');
+const { parsePagination, sendPaginationError } = require('../utils/pagination');
+
+// Load the review named in the URL, or send the matching error response
+const loadReview = async (req, res) => {
+  const { id } = req.params;
+
+  if (!validateQuantity(id)) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_REVIEW_ID',
+        message: 'Invalid review ID'
+      }
+    });
+    return null;
+  }
+
+  const review = await Review.findById(parseInt(id));
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      error: {
+        code: 'REVIEW_NOT_FOUND',
+        message: 'Review not found'
+      }
+    });
+    return null;
+  }
+
+  return review;
+};
+
+// List reviews, including hidden ones, newest first (admin)
+router.get('/', authenticateToken, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status, productId, userId, rating, verified } = req.query;
+    const pagination = parsePagination(req.query, { sorts: Review.SORTS, defaultSort: 'newest' });
+
+    const filters = {};
+    if (Review.REVIEW_STATUSES.includes(status)) filters.status = status;
+    if (productId && validateQuantity(productId)) filters.productId = parseInt(productId);
+    if (userId && validateQuantity(userId)) filters.userId = parseInt(userId);
+    if (rating && /^[1-5]$/.test(rating)) filters.rating = parseInt(rating);
+    if (verified === 'true' || verified === 'false') filters.verified = verified === 'true';
+
+    const { reviews, pagination: page } = await Review.findPage(filters, pagination);
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map(review => review.toJSON()),
+        sort: pagination.sort,
+        pagination: page
+      }
+    });
+  } catch (error) {
+    if (sendPaginationError(res, error)) return;
+    console.error('Reviews fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVIEWS_FETCH_FAILED',
+        message: 'Failed to fetch reviews'
+      }
+    });
+  }
+});
+
+// Hide or republish a review, e.g. { "status": "hidden", "note": "Spam" } (admin)
+router.put('/:id', authenticateToken, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    const { status, note } = req.body;
+    if (!Review.REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `Status must be one of: ${Review.REVIEW_STATUSES.join(', ')}`
+        }
+      });
+    }
+
+    const before = review.toJSON();
+    await review.moderate(status, note ? sanitizeString(note) : null, req.user.id);
+    const updated = await Review.findById(review.id);
+
+    await auditAction(req, {
+      action: 'review.moderate',
+      entityType: 'review',
+      entityId: review.id,
+      before,
+      after: updated.toJSON()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        review: updated.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Review moderation error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVIEW_MODERATION_FAILED',
+        message: 'Failed to moderate review'
+      }
+    });
+  }
+});
+
+// Delete a review (admin)
+router.delete('/:id', authenticateToken, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    await review.delete();
+
+    await auditAction(req, {
+      action: 'review.delete',
+      entityType: 'review',
+      entityId: review.id,
+      before: review.toJSON()
+    });
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Review deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVIEW_DELETION_FAILED',
+        message: 'Failed to delete review'
+      }
+    });
+  }
+});
+
+module.exports = router;
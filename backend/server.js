@@ -5,11 +5,20 @@ const session = require('express-session');
 require('dotenv').config();
 
 const database = require('./config/database');
+const { getUploadDir } = require('./config/uploads');
 const apiRoutes = require('./routes');
+const { startJobWorker } = require('./jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, trust it for the client IP so rate limits apply
+// per client (e.g. TRUST_PROXY=1 for one proxy hop)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -28,14 +37,21 @@ app.use(session({
   }
 }));
 
-app.use(express.json({ limit: '10mb', type: 'application/json' }));
+app.use(express.json({
+  limit: '10mb',
+  type: 'application/json',
+  // Keep the raw bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files from frontend
 app.use(express.static(path.join(__dirname, '../')));
 
 // Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/uploads', express.static(getUploadDir()));
 
 // API routes
 app.use('/api', apiRoutes);
@@ -52,6 +68,9 @@ if (require.main === module) {
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+
+    // Run background jobs and the scheduled tasks that queue them
+    startJobWorker();
   }).catch(err => {
     console.error('Failed to connect to database:', err);
     process.exit(1);
@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product } = require('../models');
+
+describe('Address book', () => {
+  let ownerToken;
+  let otherToken;
+  let product;
+  const orderIds = [];
+
+  const home = {
+    label: 'Home',
+    firstName: 'Judy',
+    lastName: 'Alvarez',
+    street: '12 Lizzie Lane',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US',
+    phone: '555-0101'
+  };
+
+  const work = {
+    label: 'Work',
+    street: '77 Clouds Plaza',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90002'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'addresses-owner@test.com', password: 'user12345', firstName: 'Judy', lastName: 'Alvarez' });
+    await User.create({ email: 'addresses-other@test.com', password: 'user12345', firstName: 'River', lastName: 'Ward' });
+    ownerToken = await login('addresses-owner@test.com', 'user12345');
+    otherToken = await login('addresses-other@test.com', 'user12345');
+
+    product = await Product.create({ name: 'Test Address Deck', description: 'Address', price: 30, category: 'test-addresses', inventory: 10 });
+  });
+
+  afterAll(async () => {
+    for (const id of orderIds) {
+      await database.run("DELETE FROM jobs WHERE type LIKE 'email.%' AND json_extract(payload, '$.orderId') = ?", [id]);
+      await database.run('DELETE FROM order_status_history WHERE order_id = ?', [id]);
+      await database.run('DELETE FROM order_items WHERE order_id = ?', [id]);
+      await database.run('DELETE FROM orders WHERE id = ?', [id]);
+    }
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM user_addresses WHERE user_id IN (SELECT id FROM users WHERE email LIKE "addresses-%@test.com")');
+    await database.run('DELETE FROM users WHERE email LIKE "addresses-%@test.com"');
+    await database.close();
+  });
+
+  it('should save addresses, making the first one the default', async () => {
+    const first = await as(ownerToken, 'post', '/api/auth/addresses').send(home).expect(201);
+    expect(first.body.data.address).toMatchObject({ ...home, isDefault: true });
+
+    const second = await as(ownerToken, 'post', '/api/auth/addresses').send(work).expect(201);
+    expect(second.body.data.address).toMatchObject({ ...work, country: 'US', isDefault: false });
+
+    const list = await as(ownerToken, 'get', '/api/auth/addresses').expect(200);
+    expect(list.body.data.addresses.map(address => address.label)).toEqual(['Home', 'Work']);
+  });
+
+  it('should validate addresses', async () => {
+    const response = await as(ownerToken, 'post', '/api/auth/addresses')
+      .send({ ...work, zipCode: '' })
+      .expect(400);
+    expect(response.body.error.message).toBe('Missing required address field: zipCode');
+
+    await request(app).get('/api/auth/addresses').expect(401);
+    await as(ownerToken, 'put', '/api/auth/addresses/abc').send(work).expect(400);
+  });
+
+  it('should update addresses and move the default', async () => {
+    const { body } = await as(ownerToken, 'get', '/api/auth/addresses').expect(200);
+    const [homeAddress, workAddress] = body.data.addresses;
+
+    const updated = await as(ownerToken, 'put', `/api/auth/addresses/${workAddress.id}`)
+      .send({ street: '78 Clouds Plaza', isDefault: true })
+      .expect(200);
+    expect(updated.body.data.address).toMatchObject({ label: 'Work', street: '78 Clouds Plaza', city: 'Night City', isDefault: true });
+
+    // Only one default at a time, and it can't simply be switched off
+    await as(ownerToken, 'put', `/api/auth/addresses/${workAddress.id}`).send({ isDefault: false }).expect(200);
+    const list = await as(ownerToken, 'get', '/api/auth/addresses').expect(200);
+    expect(list.body.data.addresses.map(address => [address.id, address.isDefault])).toEqual([
+      [workAddress.id, true],
+      [homeAddress.id, false]
+    ]);
+
+    await as(ownerToken, 'put', `/api/auth/addresses/${homeAddress.id}`).send({ city: '' }).expect(400);
+  });
+
+  it('should keep addresses private to their owner', async () => {
+    const { body } = await as(ownerToken, 'get', '/api/auth/addresses').expect(200);
+    const [address] = body.data.addresses;
+
+    const list = await as(otherToken, 'get', '/api/auth/addresses').expect(200);
+    expect(list.body.data.addresses).toEqual([]);
+
+    const update = await as(otherToken, 'put', `/api/auth/addresses/${address.id}`).send(work).expect(404);
+    expect(update.body.error.code).toBe('ADDRESS_NOT_FOUND');
+    await as(otherToken, 'delete', `/api/auth/addresses/${address.id}`).expect(404);
+  });
+
+  it('should hand the default to another address when it is deleted', async () => {
+    const { body } = await as(ownerToken, 'get', '/api/auth/addresses').expect(200);
+    const [defaultAddress, other] = body.data.addresses;
+
+    await as(ownerToken, 'delete', `/api/auth/addresses/${defaultAddress.id}`).expect(200);
+
+    const list = await as(ownerToken, 'get', '/api/auth/addresses').expect(200);
+    expect(list.body.data.addresses).toHaveLength(1);
+    expect(list.body.data.addresses[0]).toMatchObject({ id: other.id, isDefault: true });
+  });
+
+  it('should record separate billing and shipping addresses on orders', async () => {
+    const { label, phone, ...shippingAddress } = home;
+    const billingAddress = { firstName: 'Judy', lastName: 'Alvarez', street: '1 Bank Street', city: 'Night City', state: 'CA', zipCode: '90003', country: 'US' };
+
+    const billed = await as(ownerToken, 'post', '/api/orders')
+      .send({ shippingAddress, billingAddress, items: [{ productId: product.id, quantity: 1 }] })
+      .expect(201);
+    orderIds.push(billed.body.data.order.id);
+    expect(billed.body.data.order.shippingAddress).toEqual(shippingAddress);
+    expect(billed.body.data.order.billingAddress).toEqual(billingAddress);
+
+    // Without one the order is billed to the shipping address
+    const shipped = await as(ownerToken, 'post', '/api/orders')
+      .send({ shippingAddress, items: [{ productId: product.id, quantity: 1 }] })
+      .expect(201);
+    orderIds.push(shipped.body.data.order.id);
+    expect(shipped.body.data.order.billingAddress).toEqual(shippingAddress);
+
+    const invalid = await as(ownerToken, 'post', '/api/orders')
+      .send({ shippingAddress, billingAddress: { ...billingAddress, street: '' }, items: [{ productId: product.id, quantity: 1 }] })
+      .expect(400);
+    expect(invalid.body.error.code).toBe('INVALID_BILLING_ADDRESS');
+  });
+
+  it('should take order addresses from the address book by id', async () => {
+    const { body } = await as(ownerToken, 'get', '/api/auth/addresses').expect(200);
+    const [{ id, label, isDefault, createdAt, updatedAt, ...savedAddress }] = body.data.addresses;
+    const { label: homeLabel, phone, ...shippingAddress } = home;
+
+    // Same as shipping: billed to the saved shipping address
+    const shipped = await as(ownerToken, 'post', '/api/orders')
+      .send({ shippingAddressId: id, items: [{ productId: product.id, quantity: 1 }] })
+      .expect(201);
+    orderIds.push(shipped.body.data.order.id);
+    expect(shipped.body.data.order.shippingAddress).toEqual(savedAddress);
+    expect(shipped.body.data.order.billingAddress).toEqual(savedAddress);
+
+    // Separate billing: shipped elsewhere, billed to the saved address
+    const billed = await as(ownerToken, 'post', '/api/orders')
+      .send({ shippingAddress, billingAddressId: id, items: [{ productId: product.id, quantity: 1 }] })
+      .expect(201);
+    orderIds.push(billed.body.data.order.id);
+    expect(billed.body.data.order.shippingAddress).toEqual(shippingAddress);
+    expect(billed.body.data.order.billingAddress).toEqual(savedAddress);
+
+    // Another customer can't ship or bill to it
+    const otherShipping = await as(otherToken, 'post', '/api/orders')
+      .send({ shippingAddressId: id, items: [{ productId: product.id, quantity: 1 }] })
+      .expect(404);
+    expect(otherShipping.body.error.code).toBe('ADDRESS_NOT_FOUND');
+
+    const otherBilling = await as(otherToken, 'post', '/api/orders')
+      .send({ shippingAddress, billingAddressId: id, items: [{ productId: product.id, quantity: 1 }] })
+      .expect(404);
+    expect(otherBilling.body.error.code).toBe('ADDRESS_NOT_FOUND');
+
+    await as(ownerToken, 'post', '/api/orders')
+      .send({ shippingAddressId: 'abc', items: [{ productId: product.id, quantity: 1 }] })
+      .expect(404);
+  });
+});
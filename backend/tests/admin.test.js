@@ -0,0 +1,247 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order } = require('../models');
+
+describe('Admin API', () => {
+  let adminUser;
+  let adminToken;
+  let customer;
+  let customerToken;
+  let product;
+  let inactiveProduct;
+  const orders = [];
+
+  const shippingAddress = {
+    street: '77 Admin Test Ave',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const asAdmin = (method, url) => request(app)[method](url).set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    await database.connect();
+
+    adminUser = await User.create({ email: 'adm-admin@test.com', password: 'admin12345', firstName: 'Ada', lastName: 'Admin', isAdmin: true });
+    customer = await User.create({ email: 'adm-customer@test.com', password: 'user12345', firstName: 'Vic', lastName: 'Vector' });
+    for (let i = 1; i <= 3; i++) {
+      await User.create({ email: `adm-extra${i}@test.com`, password: 'user12345', firstName: 'Extra', lastName: `Number${i}` });
+    }
+
+    adminToken = await login('adm-admin@test.com', 'admin12345');
+    customerToken = await login('adm-customer@test.com', 'user12345');
+
+    product = await Product.create({ name: 'Test Admin Optic Implant', description: 'Implant', price: 50, category: 'test', inventory: 100 });
+    inactiveProduct = await Product.create({ name: 'Test Admin Retired Chip', description: 'Chip', price: 10, category: 'test', inventory: 0 });
+    await database.run('UPDATE products SET is_active = 0 WHERE id = ?', [inactiveProduct.id]);
+
+    for (let i = 0; i < 3; i++) {
+      orders.push(await Order.create({
+        userId: customer.id,
+        items: [{ productId: product.id, quantity: 1 }],
+        shippingAddress
+      }));
+    }
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM order_items WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM orders WHERE user_id = ?', [customer.id]);
+    await database.run('DELETE FROM products WHERE id IN (?, ?)', [product.id, inactiveProduct.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "adm-%@test.com"');
+    await database.close();
+  });
+
+  describe('access control', () => {
+    it('should require a token', async () => {
+      await request(app).get('/api/admin/users').expect(401);
+    });
+
+    it('should reject customers', async () => {
+      const response = await request(app)
+        .get('/api/admin/orders')
+        .set('Authorization', `Bearer ${customerToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ADMIN_REQUIRED');
+    });
+
+    it('should expose the existing inventory endpoints', async () => {
+      const response = await asAdmin('get', '/api/admin/inventory/dashboard').expect(200);
+      expect(response.body.data.summary).toBeDefined();
+
+      await asAdmin('get', '/api/admin/inventory/alerts').expect(200);
+      await asAdmin('get', '/api/admin/analytics').expect(200);
+    });
+  });
+
+  describe('users', () => {
+    it('should search and paginate users', async () => {
+      const firstPage = await asAdmin('get', '/api/admin/users?search=adm-extra&limit=2').expect(200);
+
+      expect(firstPage.body.data.users).toHaveLength(2);
+      expect(firstPage.body.data.pagination).toEqual({ page: 1, pageSize: 2, total: 3, totalPages: 2, hasNext: true, hasPrev: false, nextCursor: null });
+      expect(firstPage.body.data.users[0].password).toBeUndefined();
+
+      const secondPage = await asAdmin('get', '/api/admin/users?search=adm-extra&limit=2&page=2').expect(200);
+      expect(secondPage.body.data.users).toHaveLength(1);
+    });
+
+    it('should search by full name and filter by role', async () => {
+      const byName = await asAdmin('get', '/api/admin/users?search=Vic%20Vector').expect(200);
+      expect(byName.body.data.users.map(user => user.email)).toEqual(['adm-customer@test.com']);
+
+      const admins = await asAdmin('get', '/api/admin/users?search=adm-&role=admin').expect(200);
+      expect(admins.body.data.users.map(user => user.email)).toEqual(['adm-admin@test.com']);
+    });
+
+    it('should return a user with order stats', async () => {
+      const response = await asAdmin('get', `/api/admin/users/${customer.id}`).expect(200);
+
+      expect(response.body.data.user.email).toBe('adm-customer@test.com');
+      expect(response.body.data.stats.orderCount).toBe(3);
+    });
+
+    it('should promote and demote users', async () => {
+      const extra = await User.findByEmail('adm-extra1@test.com');
+
+      const promoted = await asAdmin('put', `/api/admin/users/${extra.id}/role`)
+        .send({ isAdmin: true })
+        .expect(200);
+      expect(promoted.body.data.user.isAdmin).toBe(true);
+
+      // The new role applies to tokens issued before the change
+      const extraToken = await login('adm-extra1@test.com', 'user12345');
+      await asAdmin('put', `/api/admin/users/${extra.id}/role`).send({ isAdmin: false }).expect(200);
+
+      await request(app)
+        .get('/api/admin/users')
+        .set('Authorization', `Bearer ${extraToken}`)
+        .expect(403);
+    });
+
+    it('should not let admins change their own role or status', async () => {
+      const response = await asAdmin('put', `/api/admin/users/${adminUser.id}/role`)
+        .send({ isAdmin: false })
+        .expect(400);
+      expect(response.body.error.code).toBe('CANNOT_MODIFY_SELF');
+
+      await asAdmin('put', `/api/admin/users/${adminUser.id}/status`)
+        .send({ isActive: false })
+        .expect(400);
+    });
+
+    it('should disable and re-enable accounts', async () => {
+      const extra = await User.findByEmail('adm-extra2@test.com');
+      const extraToken = await login('adm-extra2@test.com', 'user12345');
+
+      const disabled = await asAdmin('put', `/api/admin/users/${extra.id}/status`)
+        .send({ isActive: false })
+        .expect(200);
+      expect(disabled.body.data.user.isActive).toBe(false);
+      expect(disabled.body.data.user.disabledAt).toBeTruthy();
+
+      const loginAttempt = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'adm-extra2@test.com', password: 'user12345' })
+        .expect(403);
+      expect(loginAttempt.body.error.code).toBe('ACCOUNT_DISABLED');
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${extraToken}`)
+        .expect(403);
+      expect(profile.body.error.code).toBe('ACCOUNT_DISABLED');
+
+      const disabledOnly = await asAdmin('get', '/api/admin/users?search=adm-&status=disabled').expect(200);
+      expect(disabledOnly.body.data.users.map(user => user.id)).toEqual([extra.id]);
+
+      await asAdmin('put', `/api/admin/users/${extra.id}/status`).send({ isActive: true }).expect(200);
+      expect(await login('adm-extra2@test.com', 'user12345')).toBeTruthy();
+    });
+
+    it('should validate role and status values', async () => {
+      await asAdmin('put', `/api/admin/users/${customer.id}/role`).send({ isAdmin: 'yes' }).expect(400);
+      await asAdmin('put', '/api/admin/users/999999/status').send({ isActive: false }).expect(404);
+    });
+  });
+
+  describe('orders', () => {
+    it('should paginate orders', async () => {
+      const response = await asAdmin('get', `/api/admin/orders?userId=${customer.id}&limit=2`).expect(200);
+
+      expect(response.body.data.orders).toHaveLength(2);
+      expect(response.body.data.pagination.total).toBe(3);
+      expect(response.body.data.pagination.totalPages).toBe(2);
+    });
+
+    it('should search orders by customer, product and order number', async () => {
+      const byEmail = await asAdmin('get', '/api/admin/orders?search=adm-customer').expect(200);
+      expect(byEmail.body.data.pagination.total).toBe(3);
+
+      const byProduct = await asAdmin('get', '/api/admin/orders?search=Optic%20Implant').expect(200);
+      expect(byProduct.body.data.pagination.total).toBe(3);
+
+      const byId = await asAdmin('get', `/api/admin/orders?search=%23${orders[1].id}`).expect(200);
+      expect(byId.body.data.orders.map(order => order.id)).toEqual([orders[1].id]);
+
+      const none = await asAdmin('get', '/api/admin/orders?search=no-such-order-anywhere').expect(200);
+      expect(none.body.data.orders).toEqual([]);
+    });
+
+    it('should return order details with customer and timeline', async () => {
+      const response = await asAdmin('get', `/api/admin/orders/${orders[0].id}`).expect(200);
+
+      expect(response.body.data.order.id).toBe(orders[0].id);
+      expect(response.body.data.customer.email).toBe('adm-customer@test.com');
+      expect(response.body.data.timeline).toHaveLength(1);
+      expect(response.body.data.nextStatuses).toEqual(['confirmed', 'cancelled']);
+    });
+
+    it('should update status and tracking through the state machine', async () => {
+      const response = await asAdmin('put', `/api/admin/orders/${orders[0].id}`)
+        .send({ status: 'confirmed', note: 'Checked by hand', trackingNumber: 'NC-123' })
+        .expect(200);
+
+      expect(response.body.data.order.status).toBe('confirmed');
+      expect(response.body.data.order.trackingNumber).toBe('NC-123');
+
+      const invalid = await asAdmin('put', `/api/admin/orders/${orders[0].id}`)
+        .send({ status: 'delivered' })
+        .expect(409);
+      expect(invalid.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+
+    it('should 404 for unknown orders', async () => {
+      await asAdmin('get', '/api/admin/orders/999999').expect(404);
+    });
+  });
+
+  describe('products', () => {
+    it('should list inactive products too', async () => {
+      const response = await asAdmin('get', '/api/admin/products?search=Test%20Admin').expect(200);
+
+      const names = response.body.data.products.map(p => p.name);
+      expect(names).toEqual(expect.arrayContaining(['Test Admin Optic Implant', 'Test Admin Retired Chip']));
+      expect(response.body.data.pagination.total).toBe(2);
+
+      const retired = response.body.data.products.find(p => p.id === inactiveProduct.id);
+      expect(retired.inventoryStatus).toBe('out_of_stock');
+    });
+
+    it('should filter products by status', async () => {
+      const response = await asAdmin('get', '/api/admin/products?search=Test%20Admin&status=inactive').expect(200);
+      expect(response.body.data.products.map(p => p.id)).toEqual([inactiveProduct.id]);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, Role, AuditLog } = require('../models');
+
+describe('Audit log', () => {
+  let admin;
+  let adminToken;
+  let customer;
+  let customerToken;
+  let product;
+  let otherProduct;
+
+  const shippingAddress = {
+    street: '9 Audit Trail',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  const entriesFor = (entityType, entityId) => AuditLog.findAll({ entityType, entityId });
+
+  beforeAll(async () => {
+    await database.connect();
+
+    admin = await User.create({ email: 'audit-admin@test.com', password: 'admin12345', firstName: 'Aud', lastName: 'Itor', isAdmin: true });
+    customer = await User.create({ email: 'audit-customer@test.com', password: 'user12345', firstName: 'Cus', lastName: 'Tomer' });
+    adminToken = await login('audit-admin@test.com', 'admin12345');
+    customerToken = await login('audit-customer@test.com', 'user12345');
+
+    product = await Product.create({ name: 'Test Audit Cyberdeck', description: 'Deck', price: 100, category: 'test', inventory: 20 });
+    otherProduct = await Product.create({ name: 'Test Audit Datashard', description: 'Shard', price: 5, category: 'test', inventory: 50 });
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM audit_log WHERE actor_email LIKE "audit-%@test.com"');
+    await database.run('DELETE FROM order_items WHERE product_id IN (?, ?)', [product.id, otherProduct.id]);
+    await database.run('DELETE FROM orders WHERE user_id = ?', [customer.id]);
+    await database.run('DELETE FROM products WHERE id IN (?, ?)', [product.id, otherProduct.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "audit-%@test.com"');
+    await database.close();
+  });
+
+  describe('recording', () => {
+    it('should record price changes with only the changed fields', async () => {
+      await as(adminToken, 'put', `/api/products/${product.id}`)
+        .set('User-Agent', 'audit-test-agent')
+        .send({ price: 120 })
+        .expect(200);
+
+      const [entry] = await entriesFor('product', product.id);
+      expect(entry.action).toBe('product.update');
+      expect(entry.actorId).toBe(admin.id);
+      expect(entry.actorEmail).toBe('audit-admin@test.com');
+      expect(entry.before).toEqual({ price: 100 });
+      expect(entry.after).toEqual({ price: 120 });
+      expect(entry.ipAddress).toBeTruthy();
+      expect(entry.userAgent).toBe('audit-test-agent');
+    });
+
+    it('should record one entry per product in a bulk inventory update', async () => {
+      await as(adminToken, 'put', '/api/admin/inventory/bulk-update')
+        .send({ updates: [{ productId: product.id, quantity: 15 }, { productId: otherProduct.id, quantity: 40 }] })
+        .expect(200);
+
+      const entries = await AuditLog.findAll({ action: 'inventory.bulk_update', actorId: admin.id });
+      const byProduct = Object.fromEntries(entries.map(entry => [entry.entityId, entry]));
+
+      expect(byProduct[String(product.id)].before).toEqual({ inventory: 20 });
+      expect(byProduct[String(product.id)].after).toEqual({ inventory: 15 });
+      expect(byProduct[String(otherProduct.id)].after).toEqual({ inventory: 40 });
+    });
+
+    it('should record order status changes by staff but not customers cancelling their own orders', async () => {
+      const shipped = await Order.create({ userId: customer.id, items: [{ productId: product.id, quantity: 1 }], shippingAddress });
+      const cancelled = await Order.create({ userId: customer.id, items: [{ productId: product.id, quantity: 1 }], shippingAddress });
+
+      await as(adminToken, 'put', `/api/orders/${shipped.id}/status`)
+        .send({ status: 'confirmed' })
+        .expect(200);
+      await as(customerToken, 'put', `/api/orders/${cancelled.id}/cancel`).expect(200);
+
+      const [entry] = await entriesFor('order', shipped.id);
+      expect(entry.action).toBe('order.update_status');
+      expect(entry.before).toEqual({ status: 'pending' });
+      expect(entry.after).toEqual({ status: 'confirmed' });
+
+      expect(await entriesFor('order', cancelled.id)).toHaveLength(0);
+    });
+
+    it('should keep whole snapshots for creations and deletions', async () => {
+      const created = await as(adminToken, 'post', '/api/products')
+        .send({ name: 'Test Audit Temp', description: 'Temp', price: 9.99, category: 'test' })
+        .expect(201);
+      const productId = created.body.data.product.id;
+
+      await as(adminToken, 'delete', `/api/products/${productId}`).expect(200);
+
+      const [deletion, creation] = await entriesFor('product', productId);
+      expect(creation.action).toBe('product.create');
+      expect(creation.before).toBeNull();
+      expect(creation.after.name).toBe('Test Audit Temp');
+      expect(deletion.action).toBe('product.delete');
+      expect(deletion.before.price).toBe(9.99);
+      expect(deletion.after).toBeNull();
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    it('should filter by entity and actor', async () => {
+      const response = await as(adminToken, 'get', `/api/admin/audit?entityType=product&entityId=${product.id}&actor=AUDIT-ADMIN@test.com`).expect(200);
+
+      expect(response.body.data.entries.length).toBeGreaterThanOrEqual(2);
+      expect(response.body.data.entries.every(entry => entry.entityId === String(product.id))).toBe(true);
+      expect(response.body.data.pagination.total).toBe(response.body.data.entries.length);
+    });
+
+    it('should filter by date range', async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+      const current = await as(adminToken, 'get', `/api/admin/audit?actorId=${admin.id}&dateFrom=${today}&dateTo=${today}`).expect(200);
+      expect(current.body.data.pagination.total).toBeGreaterThan(0);
+
+      const past = await as(adminToken, 'get', `/api/admin/audit?actorId=${admin.id}&dateTo=${yesterday}`).expect(200);
+      expect(past.body.data.pagination.total).toBe(0);
+    });
+
+    it('should reject invalid filters', async () => {
+      const badDate = await as(adminToken, 'get', '/api/admin/audit?dateFrom=someday').expect(400);
+      expect(badDate.body.error.code).toBe('INVALID_DATE');
+
+      await as(adminToken, 'get', '/api/admin/audit?actorId=abc').expect(400);
+    });
+
+    it('should export CSV', async () => {
+      const response = await as(adminToken, 'get', `/api/admin/audit?format=csv&entityType=product&entityId=${product.id}`).expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/attachment/);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('id,createdAt,actorId,actorEmail,action,entityType,entityId,before,after,ipAddress,userAgent');
+      expect(lines.some(line => line.includes('product.update') && line.includes('"{""price"":120}"'))).toBe(true);
+    });
+
+    it('should need the audit:read permission', async () => {
+      const staff = await User.create({ email: 'audit-staff@test.com', password: 'staff12345', firstName: 'Cat', lastName: 'Alog' });
+      await Role.setUserRoles(staff.id, ['catalog_manager']);
+      const staffToken = await login('audit-staff@test.com', 'staff12345');
+
+      const denied = await as(staffToken, 'get', '/api/admin/audit').expect(403);
+      expect(denied.body.error.code).toBe('PERMISSION_DENIED');
+
+      const customerDenied = await as(customerToken, 'get', '/api/admin/audit').expect(403);
+      expect(customerDenied.body.error.code).toBe('ADMIN_REQUIRED');
+    });
+  });
+});
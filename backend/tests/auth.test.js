@@ -2,6 +2,7 @@ const request = require('supertest');
 const jwt = require('jsonwebtoken');
 const app = require('../server');
 const User = require('../models/User');
+const EmailService = require('../utils/emailService');
 const database = require('../config/database');
 
 // Test data
@@ -488,13 +489,14 @@ describe('Authentication System', () => {
         { expiresIn: '-1h' } // Expired 1 hour ago
       );
 
+      // 401 rather than 403 so clients know to use their refresh token
       const response = await request(app)
         .get('/api/auth/profile')
         .set('Authorization', `Bearer ${expiredToken}`)
-        .expect(403);
+        .expect(401);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.error.code).toBe('INVALID_TOKEN');
+      expect(response.body.error.code).toBe('TOKEN_EXPIRED');
     });
 
     test('should handle malformed tokens', async () => {
@@ -507,4 +509,316 @@ describe('Authentication System', () => {
       expect(response.body.error.code).toBe('INVALID_TOKEN');
     });
   });
-});
\ No newline at end of file
+
+  describe('Sessions and refresh tokens', () => {
+    const login = async (password = testUser.password) => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password })
+        .expect(200);
+      return response.body.data;
+    };
+
+    const refresh = (refreshToken) => request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+
+    const getProfile = (token) => request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+      await User.create(testUser);
+    });
+
+    test('should issue an access token and a refresh token on login', async () => {
+      const session = await login();
+
+      const { sid, iat, exp } = jwt.decode(session.token);
+      expect(session.refreshToken).toEqual(expect.any(String));
+      expect(session.expiresIn).toBe(exp - iat);
+      expect(sid).toEqual(expect.any(String));
+
+      // Only the hash is stored
+      const stored = await database.get(
+        'SELECT COUNT(*) as count FROM refresh_tokens WHERE token_hash = ?',
+        [session.refreshToken]
+      );
+      expect(stored.count).toBe(0);
+    });
+
+    test('should rotate the refresh token on refresh', async () => {
+      const session = await login();
+
+      const response = await refresh(session.refreshToken).expect(200);
+      const rotated = response.body.data;
+
+      expect(rotated.user.email).toBe(testUser.email);
+      expect(rotated.refreshToken).not.toBe(session.refreshToken);
+      expect(jwt.decode(rotated.token).sid).toBe(jwt.decode(session.token).sid);
+
+      await getProfile(rotated.token).expect(200);
+    });
+
+    test('should revoke the session when a rotated refresh token is reused', async () => {
+      const session = await login();
+      const rotated = (await refresh(session.refreshToken).expect(200)).body.data;
+
+      const reuse = await refresh(session.refreshToken).expect(401);
+      expect(reuse.body.error.code).toBe('INVALID_REFRESH_TOKEN');
+
+      // Both copies of the session are now dead
+      await refresh(rotated.refreshToken).expect(401);
+      const profile = await getProfile(rotated.token).expect(401);
+      expect(profile.body.error.code).toBe('SESSION_REVOKED');
+    });
+
+    test('should reject unknown and missing refresh tokens', async () => {
+      await refresh('not-a-real-token').expect(401);
+      await refresh(undefined).expect(400);
+    });
+
+    test('should end the session on logout', async () => {
+      const session = await login();
+      const otherDevice = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+
+      await getProfile(session.token).expect(401);
+      await refresh(session.refreshToken).expect(401);
+
+      // Other sessions are unaffected
+      await getProfile(otherDevice.token).expect(200);
+    });
+
+    test('should end every session on logout-all', async () => {
+      const session = await login();
+      const otherDevice = await login();
+
+      const response = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(200);
+      expect(response.body.message).toBe('Logged out of all devices');
+
+      await getProfile(session.token).expect(401);
+      await getProfile(otherDevice.token).expect(401);
+      await refresh(otherDevice.refreshToken).expect(401);
+    });
+
+    test('should end other sessions on password change and start a new one', async () => {
+      const session = await login();
+      const otherDevice = await login();
+
+      const response = await request(app)
+        .put('/api/auth/password')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ currentPassword: testUser.password, newPassword: 'newpassword123' })
+        .expect(200);
+
+      await getProfile(otherDevice.token).expect(401);
+      await refresh(otherDevice.refreshToken).expect(401);
+
+      await getProfile(response.body.data.token).expect(200);
+      await refresh(response.body.data.refreshToken).expect(200);
+    });
+
+    test('should not refresh sessions of disabled accounts', async () => {
+      const session = await login();
+      await database.run('UPDATE users SET is_active = 0 WHERE email = ?', [testUser.email]);
+
+      const response = await refresh(session.refreshToken).expect(403);
+      expect(response.body.error.code).toBe('ACCOUNT_DISABLED');
+    });
+  });
+
+  describe('Password reset and email verification', () => {
+    let sentTokens;
+
+    beforeEach(() => {
+      sentTokens = {};
+      jest.spyOn(EmailService.prototype, 'sendPasswordReset').mockImplementation(async (user, token) => {
+        sentTokens.reset = token;
+        return { success: true };
+      });
+      jest.spyOn(EmailService.prototype, 'sendEmailVerification').mockImplementation(async (user, token) => {
+        sentTokens.verification = token;
+        return { success: true };
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    const forgotPassword = (email) => request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email });
+
+    const resetPassword = (token, password = 'resetpass123') => request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password });
+
+    test('should email a reset link and reset the password once', async () => {
+      await User.create(testUser);
+
+      const response = await forgotPassword(testUser.email).expect(200);
+      expect(response.body.success).toBe(true);
+      expect(sentTokens.reset).toEqual(expect.any(String));
+
+      await resetPassword(sentTokens.reset).expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: 'resetpass123' })
+        .expect(200);
+
+      const reused = await resetPassword(sentTokens.reset, 'another123').expect(400);
+      expect(reused.body.error.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    test('should give the same answer for unknown emails', async () => {
+      const response = await forgotPassword('nobody-here@example.com').expect(200);
+
+      expect(response.body.message).toMatch(/If an account exists/);
+      expect(EmailService.prototype.sendPasswordReset).not.toHaveBeenCalled();
+    });
+
+    test('should only accept the latest reset token', async () => {
+      await User.create(testUser);
+
+      await forgotPassword(testUser.email).expect(200);
+      const firstToken = sentTokens.reset;
+      await forgotPassword(testUser.email).expect(200);
+
+      await resetPassword(firstToken).expect(400);
+      await resetPassword(sentTokens.reset).expect(200);
+    });
+
+    test('should reject expired reset tokens', async () => {
+      const user = await User.create(testUser);
+      await forgotPassword(testUser.email).expect(200);
+
+      await database.run(
+        "UPDATE account_tokens SET expires_at = datetime('now', '-1 minute') WHERE user_id = ?",
+        [user.id]
+      );
+
+      await resetPassword(sentTokens.reset).expect(400);
+    });
+
+    test('should log out every session and store only a hash', async () => {
+      const user = await User.create(testUser);
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: testUser.email, password: testUser.password })
+        .expect(200);
+
+      await forgotPassword(testUser.email).expect(200);
+
+      const stored = await database.get(
+        'SELECT COUNT(*) as count FROM account_tokens WHERE token_hash = ?',
+        [sentTokens.reset]
+      );
+      expect(stored.count).toBe(0);
+
+      await resetPassword(sentTokens.reset).expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(401);
+      expect((await User.findById(user.id)).emailVerified).toBe(true);
+    });
+
+    test('should reject weak passwords without using the token', async () => {
+      await User.create(testUser);
+      await forgotPassword(testUser.email).expect(200);
+
+      const response = await resetPassword(sentTokens.reset, 'short').expect(400);
+      expect(response.body.error.code).toBe('WEAK_PASSWORD');
+
+      await resetPassword(sentTokens.reset).expect(200);
+    });
+
+    test('should send a verification email at registration and verify with it', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(testUser)
+        .expect(201);
+
+      expect(registered.body.data.user.emailVerified).toBe(false);
+      expect(sentTokens.verification).toEqual(expect.any(String));
+
+      const response = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: sentTokens.verification })
+        .expect(200);
+      expect(response.body.data.user.emailVerified).toBe(true);
+
+      const again = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: sentTokens.verification })
+        .expect(400);
+      expect(again.body.error.code).toBe('INVALID_VERIFICATION_TOKEN');
+    });
+
+    test('should resend verification emails until verified', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(testUser)
+        .expect(201);
+      const token = registered.body.data.token;
+      const firstToken = sentTokens.verification;
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+      expect(sentTokens.verification).not.toBe(firstToken);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: sentTokens.verification })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+      expect(response.body.error.code).toBe('EMAIL_ALREADY_VERIFIED');
+    });
+
+    test('should block unverified users from ordering when verification is required', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send(testUser)
+        .expect(201);
+
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${registered.body.data.token}`)
+        .send({})
+        .expect(403);
+      expect(response.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+
+      // Once verified, the request gets through to order validation
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: sentTokens.verification })
+        .expect(200);
+
+      await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${registered.body.data.token}`)
+        .send({})
+        .expect(400);
+    });
+  });
+});
@@ -389,6 +389,196 @@ describe('Cart API', () => {
     });
   });
 
+  describe('POST /api/cart/quote', () => {
+    it('should quote subtotal, tax, shipping and total server-side', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProduct.id, quantity: 1 })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/cart/quote')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ shippingAddress: { state: 'CA', country: 'US' } })
+        .expect(200);
+
+      const { quote } = response.body.data;
+      expect(quote.subtotal).toBe(99.99);
+      expect(quote.taxRate).toBe(0.0725);
+      expect(quote.tax).toBe(7.25);
+      expect(quote.shippingMethod).toBe('standard');
+      expect(quote.shipping).toBe(9.99); // under the free shipping threshold
+      expect(quote.total).toBe(117.23);
+      expect(quote.lines).toHaveLength(1);
+      expect(quote.shippingOptions.map(option => option.method))
+        .toEqual(['standard', 'express', 'overnight']);
+    });
+
+    it('should quote a guest cart by session', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('X-Session-ID', guestSessionId)
+        .send({ productId: testProduct.id, quantity: 2 })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/cart/quote')
+        .set('X-Session-ID', guestSessionId)
+        .send({ shippingMethod: 'overnight' })
+        .expect(200);
+
+      const { quote } = response.body.data;
+      expect(quote.subtotal).toBe(199.98);
+      expect(quote.shipping).toBe(39.99); // free shipping only applies to standard
+      expect(quote.total).toBe(255.97);
+    });
+
+    it('should reject an unknown shipping method', async () => {
+      const response = await request(app)
+        .post('/api/cart/quote')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ shippingMethod: 'teleport' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_SHIPPING_METHOD');
+    });
+  });
+
+  describe('POST /api/cart/reserve', () => {
+    afterEach(async () => {
+      await database.run('DELETE FROM inventory_reservations WHERE product_id = ?', [testProduct.id]);
+    });
+
+    it('should hold stock for every cart line', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProduct.id, quantity: 3 })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/cart/reserve')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.reservations).toHaveLength(1);
+      expect(response.body.data.reservations[0].quantity).toBe(3);
+      expect(response.body.data.expiresAt).toBeDefined();
+
+      // Other shoppers only see the unreserved stock
+      const productResponse = await request(app)
+        .get(`/api/products/${testProduct.id}`)
+        .expect(200);
+      expect(productResponse.body.data.product.availableInventory).toBe(7);
+    });
+
+    it('should stop other carts from taking held stock', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProduct.id, quantity: 8 })
+        .expect(200);
+
+      await request(app)
+        .post('/api/cart/reserve')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/cart/items')
+        .set('X-Session-ID', guestSessionId)
+        .send({ productId: testProduct.id, quantity: 3 })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_INVENTORY');
+    });
+
+    it('should refuse to reserve more than is available', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('X-Session-ID', guestSessionId)
+        .send({ productId: testProduct.id, quantity: 6 })
+        .expect(200);
+      await request(app)
+        .post('/api/cart/reserve')
+        .set('X-Session-ID', guestSessionId)
+        .expect(200);
+
+      // Create the user's cart, then put more in it than is left unheld
+      await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      await database.run(
+        'INSERT INTO cart_items (cart_id, product_id, quantity) SELECT id, ?, 6 FROM carts WHERE user_id = ?',
+        [testProduct.id, testUser.id]
+      );
+
+      const response = await request(app)
+        .post('/api/cart/reserve')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_INVENTORY');
+      expect(response.body.error.issues[0].available).toBe(4);
+    });
+
+    it('should release holds when the cart changes', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProduct.id, quantity: 2 })
+        .expect(200);
+      await request(app)
+        .post('/api/cart/reserve')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/cart/items/${testProduct.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 1 })
+        .expect(200);
+
+      const holds = await database.count('inventory_reservations', 'product_id = ?', [testProduct.id]);
+      expect(holds).toBe(0);
+    });
+
+    it('should ignore expired holds', async () => {
+      await request(app)
+        .post('/api/cart/items')
+        .set('X-Session-ID', guestSessionId)
+        .send({ productId: testProduct.id, quantity: 9 })
+        .expect(200);
+      await request(app)
+        .post('/api/cart/reserve')
+        .set('X-Session-ID', guestSessionId)
+        .expect(200);
+
+      await database.run(
+        "UPDATE inventory_reservations SET expires_at = datetime('now', '-1 minutes') WHERE product_id = ?",
+        [testProduct.id]
+      );
+
+      await request(app)
+        .post('/api/cart/items')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProduct.id, quantity: 9 })
+        .expect(200);
+    });
+
+    it('should return error for an empty cart', async () => {
+      const response = await request(app)
+        .post('/api/cart/reserve')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('EMPTY_CART');
+    });
+  });
+
   describe('POST /api/cart/merge', () => {
     it('should merge guest cart with user cart on login', async () => {
       // Create guest cart directly in database
@@ -436,6 +626,59 @@ describe('Cart API', () => {
     });
   });
 
+  describe('Signed-out and disabled accounts', () => {
+    const register = async (email) => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ email, password: 'testpassword123', firstName: 'Cart', lastName: 'Revoked' })
+        .expect(201);
+      return response.body.data;
+    };
+
+    afterAll(async () => {
+      await database.run('DELETE FROM refresh_tokens WHERE user_id IN (SELECT id FROM users WHERE email LIKE "cart.revoked%")');
+      await database.run('DELETE FROM users WHERE email LIKE "cart.revoked%"');
+    });
+
+    it('should refuse tokens from a logged-out session', async () => {
+      const session = await register('cart.revoked1@example.com');
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+
+      const quote = await request(app)
+        .post('/api/cart/quote')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({})
+        .expect(401);
+      expect(quote.body.error.code).toBe('SESSION_REVOKED');
+
+      await request(app)
+        .post('/api/cart/reserve')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(401);
+    });
+
+    it('should refuse tokens for disabled accounts', async () => {
+      const session = await register('cart.revoked2@example.com');
+      await database.run('UPDATE users SET is_active = 0 WHERE id = ?', [session.user.id]);
+
+      const reserve = await request(app)
+        .post('/api/cart/reserve')
+        .set('Authorization', `Bearer ${session.token}`)
+        .expect(403);
+      expect(reserve.body.error.code).toBe('ACCOUNT_DISABLED');
+
+      await request(app)
+        .post('/api/cart/quote')
+        .set('Authorization', `Bearer ${session.token}`)
+        .send({})
+        .expect(403);
+    });
+  });
+
   describe('Cart Model Edge Cases', () => {
     it('should handle concurrent cart operations', async () => {
       // Add items sequentially instead of concurrently to avoid race conditions
@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Category, Role } = require('../models');
+
+describe('Category taxonomy', () => {
+  let adminToken;
+  let supportToken;
+  let root;
+  let child;
+  let grandchild;
+  let products;
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  const names = (response) => response.body.data.products.map(product => product.name).sort();
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'taxonomy-admin@test.com', password: 'admin12345', firstName: 'Tax', lastName: 'Onomy', isAdmin: true });
+    const support = await User.create({ email: 'taxonomy-support@test.com', password: 'staff12345', firstName: 'Sup', lastName: 'Port' });
+    await Role.setUserRoles(support.id, ['support']);
+    adminToken = await login('taxonomy-admin@test.com', 'admin12345');
+    supportToken = await login('taxonomy-support@test.com', 'staff12345');
+
+    root = await Category.create({ name: 'Test Cat Implants', slug: 'test-cat-implants' });
+    child = await Category.create({ name: 'Test Cat Ocular', slug: 'test-cat-ocular', parentId: root.id });
+    grandchild = await Category.create({ name: 'Test Cat Lenses', slug: 'test-cat-lenses', parentId: child.id });
+
+    products = [
+      await Product.create({ name: 'Test Cat Spine', description: 'Root', price: 10, categoryId: root.id, inventory: 5 }),
+      await Product.create({ name: 'Test Cat Retina', description: 'Child', price: 20, categoryId: child.id, inventory: 5 }),
+      await Product.create({ name: 'Test Cat Zoom Lens', description: 'Grandchild', price: 30, category: 'test-cat-lenses', inventory: 5 })
+    ];
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM products WHERE name LIKE "Test Cat %"');
+    await database.run('DELETE FROM categories WHERE slug LIKE "test-cat-%"');
+    await database.run('DELETE FROM users WHERE email LIKE "taxonomy-%@test.com"');
+    await database.close();
+  });
+
+  describe('product assignment', () => {
+    it('should assign products by id or by slug', () => {
+      expect(products[0]).toMatchObject({ categoryId: root.id, category: 'test-cat-implants' });
+      expect(products[2]).toMatchObject({ categoryId: grandchild.id, category: 'test-cat-lenses' });
+    });
+
+    it('should include subcategories when filtering by category', async () => {
+      const bySlug = await request(app).get('/api/products?category=test-cat-implants').expect(200);
+      expect(names(bySlug)).toEqual(['Test Cat Retina', 'Test Cat Spine', 'Test Cat Zoom Lens']);
+
+      const byId = await request(app).get(`/api/products?categoryId=${child.id}`).expect(200);
+      expect(names(byId)).toEqual(['Test Cat Retina', 'Test Cat Zoom Lens']);
+    });
+
+    it('should return the breadcrumb with a product', async () => {
+      const response = await request(app).get(`/api/products/${products[2].id}`).expect(200);
+
+      expect(response.body.data.product.categoryId).toBe(grandchild.id);
+      expect(response.body.data.breadcrumb.map(category => category.slug))
+        .toEqual(['test-cat-implants', 'test-cat-ocular', 'test-cat-lenses']);
+    });
+
+    it('should reject unknown category ids', async () => {
+      const response = await as(adminToken, 'post', '/api/products')
+        .send({ name: 'Test Cat Orphan', description: 'Nowhere', price: 5, categoryId: 999999 })
+        .expect(400);
+      expect(response.body.error.code).toBe('INVALID_CATEGORY');
+
+      const moved = await as(adminToken, 'put', `/api/products/${products[1].id}`)
+        .send({ categoryId: root.id })
+        .expect(200);
+      expect(moved.body.data.product).toMatchObject({ categoryId: root.id, category: 'test-cat-implants' });
+
+      await as(adminToken, 'put', `/api/products/${products[1].id}`).send({ categoryId: child.id }).expect(200);
+    });
+  });
+
+  describe('GET /api/categories', () => {
+    it('should return the nested tree with rolled-up product counts', async () => {
+      const response = await request(app).get('/api/categories').expect(200);
+
+      const implants = response.body.data.categories.find(category => category.slug === 'test-cat-implants');
+      expect(implants.productCount).toBe(3);
+      expect(implants.children).toHaveLength(1);
+      expect(implants.children[0].slug).toBe('test-cat-ocular');
+      expect(implants.children[0].children[0]).toMatchObject({ slug: 'test-cat-lenses', productCount: 1 });
+    });
+
+    it('should look categories up by slug with their breadcrumb', async () => {
+      const response = await request(app).get('/api/categories/test-cat-ocular').expect(200);
+
+      expect(response.body.data.category.children.map(category => category.slug)).toEqual(['test-cat-lenses']);
+      expect(response.body.data.breadcrumb.map(category => category.slug)).toEqual(['test-cat-implants', 'test-cat-ocular']);
+
+      await request(app).get('/api/categories/test-cat-missing').expect(404);
+    });
+  });
+
+  describe('category management', () => {
+    it('should create, rename and delete categories', async () => {
+      const created = await as(adminToken, 'post', '/api/categories')
+        .send({ name: 'Test Cat Dermal Plates', parentId: root.id, position: 2 })
+        .expect(201);
+      const category = created.body.data.category;
+      expect(category).toMatchObject({ slug: 'test-cat-dermal-plates', parentId: root.id, position: 2 });
+
+      const product = await Product.create({ name: 'Test Cat Plate', description: 'Armor', price: 15, categoryId: category.id, inventory: 1 });
+      const renamed = await as(adminToken, 'put', `/api/categories/${category.id}`)
+        .send({ slug: 'test-cat-armor', name: 'Test Cat Armor' })
+        .expect(200);
+      expect(renamed.body.data.category.slug).toBe('test-cat-armor');
+      expect((await Product.findById(product.id)).category).toBe('test-cat-armor');
+
+      const refused = await as(adminToken, 'delete', `/api/categories/${category.id}`).expect(409);
+      expect(refused.body.error.code).toBe('CATEGORY_NOT_EMPTY');
+
+      await product.delete();
+      await as(adminToken, 'delete', `/api/categories/${category.id}`).expect(200);
+      expect(await Category.findById(category.id)).toBeNull();
+    });
+
+    it('should not nest a category under its own subcategory', async () => {
+      const response = await as(adminToken, 'put', `/api/categories/${root.id}`)
+        .send({ parentId: grandchild.id })
+        .expect(400);
+      expect(response.body.error.code).toBe('INVALID_PARENT');
+    });
+
+    it('should validate slugs and parents', async () => {
+      const duplicate = await as(adminToken, 'post', '/api/categories')
+        .send({ name: 'Again', slug: 'test-cat-ocular' })
+        .expect(409);
+      expect(duplicate.body.error.code).toBe('DUPLICATE_SLUG');
+
+      const badSlug = await as(adminToken, 'post', '/api/categories')
+        .send({ name: 'Bad', slug: 'Test Cat Bad' })
+        .expect(400);
+      expect(badSlug.body.error.code).toBe('INVALID_SLUG');
+
+      const noParent = await as(adminToken, 'post', '/api/categories')
+        .send({ name: 'Test Cat Lost', parentId: 999999 })
+        .expect(400);
+      expect(noParent.body.error.code).toBe('PARENT_NOT_FOUND');
+    });
+
+    it('should require the categories:manage permission', async () => {
+      await as(supportToken, 'post', '/api/categories').send({ name: 'Test Cat Nope' }).expect(403);
+      await request(app).delete(`/api/categories/${grandchild.id}`).expect(401);
+    });
+
+    it('should hide inactive categories from the storefront but not admins', async () => {
+      await as(adminToken, 'put', `/api/categories/${child.id}`).send({ isActive: false }).expect(200);
+
+      try {
+        await request(app).get('/api/categories/test-cat-lenses').expect(404);
+
+        const admin = await as(adminToken, 'get', '/api/admin/categories').expect(200);
+        const implants = admin.body.data.categories.find(category => category.slug === 'test-cat-implants');
+        expect(implants.children[0]).toMatchObject({ slug: 'test-cat-ocular', isActive: false });
+      } finally {
+        await as(adminToken, 'put', `/api/categories/${child.id}`).send({ isActive: true }).expect(200);
+      }
+    });
+  });
+});
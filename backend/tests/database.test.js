@@ -0,0 +1,89 @@
+const database = require('../config/database');
+
+describe('Database transactions', () => {
+  const values = async () => {
+    const rows = await database.all('SELECT value FROM test_transaction_rows ORDER BY id');
+    return rows.map(row => row.value);
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+    await database.run('CREATE TABLE IF NOT EXISTS test_transaction_rows (id INTEGER PRIMARY KEY AUTOINCREMENT, value TEXT)');
+  });
+
+  afterEach(async () => {
+    await database.run('DELETE FROM test_transaction_rows');
+  });
+
+  afterAll(async () => {
+    await database.run('DROP TABLE IF EXISTS test_transaction_rows');
+    await database.close();
+  });
+
+  // Opens a transaction that writes a row, then waits to be told to commit
+  // or roll back
+  const openTransaction = () => {
+    let opened;
+    let finish;
+    const ready = new Promise(resolve => { opened = resolve; });
+    const decision = new Promise(resolve => { finish = resolve; });
+
+    const done = database.withTransaction(async (db) => {
+      await db.run('INSERT INTO test_transaction_rows (value) VALUES (?)', ['inside']);
+      // Models called from the callback use the shared instance
+      await database.get('SELECT COUNT(*) AS count FROM test_transaction_rows');
+      opened();
+      if (await decision === 'rollback') {
+        throw new Error('Rolled back');
+      }
+    });
+
+    return { ready, done, commit: () => finish('commit'), rollback: () => finish('rollback') };
+  };
+
+  it('should keep concurrent writes when a transaction rolls back', async () => {
+    const transaction = openTransaction();
+    await transaction.ready;
+
+    let outsideDone = false;
+    const outside = database.run('INSERT INTO test_transaction_rows (value) VALUES (?)', ['outside'])
+      .then(result => { outsideDone = true; return result; });
+
+    // The outside write waits for the transaction instead of joining it
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(outsideDone).toBe(false);
+
+    transaction.rollback();
+    await expect(transaction.done).rejects.toThrow('Rolled back');
+    expect((await outside).changes).toBe(1);
+
+    expect(await values()).toEqual(['outside']);
+  });
+
+  it('should run concurrent writes after a transaction commits', async () => {
+    const transaction = openTransaction();
+    await transaction.ready;
+
+    const outside = database.run('INSERT INTO test_transaction_rows (value) VALUES (?)', ['outside']);
+    transaction.commit();
+    await transaction.done;
+    await outside;
+
+    expect(await values()).toEqual(['inside', 'outside']);
+  });
+
+  it('should let statements already running finish before beginning', async () => {
+    const writes = ['first', 'second', 'third'].map(value =>
+      database.run('INSERT INTO test_transaction_rows (value) VALUES (?)', [value])
+    );
+    const failing = database.withTransaction(async (db) => {
+      await db.run('INSERT INTO test_transaction_rows (value) VALUES (?)', ['inside']);
+      throw new Error('Rolled back');
+    });
+
+    await Promise.all(writes);
+    await expect(failing).rejects.toThrow('Rolled back');
+
+    expect(await values()).toEqual(['first', 'second', 'third']);
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, Role } = require('../models');
+const EmailService = require('../utils/emailService');
+const { render } = require('../email/templateEngine');
+
+describe('Email templates', () => {
+  let admin;
+  let adminToken;
+  let supportToken;
+  let customer;
+  let product;
+  let order;
+
+  const shippingAddress = {
+    firstName: 'Panam',
+    lastName: 'Palmer',
+    street: '7 Template Way',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await database.connect();
+
+    admin = await User.create({ email: 'template-admin@test.com', password: 'admin12345', firstName: 'Tem', lastName: 'Plate', isAdmin: true });
+    const support = await User.create({ email: 'template-support@test.com', password: 'staff12345', firstName: 'Sup', lastName: 'Port' });
+    await Role.setUserRoles(support.id, ['support']);
+    customer = await User.create({ email: 'template-customer@test.com', password: 'user12345', firstName: 'Panam', lastName: 'Palmer' });
+
+    adminToken = await login('template-admin@test.com', 'admin12345');
+    supportToken = await login('template-support@test.com', 'staff12345');
+
+    product = await Product.create({ name: 'Test Template <Visor>', description: 'Shades', price: 40, category: 'test-templates', inventory: 10 });
+    order = await Order.create({ userId: customer.id, items: [{ productId: product.id, quantity: 2 }], shippingAddress });
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM email_templates WHERE updated_by = ?', [admin.id]);
+    await database.run('DELETE FROM audit_log WHERE actor_email LIKE "template-%@test.com"');
+    await database.run('DELETE FROM order_items WHERE order_id = ?', [order.id]);
+    await database.run('DELETE FROM orders WHERE id = ?', [order.id]);
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "template-%@test.com"');
+    await database.close();
+  });
+
+  describe('template engine', () => {
+    it('should render variables, sections, inverted sections and partials', () => {
+      const source = '{{#items}}<li>{{name}}</li>{{/items}}{{^items}}none{{/items}} {{> sign}}';
+      const partials = { sign: '{{{raw}}}' };
+
+      expect(render(source, { items: [{ name: 'A&B' }], raw: '<b>x</b>' }, { partials }))
+        .toBe('<li>A&amp;B</li> <b>x</b>');
+      expect(render(source, { items: [], raw: '' }, { partials })).toBe('none ');
+      expect(render('{{a.b}}', { a: { b: '<>' } }, { escape: false })).toBe('<>');
+    });
+
+    it('should reject malformed templates', () => {
+      expect(() => render('{{#a}}open')).toThrow('never closed');
+      expect(() => render('{{/a}}')).toThrow('unexpected');
+      expect(() => render('{{> missing}}')).toThrow('unknown partial');
+    });
+  });
+
+  describe('admin endpoints', () => {
+    it('should list templates for super admins only', async () => {
+      const response = await as(adminToken, 'get', '/api/admin/email-templates').expect(200);
+      const confirmation = response.body.data.templates.find(template => template.name === 'order_confirmation');
+      expect(confirmation).toMatchObject({ kind: 'email', data: 'order', customized: false });
+      expect(confirmation.html).toBeUndefined();
+
+      await as(supportToken, 'get', '/api/admin/email-templates').expect(403);
+    });
+
+    it('should preview order emails against a real order', async () => {
+      const response = await as(adminToken, 'get', `/api/admin/email-templates/order_confirmation/preview?orderId=${order.id}`)
+        .expect(200);
+      const { email } = response.body.data;
+
+      expect(email.to).toBe(customer.email);
+      expect(email.subject).toBe(`Order Confirmation - NEXUS TECH #${order.id}`);
+      expect(email.html).toContain('Test Template &lt;Visor&gt;');
+      expect(email.html).toContain(`$${order.totalAmount.toFixed(2)}`);
+      expect(email.text).toContain('- Test Template <Visor> x 2 @ $40.00 = $80.00');
+      expect(email.text).toContain('Panam Palmer');
+
+      const html = await as(adminToken, 'get', `/api/admin/email-templates/shipping_notification/preview?orderId=${order.id}&format=html`)
+        .expect(200);
+      expect(html.headers['content-type']).toMatch(/text\/html/);
+      expect(html.text).toContain('<!DOCTYPE html>');
+    });
+
+    it('should preview account emails for the signed-in admin', async () => {
+      const response = await as(adminToken, 'get', '/api/admin/email-templates/password_reset/preview').expect(200);
+      expect(response.body.data.email.to).toBe('template-admin@test.com');
+      expect(response.body.data.email.text).toContain('resetToken=preview-token');
+    });
+
+    it('should explain why a preview is not possible', async () => {
+      const noOrder = await as(adminToken, 'get', '/api/admin/email-templates/order_confirmation/preview').expect(400);
+      expect(noOrder.body.error.code).toBe('ORDER_ID_REQUIRED');
+
+      await as(adminToken, 'get', '/api/admin/email-templates/order_confirmation/preview?orderId=999999').expect(404);
+
+      const layout = await as(adminToken, 'get', '/api/admin/email-templates/layout/preview').expect(400);
+      expect(layout.body.error.code).toBe('TEMPLATE_NOT_PREVIEWABLE');
+
+      const unknown = await as(adminToken, 'get', '/api/admin/email-templates/nope/preview').expect(404);
+      expect(unknown.body.error.code).toBe('TEMPLATE_NOT_FOUND');
+    });
+
+    it('should use saved templates and partials for outgoing email', async () => {
+      await as(adminToken, 'put', '/api/admin/email-templates/order_confirmation')
+        .send({
+          subject: 'Got it, {{user.firstName}} (#{{order.id}})',
+          html: '<p>Thanks {{user.firstName}}</p>{{> order_items}}'
+        })
+        .expect(200);
+      await as(adminToken, 'put', '/api/admin/email-templates/order_items')
+        .send({ text: '{{#order.items}}* {{quantity}} x {{name}}\n{{/order.items}}' })
+        .expect(200);
+
+      const email = await new EmailService().generateOrderConfirmationEmail(customer, await Order.findById(order.id));
+      expect(email.subject).toBe(`Got it, Panam (#${order.id})`);
+      expect(email.html).toContain('<p>Thanks Panam</p>');
+      expect(email.html).toContain('<div class="header">');
+      expect(email.text).toContain('* 2 x Test Template <Visor>');
+
+      const detail = await as(adminToken, 'get', '/api/admin/email-templates/order_confirmation').expect(200);
+      expect(detail.body.data.template).toMatchObject({ customized: true, updatedBy: admin.id });
+      expect(detail.body.data.default.subject).toBe('Order Confirmation - {{appName}} #{{order.id}}');
+    });
+
+    it('should reject templates that would not render', async () => {
+      const unclosed = await as(adminToken, 'put', '/api/admin/email-templates/order_status_update')
+        .send({ html: '{{#order.items}}<p>' })
+        .expect(400);
+      expect(unclosed.body.error.code).toBe('INVALID_TEMPLATE');
+
+      const partial = await as(adminToken, 'put', '/api/admin/email-templates/order_status_update')
+        .send({ text: '{{> order_lines}}' })
+        .expect(400);
+      expect(partial.body.error.message).toContain('unknown partial order_lines');
+
+      await as(adminToken, 'put', '/api/admin/email-templates/layout').send({ html: '<p>No body</p>' }).expect(400);
+      await as(adminToken, 'put', '/api/admin/email-templates/password_reset').send({ subject: ' ' }).expect(400);
+    });
+
+    it('should reset templates to the built-in version', async () => {
+      await as(adminToken, 'delete', '/api/admin/email-templates/order_items').expect(200);
+      const response = await as(adminToken, 'delete', '/api/admin/email-templates/order_confirmation').expect(200);
+      expect(response.body.data.template).toMatchObject({
+        customized: false,
+        subject: 'Order Confirmation - {{appName}} #{{order.id}}'
+      });
+
+      const email = await new EmailService().generateOrderConfirmationEmail(customer, await Order.findById(order.id));
+      expect(email.subject).toBe(`Order Confirmation - NEXUS TECH #${order.id}`);
+    });
+  });
+});
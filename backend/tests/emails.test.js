@@ -0,0 +1,260 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, Role, EmailMessage, Job } = require('../models');
+const EmailService = require('../utils/emailService');
+const { getTransport, FileTransport, SmtpTransport } = require('../email');
+const { processOutbox } = require('../email/outbox');
+const { runJob } = require('../jobs');
+
+// Minimal SMTP server that accepts everything and records the session
+const startSmtpServer = () => new Promise((resolve) => {
+  const received = { commands: [], data: '' };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            received.data += `${line}\n`;
+          }
+          continue;
+        }
+
+        received.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 accepted\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, received }));
+});
+
+describe('Email outbox', () => {
+  const transport = getTransport('memory');
+  const emailEnabled = process.env.EMAIL_ENABLED;
+
+  let adminToken;
+  let supportToken;
+  let customer;
+  let customerToken;
+  let product;
+  let order;
+
+  const shippingAddress = {
+    street: '5 Outbox Lane',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  const outboxFor = async (type) => {
+    const { messages } = await EmailMessage.findPage({ to: customer.email, type });
+    return messages;
+  };
+
+  const makeDue = (id) => database.run(
+    "UPDATE email_outbox SET next_attempt_at = datetime('now', '-1 second') WHERE id = ?",
+    [id]
+  );
+
+  beforeAll(async () => {
+    await database.connect();
+    process.env.EMAIL_ENABLED = 'true';
+    transport.reset();
+
+    await User.create({ email: 'outbox-admin@test.com', password: 'admin12345', firstName: 'Out', lastName: 'Box', isAdmin: true });
+    const support = await User.create({ email: 'outbox-support@test.com', password: 'staff12345', firstName: 'Sup', lastName: 'Port' });
+    await Role.setUserRoles(support.id, ['support']);
+    customer = await User.create({ email: 'outbox-customer@test.com', password: 'user12345', firstName: 'Cus', lastName: 'Tomer' });
+
+    adminToken = await login('outbox-admin@test.com', 'admin12345');
+    supportToken = await login('outbox-support@test.com', 'staff12345');
+    customerToken = await login('outbox-customer@test.com', 'user12345');
+
+    product = await Product.create({ name: 'Test Outbox Relay', description: 'Mail', price: 25, category: 'test-outbox', inventory: 10 });
+    order = await Order.create({ userId: customer.id, items: [{ productId: product.id, quantity: 1 }], shippingAddress });
+  });
+
+  afterAll(async () => {
+    process.env.EMAIL_ENABLED = emailEnabled;
+    transport.reset();
+
+    await database.run('DELETE FROM email_outbox WHERE to_address LIKE "outbox-%@test.com"');
+    await database.run("DELETE FROM jobs WHERE type LIKE 'email.%' AND json_extract(payload, '$.orderId') = ?", [order.id]);
+    await database.run('DELETE FROM audit_log WHERE actor_email LIKE "outbox-%@test.com"');
+    await database.run('DELETE FROM order_status_history WHERE order_id = ?', [order.id]);
+    await database.run('DELETE FROM order_items WHERE order_id = ?', [order.id]);
+    await database.run('DELETE FROM orders WHERE id = ?', [order.id]);
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "outbox-%@test.com"');
+    await database.close();
+  });
+
+  it('should store order emails in the outbox and deliver them', async () => {
+    await as(adminToken, 'put', `/api/orders/${order.id}/status`)
+      .send({ status: 'confirmed' })
+      .expect(200);
+
+    const { jobs } = await Job.findPage({ type: 'email.order_status_update' });
+    const job = jobs.find(queued => queued.payload.orderId === order.id);
+    expect(job.payload).toEqual({ orderId: order.id, previousStatus: 'pending', status: 'confirmed' });
+    await runJob(job);
+    expect(job.status).toBe('completed');
+
+    const [message] = await outboxFor('order_status_update');
+    expect(message).toMatchObject({ status: 'sent', attempts: 1, transport: 'memory', lastError: null });
+    expect(message.messageId).toBeTruthy();
+
+    const delivered = transport.sent.find(mail => mail.messageId === message.messageId);
+    expect(delivered.to).toBe(customer.email);
+    expect(delivered.subject).toContain(`#${order.id}`);
+  });
+
+  it('should retry failed sends with growing delays and give up after the last attempt', async () => {
+    transport.failNext(1, 'Connection refused');
+    const result = await new EmailService().sendOrderConfirmation(customer, await Order.findById(order.id));
+    expect(result).toMatchObject({ success: true, message: 'Order confirmation email queued for retry' });
+
+    let message = await EmailMessage.findById(result.emailId);
+    expect(message).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Connection refused' });
+
+    // Not due yet, so the worker leaves it alone
+    expect(await processOutbox()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+
+    await makeDue(message.id);
+    transport.failNext(1);
+    expect(await processOutbox()).toEqual({ sent: 0, retrying: 1, failed: 0 });
+
+    message = await EmailMessage.findById(message.id);
+    expect(message.attempts).toBe(2);
+    const delayMs = new Date(`${message.nextAttemptAt}Z`) - new Date(`${message.updatedAt}Z`);
+    expect(delayMs).toBe(EmailMessage.retryDelaySeconds(2) * 1000);
+    expect(EmailMessage.retryDelaySeconds(2)).toBe(2 * EmailMessage.retryDelaySeconds(1));
+
+    await database.run('UPDATE email_outbox SET attempts = max_attempts - 1 WHERE id = ?', [message.id]);
+    await makeDue(message.id);
+    transport.failNext(1);
+    expect(await processOutbox()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    expect((await EmailMessage.findById(message.id)).status).toBe('failed');
+  });
+
+  it('should list and show outbox messages to staff with emails:manage', async () => {
+    const list = await as(supportToken, 'get', `/api/admin/emails?to=${customer.email}&status=failed`).expect(200);
+    expect(list.body.data.emails).toHaveLength(1);
+    expect(list.body.data.emails[0]).toMatchObject({ type: 'order_confirmation', status: 'failed' });
+
+    const detail = await as(supportToken, 'get', `/api/admin/emails/${list.body.data.emails[0].id}`).expect(200);
+    expect(detail.body.data.email.html).toContain('NEXUS TECH');
+
+    await as(customerToken, 'get', '/api/admin/emails').expect(403);
+    await as(supportToken, 'get', '/api/admin/emails/999999').expect(404);
+  });
+
+  it('should resend a failed message straight away', async () => {
+    const [failed] = await outboxFor('order_confirmation');
+    const sentBefore = transport.sent.length;
+
+    const response = await as(supportToken, 'post', `/api/admin/emails/${failed.id}/resend`).expect(200);
+    expect(response.body.data.email).toMatchObject({ status: 'sent', attempts: 1, lastError: null });
+    expect(transport.sent).toHaveLength(sentBefore + 1);
+
+    await as(customerToken, 'post', `/api/admin/emails/${failed.id}/resend`).expect(403);
+  });
+
+  it('should send account emails without storing their links', async () => {
+    const before = await EmailMessage.findPage({ to: customer.email });
+    const result = await new EmailService().sendPasswordReset(customer, 'reset-token-123');
+    expect(result.success).toBe(true);
+
+    const after = await EmailMessage.findPage({ to: customer.email });
+    expect(after.pagination.total).toBe(before.pagination.total);
+    expect(transport.sent[transport.sent.length - 1].html).toContain('reset-token-123');
+  });
+
+  describe('transports', () => {
+    const message = {
+      from: 'NEXUS TECH <shop@test.com>',
+      to: 'outbox-customer@test.com',
+      subject: 'Test transport',
+      html: '<p>Hello <strong>runner</strong></p>'
+    };
+
+    it('should write messages to a maildir', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+
+      try {
+        const result = await new FileTransport(directory).send(message);
+        const files = fs.readdirSync(path.join(directory, 'new'));
+        expect(files).toHaveLength(1);
+
+        const source = fs.readFileSync(result.path, 'utf8');
+        expect(source).toContain('Subject: Test transport');
+        expect(source).toContain(`Message-ID: ${result.messageId}`);
+        expect(source).toContain('Content-Type: multipart/alternative');
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should speak SMTP to a server', async () => {
+      const { server, received } = await startSmtpServer();
+
+      try {
+        const smtp = new SmtpTransport({
+          host: '127.0.0.1',
+          port: server.address().port,
+          user: 'mailer',
+          pass: 'secret',
+          timeout: 5000
+        });
+        const result = await smtp.send(message);
+
+        expect(result.messageId).toBeTruthy();
+        expect(received.commands).toEqual([
+          expect.stringMatching(/^EHLO /),
+          `AUTH PLAIN ${Buffer.from('\0mailer\0secret').toString('base64')}`,
+          'MAIL FROM:<shop@test.com>',
+          'RCPT TO:<outbox-customer@test.com>',
+          'DATA',
+          'QUIT'
+        ]);
+        expect(received.data).toContain('Subject: Test transport');
+      } finally {
+        server.close();
+      }
+    });
+  });
+});
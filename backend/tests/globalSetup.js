@@ -0,0 +1,21 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runMigrations } = require('../database/migrate');
+
+// Suites run against a copy of the database and upload into a temporary
+// directory, so a test run leaves the working tree as it found it. The
+// paths are passed to the suites through the environment; see
+// globalTeardown.js for the cleanup.
+module.exports = async () => {
+  const testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'techform-tests-'));
+  const dbPath = path.join(testDir, 'ecommerce.db');
+  fs.copyFileSync(path.join(__dirname, '../database/ecommerce.db'), dbPath);
+
+  process.env.TEST_DATA_DIR = testDir;
+  process.env.DB_PATH = dbPath;
+  process.env.UPLOAD_PATH = path.join(testDir, 'uploads');
+
+  // Bring the test database schema up to date before any suite runs
+  await runMigrations();
+};
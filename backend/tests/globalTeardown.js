@@ -0,0 +1,8 @@
+const fs = require('fs');
+
+// Remove the test database and uploads made by globalSetup.js
+module.exports = async () => {
+  if (process.env.TEST_DATA_DIR) {
+    fs.rmSync(process.env.TEST_DATA_DIR, { recursive: true, force: true });
+  }
+};
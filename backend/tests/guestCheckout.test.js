@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, Job, EmailMessage, Promotion } = require('../models');
+const { runJob } = require('../jobs');
+const { getTransport } = require('../email');
+const { getJwtSecret } = require('../utils/authTokens');
+
+describe('Guest checkout', () => {
+  const transport = getTransport('memory');
+  const emailEnabled = process.env.EMAIL_ENABLED;
+  const sessionId = `guest-checkout-${Date.now()}`;
+
+  let product;
+  let promotion;
+  let order;
+  let lookupToken;
+  let declinedOrderId;
+
+  const shippingAddress = {
+    firstName: 'Lucy',
+    lastName: 'Kushinada',
+    street: '9 Guest Street',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const addToCart = (session, quantity = 1) => request(app)
+    .post('/api/cart/items')
+    .set('x-session-id', session)
+    .send({ productId: product.id, quantity })
+    .expect(200);
+
+  const checkout = (session, body) => request(app)
+    .post('/api/orders')
+    .set('x-session-id', session)
+    .send({ shippingAddress, ...body });
+
+  const lookup = (params) => request(app).get('/api/orders/lookup').query(params);
+
+  beforeAll(async () => {
+    await database.connect();
+    process.env.EMAIL_ENABLED = 'true';
+    transport.reset();
+
+    product = await Product.create({ name: 'Test Guest Deck', description: 'Guest', price: 40, category: 'test-guest', inventory: 20 });
+    promotion = await Promotion.create({ code: 'GUESTONCE', type: 'fixed', value: 5, perUserLimit: 1 });
+  });
+
+  afterAll(async () => {
+    process.env.EMAIL_ENABLED = emailEnabled;
+    transport.reset();
+
+    const orders = await database.all('SELECT id FROM orders WHERE guest_email LIKE "guest-%@test.com"');
+    for (const { id } of orders) {
+      await database.run("DELETE FROM jobs WHERE type LIKE 'email.%' AND json_extract(payload, '$.orderId') = ?", [id]);
+      await database.run('DELETE FROM payments WHERE order_id = ?', [id]);
+      await database.run('DELETE FROM order_status_history WHERE order_id = ?', [id]);
+      await database.run('DELETE FROM order_items WHERE order_id = ?', [id]);
+      await database.run('DELETE FROM orders WHERE id = ?', [id]);
+    }
+    await database.run('DELETE FROM promotion_redemptions WHERE promotion_id = ?', [promotion.id]);
+    await database.run('DELETE FROM promotions WHERE id = ?', [promotion.id]);
+    await database.run('DELETE FROM email_outbox WHERE to_address LIKE "guest-%@test.com"');
+    await database.run('DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM carts WHERE session_id LIKE "guest-checkout-%")');
+    await database.run('DELETE FROM carts WHERE session_id LIKE "guest-checkout-%"');
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "guest-%@test.com"');
+    await database.close();
+  });
+
+  it('should order the session cart for a guest with an email address', async () => {
+    await addToCart(sessionId, 2);
+
+    const response = await checkout(sessionId, { email: 'Guest-Buyer@Test.com', items: [{ productId: 999999, quantity: 1 }] })
+      .expect(201);
+
+    order = response.body.data.order;
+    lookupToken = response.body.data.lookupToken;
+
+    // The cart is what gets ordered, not items in the body
+    expect(order).toMatchObject({ userId: null, guestEmail: 'guest-buyer@test.com' });
+    expect(order.items).toHaveLength(1);
+    expect(order.items[0]).toMatchObject({ productId: product.id, quantity: 2 });
+    expect(lookupToken).toMatch(/^[0-9a-f]{64}$/);
+
+    // Lookup tokens aren't signed with the JWT signing key itself
+    const signedWithJwtSecret = crypto
+      .createHmac('sha256', getJwtSecret())
+      .update(`order-lookup:${order.id}:guest-buyer@test.com`)
+      .digest('hex');
+    expect(lookupToken).not.toBe(signedWithJwtSecret);
+
+    const cart = await request(app).get('/api/cart').set('x-session-id', sessionId).expect(200);
+    expect(cart.body.data.items).toHaveLength(0);
+  });
+
+  it('should validate guest checkouts', async () => {
+    const noEmail = await checkout(sessionId, {}).expect(400);
+    expect(noEmail.body.error.code).toBe('INVALID_EMAIL');
+
+    const noSession = await request(app).post('/api/orders').send({ email: 'guest-buyer@test.com', shippingAddress }).expect(400);
+    expect(noSession.body.error.code).toBe('MISSING_IDENTIFIER');
+
+    // Account holders have to sign in, whether or not they're verified
+    await User.create({ email: 'guest-member@test.com', password: 'user12345', firstName: 'Jackie', lastName: 'Welles' });
+    const member = await checkout(sessionId, { email: 'Guest-Member@test.com' }).expect(409);
+    expect(member.body.error.code).toBe('ACCOUNT_EXISTS');
+
+    const emptyCart = await checkout(sessionId, { email: 'guest-buyer@test.com' }).expect(400);
+    expect(emptyCart.body.error.code).toBe('EMPTY_CART');
+
+    const otherSession = `${sessionId}-unnamed`;
+    await addToCart(otherSession);
+    const noName = await request(app)
+      .post('/api/orders')
+      .set('x-session-id', otherSession)
+      .send({ email: 'guest-buyer@test.com', shippingAddress: { ...shippingAddress, lastName: '' } })
+      .expect(400);
+    expect(noName.body.error.code).toBe('INVALID_SHIPPING_ADDRESS');
+  });
+
+  it('should email the guest a link to their order', async () => {
+    const { jobs } = await Job.findPage({ type: 'email.order_confirmation' });
+    const job = jobs.find(queued => queued.payload.orderId === order.id);
+    await runJob(job);
+    expect(job.status).toBe('completed');
+
+    const { messages } = await EmailMessage.findPage({ to: 'guest-buyer@test.com', type: 'order_confirmation' });
+    expect(messages[0].status).toBe('sent');
+    expect(messages[0].text).toContain('Hello Lucy,');
+    expect(messages[0].text).toContain(`lookupOrder=${order.id}`);
+    expect(messages[0].text).toContain(`token=${lookupToken}`);
+  });
+
+  it('should look up guest orders only with the right email, number and token', async () => {
+    const found = await lookup({ email: 'GUEST-BUYER@test.com', number: `#${order.id}`, token: lookupToken }).expect(200);
+    expect(found.body.data.order.id).toBe(order.id);
+
+    for (const params of [
+      { email: 'guest-buyer@test.com', number: order.id, token: 'f'.repeat(64) },
+      { email: 'guest-other@test.com', number: order.id, token: lookupToken },
+      { email: 'guest-buyer@test.com', number: order.id + 1000, token: lookupToken },
+      { email: 'guest-buyer@test.com', number: order.id }
+    ]) {
+      const response = await lookup(params).expect(404);
+      expect(response.body.error.code).toBe('ORDER_NOT_FOUND');
+    }
+  });
+
+  it('should let guests retry a declined payment with the lookup token', async () => {
+    const session = `${sessionId}-declined`;
+    await addToCart(session);
+
+    const declined = await checkout(session, { email: 'guest-declined@test.com', paymentToken: 'tok_mock_0002' }).expect(402);
+    declinedOrderId = declined.body.error.orderId;
+    expect(declined.body.error.lookupToken).toMatch(/^[0-9a-f]{64}$/);
+
+    await request(app)
+      .post(`/api/orders/${declinedOrderId}/pay`)
+      .send({ paymentToken: 'tok_mock_4242' })
+      .expect(404);
+
+    const paid = await request(app)
+      .post(`/api/orders/${declinedOrderId}/pay`)
+      .send({ paymentToken: 'tok_mock_4242', lookupToken: declined.body.error.lookupToken })
+      .expect(200);
+    expect(paid.body.data.order.paymentStatus).toBe('completed');
+  });
+
+  it('should hold guests to per-customer coupon limits by email', async () => {
+    const session = `${sessionId}-coupon`;
+    await addToCart(session);
+    await checkout(session, { email: 'guest-coupon@test.com', couponCode: 'GUESTONCE' }).expect(201);
+
+    // The same guest again, in any case
+    await addToCart(session);
+    const again = await checkout(session, { email: 'Guest-Coupon@Test.com', couponCode: 'GUESTONCE' }).expect(400);
+    expect(again.body.error.code).toBe('INVALID_COUPON');
+
+    const other = `${sessionId}-coupon-other`;
+    await addToCart(other);
+    await checkout(other, { email: 'guest-coupon-other@test.com', couponCode: 'GUESTONCE' }).expect(201);
+    expect(await promotion.getUsageCount(null, 'GUEST-COUPON@test.com')).toBe(1);
+  });
+
+  it('should let an account with the same email claim the order', async () => {
+    await User.create({ email: 'guest-buyer@test.com', password: 'user12345', firstName: 'Lucy', lastName: 'Kushinada' });
+    await User.create({ email: 'guest-other@test.com', password: 'user12345', firstName: 'David', lastName: 'Martinez' });
+    const ownerToken = await login('guest-buyer@test.com', 'user12345');
+    const otherToken = await login('guest-other@test.com', 'user12345');
+
+    await request(app).post('/api/orders/claim').send({ number: order.id, token: lookupToken }).expect(401);
+
+    await request(app)
+      .post('/api/orders/claim')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ number: order.id, token: lookupToken })
+      .expect(404);
+
+    await request(app)
+      .post('/api/orders/claim')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ number: order.id, token: 'f'.repeat(64) })
+      .expect(404);
+
+    const claimed = await request(app)
+      .post('/api/orders/claim')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ number: order.id, token: lookupToken })
+      .expect(200);
+    expect(claimed.body.data.order.userId).toBeTruthy();
+
+    const history = await request(app).get('/api/orders').set('Authorization', `Bearer ${ownerToken}`).expect(200);
+    expect(history.body.data.orders.map(item => item.id)).toContain(order.id);
+
+    // It's an account order now: no more guest lookups or second claims
+    await lookup({ email: 'guest-buyer@test.com', number: order.id, token: lookupToken }).expect(404);
+    await request(app)
+      .post('/api/orders/claim')
+      .set('Authorization', `Bearer ${ownerToken}`)
+      .send({ number: order.id, token: lookupToken })
+      .expect(404);
+    expect((await Order.findById(order.id)).userId).toBe(claimed.body.data.order.userId);
+  });
+});
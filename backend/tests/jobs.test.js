@@ -0,0 +1,253 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Role, Job } = require('../models');
+const { registerJob, enqueueJob, processJobs, runDueSchedules } = require('../jobs');
+const { parseCron, nextRun } = require('../jobs/cron');
+
+describe('Background jobs', () => {
+  const calls = [];
+  let failures = 0;
+
+  let adminToken;
+  let supportToken;
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  const makeDue = (id) => database.run(
+    "UPDATE jobs SET run_at = datetime('now', '-1 second') WHERE id = ?",
+    [id]
+  );
+
+  const secondsUntil = (sqlDate) => (new Date(`${sqlDate.replace(' ', 'T')}Z`) - Date.now()) / 1000;
+
+  beforeAll(async () => {
+    await database.connect();
+
+    registerJob('test.record', async (payload) => {
+      calls.push(payload);
+      return { seen: payload.value };
+    });
+    registerJob('test.flaky', async () => {
+      failures++;
+      throw new Error('Upstream unavailable');
+    });
+
+    await User.create({ email: 'jobs-admin@test.com', password: 'admin12345', firstName: 'Job', lastName: 'Admin', isAdmin: true });
+    const support = await User.create({ email: 'jobs-support@test.com', password: 'staff12345', firstName: 'Sup', lastName: 'Port' });
+    await Role.setUserRoles(support.id, ['support']);
+
+    adminToken = await login('jobs-admin@test.com', 'admin12345');
+    supportToken = await login('jobs-support@test.com', 'staff12345');
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM jobs WHERE type LIKE "test.%"');
+    await database.run('DELETE FROM job_schedules WHERE name LIKE "test-%"');
+    await database.run('DELETE FROM audit_log WHERE actor_email LIKE "jobs-%@test.com"');
+    await database.run('DELETE FROM users WHERE email LIKE "jobs-%@test.com"');
+    await database.close();
+  });
+
+  describe('cron', () => {
+    it('should find the next matching time in UTC', () => {
+      const from = new Date('2026-03-14T10:17:30Z');
+
+      expect(nextRun('* * * * *', from).toISOString()).toBe('2026-03-14T10:18:00.000Z');
+      expect(nextRun('*/15 * * * *', from).toISOString()).toBe('2026-03-14T10:30:00.000Z');
+      expect(nextRun('30 3 * * *', from).toISOString()).toBe('2026-03-15T03:30:00.000Z');
+      expect(nextRun('0 9 * * 1-5', from).toISOString()).toBe('2026-03-16T09:00:00.000Z');
+      expect(nextRun('0 0 1 * *', from).toISOString()).toBe('2026-04-01T00:00:00.000Z');
+    });
+
+    it('should reject invalid expressions', () => {
+      expect(() => parseCron('* * *')).toThrow();
+      expect(() => parseCron('61 * * * *')).toThrow('Invalid cron minute');
+      expect(() => nextRun('0 0 31 2 *', new Date())).toThrow('Cron expression never runs');
+    });
+  });
+
+  describe('queue', () => {
+    it('should run due jobs and store their results', async () => {
+      const job = await enqueueJob('test.record', { value: 'now' });
+      expect(job.status).toBe('pending');
+
+      expect(await processJobs({ types: ['test.record'] })).toEqual({ completed: 1, retrying: 0, dead: 0 });
+      expect(calls).toEqual([{ value: 'now' }]);
+
+      const done = await Job.findById(job.id);
+      expect(done).toMatchObject({ status: 'completed', attempts: 1, result: { seen: 'now' } });
+      expect(done.completedAt).toBeTruthy();
+    });
+
+    it('should hold delayed jobs until they are due', async () => {
+      const job = await enqueueJob('test.record', { value: 'later' }, { delaySeconds: 3600 });
+
+      expect(await processJobs({ types: ['test.record'] })).toEqual({ completed: 0, retrying: 0, dead: 0 });
+
+      await makeDue(job.id);
+      expect(await processJobs({ types: ['test.record'] })).toEqual({ completed: 1, retrying: 0, dead: 0 });
+    });
+
+    it('should retry failed jobs with growing delays and then dead-letter them', async () => {
+      const job = await enqueueJob('test.flaky', {}, { maxAttempts: 3 });
+
+      expect(await processJobs({ types: ['test.flaky'] })).toEqual({ completed: 0, retrying: 1, dead: 0 });
+      let failed = await Job.findById(job.id);
+      expect(failed).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Upstream unavailable' });
+      expect(secondsUntil(failed.runAt)).toBeGreaterThan(20);
+
+      // Not due again yet
+      expect(await processJobs({ types: ['test.flaky'] })).toEqual({ completed: 0, retrying: 0, dead: 0 });
+
+      await makeDue(job.id);
+      await processJobs({ types: ['test.flaky'] });
+      failed = await Job.findById(job.id);
+      expect(failed.attempts).toBe(2);
+      expect(secondsUntil(failed.runAt)).toBeGreaterThan(50);
+
+      await makeDue(job.id);
+      expect(await processJobs({ types: ['test.flaky'] })).toEqual({ completed: 0, retrying: 0, dead: 1 });
+      expect(await Job.findById(job.id)).toMatchObject({ status: 'dead', attempts: 3 });
+      expect(failures).toBe(3);
+    });
+
+    // Backdate a claimed run past the running timeout, as if its worker hung
+    const makeStale = async (job) => {
+      job.startedAt = Job.toSqlDate(new Date(Date.now() - 16 * 60 * 1000));
+      await database.run('UPDATE jobs SET started_at = ? WHERE id = ?', [job.startedAt, job.id]);
+    };
+
+    it('should let another worker take over a stale run and keep its outcome', async () => {
+      const job = await enqueueJob('test.record', { value: 'stale' }, { maxAttempts: 3 });
+      const hung = await Job.findById(job.id);
+      expect(await hung.claim()).toBe(true);
+      expect(hung.attempts).toBe(1);
+      await makeStale(hung);
+
+      expect(await processJobs({ types: ['test.record'] })).toEqual({ completed: 1, retrying: 0, dead: 0 });
+      expect(await Job.findById(job.id)).toMatchObject({ status: 'completed', attempts: 2, result: { seen: 'stale' } });
+
+      // The hung worker finishing late changes nothing
+      expect(await hung.complete({ seen: 'late' })).toBe(false);
+      expect(await hung.fail('Late failure')).toBe(false);
+      expect(await Job.findById(job.id)).toMatchObject({ status: 'completed', result: { seen: 'stale' }, lastError: null });
+    });
+
+    it('should dead-letter a job whose runs keep hanging', async () => {
+      const job = await enqueueJob('test.record', { value: 'hangs' }, { maxAttempts: 2 });
+
+      for (let run = 1; run <= 2; run++) {
+        const claimed = await Job.findById(job.id);
+        expect(await claimed.claim()).toBe(true);
+        expect(claimed.attempts).toBe(run);
+        await makeStale(claimed);
+      }
+
+      expect(await processJobs({ types: ['test.record'] })).toEqual({ completed: 0, retrying: 0, dead: 0 });
+      const dead = await Job.findById(job.id);
+      expect(dead).toMatchObject({ status: 'dead', attempts: 2 });
+      expect(dead.lastError).toMatch(/did not finish/);
+      expect(calls).not.toContainEqual({ value: 'hangs' });
+    });
+
+    it('should refuse unknown job types', async () => {
+      await expect(enqueueJob('test.missing', {})).rejects.toThrow('Unknown job type');
+    });
+  });
+
+  describe('built-in jobs', () => {
+    const builtIn = [];
+
+    afterAll(async () => {
+      for (const job of builtIn) {
+        await database.run('DELETE FROM jobs WHERE id = ?', [job.id]);
+      }
+    });
+
+    it('should report a day of sales and scan stock levels', async () => {
+      builtIn.push(await enqueueJob('reports.daily_sales', { date: '2026-03-14' }));
+      builtIn.push(await enqueueJob('inventory.low_stock_scan', { threshold: 3 }));
+
+      expect(await processJobs({ types: ['reports.daily_sales', 'inventory.low_stock_scan'] }))
+        .toEqual({ completed: 2, retrying: 0, dead: 0 });
+
+      const report = await Job.findById(builtIn[0].id);
+      expect(report.result).toMatchObject({ date: '2026-03-14', salesByStatus: expect.any(Array), topProducts: expect.any(Array) });
+
+      const scan = await Job.findById(builtIn[1].id);
+      expect(scan.result).toMatchObject({ threshold: 3, lowStock: expect.any(Array), outOfStock: expect.any(Array) });
+    });
+  });
+
+  describe('scheduler', () => {
+    const schedules = [{ name: 'test-record', cron: '*/5 * * * *', type: 'test.record', payload: { value: 'scheduled' } }];
+
+    it('should queue a job each time a schedule comes due', async () => {
+      const start = new Date('2026-03-14T10:02:00Z');
+
+      // First seen: only works out when it is next due
+      expect(await runDueSchedules({ now: start, schedules })).toEqual([]);
+      expect(await runDueSchedules({ now: new Date('2026-03-14T10:04:00Z'), schedules })).toEqual([]);
+
+      const [job] = await runDueSchedules({ now: new Date('2026-03-14T10:05:10Z'), schedules });
+      expect(job).toMatchObject({ type: 'test.record', payload: { value: 'scheduled' }, schedule: 'test-record' });
+
+      // The same run is not queued twice
+      expect(await runDueSchedules({ now: new Date('2026-03-14T10:06:00Z'), schedules })).toEqual([]);
+
+      // A run that comes due while the last job is still waiting is skipped
+      expect(await runDueSchedules({ now: new Date('2026-03-14T10:10:00Z'), schedules })).toEqual([]);
+
+      await processJobs({ types: ['test.record'] });
+      const [next] = await runDueSchedules({ now: new Date('2026-03-14T10:15:00Z'), schedules });
+      expect(next.id).not.toBe(job.id);
+    });
+  });
+
+  describe('admin endpoints', () => {
+    it('should list jobs with counts and schedules', async () => {
+      const response = await as(adminToken, 'get', '/api/admin/jobs?type=test.flaky').expect(200);
+
+      expect(response.body.data.jobs).toHaveLength(1);
+      expect(response.body.data.jobs[0]).toMatchObject({ type: 'test.flaky', status: 'dead', lastError: 'Upstream unavailable' });
+      expect(response.body.data.counts.dead).toBeGreaterThanOrEqual(1);
+      expect(response.body.data.schedules.map(schedule => schedule.name)).toEqual(
+        expect.arrayContaining(['expire-reservations', 'low-stock-scan', 'daily-sales-report', 'cleanup'])
+      );
+
+      const dead = await as(adminToken, 'get', '/api/admin/jobs?status=dead&type=test.flaky').expect(200);
+      expect(dead.body.data.jobs).toHaveLength(1);
+
+      const detail = await as(adminToken, 'get', `/api/admin/jobs/${dead.body.data.jobs[0].id}`).expect(200);
+      expect(detail.body.data.job.maxAttempts).toBe(3);
+
+      await as(adminToken, 'get', '/api/admin/jobs/999999').expect(404);
+      await as(adminToken, 'get', '/api/admin/jobs?sort=sideways').expect(400);
+    });
+
+    it('should retry dead jobs only', async () => {
+      const list = await as(adminToken, 'get', '/api/admin/jobs?type=test.flaky').expect(200);
+      const [dead] = list.body.data.jobs;
+
+      const retried = await as(adminToken, 'post', `/api/admin/jobs/${dead.id}/retry`).expect(200);
+      expect(retried.body.data.job).toMatchObject({ status: 'pending', attempts: 0, lastError: null });
+
+      const again = await as(adminToken, 'post', `/api/admin/jobs/${dead.id}/retry`).expect(409);
+      expect(again.body.error.code).toBe('JOB_NOT_DEAD');
+    });
+
+    it('should require job permissions', async () => {
+      await request(app).get('/api/admin/jobs').expect(401);
+      await as(supportToken, 'get', '/api/admin/jobs').expect(403);
+      await as(supportToken, 'post', '/api/admin/jobs/1/retry').expect(403);
+    });
+  });
+});
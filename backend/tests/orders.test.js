@@ -1,7 +1,7 @@
 const request = require('supertest');
 const app = require('../server');
 const database = require('../config/database');
-const { User, Product, Order } = require('../models');
+const { User, Product, Order, Cart, Reservation } = require('../models');
 
 describe('Orders API', () => {
   let authToken;
@@ -86,13 +86,18 @@ describe('Orders API', () => {
       expect(response.status).toBe(201);
       expect(response.body.success).toBe(true);
       expect(response.body.data.order).toBeDefined();
-      expect(response.body.data.order.totalAmount).toBe(199.98); // 99.99 * 2
+      // 99.99 * 2, plus 8% default US tax; standard shipping is free over $100
+      expect(response.body.data.order.subtotal).toBe(199.98);
+      expect(response.body.data.order.taxAmount).toBe(16);
+      expect(response.body.data.order.shippingAmount).toBe(0);
+      expect(response.body.data.order.shippingMethod).toBe('standard');
+      expect(response.body.data.order.totalAmount).toBe(215.98);
       expect(response.body.data.order.status).toBe('pending');
       expect(response.body.data.order.items).toHaveLength(1);
       expect(response.body.data.order.items[0].quantity).toBe(2);
     });
 
-    it('should fail without authentication', async () => {
+    it('should treat unauthenticated orders as guest checkouts', async () => {
       const orderData = {
         shippingAddress: {
           firstName: 'Test',
@@ -116,8 +121,9 @@ describe('Orders API', () => {
         .post('/api/orders')
         .send(orderData);
 
-      expect(response.status).toBe(401);
+      expect(response.status).toBe(400);
       expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('INVALID_EMAIL');
     });
 
     it('should fail with missing shipping address', async () => {
@@ -200,6 +206,223 @@ describe('Orders API', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('PRODUCT_NOT_FOUND');
     });
+
+    it('should price tax by state and the chosen shipping method', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          shippingAddress: {
+            street: '1 Market St',
+            city: 'San Francisco',
+            state: 'CA',
+            zipCode: '94105',
+            country: 'US'
+          },
+          shippingMethod: 'express',
+          items: [{ productId: testProduct.id, quantity: 1 }]
+        });
+
+      expect(response.status).toBe(201);
+      const order = response.body.data.order;
+      expect(order.subtotal).toBe(99.99);
+      expect(order.taxRate).toBe(0.0725);
+      expect(order.taxAmount).toBe(7.25);
+      expect(order.shippingMethod).toBe('express');
+      expect(order.shippingAmount).toBe(19.99);
+      expect(order.totalAmount).toBe(127.23);
+      expect(order.items[0].taxAmount).toBe(7.25);
+      expect(order.items[0].lineTotal).toBe(107.24);
+    });
+
+    it('should reject an unknown shipping method', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          shippingAddress: {
+            street: '123 Test St',
+            city: 'Test City',
+            state: 'TS',
+            zipCode: '12345',
+            country: 'US'
+          },
+          shippingMethod: 'teleport',
+          items: [{ productId: testProduct.id, quantity: 1 }]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_SHIPPING_METHOD');
+    });
+  });
+
+  describe('POST /api/orders atomicity', () => {
+    const shippingAddress = {
+      firstName: 'Test',
+      lastName: 'User',
+      street: '123 Test St',
+      city: 'Test City',
+      state: 'TS',
+      zipCode: '12345',
+      country: 'US'
+    };
+
+    it('should sell the last unit to only one of two concurrent checkouts', async () => {
+      const lastUnitProduct = await Product.create({
+        name: 'Test Last Unit',
+        description: 'Only one left',
+        price: 10,
+        category: 'test',
+        inventory: 1
+      });
+
+      const placeOrder = () => request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          shippingAddress,
+          paymentMethod: 'credit_card',
+          items: [{ productId: lastUnitProduct.id, quantity: 1 }]
+        });
+
+      const responses = await Promise.all([placeOrder(), placeOrder()]);
+      const statuses = responses.map(response => response.status).sort();
+
+      expect(statuses).toEqual([201, 400]);
+
+      const product = await Product.findById(lastUnitProduct.id);
+      expect(product.inventory).toBe(0);
+
+      const orderedLines = await database.count('order_items', 'product_id = ?', [lastUnitProduct.id]);
+      expect(orderedLines).toBe(1);
+    });
+
+    it('should leave no order or stock change behind when an item fails', async () => {
+      const inStock = await Product.create({
+        name: 'Test In Stock',
+        description: 'Plenty left',
+        price: 5,
+        category: 'test',
+        inventory: 5
+      });
+      const ordersBefore = await database.count('orders');
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          shippingAddress,
+          items: [
+            { productId: inStock.id, quantity: 2 },
+            { productId: 99999, quantity: 1 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(await database.count('orders')).toBe(ordersBefore);
+      expect((await Product.findById(inStock.id)).inventory).toBe(5);
+    });
+
+    it('should keep other shoppers\' writes made while a checkout rolls back', async () => {
+      const scarce = await Product.create({
+        name: 'Test Scarce',
+        description: 'One left',
+        price: 15,
+        category: 'test',
+        inventory: 1
+      });
+
+      // Hold the checkout open inside its transaction while another shopper
+      // edits their cart
+      const findById = Product.findById;
+      let checkoutStarted;
+      const started = new Promise(resolve => { checkoutStarted = resolve; });
+      const spy = jest.spyOn(Product, 'findById').mockImplementationOnce(async (id) => {
+        checkoutStarted();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return findById.call(Product, id);
+      });
+
+      const checkout = request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ shippingAddress, items: [{ productId: scarce.id, quantity: 2 }] })
+        .then(response => response);
+
+      await started;
+      const cartEdit = await request(app)
+        .post('/api/cart/items')
+        .set('x-session-id', 'test_concurrent_session')
+        .send({ productId: scarce.id, quantity: 1 });
+      const failed = await checkout;
+      spy.mockRestore();
+
+      expect(failed.status).toBe(400);
+      expect(failed.body.error.code).toBe('INSUFFICIENT_INVENTORY');
+      expect(cartEdit.status).toBe(200);
+
+      const otherCart = await Cart.getOrCreate(null, 'test_concurrent_session');
+      expect(otherCart.items.map(item => item.productId)).toEqual([scarce.id]);
+
+      await otherCart.clear();
+      await database.run('DELETE FROM carts WHERE id = ?', [otherCart.id]);
+    });
+
+    it('should clear the cart in the same transaction as the order', async () => {
+      const cart = await Cart.getOrCreate(testUser.id);
+      await cart.addItem(testProduct.id, 1);
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          shippingAddress,
+          items: [{ productId: testProduct.id, quantity: 1 }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(await database.count('cart_items', 'cart_id = ?', [cart.id])).toBe(0);
+    });
+
+    it('should consume the cart reservation and respect holds from other carts', async () => {
+      const heldProduct = await Product.create({
+        name: 'Test Held',
+        description: 'Partly reserved',
+        price: 20,
+        category: 'test',
+        inventory: 3
+      });
+
+      // Another shopper holds two units
+      const otherCart = await Cart.getOrCreate(null, 'test_other_session');
+      await otherCart.addItem(heldProduct.id, 2);
+      await Reservation.reserveCart(otherCart);
+
+      const blocked = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ shippingAddress, items: [{ productId: heldProduct.id, quantity: 2 }] });
+      expect(blocked.status).toBe(400);
+      expect(blocked.body.error.code).toBe('INSUFFICIENT_INVENTORY');
+
+      // Our own hold counts as available to us and is consumed by the order
+      const cart = await Cart.getOrCreate(testUser.id);
+      await cart.clear();
+      await cart.addItem(heldProduct.id, 1);
+      await Reservation.reserveCart(cart);
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ shippingAddress, items: [{ productId: heldProduct.id, quantity: 1 }] });
+
+      expect(response.status).toBe(201);
+      expect(await database.count('inventory_reservations', 'cart_id = ?', [cart.id])).toBe(0);
+      expect(await database.count('inventory_reservations', 'cart_id = ?', [otherCart.id])).toBe(1);
+
+      await Reservation.releaseForCart(otherCart.id);
+      await database.run('DELETE FROM carts WHERE id = ?', [otherCart.id]);
+    });
   });
 
   describe('GET /api/orders', () => {
@@ -456,7 +679,100 @@ describe('Orders API', () => {
 
         expect(response.status).toBe(403);
         expect(response.body.success).toBe(false);
-        expect(response.body.error.code).toBe('ACCESS_DENIED');
+        expect(response.body.error.code).toBe('ADMIN_REQUIRED');
+      });
+
+      it('should reject transitions the order cannot make', async () => {
+        const response = await request(app)
+          .put(`/api/orders/${testOrder.id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'pending' });
+
+        expect(response.status).toBe(409);
+        expect(response.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+
+        const order = await Order.findById(testOrder.id);
+        expect(order.status).toBe('confirmed');
+      });
+
+      it('should not reopen a cancelled order', async () => {
+        const order = await Order.create({
+          userId: testUser.id,
+          items: [{ productId: testProduct.id, quantity: 1 }],
+          shippingAddress: { street: '1 Test St', city: 'Test City', state: 'TS', zipCode: '12345', country: 'US' }
+        });
+        await order.cancel();
+
+        const response = await request(app)
+          .put(`/api/orders/${order.id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'shipped' });
+
+        expect(response.status).toBe(409);
+        expect(response.body.error.code).toBe('INVALID_STATUS_TRANSITION');
+      });
+
+      it('should put stock back when staff cancel through the status endpoint', async () => {
+        const before = (await Product.findById(testProduct.id)).inventory;
+        const order = await Order.create({
+          userId: testUser.id,
+          items: [{ productId: testProduct.id, quantity: 1 }],
+          shippingAddress: { street: '1 Test St', city: 'Test City', state: 'TS', zipCode: '12345', country: 'US' }
+        });
+        expect((await Product.findById(testProduct.id)).inventory).toBe(before - 1);
+
+        const response = await request(app)
+          .put(`/api/orders/${order.id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'cancelled', note: 'Customer called' })
+          .expect(200);
+
+        expect(response.body.data.order.status).toBe('cancelled');
+        expect((await Product.findById(testProduct.id)).inventory).toBe(before);
+      });
+    });
+
+    describe('GET /api/orders/:id/timeline', () => {
+      it('should list status changes with who made them', async () => {
+        await request(app)
+          .put(`/api/orders/${testOrder.id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'processing', note: 'Picked from warehouse' })
+          .expect(200);
+
+        const response = await request(app)
+          .get(`/api/orders/${testOrder.id}/timeline`)
+          .set('Authorization', `Bearer ${authToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.status).toBe('processing');
+        expect(response.body.data.nextStatuses).toEqual(['shipped', 'cancelled']);
+
+        const timeline = response.body.data.timeline;
+        expect(timeline.map(entry => [entry.fromStatus, entry.toStatus, entry.actor])).toEqual([
+          [null, 'pending', 'customer'],
+          ['pending', 'confirmed', 'admin'],
+          ['confirmed', 'processing', 'admin']
+        ]);
+        expect(timeline[2].note).toBe('Picked from warehouse');
+      });
+
+      it("should not show another user's timeline", async () => {
+        const otherUser = await User.create({
+          email: `timeline-test-${Date.now()}@example.com`,
+          password: 'password123',
+          firstName: 'Other',
+          lastName: 'User'
+        });
+        const login = await request(app)
+          .post('/api/auth/login')
+          .send({ email: otherUser.email, password: 'password123' });
+
+        const response = await request(app)
+          .get(`/api/orders/${testOrder.id}/timeline`)
+          .set('Authorization', `Bearer ${login.body.data.token}`);
+
+        expect(response.status).toBe(403);
       });
     });
 
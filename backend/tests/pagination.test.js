@@ -0,0 +1,137 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order } = require('../models');
+
+describe('Pagination and sorting', () => {
+  let adminToken;
+  let customer;
+  let customerToken;
+  let products;
+  let orders;
+
+  const shippingAddress = {
+    street: '5 Page Turn',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  const listProducts = (query) => request(app).get(`/api/products?category=test-paging&${query}`).expect(200);
+
+  const names = (response) => response.body.data.products.map(product => product.name);
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'paging-admin@test.com', password: 'admin12345', firstName: 'Pag', lastName: 'Er', isAdmin: true });
+    customer = await User.create({ email: 'paging-customer@test.com', password: 'user12345', firstName: 'Cus', lastName: 'Tomer' });
+    adminToken = await login('paging-admin@test.com', 'admin12345');
+    customerToken = await login('paging-customer@test.com', 'user12345');
+
+    products = [];
+    for (const [name, price] of [['Delta', 40], ['Alpha', 10], ['Echo', 50], ['Charlie', 30], ['Bravo', 20]]) {
+      products.push(await Product.create({ name: `Test Paging ${name}`, description: 'Paged', price, category: 'test-paging', inventory: 20 }));
+    }
+
+    const [delta, , echo, , bravo] = products;
+    orders = [
+      await Order.create({ userId: customer.id, items: [{ productId: delta.id, quantity: 3 }], shippingAddress }),
+      await Order.create({ userId: customer.id, items: [{ productId: bravo.id, quantity: 1 }], shippingAddress }),
+      await Order.create({ userId: customer.id, items: [{ productId: echo.id, quantity: 1 }], shippingAddress })
+    ];
+  });
+
+  afterAll(async () => {
+    await database.run(`DELETE FROM order_items WHERE order_id IN (${orders.map(() => '?').join(', ')})`, orders.map(order => order.id));
+    await database.run('DELETE FROM orders WHERE user_id = ?', [customer.id]);
+    await database.run('DELETE FROM products WHERE category = "test-paging"');
+    await database.run('DELETE FROM users WHERE email LIKE "paging-%@test.com"');
+    await database.close();
+  });
+
+  describe('GET /api/products', () => {
+    it('should page with page and pageSize', async () => {
+      const response = await listProducts('sort=price-desc&page=2&pageSize=2');
+
+      expect(names(response)).toEqual(['Test Paging Charlie', 'Test Paging Bravo']);
+      expect(response.body.data.sort).toBe('price-desc');
+      expect(response.body.data.pagination).toMatchObject({ page: 2, pageSize: 2, total: 5, totalPages: 3, hasNext: true, hasPrev: true });
+    });
+
+    it('should follow cursors without skipping rows added meanwhile', async () => {
+      const first = await listProducts('sort=price&pageSize=2');
+      expect(names(first)).toEqual(['Test Paging Alpha', 'Test Paging Bravo']);
+
+      // Would shift every offset page by one
+      const cheap = await Product.create({ name: 'Test Paging Zulu', description: 'Paged', price: 5, category: 'test-paging', inventory: 1 });
+
+      try {
+        const second = await listProducts(`sort=price&pageSize=2&cursor=${first.body.data.pagination.nextCursor}`);
+        expect(names(second)).toEqual(['Test Paging Charlie', 'Test Paging Delta']);
+        expect(second.body.data.pagination.page).toBeNull();
+
+        const last = await listProducts(`sort=price&pageSize=2&cursor=${second.body.data.pagination.nextCursor}`);
+        expect(names(last)).toEqual(['Test Paging Echo']);
+        expect(last.body.data.pagination.hasNext).toBe(false);
+        expect(last.body.data.pagination.nextCursor).toBeNull();
+      } finally {
+        await cheap.delete();
+      }
+    });
+
+    it('should sort by name and by units sold', async () => {
+      const byName = await listProducts('sort=name&pageSize=3');
+      expect(names(byName)).toEqual(['Test Paging Alpha', 'Test Paging Bravo', 'Test Paging Charlie']);
+
+      const bestSelling = await listProducts('sort=best-selling&pageSize=3');
+      expect(names(bestSelling)[0]).toBe('Test Paging Delta');
+    });
+
+    it('should reject unknown sorts and foreign cursors', async () => {
+      const badSort = await request(app).get('/api/products?sort=random').expect(400);
+      expect(badSort.body.error.code).toBe('INVALID_SORT');
+
+      const byName = await listProducts('sort=name&pageSize=1');
+      const wrongSort = await request(app)
+        .get(`/api/products?sort=price&cursor=${byName.body.data.pagination.nextCursor}`)
+        .expect(400);
+      expect(wrongSort.body.error.code).toBe('INVALID_CURSOR');
+
+      const garbage = await request(app).get('/api/products?cursor=not-a-cursor').expect(400);
+      expect(garbage.body.error.code).toBe('INVALID_CURSOR');
+    });
+  });
+
+  describe('order lists', () => {
+    it('should page a customer\'s orders with cursors', async () => {
+      const first = await as(customerToken, 'get', '/api/orders?pageSize=2').expect(200);
+      expect(first.body.data.orders.map(order => order.id)).toEqual([orders[2].id, orders[1].id]);
+      expect(first.body.data.pagination.total).toBe(3);
+
+      const second = await as(customerToken, 'get', `/api/orders?pageSize=2&cursor=${first.body.data.pagination.nextCursor}`).expect(200);
+      expect(second.body.data.orders.map(order => order.id)).toEqual([orders[0].id]);
+      expect(second.body.data.orders[0].items).toHaveLength(1);
+    });
+
+    it('should sort orders by total in the admin list', async () => {
+      const response = await as(adminToken, 'get', `/api/admin/orders?userId=${customer.id}&sort=total-desc`).expect(200);
+
+      const totals = response.body.data.orders.map(order => order.totalAmount);
+      expect(totals).toEqual([...totals].sort((a, b) => b - a));
+      expect(response.body.data.orders[0].id).toBe(orders[0].id);
+
+      await as(adminToken, 'get', '/api/admin/orders?sort=price').expect(400);
+    });
+  });
+});
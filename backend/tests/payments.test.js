@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, Payment } = require('../models');
+const { MockGateway, PaymentGateway, registerGateway } = require('../payments');
+
+describe('Payments', () => {
+  let userToken;
+  let otherToken;
+  let product;
+
+  const shippingAddress = {
+    street: '123 Test St',
+    city: 'Test City',
+    state: 'TS',
+    zipCode: '12345',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data.token;
+  };
+
+  const placeOrder = (paymentToken, token = userToken) => {
+    return request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        shippingAddress,
+        paymentMethod: 'credit_card',
+        paymentToken,
+        items: [{ productId: product.id, quantity: 1 }]
+      });
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'pay-user@test.com', password: 'user12345', firstName: 'Pay', lastName: 'User' });
+    await User.create({ email: 'pay-other@test.com', password: 'user12345', firstName: 'Pay', lastName: 'Other' });
+    userToken = await login('pay-user@test.com', 'user12345');
+    otherToken = await login('pay-other@test.com', 'user12345');
+
+    product = await Product.create({
+      name: 'Test Payment Deck',
+      description: 'Cyberdeck',
+      price: 120,
+      category: 'test',
+      inventory: 50
+    });
+  });
+
+  afterAll(async () => {
+    delete process.env.PAYMENT_PROVIDER;
+    await database.run('DELETE FROM order_items WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM orders WHERE user_id IN (SELECT id FROM users WHERE email LIKE "pay-%@test.com")');
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "pay-%@test.com"');
+    await database.close();
+  });
+
+  describe('MockGateway', () => {
+    const gateway = new MockGateway();
+
+    it('should approve ordinary test tokens', async () => {
+      const result = await gateway.authorize({ amount: 10, paymentToken: 'tok_mock_4242' });
+      expect(result.success).toBe(true);
+      expect(result.transactionId).toMatch(/^mock_auth_/);
+    });
+
+    it('should decline the published decline tokens', async () => {
+      const result = await gateway.authorize({ amount: 10, paymentToken: 'tok_mock_9995' });
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe('insufficient_funds');
+    });
+
+    it('should reject malformed tokens', async () => {
+      const result = await gateway.authorize({ amount: 10, paymentToken: '4242424242424242' });
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe('invalid_token');
+    });
+  });
+
+  describe('POST /api/orders with a payment token', () => {
+    it('should authorize, capture and confirm the order', async () => {
+      const response = await placeOrder('tok_mock_4242').expect(201);
+      const order = response.body.data.order;
+
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.status).toBe('confirmed');
+
+      const payments = await Payment.findByOrderId(order.id);
+      expect(payments.map(p => [p.operation, p.status])).toEqual([
+        ['authorize', 'succeeded'],
+        ['capture', 'succeeded']
+      ]);
+      expect(payments[1].amount).toBe(order.totalAmount);
+    });
+
+    it('should leave a declined order pending and allow a retry', async () => {
+      const declined = await placeOrder('tok_mock_0002').expect(402);
+
+      expect(declined.body.error.code).toBe('PAYMENT_DECLINED');
+      expect(declined.body.error.reason).toBe('card_declined');
+
+      const orderId = declined.body.error.orderId;
+      const failedOrder = await Order.findById(orderId);
+      expect(failedOrder.paymentStatus).toBe('failed');
+      expect(failedOrder.status).toBe('pending');
+
+      const retry = await request(app)
+        .post(`/api/orders/${orderId}/pay`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentToken: 'tok_mock_4242' })
+        .expect(200);
+
+      expect(retry.body.data.order.paymentStatus).toBe('completed');
+      expect(retry.body.data.payment.operation).toBe('capture');
+
+      const history = await request(app)
+        .get(`/api/orders/${orderId}/payments`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(history.body.data.payments.map(p => p.status))
+        .toEqual(['failed', 'succeeded', 'succeeded']);
+    });
+
+    it('should not charge an order twice', async () => {
+      const response = await placeOrder('tok_mock_4242').expect(201);
+
+      const again = await request(app)
+        .post(`/api/orders/${response.body.data.order.id}/pay`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentToken: 'tok_mock_4242' })
+        .expect(409);
+
+      expect(again.body.error.code).toBe('PAYMENT_NOT_ALLOWED');
+    });
+
+    it('should not let another customer pay for the order', async () => {
+      const declined = await placeOrder('tok_mock_0002').expect(402);
+
+      await request(app)
+        .post(`/api/orders/${declined.body.error.orderId}/pay`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ paymentToken: 'tok_mock_4242' })
+        .expect(404);
+    });
+
+    it('should void the authorization when capture fails', async () => {
+      class CaptureFailsGateway extends PaymentGateway {
+        constructor() {
+          super('capture-fails');
+          this.mock = new MockGateway();
+        }
+        authorize(params) { return this.mock.authorize(params); }
+        async capture() { throw new Error('Provider unavailable'); }
+        void(params) { return this.mock.void(params); }
+      }
+
+      registerGateway('capture-fails', () => new CaptureFailsGateway());
+      process.env.PAYMENT_PROVIDER = 'capture-fails';
+
+      try {
+        const response = await placeOrder('tok_mock_4242').expect(402);
+        const payments = await Payment.findByOrderId(response.body.error.orderId);
+
+        expect(payments.map(p => [p.operation, p.status])).toEqual([
+          ['authorize', 'succeeded'],
+          ['capture', 'failed'],
+          ['void', 'succeeded']
+        ]);
+        expect(payments[1].errorMessage).toBe('Provider unavailable');
+      } finally {
+        delete process.env.PAYMENT_PROVIDER;
+      }
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { calculateQuote, getTaxRate } = require('../utils/pricing');
+
+describe('Pricing engine', () => {
+  const lines = [
+    { productId: 1, name: 'Neural Interface', quantity: 2, unitPrice: 30, weight: 0.5 },
+    { productId: 2, name: 'Data Spike', quantity: 1, unitPrice: 15, weight: 2 }
+  ];
+
+  it('should resolve tax by state, country default and fallback', () => {
+    expect(getTaxRate({ country: 'US', state: 'ca' }).rate).toBe(0.0725);
+    expect(getTaxRate({ country: 'US', state: 'ZZ' }).rate).toBe(0.08);
+    expect(getTaxRate({ country: 'CA', state: 'ON' }).jurisdiction).toBe('CA-ON');
+    expect(getTaxRate(null).rate).toBe(0.08);
+  });
+
+  it('should add weight-based shipping below the free shipping threshold', () => {
+    const quote = calculateQuote({ lines, shippingAddress: { country: 'US', state: 'OR' } });
+
+    expect(quote.subtotal).toBe(75);
+    expect(quote.tax).toBe(0);
+    expect(quote.shipping).toBe(11.49); // 9.99 + 0.50/kg * 3kg
+    expect(quote.total).toBe(86.49);
+  });
+
+  it('should spread discounts across lines and tax the discounted amount', () => {
+    const quote = calculateQuote({
+      lines,
+      shippingAddress: { country: 'US', state: 'TX' },
+      discounts: [{ code: 'TEN', type: 'fixed', value: 10 }]
+    });
+
+    expect(quote.discountTotal).toBe(10);
+    expect(quote.lines.map(line => line.discount)).toEqual([8, 2]);
+    expect(quote.lines.map(line => line.tax)).toEqual([3.25, 0.81]);
+    expect(quote.tax).toBe(4.06);
+    expect(quote.total).toBe(80.55); // 65 + 4.06 tax + 11.49 shipping
+  });
+
+  it('should never discount below zero', () => {
+    const quote = calculateQuote({
+      lines,
+      discounts: [{ type: 'fixed', value: 500 }, { type: 'free_shipping' }]
+    });
+
+    expect(quote.discountTotal).toBe(75);
+    expect(quote.tax).toBe(0);
+    expect(quote.shipping).toBe(0);
+    expect(quote.total).toBe(0);
+  });
+
+  it('should reject unknown shipping methods', () => {
+    expect(() => calculateQuote({ lines, shippingMethod: 'teleport' }))
+      .toThrow('Invalid shipping method');
+  });
+});
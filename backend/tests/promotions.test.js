@@ -0,0 +1,290 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Promotion } = require('../models');
+
+describe('Promotions', () => {
+  let adminToken;
+  let userToken;
+  let userId;
+  let implant;
+  let cable;
+
+  const shippingAddress = {
+    street: '123 Test St',
+    city: 'Test City',
+    state: 'OR', // no sales tax, so totals are just goods + shipping
+    zipCode: '12345',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data;
+  };
+
+  const addToCart = (productId, quantity) => {
+    return request(app)
+      .post('/api/cart/items')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ productId, quantity })
+      .expect(200);
+  };
+
+  const quote = (couponCode) => {
+    return request(app)
+      .post('/api/cart/quote')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ shippingAddress, couponCode });
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({
+      email: 'promo-admin@test.com',
+      password: 'admin123',
+      firstName: 'Promo',
+      lastName: 'Admin',
+      isAdmin: true
+    });
+    await User.create({
+      email: 'promo-user@test.com',
+      password: 'user12345',
+      firstName: 'Promo',
+      lastName: 'User'
+    });
+
+    adminToken = (await login('promo-admin@test.com', 'admin123')).token;
+    const userLogin = await login('promo-user@test.com', 'user12345');
+    userToken = userLogin.token;
+    userId = userLogin.user.id;
+
+    implant = await Product.create({
+      name: 'Test Promo Implant',
+      description: 'Cybernetic implant',
+      price: 80,
+      category: 'implants',
+      inventory: 50
+    });
+    cable = await Product.create({
+      name: 'Test Promo Cable',
+      description: 'Data cable',
+      price: 10,
+      category: 'accessories',
+      inventory: 50
+    });
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM promotions');
+    await database.run('DELETE FROM carts WHERE user_id IN (SELECT id FROM users WHERE email LIKE "promo-%@test.com")');
+    await database.run('DELETE FROM order_items WHERE product_id IN (?, ?)', [implant.id, cable.id]);
+    await database.run('DELETE FROM orders WHERE user_id IN (SELECT id FROM users WHERE email LIKE "promo-%@test.com")');
+    await database.run('DELETE FROM products WHERE id IN (?, ?)', [implant.id, cable.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "promo-%@test.com"');
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    await database.run('DELETE FROM promotions');
+    await database.run(
+      'DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM carts WHERE user_id = ?)',
+      [userId]
+    );
+  });
+
+  describe('Admin CRUD /api/admin/promotions', () => {
+    it('should create, list, update and delete promotions', async () => {
+      const created = await request(app)
+        .post('/api/admin/promotions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'neon10', type: 'percentage', value: 10, description: '10% off' })
+        .expect(201);
+
+      const promotion = created.body.data.promotion;
+      expect(promotion.code).toBe('NEON10');
+      expect(promotion.isActive).toBe(true);
+
+      const list = await request(app)
+        .get('/api/admin/promotions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.promotions.map(p => p.code)).toContain('NEON10');
+
+      const updated = await request(app)
+        .put(`/api/admin/promotions/${promotion.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 15, usageLimit: 100 })
+        .expect(200);
+      expect(updated.body.data.promotion.value).toBe(15);
+      expect(updated.body.data.promotion.usageLimit).toBe(100);
+
+      await request(app)
+        .delete(`/api/admin/promotions/${promotion.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/admin/promotions/${promotion.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    it('should require admin access', async () => {
+      const response = await request(app)
+        .get('/api/admin/promotions')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ADMIN_REQUIRED');
+    });
+
+    it('should validate promotion rules', async () => {
+      const response = await request(app)
+        .post('/api/admin/promotions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'BAD', type: 'buy_x_get_y', startsAt: '2030-01-02', endsAt: '2030-01-01' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(response.body.error.message).toContain('Buy and get quantities');
+      expect(response.body.error.message).toContain('endsAt must be after startsAt');
+    });
+
+    it('should reject duplicate codes', async () => {
+      await Promotion.create({ code: 'DUPE', type: 'fixed', value: 5 });
+
+      const response = await request(app)
+        .post('/api/admin/promotions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'dupe', type: 'fixed', value: 5 })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('PROMOTION_CODE_EXISTS');
+    });
+  });
+
+  describe('Applying coupons through the cart quote', () => {
+    it('should apply a percentage discount', async () => {
+      await Promotion.create({ code: 'TENOFF', type: 'percentage', value: 10 });
+      await addToCart(implant.id, 1);
+      await addToCart(cable.id, 2);
+
+      const response = await quote('tenoff').expect(200);
+      const { quote: result } = response.body.data;
+
+      expect(result.subtotal).toBe(100);
+      expect(result.discountTotal).toBe(10);
+      expect(result.discounts[0].code).toBe('TENOFF');
+      expect(result.shipping).toBe(9.99); // $90 after discount is under the free shipping threshold
+      expect(result.total).toBe(99.99);
+    });
+
+    it('should only discount products in the promotion scope', async () => {
+      await Promotion.create({ code: 'IMPLANTS', type: 'fixed', value: 20, categories: ['implants'] });
+      await addToCart(implant.id, 1);
+      await addToCart(cable.id, 1);
+
+      const { quote: result } = (await quote('IMPLANTS').expect(200)).body.data;
+      const implantLine = result.lines.find(line => line.productId === implant.id);
+      const cableLine = result.lines.find(line => line.productId === cable.id);
+
+      expect(implantLine.discount).toBe(20);
+      expect(cableLine.discount).toBe(0);
+    });
+
+    it('should give the free units of a buy X get Y promotion', async () => {
+      await Promotion.create({
+        code: 'CABLE3FOR2',
+        type: 'buy_x_get_y',
+        buyQuantity: 2,
+        getQuantity: 1,
+        productIds: [cable.id]
+      });
+      await addToCart(cable.id, 7);
+
+      const { quote: result } = (await quote('CABLE3FOR2').expect(200)).body.data;
+
+      // Two complete sets of three, so two cables are free
+      expect(result.discountTotal).toBe(20);
+    });
+
+    it('should waive shipping for a free shipping promotion', async () => {
+      await Promotion.create({ code: 'SHIPFREE', type: 'free_shipping' });
+      await addToCart(cable.id, 1);
+
+      const { quote: result } = (await quote('SHIPFREE').expect(200)).body.data;
+
+      expect(result.shipping).toBe(0);
+      expect(result.discounts[0].amount).toBe(9.99);
+    });
+
+    it.each([
+      ['an unknown code', null, 'Coupon code is not valid'],
+      ['an expired promotion', { endsAt: '2020-01-01T00:00:00Z' }, 'Coupon has expired'],
+      ['a promotion that has not started', { startsAt: '2099-01-01T00:00:00Z' }, 'Coupon is not active yet'],
+      ['an inactive promotion', { isActive: false }, 'Coupon is no longer active'],
+      ['a cart below the minimum', { minSubtotal: 500 }, 'Coupon requires a minimum purchase of $500.00']
+    ])('should reject %s', async (label, overrides, message) => {
+      if (overrides) {
+        await Promotion.create({ code: 'RULES', type: 'fixed', value: 5, ...overrides });
+      }
+      await addToCart(cable.id, 1);
+
+      const response = await quote('RULES').expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_COUPON');
+      expect(response.body.error.message).toBe(message);
+    });
+  });
+
+  describe('Redeeming coupons on orders', () => {
+    it('should record the redemption and enforce the per-user limit', async () => {
+      const promotion = await Promotion.create({ code: 'ONCE', type: 'fixed', value: 5, perUserLimit: 1 });
+      const order = {
+        shippingAddress,
+        couponCode: 'ONCE',
+        items: [{ productId: implant.id, quantity: 1 }]
+      };
+
+      const first = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(order)
+        .expect(201);
+
+      expect(first.body.data.order.couponCode).toBe('ONCE');
+      expect(first.body.data.order.discountAmount).toBe(5);
+      expect(first.body.data.order.totalAmount).toBe(84.99); // 80 - 5 + 9.99 shipping
+      expect(await promotion.getUsageCount(userId)).toBe(1);
+
+      const second = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send(order)
+        .expect(400);
+
+      expect(second.body.error.code).toBe('INVALID_COUPON');
+      expect(await promotion.getUsageCount()).toBe(1);
+    });
+
+    it('should stop redemptions at the global usage limit', async () => {
+      await Promotion.create({ code: 'LIMITED', type: 'percentage', value: 50, usageLimit: 1 });
+      const order = {
+        shippingAddress,
+        couponCode: 'LIMITED',
+        items: [{ productId: cable.id, quantity: 1 }]
+      };
+
+      const responses = await Promise.all([
+        request(app).post('/api/orders').set('Authorization', `Bearer ${userToken}`).send(order),
+        request(app).post('/api/orders').set('Authorization', `Bearer ${adminToken}`).send(order)
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const express = require('express');
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User } = require('../models');
+const { rateLimit, authLimiter, passwordResetLimiter, cartLimiter } = require('../middleware/rateLimit');
+const EmailService = require('../utils/emailService');
+
+describe('Rate limiting', () => {
+  const buildApp = (options) => {
+    const limited = express();
+    limited.get('/', rateLimit({ name: 'test', windowMs: 60 * 1000, max: 2, ...options }), (req, res) => {
+      res.json({ success: true });
+    });
+    return limited;
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  beforeEach(() => {
+    process.env.RATE_LIMIT_ENABLED = 'true';
+  });
+
+  afterEach(() => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    jest.restoreAllMocks();
+    for (const limiter of [authLimiter, passwordResetLimiter, cartLimiter]) {
+      limiter.store.hits.clear();
+    }
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM users WHERE email LIKE "rl-%@test.com"');
+    await database.close();
+  });
+
+  describe('rateLimit middleware', () => {
+    it('should answer 429 with Retry-After over the limit', async () => {
+      const limited = buildApp();
+
+      const first = await request(limited).get('/').expect(200);
+      expect(first.headers['x-ratelimit-limit']).toBe('2');
+      expect(first.headers['x-ratelimit-remaining']).toBe('1');
+
+      await request(limited).get('/').expect(200);
+      const blocked = await request(limited).get('/').expect(429);
+
+      expect(blocked.body.error.code).toBe('RATE_LIMITED');
+      expect(parseInt(blocked.headers['retry-after'])).toBeGreaterThan(0);
+      expect(parseInt(blocked.headers['retry-after'])).toBeLessThanOrEqual(60);
+    });
+
+    it('should start a new window once the old one ends', async () => {
+      const limited = buildApp({ windowMs: 50, max: 1 });
+
+      await request(limited).get('/').expect(200);
+      await request(limited).get('/').expect(429);
+      await new Promise(resolve => setTimeout(resolve, 60));
+      await request(limited).get('/').expect(200);
+    });
+
+    it('should count keys separately and skip requests without a key', async () => {
+      const limited = buildApp({ max: 1, keyGenerator: (req) => req.query.key || null });
+
+      await request(limited).get('/?key=a').expect(200);
+      await request(limited).get('/?key=a').expect(429);
+      await request(limited).get('/?key=b').expect(200);
+
+      for (let i = 0; i < 3; i++) {
+        await request(limited).get('/').expect(200);
+      }
+    });
+
+    it('should work with any store implementing increment and reset', async () => {
+      const store = {
+        increment: jest.fn(async () => ({ count: 5, resetAt: Date.now() + 30 * 1000 })),
+        reset: jest.fn()
+      };
+
+      await request(buildApp({ store })).get('/').expect(429);
+      expect(store.increment).toHaveBeenCalledWith(expect.stringMatching(/^test:/), 60 * 1000);
+    });
+
+    it('should let requests through when the store fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const store = {
+        increment: async () => { throw new Error('store offline'); },
+        reset: () => {}
+      };
+
+      await request(buildApp({ store })).get('/').expect(200);
+    });
+
+    it('should do nothing when disabled', async () => {
+      process.env.RATE_LIMIT_ENABLED = 'false';
+      const limited = buildApp({ max: 0 });
+
+      await request(limited).get('/').expect(200);
+    });
+  });
+
+  describe('API limits', () => {
+    it('should limit auth requests per IP', async () => {
+      for (let i = 0; i < 30; i++) {
+        await request(app)
+          .post('/api/auth/login')
+          .send({ email: 'rl-nobody@test.com', password: 'wrong12345' })
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'rl-nobody@test.com', password: 'wrong12345' })
+        .expect(429);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should limit password reset emails per address', async () => {
+      jest.spyOn(EmailService.prototype, 'sendPasswordReset').mockResolvedValue({ success: true });
+
+      for (let i = 0; i < 3; i++) {
+        await request(app).post('/api/auth/forgot-password').send({ email: 'rl-reset@test.com' }).expect(200);
+      }
+
+      await request(app).post('/api/auth/forgot-password').send({ email: 'RL-Reset@test.com' }).expect(429);
+      await request(app).post('/api/auth/forgot-password').send({ email: 'rl-other@test.com' }).expect(200);
+    });
+
+    it('should limit cart updates per guest IP and per account separately', async () => {
+      const addItem = (token) => {
+        const req = request(app)
+          .post('/api/cart/items')
+          .set('X-Session-ID', 'rl-guest-session')
+          .send({ productId: 999999 });
+        return token ? req.set('Authorization', `Bearer ${token}`) : req;
+      };
+
+      for (let i = 0; i < 60; i++) {
+        await addItem().expect(404);
+      }
+      await addItem().expect(429);
+
+      await User.create({ email: 'rl-cart@test.com', password: 'user12345', firstName: 'Rate', lastName: 'Limit' });
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'rl-cart@test.com', password: 'user12345' })
+        .expect(200);
+
+      await addItem(login.body.data.token).expect(404);
+    });
+  });
+});
+
+describe('Login lockout', () => {
+  let adminToken;
+
+  const attempt = (email, password) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  const createUser = (email) => User.create({ email, password: 'user12345', firstName: 'Lock', lastName: 'Out' });
+
+  beforeAll(async () => {
+    await database.connect();
+    await User.create({ email: 'rl-admin@test.com', password: 'admin12345', firstName: 'Rl', lastName: 'Admin', isAdmin: true });
+    adminToken = (await attempt('rl-admin@test.com', 'admin12345')).body.data.token;
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM users WHERE email LIKE "rl-%@test.com"');
+    await database.close();
+  });
+
+  it('should lock the account after repeated failures', async () => {
+    await createUser('rl-lock1@test.com');
+
+    for (let i = 1; i < User.LOCKOUT_THRESHOLD; i++) {
+      await attempt('rl-lock1@test.com', 'wrong12345').expect(401);
+    }
+
+    const locked = await attempt('rl-lock1@test.com', 'wrong12345').expect(429);
+    expect(locked.body.error.code).toBe('ACCOUNT_LOCKED');
+    expect(parseInt(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(parseInt(locked.headers['retry-after'])).toBeLessThanOrEqual(60);
+
+    // Even the right password is refused while locked
+    await attempt('rl-lock1@test.com', 'user12345').expect(429);
+  });
+
+  it('should lock for longer after each further failure', async () => {
+    const user = await createUser('rl-lock2@test.com');
+
+    for (let i = 1; i < User.LOCKOUT_THRESHOLD; i++) {
+      await attempt('rl-lock2@test.com', 'wrong12345').expect(401);
+    }
+    await attempt('rl-lock2@test.com', 'wrong12345').expect(429);
+
+    // Let the first lock run out
+    await database.run("UPDATE users SET locked_until = datetime('now', '-1 second') WHERE id = ?", [user.id]);
+
+    const relocked = await attempt('rl-lock2@test.com', 'wrong12345').expect(429);
+    expect(parseInt(relocked.headers['retry-after'])).toBeGreaterThan(60);
+  });
+
+  it('should keep locking for the maximum after a long run of failures', async () => {
+    const user = await createUser('rl-lock5@test.com');
+
+    for (const attempts of [67, 68, 100]) {
+      // Failures well past the threshold, the last lock just run out
+      await database.run(`
+        UPDATE users SET failed_login_attempts = ?, last_failed_login_at = CURRENT_TIMESTAMP,
+          locked_until = datetime('now', '-1 second')
+        WHERE id = ?
+      `, [attempts, user.id]);
+
+      const locked = await attempt('rl-lock5@test.com', 'wrong12345').expect(429);
+      expect(parseInt(locked.headers['retry-after'])).toBeGreaterThan(59 * 60);
+      expect(parseInt(locked.headers['retry-after'])).toBeLessThanOrEqual(User.LOCKOUT_MAX_MINUTES * 60);
+    }
+  });
+
+  it('should reset the count after a successful login', async () => {
+    await createUser('rl-lock3@test.com');
+
+    for (let i = 1; i < User.LOCKOUT_THRESHOLD; i++) {
+      await attempt('rl-lock3@test.com', 'wrong12345').expect(401);
+    }
+    await attempt('rl-lock3@test.com', 'user12345').expect(200);
+
+    expect((await User.findByEmail('rl-lock3@test.com')).failedLoginAttempts).toBe(0);
+    await attempt('rl-lock3@test.com', 'wrong12345').expect(401);
+  });
+
+  it('should keep the lockout state out of the customer\'s own responses', async () => {
+    await createUser('rl-lock6@test.com');
+    await attempt('rl-lock6@test.com', 'wrong12345').expect(401);
+
+    const login = await attempt('rl-lock6@test.com', 'user12345').expect(200);
+    expect(login.body.data.user).not.toHaveProperty('failedLoginAttempts');
+    expect(login.body.data.user).not.toHaveProperty('lockedUntil');
+
+    const profile = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${login.body.data.token}`)
+      .expect(200);
+    expect(profile.body.data.user).not.toHaveProperty('failedLoginAttempts');
+    expect(profile.body.data.user).not.toHaveProperty('lockedUntil');
+  });
+
+  it('should show locked accounts to admins and let them unlock', async () => {
+    const user = await createUser('rl-lock4@test.com');
+
+    for (let i = 0; i < User.LOCKOUT_THRESHOLD; i++) {
+      await attempt('rl-lock4@test.com', 'wrong12345');
+    }
+
+    const locked = await request(app)
+      .get('/api/admin/users?search=rl-lock4&status=locked')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(locked.body.data.users).toHaveLength(1);
+    expect(locked.body.data.users[0].lockedUntil).toBeTruthy();
+    expect(locked.body.data.users[0].failedLoginAttempts).toBe(User.LOCKOUT_THRESHOLD);
+
+    const unlocked = await request(app)
+      .put(`/api/admin/users/${user.id}/unlock`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(unlocked.body.data.user.lockedUntil).toBeNull();
+
+    await attempt('rl-lock4@test.com', 'user12345').expect(200);
+  });
+});
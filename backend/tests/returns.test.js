@@ -0,0 +1,362 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, Payment } = require('../models');
+const { PaymentGateway, MockGateway, registerGateway } = require('../payments');
+
+describe('Returns', () => {
+  let userToken;
+  let otherToken;
+  let adminToken;
+  let deck;
+  let cable;
+
+  const shippingAddress = {
+    street: '123 Test St',
+    city: 'Test City',
+    state: 'OR', // no sales tax keeps the refund arithmetic readable
+    zipCode: '97201',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data.token;
+  };
+
+  // A paid order for 2 decks and 1 cable, moved to `status` by an admin
+  const createPaidOrder = async (status = 'delivered') => {
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        shippingAddress,
+        paymentMethod: 'credit_card',
+        paymentToken: 'tok_mock_4242',
+        items: [
+          { productId: deck.id, quantity: 2 },
+          { productId: cable.id, quantity: 1 }
+        ]
+      })
+      .expect(201);
+
+    // Walk the order through each status on the way
+    const order = response.body.data.order;
+    const path = ['confirmed', 'shipped', 'delivered'];
+    for (const next of path.slice(path.indexOf(order.status) + 1, path.indexOf(status) + 1)) {
+      await request(app)
+        .put(`/api/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: next })
+        .expect(200);
+    }
+    return order;
+  };
+
+  const itemFor = (order, product) => order.items.find(item => item.productId === product.id);
+
+  const requestReturn = (order, items, token = userToken) => {
+    return request(app)
+      .post('/api/returns')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ orderId: order.id, reason: 'Wrong size', items });
+  };
+
+  const adminAction = (returnId, action, body = {}) => {
+    return request(app)
+      .put(`/api/returns/${returnId}/${action}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'rma-user@test.com', password: 'user12345', firstName: 'Rma', lastName: 'User' });
+    await User.create({ email: 'rma-other@test.com', password: 'user12345', firstName: 'Rma', lastName: 'Other' });
+    await User.create({ email: 'rma-admin@test.com', password: 'admin12345', firstName: 'Rma', lastName: 'Admin', isAdmin: true });
+    userToken = await login('rma-user@test.com', 'user12345');
+    otherToken = await login('rma-other@test.com', 'user12345');
+    adminToken = await login('rma-admin@test.com', 'admin12345');
+
+    deck = await Product.create({ name: 'Test Return Deck', description: 'Deck', price: 100, category: 'test', inventory: 50 });
+    cable = await Product.create({ name: 'Test Return Cable', description: 'Cable', price: 20, category: 'test', inventory: 50 });
+  });
+
+  afterAll(async () => {
+    delete process.env.PAYMENT_PROVIDER;
+    await database.run('DELETE FROM returns WHERE user_id IN (SELECT id FROM users WHERE email LIKE "rma-%@test.com")');
+    await database.run('DELETE FROM order_items WHERE product_id IN (?, ?)', [deck.id, cable.id]);
+    await database.run('DELETE FROM orders WHERE user_id IN (SELECT id FROM users WHERE email LIKE "rma-%@test.com")');
+    await database.run('DELETE FROM products WHERE id IN (?, ?)', [deck.id, cable.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "rma-%@test.com"');
+    await database.close();
+  });
+
+  describe('POST /api/returns', () => {
+    it('should create a return for some of the order items', async () => {
+      const order = await createPaidOrder();
+      const response = await requestReturn(order, [
+        { orderItemId: itemFor(order, deck).id, quantity: 1 }
+      ]).expect(201);
+
+      const rma = response.body.data.return;
+      expect(rma.status).toBe('requested');
+      expect(rma.reason).toBe('Wrong size');
+      expect(rma.items).toHaveLength(1);
+      expect(rma.items[0].quantity).toBe(1);
+      expect(rma.items[0].refundAmount).toBe(100);
+    });
+
+    it('should not return more than was ordered across returns', async () => {
+      const order = await createPaidOrder();
+      const deckItem = itemFor(order, deck);
+
+      await requestReturn(order, [{ orderItemId: deckItem.id, quantity: 2 }]).expect(201);
+      const response = await requestReturn(order, [{ orderItemId: deckItem.id, quantity: 1 }]).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_RETURN_ITEMS');
+    });
+
+    it('should make rejected quantities returnable again', async () => {
+      const order = await createPaidOrder();
+      const deckItem = itemFor(order, deck);
+
+      const first = await requestReturn(order, [{ orderItemId: deckItem.id, quantity: 2 }]).expect(201);
+      await adminAction(first.body.data.return.id, 'reject', { notes: 'Outside policy' }).expect(200);
+
+      await requestReturn(order, [{ orderItemId: deckItem.id, quantity: 2 }]).expect(201);
+    });
+
+    it('should reject items from another order', async () => {
+      const order = await createPaidOrder();
+      const otherOrder = await createPaidOrder();
+
+      const response = await requestReturn(order, [
+        { orderItemId: itemFor(otherOrder, deck).id, quantity: 1 }
+      ]).expect(400);
+      expect(response.body.error.code).toBe('INVALID_RETURN_ITEMS');
+    });
+
+    it('should only allow returns for shipped or delivered orders', async () => {
+      const order = await createPaidOrder('confirmed');
+      const response = await requestReturn(order, [
+        { orderItemId: itemFor(order, deck).id, quantity: 1 }
+      ]).expect(409);
+
+      expect(response.body.error.code).toBe('RETURN_NOT_ALLOWED');
+    });
+
+    it("should not let a customer return another customer's order", async () => {
+      const order = await createPaidOrder();
+      await requestReturn(order, [
+        { orderItemId: itemFor(order, deck).id, quantity: 1 }
+      ], otherToken).expect(404);
+    });
+  });
+
+  describe('admin workflow', () => {
+    it('should require admin access', async () => {
+      const order = await createPaidOrder();
+      const created = await requestReturn(order, [
+        { orderItemId: itemFor(order, deck).id, quantity: 1 }
+      ]).expect(201);
+
+      await request(app)
+        .put(`/api/returns/${created.body.data.return.id}/approve`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it('should restock received items and refund them through the gateway', async () => {
+      const order = await createPaidOrder();
+      const created = await requestReturn(order, [
+        { orderItemId: itemFor(order, deck).id, quantity: 2 },
+        { orderItemId: itemFor(order, cable).id, quantity: 1 }
+      ]).expect(201);
+      const rma = created.body.data.return;
+
+      await adminAction(rma.id, 'approve').expect(200);
+
+      const inventoryBefore = (await Product.findById(deck.id)).inventory;
+
+      // Only one deck came back
+      const deckReturnItem = rma.items.find(item => item.productId === deck.id);
+      const received = await adminAction(rma.id, 'receive', {
+        items: [{ returnItemId: deckReturnItem.id, quantity: 1 }]
+      }).expect(200);
+
+      expect(received.body.data.return.status).toBe('refunded');
+      expect(received.body.data.return.refundAmount).toBe(120);
+      expect((await Product.findById(deck.id)).inventory).toBe(inventoryBefore + 1);
+
+      const refunds = (await Payment.findByOrderId(order.id)).filter(p => p.operation === 'refund');
+      expect(refunds).toHaveLength(1);
+      expect(refunds[0].amount).toBe(120);
+      expect(refunds[0].transactionId).toMatch(/^mock_refund_/);
+
+      // A partial refund leaves the order paid
+      expect((await Order.findById(order.id)).paymentStatus).toBe('completed');
+    });
+
+    it('should accept an admin refund amount and mark fully refunded orders', async () => {
+      const order = await createPaidOrder();
+      const created = await requestReturn(order, [
+        { orderItemId: itemFor(order, deck).id, quantity: 2 },
+        { orderItemId: itemFor(order, cable).id, quantity: 1 }
+      ]).expect(201);
+      const rmaId = created.body.data.return.id;
+
+      await adminAction(rmaId, 'approve').expect(200);
+      const received = await adminAction(rmaId, 'receive', { refundAmount: order.totalAmount }).expect(200);
+
+      expect(received.body.data.return.refundAmount).toBe(order.totalAmount);
+      expect((await Order.findById(order.id)).paymentStatus).toBe('refunded');
+    });
+
+    it('should not refund more than was captured', async () => {
+      const order = await createPaidOrder();
+      const created = await requestReturn(order, [
+        { orderItemId: itemFor(order, cable).id, quantity: 1 }
+      ]).expect(201);
+      const rmaId = created.body.data.return.id;
+
+      await adminAction(rmaId, 'approve').expect(200);
+      const response = await adminAction(rmaId, 'receive', { refundAmount: order.totalAmount + 1 }).expect(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+
+      // The items are in; the refund can be retried with a valid amount
+      const retry = await request(app)
+        .post(`/api/returns/${rmaId}/refund`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 20 })
+        .expect(200);
+      expect(retry.body.data.return.status).toBe('refunded');
+    });
+
+    it('should enforce the status order', async () => {
+      const order = await createPaidOrder();
+      const created = await requestReturn(order, [
+        { orderItemId: itemFor(order, deck).id, quantity: 1 }
+      ]).expect(201);
+      const rmaId = created.body.data.return.id;
+
+      const early = await adminAction(rmaId, 'receive').expect(409);
+      expect(early.body.error.code).toBe('INVALID_RETURN_STATUS');
+
+      await adminAction(rmaId, 'approve').expect(200);
+      await adminAction(rmaId, 'reject').expect(409);
+    });
+
+    it('should keep the return received when the gateway declines the refund', async () => {
+      class RefundFailsGateway extends PaymentGateway {
+        constructor() {
+          super('mock');
+          this.mock = new MockGateway();
+        }
+        async refund() {
+          return { success: false, errorCode: 'refund_declined', message: 'Refund declined' };
+        }
+      }
+
+      const order = await createPaidOrder();
+      const created = await requestReturn(order, [
+        { orderItemId: itemFor(order, cable).id, quantity: 1 }
+      ]).expect(201);
+      const rmaId = created.body.data.return.id;
+      await adminAction(rmaId, 'approve').expect(200);
+
+      registerGateway('mock', () => new RefundFailsGateway());
+      try {
+        const response = await adminAction(rmaId, 'receive').expect(402);
+        expect(response.body.error.code).toBe('REFUND_FAILED');
+      } finally {
+        registerGateway('mock', () => new MockGateway());
+      }
+
+      const fetched = await request(app)
+        .get(`/api/returns/${rmaId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(fetched.body.data.return.status).toBe('received');
+    });
+
+    it('should refund a return once when refunds arrive together', async () => {
+      let refundCalls = 0;
+      class SlowRefundGateway extends PaymentGateway {
+        constructor(declines = false) {
+          super('mock');
+          this.mock = new MockGateway();
+          this.declines = declines;
+        }
+        async refund(params) {
+          refundCalls++;
+          if (this.declines) {
+            return { success: false, errorCode: 'refund_declined', message: 'Refund declined' };
+          }
+          await new Promise(resolve => setTimeout(resolve, 50));
+          return this.mock.refund(params);
+        }
+      }
+
+      const order = await createPaidOrder();
+      const created = await requestReturn(order, [
+        { orderItemId: itemFor(order, cable).id, quantity: 1 }
+      ]).expect(201);
+      const rmaId = created.body.data.return.id;
+      await adminAction(rmaId, 'approve').expect(200);
+
+      // Received, with the first refund declined so it can be retried
+      registerGateway('mock', () => new SlowRefundGateway(true));
+      let responses;
+      try {
+        await adminAction(rmaId, 'receive').expect(402);
+
+        registerGateway('mock', () => new SlowRefundGateway());
+        refundCalls = 0;
+        const retry = () => request(app)
+          .post(`/api/returns/${rmaId}/refund`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({});
+        responses = await Promise.all([retry(), retry()]);
+      } finally {
+        registerGateway('mock', () => new MockGateway());
+      }
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+      expect(refundCalls).toBe(1);
+
+      const refunds = (await Payment.findByOrderId(order.id))
+        .filter(payment => payment.operation === 'refund' && payment.status === 'succeeded');
+      expect(refunds).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/returns', () => {
+    it("should list only the customer's own returns", async () => {
+      const response = await request(app)
+        .get('/api/returns')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+
+      expect(response.body.data.returns).toEqual([]);
+    });
+
+    it('should filter returns by order', async () => {
+      const order = await createPaidOrder();
+      await requestReturn(order, [
+        { orderItemId: itemFor(order, deck).id, quantity: 1 }
+      ]).expect(201);
+
+      const response = await request(app)
+        .get(`/api/returns?orderId=${order.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.returns).toHaveLength(1);
+      expect(response.body.data.returns[0].orderId).toBe(order.id);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, Role } = require('../models');
+
+describe('Product reviews', () => {
+  let adminToken;
+  let supportToken;
+  let buyer;
+  let buyerToken;
+  let browserToken;
+  let product;
+  let order;
+
+  const shippingAddress = {
+    street: '3 Review Row',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'review-admin@test.com', password: 'admin12345', firstName: 'Rev', lastName: 'Admin', isAdmin: true });
+    const support = await User.create({ email: 'review-support@test.com', password: 'staff12345', firstName: 'Sup', lastName: 'Port' });
+    await Role.setUserRoles(support.id, ['support']);
+    buyer = await User.create({ email: 'review-buyer@test.com', password: 'user12345', firstName: 'Judy', lastName: 'Alvarez' });
+    await User.create({ email: 'review-browser@test.com', password: 'user12345', firstName: 'Vik', lastName: 'Vektor' });
+
+    adminToken = await login('review-admin@test.com', 'admin12345');
+    supportToken = await login('review-support@test.com', 'staff12345');
+    buyerToken = await login('review-buyer@test.com', 'user12345');
+    browserToken = await login('review-browser@test.com', 'user12345');
+
+    product = await Product.create({ name: 'Test Review Optics', description: 'Reviewed', price: 80, category: 'test-reviews', inventory: 10 });
+    order = await Order.create({ userId: buyer.id, items: [{ productId: product.id, quantity: 1 }], shippingAddress });
+    await database.run('UPDATE orders SET status = "delivered" WHERE id = ?', [order.id]);
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM reviews WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM order_items WHERE order_id = ?', [order.id]);
+    await database.run('DELETE FROM orders WHERE id = ?', [order.id]);
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "review-%@test.com"');
+    await database.close();
+  });
+
+  it('should badge reviews from customers who had the product delivered', async () => {
+    const verified = await as(buyerToken, 'post', `/api/products/${product.id}/reviews`)
+      .send({ rating: 5, title: 'Crisp', body: 'Zoom works great' })
+      .expect(201);
+    expect(verified.body.data.review).toMatchObject({ rating: 5, isVerified: true, author: 'Judy A.', status: 'published' });
+
+    const unverified = await as(browserToken, 'post', `/api/products/${product.id}/reviews`)
+      .send({ rating: 2 })
+      .expect(201);
+    expect(unverified.body.data.review.isVerified).toBe(false);
+  });
+
+  it('should allow one review per customer per product', async () => {
+    const response = await as(buyerToken, 'post', `/api/products/${product.id}/reviews`)
+      .send({ rating: 1 })
+      .expect(409);
+    expect(response.body.error.code).toBe('REVIEW_EXISTS');
+  });
+
+  it('should validate ratings and require login', async () => {
+    const response = await as(adminToken, 'post', `/api/products/${product.id}/reviews`)
+      .send({ rating: 6 })
+      .expect(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+
+    await request(app).post(`/api/products/${product.id}/reviews`).send({ rating: 4 }).expect(401);
+    await as(adminToken, 'post', '/api/products/999999/reviews').send({ rating: 4 }).expect(404);
+  });
+
+  it('should list reviews with a summary and include the rating on the product', async () => {
+    const response = await request(app).get(`/api/products/${product.id}/reviews?sort=rating-desc`).expect(200);
+
+    expect(response.body.data.reviews.map(review => review.rating)).toEqual([5, 2]);
+    expect(response.body.data.summary).toEqual({
+      average: 3.5,
+      count: 2,
+      distribution: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 }
+    });
+
+    const verifiedOnly = await request(app).get(`/api/products/${product.id}/reviews?verified=true`).expect(200);
+    expect(verifiedOnly.body.data.reviews).toHaveLength(1);
+
+    const detail = await request(app).get(`/api/products/${product.id}`).expect(200);
+    expect(detail.body.data.product.rating).toEqual({ average: 3.5, count: 2 });
+  });
+
+  it('should let moderators hide reviews and leave them out of the rating', async () => {
+    const list = await as(supportToken, 'get', `/api/admin/reviews?productId=${product.id}&verified=false`).expect(200);
+    const [review] = list.body.data.reviews;
+    expect(review.rating).toBe(2);
+
+    const hidden = await as(supportToken, 'put', `/api/admin/reviews/${review.id}`)
+      .send({ status: 'hidden', note: 'Off topic' })
+      .expect(200);
+    expect(hidden.body.data.review).toMatchObject({ status: 'hidden', moderationNote: 'Off topic' });
+
+    const publicList = await request(app).get(`/api/products/${product.id}/reviews`).expect(200);
+    expect(publicList.body.data.reviews).toHaveLength(1);
+    expect((await Product.findById(product.id)).toJSON().rating).toEqual({ average: 5, count: 1 });
+
+    const hiddenList = await as(supportToken, 'get', '/api/admin/reviews?status=hidden').expect(200);
+    expect(hiddenList.body.data.reviews.map(item => item.id)).toContain(review.id);
+
+    await as(supportToken, 'put', `/api/admin/reviews/${review.id}`).send({ status: 'spam' }).expect(400);
+  });
+
+  it('should let moderators delete reviews but not customers', async () => {
+    const list = await as(adminToken, 'get', `/api/admin/reviews?productId=${product.id}&verified=true`).expect(200);
+    const [review] = list.body.data.reviews;
+
+    await as(buyerToken, 'delete', `/api/admin/reviews/${review.id}`).expect(403);
+    await as(adminToken, 'delete', `/api/admin/reviews/${review.id}`).expect(200);
+
+    expect((await Product.findById(product.id)).toJSON().rating).toEqual({ average: 0, count: 0 });
+  });
+});
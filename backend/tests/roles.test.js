@@ -0,0 +1,240 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, Role } = require('../models');
+
+describe('Roles and permissions', () => {
+  let adminToken;
+  let customer;
+  let customerToken;
+  let product;
+  let order;
+
+  const shippingAddress = {
+    street: '12 Role Test Rd',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  // Create a user holding the given roles and return { user, token }
+  const createStaff = async (email, roles) => {
+    const user = await User.create({ email, password: 'staff12345', firstName: 'Staff', lastName: 'Member' });
+    await Role.setUserRoles(user.id, roles);
+    return { user, token: await login(email, 'staff12345') };
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'rbac-admin@test.com', password: 'admin12345', firstName: 'Root', lastName: 'Admin', isAdmin: true });
+    customer = await User.create({ email: 'rbac-customer@test.com', password: 'user12345', firstName: 'Cass', lastName: 'Tomer' });
+
+    adminToken = await login('rbac-admin@test.com', 'admin12345');
+    customerToken = await login('rbac-customer@test.com', 'user12345');
+
+    product = await Product.create({ name: 'Test RBAC Neural Jack', description: 'Jack', price: 40, category: 'test', inventory: 50 });
+    order = await Order.create({
+      userId: customer.id,
+      items: [{ productId: product.id, quantity: 1 }],
+      shippingAddress
+    });
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM order_items WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM orders WHERE user_id = ?', [customer.id]);
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "rbac-%@test.com"');
+    await database.close();
+  });
+
+  describe('role definitions', () => {
+    it('should list roles with their permissions', async () => {
+      const response = await as(adminToken, 'get', '/api/admin/roles').expect(200);
+      const roles = Object.fromEntries(response.body.data.roles.map(role => [role.name, role.permissions]));
+
+      expect(Object.keys(roles)).toEqual(expect.arrayContaining(['super_admin', 'catalog_manager', 'fulfillment', 'support']));
+      expect(roles.super_admin).toHaveLength(response.body.data.permissions.length);
+      expect(roles.fulfillment).toContain('orders:update');
+      expect(roles.fulfillment).not.toContain('products:update');
+    });
+
+    it('should give users created as admins the super_admin role', async () => {
+      const admin = await User.findByEmail('rbac-admin@test.com');
+      const { roles } = await Role.getUserAccess(admin.id);
+      expect(roles).toEqual(['super_admin']);
+    });
+  });
+
+  describe('enforcement', () => {
+    it('should let fulfillment staff update tracking but not edit prices', async () => {
+      const { token } = await createStaff('rbac-warehouse@test.com', ['fulfillment']);
+
+      await as(token, 'put', `/api/orders/${order.id}/tracking`)
+        .send({ trackingNumber: 'RBAC-TRACK-1' })
+        .expect(200);
+
+      await as(token, 'get', `/api/orders/${order.id}`).expect(200);
+
+      const denied = await as(token, 'put', `/api/products/${product.id}`)
+        .send({ price: 1 })
+        .expect(403);
+      expect(denied.body.error.code).toBe('PERMISSION_DENIED');
+
+      await as(token, 'get', '/api/admin/users').expect(403);
+      expect((await Product.findById(product.id)).price).toBe(40);
+    });
+
+    it('should let catalog managers edit prices but not orders', async () => {
+      const { token } = await createStaff('rbac-catalog@test.com', ['catalog_manager']);
+
+      await as(token, 'put', `/api/products/${product.id}`)
+        .send({ price: 45 })
+        .expect(200);
+
+      const denied = await as(token, 'put', `/api/admin/orders/${order.id}`)
+        .send({ trackingNumber: 'RBAC-TRACK-2' })
+        .expect(403);
+      expect(denied.body.error.code).toBe('PERMISSION_DENIED');
+
+      await as(token, 'get', `/api/orders/${order.id}`).expect(403);
+    });
+
+    it('should combine the permissions of several roles', async () => {
+      const { token } = await createStaff('rbac-both@test.com', ['catalog_manager', 'support']);
+
+      await as(token, 'get', '/api/admin/products').expect(200);
+      await as(token, 'get', '/api/admin/users').expect(200);
+      await as(token, 'put', `/api/orders/${order.id}/status`).send({ status: 'confirmed' }).expect(403);
+    });
+
+    it('should tell customers admin access is required', async () => {
+      const response = await as(customerToken, 'put', `/api/orders/${order.id}/tracking`)
+        .send({ trackingNumber: 'RBAC-TRACK-3' })
+        .expect(403);
+      expect(response.body.error.code).toBe('ADMIN_REQUIRED');
+    });
+
+    it('should include roles and permissions in the profile', async () => {
+      const { token } = await createStaff('rbac-profile@test.com', ['support']);
+
+      const response = await as(token, 'get', '/api/auth/profile').expect(200);
+      expect(response.body.data.user.roles).toEqual(['support']);
+      expect(response.body.data.user.permissions).toContain('returns:refund');
+    });
+  });
+
+  describe('assigning roles', () => {
+    it('should replace a user\'s roles and apply them to existing tokens', async () => {
+      const { user, token } = await createStaff('rbac-promote@test.com', []);
+
+      await as(token, 'get', '/api/admin/orders').expect(403);
+
+      const response = await as(adminToken, 'put', `/api/admin/users/${user.id}/roles`)
+        .send({ roles: ['fulfillment'] })
+        .expect(200);
+      expect(response.body.data.user.roles).toEqual(['fulfillment']);
+      expect(response.body.data.user.permissions).toContain('orders:update');
+      expect(response.body.data.user.isAdmin).toBe(false);
+
+      await as(token, 'get', '/api/admin/orders').expect(200);
+
+      await as(adminToken, 'put', `/api/admin/users/${user.id}/roles`)
+        .send({ roles: [] })
+        .expect(200);
+      await as(token, 'get', '/api/admin/orders').expect(403);
+    });
+
+    it('should keep isAdmin in step with the super_admin role', async () => {
+      const { user } = await createStaff('rbac-super@test.com', []);
+
+      const granted = await as(adminToken, 'put', `/api/admin/users/${user.id}/roles`)
+        .send({ roles: ['super_admin'] })
+        .expect(200);
+      expect(granted.body.data.user.isAdmin).toBe(true);
+
+      await as(adminToken, 'put', `/api/admin/users/${user.id}/role`)
+        .send({ isAdmin: false })
+        .expect(200);
+      expect((await Role.getUserAccess(user.id)).roles).toEqual([]);
+    });
+
+    it('should filter users by role', async () => {
+      const response = await as(adminToken, 'get', '/api/admin/users?search=rbac-warehouse&role=fulfillment').expect(200);
+      expect(response.body.data.users).toHaveLength(1);
+      expect(response.body.data.users[0].roles).toEqual(['fulfillment']);
+
+      const customers = await as(adminToken, 'get', '/api/admin/users?search=rbac-&role=customer').expect(200);
+      expect(customers.body.data.users.map(u => u.email)).toContain('rbac-customer@test.com');
+      expect(customers.body.data.users.map(u => u.email)).not.toContain('rbac-warehouse@test.com');
+    });
+
+    it('should reject unknown roles and bad input', async () => {
+      const unknown = await as(adminToken, 'put', `/api/admin/users/${customer.id}/roles`)
+        .send({ roles: ['overlord'] })
+        .expect(400);
+      expect(unknown.body.error.code).toBe('INVALID_ROLE');
+
+      await as(adminToken, 'put', `/api/admin/users/${customer.id}/roles`)
+        .send({ roles: 'fulfillment' })
+        .expect(400);
+    });
+
+    it('should not let admins change their own roles', async () => {
+      const admin = await User.findByEmail('rbac-admin@test.com');
+
+      const response = await as(adminToken, 'put', `/api/admin/users/${admin.id}/roles`)
+        .send({ roles: [] })
+        .expect(400);
+      expect(response.body.error.code).toBe('CANNOT_MODIFY_SELF');
+    });
+
+    it('should require roles:assign', async () => {
+      const { token } = await createStaff('rbac-support@test.com', ['support']);
+
+      const response = await as(token, 'put', `/api/admin/users/${customer.id}/roles`)
+        .send({ roles: ['super_admin'] })
+        .expect(403);
+      expect(response.body.error.code).toBe('PERMISSION_DENIED');
+    });
+  });
+
+  describe('staff accounts', () => {
+    it('should not let support disable or unlock a super_admin', async () => {
+      const { token } = await createStaff('rbac-support-desk@test.com', ['support']);
+      const admin = await User.findByEmail('rbac-admin@test.com');
+
+      const disable = await as(token, 'put', `/api/admin/users/${admin.id}/status`)
+        .send({ isActive: false })
+        .expect(403);
+      expect(disable.body.error.code).toBe('PERMISSION_DENIED');
+      expect((await User.findById(admin.id)).isActive).toBe(true);
+
+      const unlock = await as(token, 'put', `/api/admin/users/${admin.id}/unlock`).expect(403);
+      expect(unlock.body.error.code).toBe('PERMISSION_DENIED');
+
+      // Customers' accounts are still theirs to manage
+      await as(token, 'put', `/api/admin/users/${customer.id}/unlock`).expect(200);
+      await as(token, 'put', `/api/admin/users/${customer.id}/status`).send({ isActive: false }).expect(200);
+      await as(token, 'put', `/api/admin/users/${customer.id}/status`).send({ isActive: true }).expect(200);
+    });
+
+    it('should let admins who assign roles manage staff accounts', async () => {
+      const { user } = await createStaff('rbac-support-managed@test.com', ['support']);
+
+      await as(adminToken, 'put', `/api/admin/users/${user.id}/status`).send({ isActive: false }).expect(200);
+      expect((await User.findById(user.id)).isActive).toBe(false);
+    });
+  });
+});
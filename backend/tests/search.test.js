@@ -0,0 +1,110 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { Product } = require('../models');
+
+describe('Product search', () => {
+  let visor;
+  let gauntlet;
+  let cloak;
+
+  const search = (query) => request(app).get(`/api/products/search?${query}`).expect(200);
+
+  beforeAll(async () => {
+    await database.connect();
+
+    visor = await Product.create({
+      name: 'Zephyrix Visor',
+      description: 'Heads-up display with thermal overlay',
+      price: 80,
+      category: 'test-search-optics',
+      specifications: { Lens: 'Polarized quorvex glass' }
+    });
+    gauntlet = await Product.create({
+      name: 'Kinetic Gauntlet',
+      description: 'Pairs with any Zephyrix headset for gesture control',
+      price: 650,
+      category: 'test-search-wearables'
+    });
+    cloak = await Product.create({
+      name: 'Zephyrix Stealth Cloak',
+      description: 'Adaptive camouflage weave',
+      price: 3100,
+      category: 'test-search-wearables'
+    });
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM products WHERE category LIKE "test-search-%"');
+    await database.close();
+  });
+
+  it('should rank name matches above description matches', async () => {
+    const response = await search('q=zephyrix');
+
+    const ids = response.body.data.products.map(product => product.id);
+    expect(ids).toHaveLength(3);
+    expect(ids.indexOf(gauntlet.id)).toBe(2);
+    expect(response.body.data.pagination.total).toBe(3);
+  });
+
+  it('should match word prefixes, categories and specifications', async () => {
+    const prefix = await search('q=zeph%20stea');
+    expect(prefix.body.data.products.map(product => product.id)).toEqual([cloak.id]);
+
+    const spec = await search('q=quorvex');
+    expect(spec.body.data.products.map(product => product.id)).toEqual([visor.id]);
+
+    const category = await search('q=test-search-optics');
+    expect(category.body.data.products.map(product => product.id)).toEqual([visor.id]);
+  });
+
+  it('should correct misspelt words', async () => {
+    const response = await search('q=zepyhrix%20gauntlt');
+
+    expect(response.body.data.products.map(product => product.id)).toEqual([gauntlet.id]);
+    expect(response.body.data.corrections).toEqual({
+      zepyhrix: expect.arrayContaining(['zephyrix']),
+      gauntlt: ['gauntlet']
+    });
+  });
+
+  it('should correct swapped neighbouring letters as a single typo', async () => {
+    const response = await search('q=kinteic');
+
+    expect(response.body.data.products.map(product => product.id)).toEqual([gauntlet.id]);
+    expect(response.body.data.corrections).toEqual({ kinteic: ['kinetic'] });
+  });
+
+  it('should count facets, each ignoring its own filter', async () => {
+    const response = await search('q=zephyrix&category=test-search-wearables&maxPrice=1000');
+    const { facets, products } = response.body.data;
+
+    expect(products.map(product => product.id)).toEqual([gauntlet.id]);
+    expect(facets.categories).toEqual(expect.arrayContaining([
+      { value: 'test-search-wearables', count: 1 },
+      { value: 'test-search-optics', count: 1 }
+    ]));
+
+    const bands = Object.fromEntries(facets.priceBands.map(band => [band.key, band.count]));
+    expect(bands).toEqual({ 'under-100': 0, '100-500': 0, '500-1000': 1, '1000-2500': 0, '2500-plus': 1 });
+  });
+
+  it('should keep the index in step with product changes', async () => {
+    visor.name = 'Prismatic Monocle';
+    await visor.save();
+
+    expect((await search('q=monocle')).body.data.products.map(product => product.id)).toEqual([visor.id]);
+    expect((await search('q=zephyrix')).body.data.products.map(product => product.id)).not.toContain(visor.id);
+
+    await cloak.delete();
+    expect((await search('q=stealth')).body.data.products).toHaveLength(0);
+  });
+
+  it('should reject overly long queries', async () => {
+    const response = await request(app)
+      .get(`/api/products/search?q=${'a'.repeat(201)}`)
+      .expect(400);
+    expect(response.body.error.code).toBe('INVALID_QUERY');
+  });
+});
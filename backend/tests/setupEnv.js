@@ -0,0 +1,10 @@
+// Suites share one client IP, so rate limits are off unless a test turns
+// them on (see rateLimit.test.js)
+process.env.RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED || 'false';
+
+// Email goes to an in-memory transport; suites that check mail also set
+// EMAIL_ENABLED (see emails.test.js)
+process.env.EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'memory';
+
+// Webhooks are refused without a signing secret (see webhooks.test.js)
+process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
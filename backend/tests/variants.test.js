@@ -0,0 +1,236 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, ProductVariant, Cart, Order, Reservation, AuditLog } = require('../models');
+
+describe('Product variants', () => {
+  let adminToken;
+  let customer;
+  let product;
+  let small;
+  let large;
+
+  const shippingAddress = {
+    street: '3 Variant Ave',
+    city: 'Night City',
+    state: 'CA',
+    zipCode: '90001',
+    country: 'US'
+  };
+
+  const login = async (email, password) => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password });
+    return response.body.data?.token;
+  };
+
+  const as = (token, method, url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+
+  const guest = (method, url, sessionId) => request(app)[method](url).set('X-Session-ID', sessionId);
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'variant-admin@test.com', password: 'admin12345', firstName: 'Var', lastName: 'Iant', isAdmin: true });
+    customer = await User.create({ email: 'variant-customer@test.com', password: 'user12345', firstName: 'Cus', lastName: 'Tomer' });
+    adminToken = await login('variant-admin@test.com', 'admin12345');
+
+    product = await Product.create({ name: 'Test Variant Jacket', description: 'Jacket', price: 100, category: 'test', inventory: 0 });
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM audit_log WHERE actor_email = "variant-admin@test.com"');
+    await database.run('DELETE FROM order_items WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM orders WHERE user_id = ?', [customer.id]);
+    await database.run('DELETE FROM cart_items WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM inventory_reservations WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM carts WHERE session_id LIKE "variant-session-%"');
+    await database.run('DELETE FROM product_variants WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM users WHERE email LIKE "variant-%@test.com"');
+    await database.close();
+  });
+
+  describe('managing variants', () => {
+    it('should create variants and roll their stock up to the product', async () => {
+      const first = await as(adminToken, 'post', `/api/products/${product.id}/variants`)
+        .send({ sku: 'TVJ-S-BLK', options: { Size: 'S', color: 'Black' }, inventory: 4 })
+        .expect(201);
+      const second = await as(adminToken, 'post', `/api/products/${product.id}/variants`)
+        .send({ sku: 'TVJ-L-BLK', options: { size: 'L', color: 'Black' }, price: 120, inventory: 10, position: 1 })
+        .expect(201);
+
+      small = first.body.data.variant;
+      large = second.body.data.variant;
+      expect(small.options).toEqual({ color: 'Black', size: 'S' });
+      expect(small.price).toBeNull();
+      expect(large.label).toBe('Black / L');
+
+      const response = await request(app).get(`/api/products/${product.id}`).expect(200);
+      const json = response.body.data.product;
+      expect(json.hasVariants).toBe(true);
+      expect(json.inventory).toBe(14);
+      expect(json.variants.map(v => v.sku)).toEqual(['TVJ-S-BLK', 'TVJ-L-BLK']);
+      expect(json.options).toEqual([
+        { name: 'color', values: ['Black'] },
+        { name: 'size', values: ['S', 'L'] }
+      ]);
+    });
+
+    it('should reject duplicate SKUs, duplicate options and bad options', async () => {
+      const sku = await as(adminToken, 'post', `/api/products/${product.id}/variants`)
+        .send({ sku: 'TVJ-S-BLK', options: { size: 'M', color: 'Black' } })
+        .expect(409);
+      expect(sku.body.error.code).toBe('DUPLICATE_SKU');
+
+      const options = await as(adminToken, 'post', `/api/products/${product.id}/variants`)
+        .send({ sku: 'TVJ-S-BLK-2', options: { color: 'Black', size: 'S' } })
+        .expect(409);
+      expect(options.body.error.code).toBe('DUPLICATE_VARIANT');
+
+      const invalid = await as(adminToken, 'post', `/api/products/${product.id}/variants`)
+        .send({ sku: 'TVJ-BAD', options: ['S'] })
+        .expect(400);
+      expect(invalid.body.error.code).toBe('INVALID_OPTIONS');
+    });
+
+    it('should only take stock per variant once a product has variants', async () => {
+      const direct = await as(adminToken, 'put', `/api/admin/inventory/products/${product.id}`)
+        .send({ inventory: 50 })
+        .expect(400);
+      expect(direct.body.error.code).toBe('INVENTORY_TRACKED_PER_VARIANT');
+
+      await as(adminToken, 'put', `/api/admin/inventory/variants/${small.id}`)
+        .send({ inventory: 3 })
+        .expect(200);
+
+      expect((await Product.findById(product.id)).inventory).toBe(13);
+
+      const [entry] = await AuditLog.findAll({ entityType: 'product_variant', entityId: small.id, action: 'inventory.update' });
+      expect(entry.before).toEqual({ inventory: 4 });
+      expect(entry.after).toEqual({ inventory: 3 });
+    });
+  });
+
+  describe('cart and checkout', () => {
+    it('should require a variant to be chosen', async () => {
+      const response = await guest('post', '/api/cart/items', 'variant-session-1')
+        .send({ productId: product.id, quantity: 1 })
+        .expect(400);
+      expect(response.body.error.code).toBe('VARIANT_REQUIRED');
+
+      const unknown = await guest('post', '/api/cart/items', 'variant-session-1')
+        .send({ productId: product.id, variantId: 999999, quantity: 1 })
+        .expect(404);
+      expect(unknown.body.error.code).toBe('VARIANT_NOT_FOUND');
+    });
+
+    it('should keep variants as separate lines priced per variant', async () => {
+      await guest('post', '/api/cart/items', 'variant-session-1')
+        .send({ productId: product.id, variantId: small.id, quantity: 1 })
+        .expect(200);
+      const response = await guest('post', '/api/cart/items', 'variant-session-1')
+        .send({ productId: product.id, variantId: large.id, quantity: 2 })
+        .expect(200);
+
+      const items = response.body.data.items;
+      expect(items).toHaveLength(2);
+      expect(items[0].variant.sku).toBe('TVJ-S-BLK');
+      expect(items[0].product.price).toBe(100);
+      expect(items[1].product.price).toBe(120);
+      expect(response.body.data.total).toBe(340);
+
+      const tooMany = await guest('put', `/api/cart/items/${product.id}?variantId=${small.id}`, 'variant-session-1')
+        .send({ quantity: 4 })
+        .expect(400);
+      expect(tooMany.body.error.code).toBe('INSUFFICIENT_INVENTORY');
+
+      // PUT names the variant's line the same way DELETE does
+      const updated = await guest('put', `/api/cart/items/${product.id}?variantId=${large.id}`, 'variant-session-1')
+        .send({ quantity: 1 })
+        .expect(200);
+      expect(updated.body.data.items.map(item => [item.variantId, item.quantity])).toEqual([
+        [small.id, 1],
+        [large.id, 1]
+      ]);
+
+      const removed = await guest('delete', `/api/cart/items/${product.id}?variantId=${small.id}`, 'variant-session-1')
+        .expect(200);
+      expect(removed.body.data.items.map(item => item.variantId)).toEqual([large.id]);
+    });
+
+    it('should hold and sell stock per variant', async () => {
+      const holder = await Cart.getOrCreate(null, 'variant-session-2');
+      await holder.addItem(product.id, 9, large.id);
+      await Reservation.reserveCart(holder);
+
+      // Only one large jacket is left unheld
+      const blocked = await guest('put', `/api/cart/items/${product.id}`, 'variant-session-1')
+        .send({ variantId: large.id, quantity: 2 })
+        .expect(400);
+      expect(blocked.body.error.code).toBe('INSUFFICIENT_INVENTORY');
+      await guest('post', '/api/cart/items', 'variant-session-1')
+        .send({ productId: product.id, variantId: small.id, quantity: 3 })
+        .expect(200);
+
+      await Reservation.releaseForCart(holder.id);
+
+      const order = await Order.create({
+        userId: customer.id,
+        items: [{ productId: product.id, variantId: large.id, quantity: 2 }],
+        shippingAddress
+      });
+
+      expect(order.items[0].variantId).toBe(large.id);
+      expect(order.items[0].sku).toBe('TVJ-L-BLK');
+      expect(order.items[0].price).toBe(120);
+      expect(order.items[0].variant.label).toBe('Black / L');
+      expect((await ProductVariant.findById(large.id)).inventory).toBe(8);
+      expect((await Product.findById(product.id)).inventory).toBe(11);
+
+      await order.cancel();
+      expect((await ProductVariant.findById(large.id)).inventory).toBe(10);
+      expect((await Product.findById(product.id)).inventory).toBe(13);
+    });
+
+    it('should refuse orders for products with variants that name none', async () => {
+      await expect(Order.create({
+        userId: customer.id,
+        items: [{ productId: product.id, quantity: 1 }],
+        shippingAddress
+      })).rejects.toThrow('Variant selection required');
+    });
+  });
+
+  describe('low stock reporting', () => {
+    it('should report low and sold-out variants on the dashboard and alerts', async () => {
+      await as(adminToken, 'put', '/api/admin/inventory/bulk-update')
+        .send({ updates: [{ productId: product.id, variantId: small.id, quantity: 0 }] })
+        .expect(200);
+
+      const dashboard = await as(adminToken, 'get', '/api/admin/inventory/dashboard?lowStockThreshold=5').expect(200);
+      const lowEntry = dashboard.body.data.lowStockProducts.find(p => p.id === product.id);
+      expect(lowEntry.variants.map(v => v.sku)).toEqual(['TVJ-S-BLK']);
+      const soldOutEntry = dashboard.body.data.outOfStockProducts.find(p => p.id === product.id);
+      expect(soldOutEntry.variants.map(v => v.sku)).toEqual(['TVJ-S-BLK']);
+      expect(dashboard.body.data.summary.outOfStockVariantCount).toBeGreaterThanOrEqual(1);
+
+      const alerts = await as(adminToken, 'get', '/api/admin/inventory/alerts?threshold=5').expect(200);
+      const jacketAlerts = alerts.body.data.alerts.filter(alert => alert.product.id === product.id);
+      expect(jacketAlerts).toHaveLength(1);
+      expect(jacketAlerts[0].type).toBe('out_of_stock');
+      expect(jacketAlerts[0].variant.id).toBe(small.id);
+      expect(jacketAlerts[0].message).toBe('Test Variant Jacket (Black / S) is out of stock');
+    });
+
+    it('should leave products whose variants are all stocked off the low stock list', async () => {
+      await as(adminToken, 'put', `/api/products/${product.id}/variants/${small.id}`)
+        .send({ inventory: 20 })
+        .expect(200);
+
+      const lowStock = await Product.getLowStock(5);
+      expect(lowStock.map(p => p.id)).not.toContain(product.id);
+    });
+  });
+});
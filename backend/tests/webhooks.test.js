@@ -0,0 +1,203 @@
+const request = require('supertest');
+const app = require('../server');
+const database = require('../config/database');
+const { User, Product, Order, PaymentEvent } = require('../models');
+const { signPayload, verifySignature } = require('../payments/webhooks');
+
+describe('Payment webhooks', () => {
+  let userToken;
+  let product;
+
+  const shippingAddress = {
+    street: '123 Test St',
+    city: 'Test City',
+    state: 'TS',
+    zipCode: '12345',
+    country: 'US'
+  };
+
+  let eventCounter = 0;
+  const buildEvent = (type, orderId, id = `evt_webhook_test_${Date.now()}_${++eventCounter}`) => ({
+    id,
+    type,
+    data: { orderId, transactionId: 'mock_auth_test' }
+  });
+
+  const sendEvent = (event, signature) => {
+    const payload = JSON.stringify(event);
+    return request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Payment-Signature', signature || signPayload(payload))
+      .send(payload);
+  };
+
+  const createPendingOrder = async () => {
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({
+        shippingAddress,
+        paymentMethod: 'credit_card',
+        items: [{ productId: product.id, quantity: 1 }]
+      })
+      .expect(201);
+    return response.body.data.order.id;
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+
+    await User.create({ email: 'hook-user@test.com', password: 'user12345', firstName: 'Hook', lastName: 'User' });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'hook-user@test.com', password: 'user12345' });
+    userToken = login.body.data.token;
+
+    product = await Product.create({
+      name: 'Test Webhook Relay',
+      description: 'Signal relay',
+      price: 40,
+      category: 'test',
+      inventory: 50
+    });
+  });
+
+  afterAll(async () => {
+    await database.run('DELETE FROM payment_events WHERE event_id LIKE "evt_webhook_test_%"');
+    await database.run('DELETE FROM order_items WHERE product_id = ?', [product.id]);
+    await database.run('DELETE FROM orders WHERE user_id IN (SELECT id FROM users WHERE email = "hook-user@test.com")');
+    await database.run('DELETE FROM products WHERE id = ?', [product.id]);
+    await database.run('DELETE FROM users WHERE email = "hook-user@test.com"');
+    await database.close();
+  });
+
+  describe('signatures', () => {
+    it('should verify a signature it produced', () => {
+      const payload = '{"id":"evt_1"}';
+      expect(verifySignature(payload, signPayload(payload))).toBe(true);
+    });
+
+    it('should reject a tampered payload or a different secret', () => {
+      const payload = '{"id":"evt_1"}';
+      expect(verifySignature('{"id":"evt_2"}', signPayload(payload))).toBe(false);
+      expect(verifySignature(payload, signPayload(payload, { secret: 'other' }))).toBe(false);
+    });
+
+    it('should reject stale signatures', () => {
+      const payload = '{"id":"evt_1"}';
+      const timestamp = Math.floor(Date.now() / 1000) - 60 * 60;
+      expect(verifySignature(payload, signPayload(payload, { timestamp }))).toBe(false);
+    });
+  });
+
+  describe('POST /api/payments/webhook', () => {
+    it('should require a signature', async () => {
+      const response = await request(app)
+        .post('/api/payments/webhook')
+        .send(buildEvent('payment.succeeded', 1))
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_SIGNATURE');
+    });
+
+    it('should reject an invalid signature without recording the event', async () => {
+      const event = buildEvent('payment.succeeded', 1);
+      const response = await sendEvent(event, signPayload('{"something":"else"}')).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_SIGNATURE');
+      expect(await PaymentEvent.findByEventId('mock', event.id)).toBeNull();
+    });
+
+    it('should refuse every delivery when no signing secret is set', async () => {
+      const orderId = await createPendingOrder();
+      const event = buildEvent('payment.succeeded', orderId);
+      const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      delete process.env.PAYMENT_WEBHOOK_SECRET;
+      try {
+        // Not even with the old built-in fallback secret
+        const signature = signPayload(JSON.stringify(event), { secret: 'fallback-webhook-secret' });
+        const response = await sendEvent(event, signature).expect(503);
+        expect(response.body.error.code).toBe('WEBHOOK_NOT_CONFIGURED');
+        expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('PAYMENT_WEBHOOK_SECRET'));
+        expect(() => signPayload('{}')).toThrow('PAYMENT_WEBHOOK_SECRET is not set');
+      } finally {
+        process.env.PAYMENT_WEBHOOK_SECRET = secret;
+        errorSpy.mockRestore();
+      }
+
+      expect((await Order.findById(orderId)).paymentStatus).toBe('pending');
+      expect(await PaymentEvent.findByEventId('mock', event.id)).toBeNull();
+    });
+
+    it('should reject events without an id', async () => {
+      const response = await sendEvent({ type: 'payment.succeeded', data: {} }).expect(400);
+      expect(response.body.error.code).toBe('INVALID_EVENT');
+    });
+
+    it('should complete and confirm the order on payment.succeeded', async () => {
+      const orderId = await createPendingOrder();
+      const event = buildEvent('payment.succeeded', orderId);
+
+      const response = await sendEvent(event).expect(200);
+      expect(response.body.data.duplicate).toBe(false);
+      expect(response.body.data.event.status).toBe('processed');
+
+      const order = await Order.findById(orderId);
+      expect(order.paymentStatus).toBe('completed');
+      expect(order.status).toBe('confirmed');
+
+      const stored = await PaymentEvent.findByEventId('mock', event.id);
+      expect(JSON.parse(stored.payload)).toEqual(event);
+    });
+
+    it('should treat a replayed event as a no-op', async () => {
+      const orderId = await createPendingOrder();
+      const succeeded = buildEvent('payment.succeeded', orderId);
+      const refunded = buildEvent('payment.refunded', orderId);
+
+      await sendEvent(succeeded).expect(200);
+      await sendEvent(refunded).expect(200);
+
+      // Replaying the success must not move the refunded order back
+      const replay = await sendEvent(succeeded).expect(200);
+      expect(replay.body.data.duplicate).toBe(true);
+
+      const order = await Order.findById(orderId);
+      expect(order.paymentStatus).toBe('refunded');
+      expect(await PaymentEvent.findByOrderId(orderId)).toHaveLength(2);
+    });
+
+    it('should mark the payment failed on payment.failed', async () => {
+      const orderId = await createPendingOrder();
+      await sendEvent(buildEvent('payment.failed', orderId)).expect(200);
+
+      const order = await Order.findById(orderId);
+      expect(order.paymentStatus).toBe('failed');
+    });
+
+    it('should ignore transitions the order cannot make', async () => {
+      const orderId = await createPendingOrder();
+      await sendEvent(buildEvent('payment.succeeded', orderId)).expect(200);
+
+      const lateFailure = await sendEvent(buildEvent('payment.failed', orderId)).expect(200);
+      expect(lateFailure.body.data.event.status).toBe('ignored');
+
+      const order = await Order.findById(orderId);
+      expect(order.paymentStatus).toBe('completed');
+    });
+
+    it('should acknowledge unknown event types and orders without acting on them', async () => {
+      const orderId = await createPendingOrder();
+
+      const unknownType = await sendEvent(buildEvent('payment.disputed', orderId)).expect(200);
+      expect(unknownType.body.data.event.status).toBe('ignored');
+
+      const unknownOrder = await sendEvent(buildEvent('payment.succeeded', 999999)).expect(200);
+      expect(unknownOrder.body.data.event.status).toBe('ignored');
+      expect(unknownOrder.body.data.event.orderId).toBeNull();
+    });
+  });
+});
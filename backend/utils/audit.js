@@ -0,0 +1,52 @@
+/**
+ * Audit logging for staff actions
+ * Routes call auditAction after a privileged change succeeds. The change has
+ * already been made by then, so a failure to write the entry is logged
+ * rather than turned into an error response.
+ */
+
+const AuditLog = require('../models/AuditLog');
+
+const auditAction = async (req, { action, entityType, entityId = null, before = null, after = null }) => {
+  try {
+    await AuditLog.record({
+      actorId: req.user ? req.user.id : null,
+      actorEmail: req.user ? req.user.email : null,
+      action,
+      entityType,
+      entityId,
+      before,
+      after,
+      ipAddress: req.ip || null,
+      userAgent: req.get('User-Agent') || null
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+// Quote a value for CSV, per RFC 4180. Values that spreadsheets would run
+// as formulas get a leading apostrophe.
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['id', 'createdAt', 'actorId', 'actorEmail', 'action', 'entityType', 'entityId', 'before', 'after', 'ipAddress', 'userAgent'];
+
+// Audit entries as a CSV document with a header row
+const toCsv = (entries) => {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    const json = entry.toJSON();
+    lines.push(CSV_COLUMNS.map(column => csvValue(json[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  auditAction,
+  toCsv
+};
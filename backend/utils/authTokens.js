@@ -0,0 +1,75 @@
+/**
+ * Login sessions
+ * A session is a short-lived JWT access token plus a refresh token that is
+ * rotated on every use. Access tokens carry the session id (`sid`) so that
+ * revoking the session ends them too, without waiting for them to expire.
+ */
+
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback-secret';
+
+const getAccessTokenTtl = () => process.env.JWT_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_TTL;
+
+// Sign an access token for a user's session
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      isAdmin: Boolean(user.isAdmin),
+      sid: sessionId
+    },
+    getJwtSecret(),
+    { expiresIn: getAccessTokenTtl() }
+  );
+};
+
+// Device details stored with each refresh token
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ipAddress: req.ip || null
+});
+
+// Response body for a session: { token, refreshToken, expiresIn (seconds) }
+const buildSessionTokens = (user, refreshToken) => {
+  const token = signAccessToken(user, refreshToken.record.familyId);
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken: refreshToken.token,
+    expiresIn: exp - iat
+  };
+};
+
+// Start a new session for a user who just authenticated
+const createSession = async (user, req) => {
+  const refreshToken = await RefreshToken.issue(user.id, getClientInfo(req));
+  return buildSessionTokens(user, refreshToken);
+};
+
+// Exchange a refresh token for new session tokens. Throws if the token
+// can't be used or the account has been disabled since.
+const refreshSession = async (token, req) => {
+  const refreshToken = await RefreshToken.rotate(token, getClientInfo(req));
+  const user = await User.findById(refreshToken.record.userId);
+
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(refreshToken.record.familyId);
+    throw new Error('Account is disabled');
+  }
+
+  return { user, ...buildSessionTokens(user, refreshToken) };
+};
+
+module.exports = {
+  getJwtSecret,
+  signAccessToken,
+  createSession,
+  refreshSession
+};
@@ -0,0 +1,51 @@
+/**
+ * Lookup tokens for guest orders
+ * A guest proves an order is theirs with a token derived from the order
+ * number and checkout email and signed with a key derived from the server
+ * secret, so nothing needs storing and the same token can be shown at
+ * checkout and emailed. Tokens don't expire: an emailed link keeps working
+ * for as long as the order exists and hasn't been claimed into an account,
+ * unless JWT_SECRET changes.
+ */
+
+const crypto = require('crypto');
+const { getJwtSecret } = require('./authTokens');
+
+// Lookup tokens get their own key rather than signing with the JWT secret
+// itself
+const getLookupKey = () => {
+  return crypto.createHmac('sha256', getJwtSecret()).update('order-lookup').digest();
+};
+
+// The lookup token for a guest order
+const createLookupToken = (order) => {
+  return crypto
+    .createHmac('sha256', getLookupKey())
+    .update(`order-lookup:${order.id}:${String(order.guestEmail).toLowerCase()}`)
+    .digest('hex');
+};
+
+// Whether a token is the lookup token for a guest order
+const isValidLookupToken = (order, token) => {
+  if (!order || !order.guestEmail || typeof token !== 'string') return false;
+
+  const expected = Buffer.from(createLookupToken(order));
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Link to a guest order on the storefront
+const lookupUrl = (order, appUrl) => {
+  const params = new URLSearchParams({
+    lookupOrder: order.id,
+    email: order.guestEmail,
+    token: createLookupToken(order)
+  });
+  return `${appUrl}/?${params}`;
+};
+
+module.exports = {
+  createLookupToken,
+  isValidLookupToken,
+  lookupUrl
+};
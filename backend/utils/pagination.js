@@ -0,0 +1,65 @@
+/**
+ * Query parameters shared by list endpoints
+ * `page` and `pageSize` (or the older `limit`) select an offset page;
+ * `cursor` continues from a previous page's nextCursor instead. `sort` must
+ * be one of the keys of the model's SORTS.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Read ?page, ?pageSize, ?cursor and, when `sorts` is given, ?sort.
+// Page sizes are clamped; an unknown sort throws.
+const parsePagination = (query, { sorts = null, defaultSort = null } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.pageSize || query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const options = { page, pageSize, offset: (page - 1) * pageSize };
+
+  if (sorts) {
+    const sort = query.sort || defaultSort;
+    if (!Object.prototype.hasOwnProperty.call(sorts, sort)) {
+      throw new Error(`Invalid sort: must be one of ${Object.keys(sorts).join(', ')}`);
+    }
+    options.sort = sort;
+    options.cursor = query.cursor || null;
+  }
+
+  return options;
+};
+
+// Pagination block for lists that don't use cursors
+const buildPagination = ({ page, pageSize }, total) => ({
+  page,
+  pageSize,
+  total,
+  totalPages: Math.ceil(total / pageSize),
+  hasNext: page * pageSize < total,
+  hasPrev: page > 1,
+  nextCursor: null
+});
+
+// Send the 400 response for a bad ?sort or ?cursor. Returns false for
+// other errors.
+const sendPaginationError = (res, error) => {
+  const code = error.message.includes('Invalid sort') ? 'INVALID_SORT'
+    : error.message.includes('Invalid cursor') ? 'INVALID_CURSOR'
+      : null;
+  if (!code) return false;
+
+  res.status(400).json({
+    success: false,
+    error: {
+      code,
+      message: code === 'INVALID_SORT' ? error.message.slice(error.message.indexOf('Invalid sort')) : 'Invalid or expired cursor'
+    }
+  });
+  return true;
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePagination,
+  buildPagination,
+  sendPaginationError
+};
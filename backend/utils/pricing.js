@@ -0,0 +1,261 @@
+/**
+ * Pricing engine for cart quotes and orders
+ * Computes subtotal, discounts, per-jurisdiction tax and shipping on the server
+ * so the browser never decides what a customer is charged.
+ */
+
+// Sales tax by country, then state/province. Unknown regions fall back to
+// the country default, unknown countries to DEFAULT_TAX_RATE.
+const DEFAULT_TAX_RATE = 0.08;
+
+const TAX_RATES = {
+  US: {
+    default: 0.08,
+    AK: 0,
+    CA: 0.0725,
+    DE: 0,
+    FL: 0.06,
+    MT: 0,
+    NH: 0,
+    NY: 0.04,
+    OR: 0,
+    TX: 0.0625,
+    WA: 0.065
+  },
+  CA: {
+    default: 0.05,
+    BC: 0.12,
+    ON: 0.13,
+    QC: 0.14975
+  },
+  MX: {
+    default: 0.16
+  }
+};
+
+// Shipping cost is a base rate plus a per-kilogram charge on total weight.
+// Standard shipping is free once the discounted subtotal reaches the threshold.
+const SHIPPING_METHODS = {
+  standard: { label: 'Standard (5-7 business days)', baseRate: 9.99, perKg: 0.5, freeThreshold: 100 },
+  express: { label: 'Express (2-3 business days)', baseRate: 19.99, perKg: 1.5, freeThreshold: null },
+  overnight: { label: 'Overnight', baseRate: 39.99, perKg: 3, freeThreshold: null }
+};
+
+const DEFAULT_SHIPPING_METHOD = 'standard';
+
+const roundCurrency = (amount) => {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+};
+
+const isValidShippingMethod = (method) => {
+  return Object.prototype.hasOwnProperty.call(SHIPPING_METHODS, method);
+};
+
+/**
+ * Resolve the tax rate and jurisdiction label for a shipping address
+ */
+const getTaxRate = (shippingAddress) => {
+  if (!shippingAddress || !shippingAddress.country) {
+    return { rate: DEFAULT_TAX_RATE, jurisdiction: null };
+  }
+
+  const country = String(shippingAddress.country).toUpperCase();
+  const state = shippingAddress.state ? String(shippingAddress.state).toUpperCase() : null;
+  const countryRates = TAX_RATES[country];
+
+  if (!countryRates) {
+    return { rate: DEFAULT_TAX_RATE, jurisdiction: country };
+  }
+
+  if (state && countryRates[state] !== undefined) {
+    return { rate: countryRates[state], jurisdiction: `${country}-${state}` };
+  }
+
+  return { rate: countryRates.default, jurisdiction: country };
+};
+
+/**
+ * Calculate shipping for a method given the merchandise total and weight (kg)
+ */
+const calculateShipping = (method, merchandiseTotal, totalWeight) => {
+  const config = SHIPPING_METHODS[method];
+
+  if (config.freeThreshold !== null && merchandiseTotal >= config.freeThreshold) {
+    return 0;
+  }
+
+  return roundCurrency(config.baseRate + config.perKg * totalWeight);
+};
+
+/**
+ * Whether a line falls inside a discount's product/category scope.
+ * A discount without a scope applies to every line.
+ */
+const isLineEligible = (line, discount) => {
+  const productIds = discount.productIds || [];
+  const categories = discount.categories || [];
+
+  if (productIds.length === 0 && categories.length === 0) return true;
+
+  return productIds.includes(line.productId) || categories.includes(line.category);
+};
+
+/**
+ * Buy X get Y: every complete set of (buy + get) units on a line discounts
+ * `get` units by `value` percent (100 = free)
+ */
+const applyBuyXGetY = (lines, discount) => {
+  const setSize = discount.buyQuantity + discount.getQuantity;
+  const percentOff = discount.value || 100;
+  let applied = 0;
+
+  lines.forEach(line => {
+    const freeUnits = Math.floor(line.quantity / setSize) * discount.getQuantity;
+    if (freeUnits === 0) return;
+
+    const lineShare = Math.min(
+      roundCurrency(freeUnits * line.unitPrice * percentOff / 100),
+      roundCurrency(line.subtotal - line.discount)
+    );
+    line.discount = roundCurrency(line.discount + lineShare);
+    applied += lineShare;
+  });
+
+  return roundCurrency(applied);
+};
+
+/**
+ * Spread a discount amount across lines in proportion to their subtotals.
+ * The last line absorbs any rounding remainder so the parts sum exactly.
+ */
+const allocateDiscount = (lines, amount) => {
+  const base = lines.reduce((sum, line) => sum + line.subtotal - line.discount, 0);
+  if (base <= 0 || amount <= 0) return 0;
+
+  const applied = Math.min(roundCurrency(amount), roundCurrency(base));
+  let remaining = applied;
+
+  lines.forEach((line, index) => {
+    const lineBase = line.subtotal - line.discount;
+    const share = index === lines.length - 1
+      ? remaining
+      : roundCurrency(applied * lineBase / base);
+    const lineShare = Math.min(share, roundCurrency(lineBase));
+
+    line.discount = roundCurrency(line.discount + lineShare);
+    remaining = roundCurrency(remaining - lineShare);
+  });
+
+  return roundCurrency(applied - remaining);
+};
+
+/**
+ * Build a price quote.
+ *
+ * lines:     [{ productId, name, category, quantity, unitPrice, weight }]
+ * discounts: [{ code, description, type: 'percentage'|'fixed'|'free_shipping'|'buy_x_get_y',
+ *               value, buyQuantity, getQuantity, productIds, categories }]
+ */
+const calculateQuote = ({ lines, shippingAddress = null, shippingMethod = DEFAULT_SHIPPING_METHOD, discounts = [] }) => {
+  if (!isValidShippingMethod(shippingMethod)) {
+    throw new Error(`Invalid shipping method: ${shippingMethod}`);
+  }
+
+  const quoteLines = lines.map(line => ({
+    productId: line.productId,
+    name: line.name,
+    category: line.category || null,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    weight: line.weight || 0,
+    subtotal: roundCurrency(line.unitPrice * line.quantity),
+    discount: 0,
+    tax: 0,
+    total: 0
+  }));
+
+  const subtotal = roundCurrency(quoteLines.reduce((sum, line) => sum + line.subtotal, 0));
+
+  // Apply discounts in the order given
+  let freeShipping = false;
+  const appliedDiscounts = [];
+
+  for (const discount of discounts) {
+    const eligibleLines = quoteLines.filter(line => isLineEligible(line, discount));
+    let amount = 0;
+
+    if (discount.type === 'percentage') {
+      const remainingBase = eligibleLines.reduce((sum, line) => sum + line.subtotal - line.discount, 0);
+      amount = allocateDiscount(eligibleLines, remainingBase * discount.value / 100);
+    } else if (discount.type === 'fixed') {
+      amount = allocateDiscount(eligibleLines, discount.value);
+    } else if (discount.type === 'buy_x_get_y') {
+      amount = applyBuyXGetY(eligibleLines, discount);
+    } else if (discount.type === 'free_shipping') {
+      freeShipping = true;
+    } else {
+      throw new Error(`Invalid discount type: ${discount.type}`);
+    }
+
+    appliedDiscounts.push({
+      code: discount.code || null,
+      description: discount.description || null,
+      type: discount.type,
+      amount
+    });
+  }
+
+  const discountTotal = roundCurrency(quoteLines.reduce((sum, line) => sum + line.discount, 0));
+  const merchandiseTotal = roundCurrency(subtotal - discountTotal);
+  const totalWeight = quoteLines.reduce((sum, line) => sum + line.weight * line.quantity, 0);
+
+  // Tax each line on its discounted amount; shipping is not taxed
+  const { rate: taxRate, jurisdiction } = getTaxRate(shippingAddress);
+  quoteLines.forEach(line => {
+    line.tax = roundCurrency((line.subtotal - line.discount) * taxRate);
+    line.total = roundCurrency(line.subtotal - line.discount + line.tax);
+  });
+  const tax = roundCurrency(quoteLines.reduce((sum, line) => sum + line.tax, 0));
+
+  const shippingOptions = Object.entries(SHIPPING_METHODS).map(([method, config]) => ({
+    method,
+    label: config.label,
+    amount: freeShipping ? 0 : calculateShipping(method, merchandiseTotal, totalWeight)
+  }));
+  const shipping = shippingOptions.find(option => option.method === shippingMethod).amount;
+
+  // Free shipping discounts report the shipping they waived; it is not part of discountTotal
+  appliedDiscounts
+    .filter(discount => discount.type === 'free_shipping')
+    .forEach(discount => {
+      discount.amount = calculateShipping(shippingMethod, merchandiseTotal, totalWeight);
+    });
+
+  return {
+    lines: quoteLines,
+    subtotal,
+    discounts: appliedDiscounts,
+    discountTotal,
+    taxRate,
+    jurisdiction,
+    tax,
+    shippingMethod,
+    shipping,
+    shippingOptions,
+    freeShippingThreshold: SHIPPING_METHODS.standard.freeThreshold,
+    total: roundCurrency(merchandiseTotal + tax + shipping),
+    currency: 'USD'
+  };
+};
+
+module.exports = {
+  DEFAULT_SHIPPING_METHOD,
+  SHIPPING_METHODS,
+  TAX_RATES,
+  roundCurrency,
+  isValidShippingMethod,
+  getTaxRate,
+  calculateShipping,
+  isLineEligible,
+  calculateQuote
+};
@@ -28,6 +28,12 @@ const validateQuantity = (quantity) => {
   return !isNaN(numQuantity) && numQuantity >= 0;
 };
 
+// The first of the required address fields that is blank, or null when the
+// address is complete
+const findMissingAddressField = (address, required = ['street', 'city', 'state', 'zipCode', 'country']) => {
+  return required.find(field => !address || !validateRequired(address[field])) || null;
+};
+
 const sanitizeString = (str) => {
   if (typeof str !== 'string') return str;
   return validator.escape(str.trim());
@@ -39,5 +45,6 @@ module.exports = {
   validateRequired,
   validatePrice,
   validateQuantity,
+  findMissingAddressField,
   sanitizeString
 };
\ No newline at end of file
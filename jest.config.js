@@ -1,6 +1,9 @@
 module.exports = {
   testEnvironment: 'node',
   testMatch: ['**/tests/**/*.test.js'],
+  globalSetup: './backend/tests/globalSetup.js',
+  globalTeardown: './backend/tests/globalTeardown.js',
+  setupFiles: ['./backend/tests/setupEnv.js'],
   collectCoverageFrom: [
     'backend/**/*.js',
     '!backend/database/migrate.js',
@@ -1,7 +1,12 @@
 class ApiClient {
+  // Endpoints whose 401s mean bad credentials, not an expired access token
+  static NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
   constructor(baseUrl = '/api') {
     this.baseUrl = baseUrl;
     this.token = null;
+    this.refreshToken = null;
+    this.refreshPromise = null;
     this.sessionId = null;
     this.defaultHeaders = {
       'Content-Type': 'application/json'
@@ -13,6 +18,7 @@ class ApiClient {
   init() {
     // Load stored token
     this.token = localStorage.getItem('authToken');
+    this.refreshToken = localStorage.getItem('refreshToken');
     
     // Generate or load session ID
     this.sessionId = localStorage.getItem('guestSessionId') || this.generateSessionId();
@@ -34,6 +40,48 @@ class ApiClient {
     }
   }
 
+  // Set refresh token
+  setRefreshToken(refreshToken) {
+    this.refreshToken = refreshToken;
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    } else {
+      localStorage.removeItem('refreshToken');
+    }
+  }
+
+  // Exchange the refresh token for a new access token. Concurrent requests
+  // that fail with 401 share one refresh. Resolves to whether it worked.
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.post('/auth/refresh', { refreshToken: this.refreshToken })
+        .then(response => {
+          const { token, refreshToken } = response.data;
+          this.setToken(token);
+          this.setRefreshToken(refreshToken);
+          window.dispatchEvent(new CustomEvent('authTokenRefreshed', {
+            detail: { token, refreshToken }
+          }));
+          return true;
+        })
+        .catch(error => {
+          // Keep the tokens through network errors; a rejected refresh
+          // token means the session is over
+          if (error.status === 401 || error.status === 403) {
+            this.setToken(null);
+            this.setRefreshToken(null);
+            window.dispatchEvent(new CustomEvent('authSessionExpired'));
+          }
+          return false;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
   // Get request headers
   getHeaders(customHeaders = {}) {
     const headers = {
@@ -49,8 +97,8 @@ class ApiClient {
     return headers;
   }
 
-  // Make HTTP request
-  async request(endpoint, options = {}) {
+  // Make HTTP request. A 401 is retried once after refreshing the session.
+  async request(endpoint, options = {}, isRetry = false) {
     const url = `${this.baseUrl}${endpoint}`;
     const config = {
       credentials: 'include',
@@ -71,6 +119,12 @@ class ApiClient {
         data = await response.text();
       }
 
+      if (response.status === 401 && !isRetry && this.refreshToken && !ApiClient.NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+        if (await this.refreshSession()) {
+          return this.request(endpoint, options, true);
+        }
+      }
+
       if (!response.ok) {
         throw new ApiError(
           data.error?.message || `HTTP ${response.status}`,
@@ -185,10 +239,10 @@ class ApiClient {
       return this.get(`/products/${id}`);
     },
 
-    // Search products
+    // Ranked search with facet counts by category and price band
     search: (query, filters = {}) => {
-      return this.get('/products', { 
-        params: { search: query, ...filters } 
+      return this.get('/products/search', { 
+        params: { q: query, ...filters } 
       });
     },
 
@@ -205,6 +259,64 @@ class ApiClient {
     // Delete product (admin only)
     delete: (id) => {
       return this.delete(`/products/${id}`);
+    },
+
+    // List a product's variants, including inactive ones (admin only)
+    getVariants: (id) => {
+      return this.get(`/products/${id}/variants`);
+    },
+
+    // Add a variant: { sku, options: { size: 'L' }, price?, inventory? } (admin only)
+    createVariant: (id, variantData) => {
+      return this.post(`/products/${id}/variants`, variantData);
+    },
+
+    // Update a variant (admin only)
+    updateVariant: (id, variantId, variantData) => {
+      return this.put(`/products/${id}/variants/${variantId}`, variantData);
+    },
+
+    // Delete a variant (admin only)
+    deleteVariant: (id, variantId) => {
+      return this.delete(`/products/${id}/variants/${variantId}`);
+    },
+
+    // Published reviews with the rating summary ({ sort, rating, verified, pageSize, cursor })
+    getReviews: (id, params = {}) => {
+      return this.get(`/products/${id}/reviews`, { params });
+    },
+
+    // Review a product: { rating, title?, body? }
+    addReview: (id, reviewData) => {
+      return this.post(`/products/${id}/reviews`, reviewData);
+    }
+  };
+
+  // Categories API
+  categories = {
+    // Active category tree, with product counts
+    getAll: () => {
+      return this.get('/categories');
+    },
+
+    // Category by ID or slug, with its subcategories and breadcrumb
+    getById: (idOrSlug) => {
+      return this.get(`/categories/${idOrSlug}`);
+    },
+
+    // Create category: { name, slug?, parentId?, description?, position? } (admin only)
+    create: (categoryData) => {
+      return this.post('/categories', categoryData);
+    },
+
+    // Update category (admin only)
+    update: (id, categoryData) => {
+      return this.put(`/categories/${id}`, categoryData);
+    },
+
+    // Delete an empty category (admin only)
+    delete: (id) => {
+      return this.delete(`/categories/${id}`);
     }
   };
 
@@ -215,19 +327,19 @@ class ApiClient {
       return this.get('/cart');
     },
 
-    // Add item to cart
-    addItem: (productId, quantity = 1) => {
-      return this.post('/cart/items', { productId, quantity });
+    // Add item to cart (variantId is required for products with variants)
+    addItem: (productId, quantity = 1, variantId = null) => {
+      return this.post('/cart/items', { productId, quantity, variantId });
     },
 
     // Update item quantity
-    updateItem: (productId, quantity) => {
-      return this.put(`/cart/items/${productId}`, { quantity });
+    updateItem: (productId, quantity, variantId = null) => {
+      return this.put(`/cart/items/${productId}`, { quantity, variantId });
     },
 
     // Remove item from cart
-    removeItem: (productId) => {
-      return this.delete(`/cart/items/${productId}`);
+    removeItem: (productId, variantId = null) => {
+      return this.delete(`/cart/items/${productId}${variantId ? `?variantId=${variantId}` : ''}`);
     },
 
     // Clear cart
@@ -243,6 +355,21 @@ class ApiClient {
     // Validate cart
     validate: () => {
       return this.get('/cart/validate');
+    },
+
+    // Server-calculated subtotal, coupon discount, tax, shipping and total
+    quote: (quoteData = {}) => {
+      return this.post('/cart/quote', quoteData);
+    },
+
+    // Hold cart stock while the customer is in checkout
+    reserve: () => {
+      return this.post('/cart/reserve');
+    },
+
+    // Release checkout holds
+    releaseReservation: () => {
+      return this.delete('/cart/reserve');
     }
   };
 
@@ -258,9 +385,34 @@ class ApiClient {
       return this.post('/auth/register', userData);
     },
 
-    // Logout
+    // Logout (ends this session)
     logout: () => {
-      return this.post('/auth/logout');
+      return this.post('/auth/logout', { refreshToken: this.refreshToken });
+    },
+
+    // Log out of every device
+    logoutAll: () => {
+      return this.post('/auth/logout-all');
+    },
+
+    // Email a password reset link
+    forgotPassword: (email) => {
+      return this.post('/auth/forgot-password', { email });
+    },
+
+    // Set a new password with the token from a reset email
+    resetPassword: (token, password) => {
+      return this.post('/auth/reset-password', { token, password });
+    },
+
+    // Confirm an email address with the token from a verification email
+    verifyEmail: (token) => {
+      return this.post('/auth/verify-email', { token });
+    },
+
+    // Send a new verification email
+    resendVerification: () => {
+      return this.post('/auth/resend-verification');
     },
 
     // Verify token
@@ -270,7 +422,7 @@ class ApiClient {
 
     // Refresh token
     refresh: () => {
-      return this.post('/auth/refresh');
+      return this.refreshSession();
     }
   };
 
@@ -286,12 +438,35 @@ class ApiClient {
       return this.put('/users/profile', profileData);
     },
 
-    // Change password
-    changePassword: (currentPassword, newPassword) => {
-      return this.post('/users/change-password', {
+    // Address book, default address first
+    getAddresses: () => {
+      return this.get('/auth/addresses');
+    },
+
+    // Save an address; the first one saved becomes the default
+    addAddress: (address) => {
+      return this.post('/auth/addresses', address);
+    },
+
+    // Update an address; `isDefault: true` makes it the default
+    updateAddress: (id, updates) => {
+      return this.put(`/auth/addresses/${id}`, updates);
+    },
+
+    deleteAddress: (id) => {
+      return this.delete(`/auth/addresses/${id}`);
+    },
+
+    // Change password. Other sessions are logged out and this one gets
+    // new tokens.
+    changePassword: async (currentPassword, newPassword) => {
+      const response = await this.put('/auth/password', {
         currentPassword,
         newPassword
       });
+      this.setToken(response.data.token);
+      this.setRefreshToken(response.data.refreshToken);
+      return response;
     }
   };
 
@@ -312,12 +487,75 @@ class ApiClient {
       return this.post('/orders', orderData);
     },
 
+    // Pay for an order whose payment failed or is pending; guests also send
+    // the order's lookup token
+    pay: (id, paymentToken, lookupToken = null) => {
+      return this.post(`/orders/${id}/pay`, { paymentToken, ...(lookupToken && { lookupToken }) });
+    },
+
+    // Get a guest order with the email it was placed with and its lookup token
+    lookup: (email, number, token) => {
+      return this.get('/orders/lookup', { params: { email, number, token } });
+    },
+
+    // Add a guest order placed with the signed-in user's email to their account
+    claim: (number, token) => {
+      return this.post('/orders/claim', { number, token });
+    },
+
+    // Get payment attempts for an order
+    getPayments: (id) => {
+      return this.get(`/orders/${id}/payments`);
+    },
+
+    // Get an order's status history
+    getTimeline: (id) => {
+      return this.get(`/orders/${id}/timeline`);
+    },
+
     // Update order status (admin only)
     updateStatus: (id, status) => {
       return this.put(`/orders/${id}/status`, { status });
     }
   };
 
+  // Returns API
+  returns = {
+    // Get the user's returns (all returns for admins)
+    getAll: (filters = {}) => {
+      return this.get('/returns', { params: filters });
+    },
+
+    // Get return by ID
+    getById: (id) => {
+      return this.get(`/returns/${id}`);
+    },
+
+    // Request a return ({ orderId, reason, items: [{ orderItemId, quantity }] })
+    create: (returnData) => {
+      return this.post('/returns', returnData);
+    },
+
+    // Approve or reject a requested return (admin only)
+    approve: (id, notes) => {
+      return this.put(`/returns/${id}/approve`, { notes });
+    },
+
+    reject: (id, notes) => {
+      return this.put(`/returns/${id}/reject`, { notes });
+    },
+
+    // Record received items and refund them (admin only)
+    receive: (id, data = {}) => {
+      return this.put(`/returns/${id}/receive`, data);
+    },
+
+    // Retry a refund for a received return (admin only)
+    refund: (id, amount) => {
+      return this.post(`/returns/${id}/refund`, { amount });
+    }
+  };
+
   // Admin API
   admin = {
     // Analytics
@@ -347,6 +585,10 @@ class ApiClient {
 
       bulkUpdate: (updates) => {
         return this.post('/admin/inventory/bulk', { updates });
+      },
+
+      updateVariant: (variantId, inventory) => {
+        return this.put(`/admin/inventory/variants/${variantId}`, { inventory });
       }
     },
 
@@ -360,12 +602,162 @@ class ApiClient {
         return this.get(`/admin/users/${id}`);
       },
 
-      update: (id, userData) => {
-        return this.put(`/admin/users/${id}`, userData);
+      setAdmin: (id, isAdmin) => {
+        return this.put(`/admin/users/${id}/role`, { isAdmin });
+      },
+
+      setActive: (id, isActive) => {
+        return this.put(`/admin/users/${id}/status`, { isActive });
+      },
+
+      unlock: (id) => {
+        return this.put(`/admin/users/${id}/unlock`);
+      },
+
+      setRoles: (id, roles) => {
+        return this.put(`/admin/users/${id}/roles`, { roles });
+      }
+    },
+
+    // Roles
+    roles: {
+      getAll: () => {
+        return this.get('/admin/roles');
+      }
+    },
+
+    // Orders
+    orders: {
+      getAll: (filters = {}) => {
+        return this.get('/admin/orders', { params: filters });
+      },
+
+      getById: (id) => {
+        return this.get(`/admin/orders/${id}`);
+      },
+
+      update: (id, updates) => {
+        return this.put(`/admin/orders/${id}`, updates);
+      }
+    },
+
+    // Products, including inactive ones
+    products: {
+      getAll: (filters = {}) => {
+        return this.get('/admin/products', { params: filters });
+      }
+    },
+
+    // Category tree, including inactive categories
+    categories: {
+      getAll: () => {
+        return this.get('/admin/categories');
+      }
+    },
+
+    // Review moderation
+    reviews: {
+      getAll: (filters = {}) => {
+        return this.get('/admin/reviews', { params: filters });
+      },
+
+      // status: 'published' or 'hidden'
+      moderate: (id, status, note = null) => {
+        return this.put(`/admin/reviews/${id}`, { status, note });
+      },
+
+      delete: (id) => {
+        return this.delete(`/admin/reviews/${id}`);
+      }
+    },
+
+    // Email outbox
+    emails: {
+      getAll: (filters = {}) => {
+        return this.get('/admin/emails', { params: filters });
+      },
+
+      getById: (id) => {
+        return this.get(`/admin/emails/${id}`);
+      },
+
+      resend: (id) => {
+        return this.post(`/admin/emails/${id}/resend`);
+      }
+    },
+
+    // Email templates: edit, reset to the built-in version and preview
+    emailTemplates: {
+      getAll: () => {
+        return this.get('/admin/email-templates');
+      },
+
+      get: (name) => {
+        return this.get(`/admin/email-templates/${name}`);
+      },
+
+      // Any of { subject, html, text }
+      update: (name, template) => {
+        return this.put(`/admin/email-templates/${name}`, template);
+      },
+
+      reset: (name) => {
+        return this.delete(`/admin/email-templates/${name}`);
+      },
+
+      preview: (name, orderId = null) => {
+        return this.get(`/admin/email-templates/${name}/preview`, { params: orderId ? { orderId } : {} });
+      }
+    },
+
+    // Background jobs and their schedules
+    jobs: {
+      // filters: { status, type, sort, page, pageSize, cursor }
+      getAll: (filters = {}) => {
+        return this.get('/admin/jobs', { params: filters });
+      },
+
+      getById: (id) => {
+        return this.get(`/admin/jobs/${id}`);
+      },
+
+      retry: (id) => {
+        return this.post(`/admin/jobs/${id}/retry`);
+      }
+    },
+
+    // Promotions and coupon codes
+    promotions: {
+      getAll: (filters = {}) => {
+        return this.get('/admin/promotions', { params: filters });
+      },
+
+      getById: (id) => {
+        return this.get(`/admin/promotions/${id}`);
+      },
+
+      create: (promotionData) => {
+        return this.post('/admin/promotions', promotionData);
+      },
+
+      update: (id, promotionData) => {
+        return this.put(`/admin/promotions/${id}`, promotionData);
       },
 
       delete: (id) => {
-        return this.delete(`/admin/users/${id}`);
+        return this.delete(`/admin/promotions/${id}`);
+      }
+    },
+
+    // Audit log of staff changes
+    audit: {
+      getAll: (filters = {}) => {
+        return this.get('/admin/audit', { params: filters });
+      },
+
+      // Resolves to the CSV text
+      exportCsv: (filters = {}) => {
+        return this.get('/admin/audit', { params: { ...filters, format: 'csv' } });
       }
     }
   };
@@ -5,6 +5,7 @@ class CartManager {
     this.sessionId = this.generateSessionId();
     this.apiBaseUrl = '/api';
     this.syncInProgress = false;
+    this.couponCode = null;
     
     // Initialize cart from localStorage
     this.loadFromLocalStorage();
@@ -82,11 +83,21 @@ class CartManager {
     return response.json();
   }
 
-  // Add item to cart
-  async addItem(productId, quantity = 1) {
+  // Find the local cart line for a product (and variant, if it has one)
+  findItem(productId, variantId = null) {
+    return this.cart.find(item => item.id === productId && (item.variantId || null) === (variantId || null));
+  }
+
+  // Cart item API path for a line; a variant's line names the variant
+  itemEndpoint(productId, variantId = null) {
+    return `/cart/items/${productId}${variantId ? `?variantId=${variantId}` : ''}`;
+  }
+
+  // Add item to cart. Products with variants need the chosen variantId.
+  async addItem(productId, quantity = 1, variantId = null) {
     try {
       // Add to local cart first for immediate UI feedback
-      const existingItem = this.cart.find(item => item.id === productId);
+      const existingItem = this.findItem(productId, variantId);
       
       if (existingItem) {
         existingItem.quantity += quantity;
@@ -96,6 +107,7 @@ class CartManager {
         const product = await this.getProductDetails(productId);
         this.cart.push({
           ...product,
+          variantId,
           quantity: quantity
         });
       }
@@ -108,7 +120,7 @@ class CartManager {
         try {
           const response = await this.makeApiRequest('/cart/items', {
             method: 'POST',
-            body: JSON.stringify({ productId, quantity })
+            body: JSON.stringify({ productId, quantity, variantId })
           });
           
           if (response.success) {
@@ -129,14 +141,14 @@ class CartManager {
   }
 
   // Update item quantity
-  async updateQuantity(productId, quantity) {
+  async updateQuantity(productId, quantity, variantId = null) {
     try {
       if (quantity <= 0) {
-        return this.removeItem(productId);
+        return this.removeItem(productId, variantId);
       }
 
       // Update local cart first
-      const item = this.cart.find(item => item.id === productId);
+      const item = this.findItem(productId, variantId);
       if (item) {
         item.quantity = quantity;
         this.saveToLocalStorage();
@@ -146,7 +158,7 @@ class CartManager {
       // Sync with server
       if (this.isAuthenticated || this.sessionId) {
         try {
-          const response = await this.makeApiRequest(`/cart/items/${productId}`, {
+          const response = await this.makeApiRequest(this.itemEndpoint(productId, variantId), {
             method: 'PUT',
             body: JSON.stringify({ quantity })
           });
@@ -167,17 +179,18 @@ class CartManager {
   }
 
   // Remove item from cart
-  async removeItem(productId) {
+  async removeItem(productId, variantId = null) {
     try {
       // Remove from local cart first
-      this.cart = this.cart.filter(item => item.id !== productId);
+      const removed = this.findItem(productId, variantId);
+      this.cart = this.cart.filter(item => item !== removed);
       this.saveToLocalStorage();
       this.updateCartDisplay();
 
       // Sync with server
       if (this.isAuthenticated || this.sessionId) {
         try {
-          const response = await this.makeApiRequest(`/cart/items/${productId}`, {
+          const response = await this.makeApiRequest(this.itemEndpoint(productId, variantId), {
             method: 'DELETE'
           });
           
@@ -201,6 +214,7 @@ class CartManager {
     try {
       // Clear local cart first
       this.cart = [];
+      this.couponCode = null;
       this.saveToLocalStorage();
       this.updateCartDisplay();
 
@@ -263,7 +277,9 @@ class CartManager {
       // Convert server cart format to local cart format
       this.cart = serverCart.items.map(item => ({
         id: item.productId,
-        name: item.product.name,
+        variantId: item.variantId || null,
+        sku: item.variant ? item.variant.sku : null,
+        name: item.variant ? `${item.product.name} (${item.variant.label})` : item.product.name,
         price: item.product.price,
         icon: item.product.icon,
         quantity: item.quantity,
@@ -347,6 +363,43 @@ class CartManager {
     return this.cart.reduce((count, item) => count + item.quantity, 0);
   }
 
+  // Get the server-calculated quote (discount, tax, shipping, total) for the cart
+  async getQuote(options = {}) {
+    const response = await this.requestQuote(options);
+    return response.success ? response.data.quote : null;
+  }
+
+  // Request a quote from the server, resolving to the whole API response
+  requestQuote({ shippingAddress = null, shippingMethod, couponCode = this.couponCode } = {}) {
+    return this.makeApiRequest('/cart/quote', {
+      method: 'POST',
+      body: JSON.stringify({ shippingAddress, shippingMethod, couponCode })
+    });
+  }
+
+  // Apply a coupon code; throws with the server's reason if it doesn't apply
+  async applyCoupon(code) {
+    const couponCode = code.trim();
+    const response = await this.requestQuote({ couponCode });
+    const quote = response.success ? response.data.quote : null;
+
+    if (!quote) {
+      throw new Error(response.error?.message || 'Coupon could not be applied');
+    }
+
+    if (!Array.isArray(quote.discounts) || quote.discounts.length === 0) {
+      throw new Error(`Coupon ${couponCode.toUpperCase()} does not apply to the items in your cart`);
+    }
+
+    this.couponCode = quote.discounts[0].code;
+    return quote;
+  }
+
+  // Remove the applied coupon code
+  removeCoupon() {
+    this.couponCode = null;
+  }
+
   // Get cart items
   getItems() {
     return [...this.cart];
@@ -8,11 +8,42 @@ class CheckoutManager {
     this.userManager = userManager;
     this.notificationManager = notificationManager;
     this.currentStep = 1;
+    this.reservation = null;
+    this.quote = null;
+    this.pendingOrderId = null; // order created but payment declined
+    this.lookupToken = null; // proves a guest order is theirs
+    this.savedAddresses = []; // signed-in customer's address book
     this.orderData = {
+      email: '',
       shippingAddress: {},
+      billingAddress: null, // null bills the shipping address
+      saveAddress: false,
+      shippingMethod: 'standard',
       paymentMethod: null,
       items: []
     };
+
+    this.handleOrderLinks();
+  }
+
+  /**
+   * Open the guest order from the link in an order email
+   * (/?lookupOrder=...&email=...&token=...)
+   */
+  handleOrderLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const orderId = params.get('lookupOrder');
+    if (!orderId) return;
+
+    const email = params.get('email');
+    const token = params.get('token');
+
+    // Keep the token out of the address bar and browser history
+    ['lookupOrder', 'email', 'token'].forEach(name => params.delete(name));
+    const query = params.toString();
+    window.history.replaceState({}, '', window.location.pathname + (query ? `?${query}` : ''));
+
+    this.viewGuestOrder(orderId, email, token);
   }
 
   /**
@@ -20,12 +51,8 @@ class CheckoutManager {
    */
   async initializeCheckout() {
     try {
-      // Check if user is logged in
-      const currentUser = this.userManager.getCurrentUser();
-      if (!currentUser) {
-        this.notificationManager.show('Please log in to proceed with checkout', 'warning');
-        return false;
-      }
+      // Guests check out the cart for their session and give an email
+      // address on the shipping step
 
       // Get cart items
       const cartItems = this.cartManager.getItems();
@@ -37,9 +64,19 @@ class CheckoutManager {
       // Prepare order items
       this.orderData.items = cartItems.map(item => ({
         productId: item.id,
+        ...(item.variantId && { variantId: item.variantId }),
         quantity: item.quantity
       }));
 
+      // Hold stock for the cart so it can't sell out mid-checkout
+      if (!await this.reserveCartItems()) {
+        return false;
+      }
+
+      if (this.userManager.getCurrentUser()) {
+        await this.loadSavedAddresses();
+      }
+
       // Show checkout modal
       this.showCheckoutModal();
       return true;
@@ -51,6 +88,126 @@ class CheckoutManager {
     }
   }
 
+  /**
+   * Reserve cart stock for the duration of checkout
+   */
+  async reserveCartItems() {
+    try {
+      const response = await this.apiClient.cart.reserve();
+      this.reservation = response.data;
+      return true;
+    } catch (error) {
+      const issues = error.data?.error?.issues || [];
+      const message = issues.length > 0
+        ? issues.map(issue => `${issue.productName}: ${issue.message}`).join(', ')
+        : error.message || 'Failed to reserve items';
+      this.notificationManager.show(message, 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Load the customer's address book and start the shipping step from their
+   * default address
+   */
+  async loadSavedAddresses() {
+    try {
+      const response = await this.apiClient.users.getAddresses();
+      this.savedAddresses = response.data.addresses;
+    } catch (error) {
+      // Checkout works without it; the form just starts empty
+      console.warn('Failed to load saved addresses:', error);
+      this.savedAddresses = [];
+    }
+
+    const defaultAddress = this.savedAddresses.find(address => address.isDefault);
+    if (defaultAddress && !this.orderData.shippingAddress.street) {
+      this.orderData.shippingAddress = this.toOrderAddress(defaultAddress);
+    }
+  }
+
+  /**
+   * The fields of a saved address that go on an order
+   */
+  toOrderAddress(address) {
+    const fields = ['firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+    return fields.reduce((orderAddress, field) => {
+      if (address[field]) orderAddress[field] = address[field];
+      return orderAddress;
+    }, {});
+  }
+
+  /**
+   * The saved address with the same details as an order address, if any
+   */
+  findSavedAddress(orderAddress) {
+    const fields = ['firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'country'];
+    return this.savedAddresses.find(address =>
+      fields.every(field => (address[field] || '') === (orderAddress[field] || ''))
+    ) || null;
+  }
+
+  /**
+   * Add the shipping address to the address book when the customer asked to
+   * save it. A failure doesn't hold up checkout.
+   */
+  async saveShippingAddress() {
+    if (!this.orderData.saveAddress) return true;
+
+    this.orderData.saveAddress = false;
+    if (this.findSavedAddress(this.orderData.shippingAddress)) return true;
+
+    try {
+      const response = await this.apiClient.users.addAddress(this.orderData.shippingAddress);
+      this.savedAddresses.push(response.data.address);
+    } catch (error) {
+      this.notificationManager.show('Could not save the address to your address book', 'warning');
+    }
+    return true;
+  }
+
+  /**
+   * Release held stock when checkout is abandoned
+   */
+  async releaseReservation() {
+    if (!this.reservation) return;
+
+    this.reservation = null;
+    try {
+      await this.apiClient.cart.releaseReservation();
+    } catch (error) {
+      console.warn('Failed to release reservation:', error);
+    }
+  }
+
+  /**
+   * Fetch the server-calculated totals for the review step
+   */
+  async loadQuote(couponCode = this.cartManager.couponCode) {
+    try {
+      const response = await this.apiClient.cart.quote({
+        shippingAddress: this.orderData.shippingAddress,
+        shippingMethod: this.orderData.shippingMethod,
+        couponCode
+      });
+      this.quote = response.data.quote;
+      this.cartManager.couponCode = couponCode ? this.quote.discounts[0].code : null;
+      return true;
+    } catch (error) {
+      this.notificationManager.show(error.message || 'Failed to calculate order total', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Apply (or, with an empty code, remove) a coupon on the review step
+   */
+  async applyCoupon(modal, code) {
+    if (await this.loadQuote(code || null)) {
+      this.updateModalContent(modal);
+    }
+  }
+
   /**
    * Show checkout modal
    */
@@ -80,7 +237,7 @@ class CheckoutManager {
       <div class="checkout-modal-content">
         <div class="checkout-header">
           <h2>Checkout</h2>
-          <button class="close-btn" onclick="this.closest('.checkout-modal').remove()">
+          <button class="close-btn checkout-close-btn">
             <i class="fas fa-times"></i>
           </button>
         </div>
@@ -138,11 +295,34 @@ class CheckoutManager {
   renderShippingStep() {
     const currentUser = this.userManager.getCurrentUser();
     const savedAddress = this.orderData.shippingAddress;
+    const billingAddress = this.orderData.billingAddress || {};
+    const selectedAddress = this.findSavedAddress(savedAddress);
 
     return `
       <div class="checkout-step shipping-step">
         <h3>Shipping Address</h3>
         <form class="shipping-form">
+          ${currentUser ? '' : `
+            <div class="form-group">
+              <label for="email">Email *</label>
+              <input type="email" id="email" name="email" 
+                     value="${this.orderData.email || ''}" required>
+              <small>We'll send your order confirmation here. Create an account with this address later to keep the order with it.</small>
+            </div>
+          `}
+          ${this.savedAddresses.length > 0 ? `
+            <div class="form-group">
+              <label for="savedAddress">Saved Addresses</label>
+              <select id="savedAddress" class="saved-address-select">
+                ${this.savedAddresses.map(address => `
+                  <option value="${address.id}" ${selectedAddress?.id === address.id ? 'selected' : ''}>
+                    ${address.label ? `${address.label}: ` : ''}${address.street}, ${address.city}${address.isDefault ? ' (default)' : ''}
+                  </option>
+                `).join('')}
+                <option value="" ${selectedAddress ? '' : 'selected'}>Enter a new address</option>
+              </select>
+            </div>
+          ` : ''}
           <div class="form-row">
             <div class="form-group">
               <label for="firstName">First Name *</label>
@@ -182,11 +362,7 @@ class CheckoutManager {
           
           <div class="form-group">
             <label for="country">Country *</label>
-            <select id="country" name="country" required>
-              <option value="US" ${savedAddress.country === 'US' ? 'selected' : ''}>United States</option>
-              <option value="CA" ${savedAddress.country === 'CA' ? 'selected' : ''}>Canada</option>
-              <option value="MX" ${savedAddress.country === 'MX' ? 'selected' : ''}>Mexico</option>
-            </select>
+            ${this.renderCountrySelect('country', savedAddress.country)}
           </div>
           
           <div class="form-group">
@@ -194,11 +370,108 @@ class CheckoutManager {
             <input type="tel" id="phone" name="phone" 
                    value="${savedAddress.phone || currentUser?.phone || ''}">
           </div>
+
+          ${currentUser ? `
+            <div class="form-group save-address-option" ${selectedAddress ? 'hidden' : ''}>
+              <label>
+                <input type="checkbox" name="saveAddress" ${this.orderData.saveAddress ? 'checked' : ''}>
+                Save this address to my address book
+              </label>
+            </div>
+          ` : ''}
+          
+          <div class="form-group">
+            <label for="shippingMethod">Shipping Method *</label>
+            <select id="shippingMethod" name="shippingMethod" required>
+              <option value="standard" ${this.orderData.shippingMethod === 'standard' ? 'selected' : ''}>Standard (5-7 business days)</option>
+              <option value="express" ${this.orderData.shippingMethod === 'express' ? 'selected' : ''}>Express (2-3 business days)</option>
+              <option value="overnight" ${this.orderData.shippingMethod === 'overnight' ? 'selected' : ''}>Overnight</option>
+            </select>
+          </div>
+
+          <h3>Billing Address</h3>
+          <div class="form-group">
+            <label>
+              <input type="checkbox" name="billingSameAsShipping" class="billing-same-toggle"
+                     ${this.orderData.billingAddress ? '' : 'checked'}>
+              Same as shipping address
+            </label>
+          </div>
+
+          <div class="billing-fields" ${this.orderData.billingAddress ? '' : 'hidden'}>
+            <div class="form-row">
+              <div class="form-group">
+                <label for="billingFirstName">First Name *</label>
+                <input type="text" id="billingFirstName" name="billingFirstName" 
+                       value="${billingAddress.firstName || ''}">
+              </div>
+              <div class="form-group">
+                <label for="billingLastName">Last Name *</label>
+                <input type="text" id="billingLastName" name="billingLastName" 
+                       value="${billingAddress.lastName || ''}">
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label for="billingStreet">Street Address *</label>
+              <input type="text" id="billingStreet" name="billingStreet" 
+                     value="${billingAddress.street || ''}">
+            </div>
+
+            <div class="form-row">
+              <div class="form-group">
+                <label for="billingCity">City *</label>
+                <input type="text" id="billingCity" name="billingCity" 
+                       value="${billingAddress.city || ''}">
+              </div>
+              <div class="form-group">
+                <label for="billingState">State *</label>
+                <input type="text" id="billingState" name="billingState" 
+                       value="${billingAddress.state || ''}">
+              </div>
+              <div class="form-group">
+                <label for="billingZipCode">ZIP Code *</label>
+                <input type="text" id="billingZipCode" name="billingZipCode" 
+                       value="${billingAddress.zipCode || ''}">
+              </div>
+            </div>
+
+            <div class="form-group">
+              <label for="billingCountry">Country *</label>
+              ${this.renderCountrySelect('billingCountry', billingAddress.country)}
+            </div>
+          </div>
         </form>
       </div>
     `;
   }
 
+  /**
+   * Render a country picker for an address form
+   */
+  renderCountrySelect(name, selected) {
+    return `
+      <select id="${name}" name="${name}" required>
+        <option value="US" ${selected === 'US' ? 'selected' : ''}>United States</option>
+        <option value="CA" ${selected === 'CA' ? 'selected' : ''}>Canada</option>
+        <option value="MX" ${selected === 'MX' ? 'selected' : ''}>Mexico</option>
+      </select>
+    `;
+  }
+
+  /**
+   * Render an address for the review step and order details
+   */
+  renderAddress(address) {
+    return `
+      ${address.firstName} ${address.lastName}<br>
+      ${address.street}<br>
+      ${address.city}, ${address.state} ${address.zipCode}<br>
+      ${address.country}
+      ${address.phone ? `<br>Phone: ${address.phone}` : ''}
+    `;
+  }
+
   /**
    * Render payment method step
    */
@@ -266,10 +539,8 @@ class CheckoutManager {
    */
   renderReviewStep() {
     const cartItems = this.cartManager.getItems();
-    const subtotal = this.cartManager.getSubtotal();
-    const tax = subtotal * 0.08; // 8% tax
-    const shipping = subtotal > 100 ? 0 : 9.99; // Free shipping over $100
-    const total = subtotal + tax + shipping;
+    const { subtotal, discountTotal, tax, taxRate, shipping, total } = this.quote;
+    const couponCode = this.cartManager.couponCode;
 
     const itemsHtml = cartItems.map(item => `
       <div class="review-item">
@@ -291,11 +562,14 @@ class CheckoutManager {
         <div class="review-section">
           <h4>Shipping Address</h4>
           <div class="address-summary">
-            ${this.orderData.shippingAddress.firstName} ${this.orderData.shippingAddress.lastName}<br>
-            ${this.orderData.shippingAddress.street}<br>
-            ${this.orderData.shippingAddress.city}, ${this.orderData.shippingAddress.state} ${this.orderData.shippingAddress.zipCode}<br>
-            ${this.orderData.shippingAddress.country}
-            ${this.orderData.shippingAddress.phone ? `<br>Phone: ${this.orderData.shippingAddress.phone}` : ''}
+            ${this.renderAddress(this.orderData.shippingAddress)}
+          </div>
+        </div>
+
+        <div class="review-section">
+          <h4>Billing Address</h4>
+          <div class="address-summary">
+            ${this.orderData.billingAddress ? this.renderAddress(this.orderData.billingAddress) : 'Same as shipping address'}
           </div>
         </div>
         
@@ -313,6 +587,25 @@ class CheckoutManager {
           </div>
         </div>
         
+        ${this.reservation ? `
+          <div class="review-section reservation-notice">
+            Items are reserved for you until ${new Date(this.reservation.expiresAt.replace(' ', 'T') + 'Z').toLocaleTimeString()}
+          </div>
+        ` : ''}
+        
+        <div class="review-section">
+          <h4>Coupon</h4>
+          <div class="coupon-section">
+            ${couponCode ? `
+              <span class="coupon-applied">${couponCode}</span>
+              <button class="btn btn-secondary coupon-remove-btn">Remove</button>
+            ` : `
+              <input type="text" class="coupon-input" placeholder="Coupon code" aria-label="Coupon code">
+              <button class="btn btn-secondary coupon-apply-btn">Apply</button>
+            `}
+          </div>
+        </div>
+        
         <div class="review-section">
           <h4>Order Summary</h4>
           <div class="order-summary">
@@ -320,8 +613,14 @@ class CheckoutManager {
               <span>Subtotal:</span>
               <span>$${subtotal.toFixed(2)}</span>
             </div>
+            ${discountTotal > 0 ? `
+              <div class="summary-row discount">
+                <span>Discount${couponCode ? ` (${couponCode})` : ''}:</span>
+                <span>-$${discountTotal.toFixed(2)}</span>
+              </div>
+            ` : ''}
             <div class="summary-row">
-              <span>Tax:</span>
+              <span>Tax (${(taxRate * 100).toFixed(2)}%):</span>
               <span>$${tax.toFixed(2)}</span>
             </div>
             <div class="summary-row">
@@ -359,6 +658,16 @@ class CheckoutManager {
    * Add event listeners to checkout modal
    */
   addCheckoutEventListeners(modal) {
+    // Close button releases held stock
+    const closeBtn = modal.querySelector('.checkout-close-btn');
+    if (closeBtn && !closeBtn.dataset.bound) {
+      closeBtn.dataset.bound = 'true';
+      closeBtn.addEventListener('click', () => {
+        this.releaseReservation();
+        modal.remove();
+      });
+    }
+
     // Back button
     const backBtn = modal.querySelector('.back-btn');
     if (backBtn) {
@@ -377,6 +686,44 @@ class CheckoutManager {
       placeOrderBtn.addEventListener('click', () => this.placeOrder(modal));
     }
 
+    // Coupon apply/remove on the review step
+    const couponApplyBtn = modal.querySelector('.coupon-apply-btn');
+    if (couponApplyBtn) {
+      couponApplyBtn.addEventListener('click', () => {
+        this.applyCoupon(modal, modal.querySelector('.coupon-input').value.trim());
+      });
+    }
+
+    const couponRemoveBtn = modal.querySelector('.coupon-remove-btn');
+    if (couponRemoveBtn) {
+      couponRemoveBtn.addEventListener('click', () => this.applyCoupon(modal, null));
+    }
+
+    // Picking a saved address fills in the shipping form; saving is only
+    // offered for new addresses
+    const savedAddressSelect = modal.querySelector('.saved-address-select');
+    if (savedAddressSelect) {
+      savedAddressSelect.addEventListener('change', () => {
+        const address = this.savedAddresses.find(saved => String(saved.id) === savedAddressSelect.value);
+        const form = modal.querySelector('.shipping-form');
+        ['firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'phone'].forEach(field => {
+          form.elements[field].value = address ? address[field] || '' : '';
+        });
+        form.elements.country.value = address ? address.country : 'US';
+
+        const saveOption = modal.querySelector('.save-address-option');
+        if (saveOption) saveOption.hidden = Boolean(address);
+      });
+    }
+
+    // Billing address fields are only shown when it differs from shipping
+    const billingToggle = modal.querySelector('.billing-same-toggle');
+    if (billingToggle) {
+      billingToggle.addEventListener('change', () => {
+        modal.querySelector('.billing-fields').hidden = billingToggle.checked;
+      });
+    }
+
     // Payment method selection
     const paymentMethods = modal.querySelectorAll('.payment-method');
     paymentMethods.forEach(method => {
@@ -452,9 +799,10 @@ class CheckoutManager {
   async validateCurrentStep(modal) {
     switch (this.currentStep) {
       case 1:
-        return this.validateShippingStep(modal);
+        return this.validateShippingStep(modal) && await this.saveShippingAddress();
       case 2:
-        return this.validatePaymentStep(modal);
+        // Totals on the review step come from the server
+        return this.validatePaymentStep(modal) && await this.loadQuote();
       default:
         return true;
     }
@@ -468,9 +816,16 @@ class CheckoutManager {
     const formData = new FormData(form);
     const shippingData = {};
 
-    // Collect form data
+    const billingData = {};
+
+    // Collect form data; billing fields are prefixed
     for (const [key, value] of formData.entries()) {
-      shippingData[key] = value.trim();
+      if (key.startsWith('billing')) {
+        const field = key.slice('billing'.length);
+        billingData[field.charAt(0).toLowerCase() + field.slice(1)] = value.trim();
+      } else {
+        shippingData[key] = value.trim();
+      }
     }
 
     // Validate required fields
@@ -488,8 +843,36 @@ class CheckoutManager {
       return false;
     }
 
+    // Guests give the email their order is sent to
+    if (!this.userManager.getCurrentUser()) {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(shippingData.email || '')) {
+        this.notificationManager.show('Please enter a valid email address', 'error');
+        return false;
+      }
+      this.orderData.email = shippingData.email;
+    }
+    delete shippingData.email;
+
+    // A separate billing address needs the same details
+    const billingToggle = form.querySelector('[name="billingSameAsShipping"]');
+    const billingAddress = billingToggle && !billingToggle.checked ? billingData : null;
+    delete billingData.sameAsShipping;
+    if (billingAddress) {
+      for (const field of requiredFields) {
+        if (!billingAddress[field]) {
+          this.notificationManager.show(`billing ${field.replace(/([A-Z])/g, ' $1').toLowerCase()} is required`, 'error');
+          return false;
+        }
+      }
+    }
+
     // Save shipping data
+    this.orderData.shippingMethod = shippingData.shippingMethod || 'standard';
+    delete shippingData.shippingMethod;
+    this.orderData.saveAddress = shippingData.saveAddress === 'on';
+    delete shippingData.saveAddress;
     this.orderData.shippingAddress = shippingData;
+    this.orderData.billingAddress = billingAddress;
     return true;
   }
 
@@ -532,17 +915,30 @@ class CheckoutManager {
         return false;
       }
 
-      // Save payment details (in real app, these would be tokenized)
+      // Keep display details only; the server receives a token, never the card
       this.orderData.paymentDetails = {
         cardNumber: cardNumber.slice(-4), // Only store last 4 digits
         expiryDate,
         cardName
       };
+      this.orderData.paymentToken = this.tokenizeCard(cardNumber);
+    } else {
+      this.orderData.paymentToken = 'tok_mock_paypal';
     }
 
     return true;
   }
 
+  /**
+   * Exchange card details for a payment token. Stands in for the payment
+   * provider's client-side tokenization so raw card numbers and CVVs are
+   * never sent to our API; the mock gateway decides the outcome from the
+   * card's last four digits.
+   */
+  tokenizeCard(cardNumber) {
+    return `tok_mock_${cardNumber.slice(-4)}`;
+  }
+
   /**
    * Place order
    */
@@ -552,16 +948,34 @@ class CheckoutManager {
       placeOrderBtn.disabled = true;
       placeOrderBtn.textContent = 'Processing...';
 
-      // Create order
-      const response = await this.apiClient.post('/orders', {
-        shippingAddress: this.orderData.shippingAddress,
-        paymentMethod: this.orderData.paymentMethod,
-        items: this.orderData.items
-      });
+      // Create and pay for the order, or retry payment for an order whose
+      // card was declined
+      const isGuest = !this.userManager.getCurrentUser();
+      const response = this.pendingOrderId
+        ? await this.apiClient.post(`/orders/${this.pendingOrderId}/pay`, {
+          paymentToken: this.orderData.paymentToken,
+          ...(this.lookupToken && { lookupToken: this.lookupToken })
+        })
+        : await this.apiClient.post('/orders', {
+          ...(isGuest && { email: this.orderData.email }),
+          shippingAddress: this.orderData.shippingAddress,
+          ...(this.orderData.billingAddress && { billingAddress: this.orderData.billingAddress }),
+          shippingMethod: this.orderData.shippingMethod,
+          couponCode: this.cartManager.couponCode,
+          paymentMethod: this.orderData.paymentMethod,
+          paymentToken: this.orderData.paymentToken,
+          items: this.orderData.items
+        });
 
       if (response.success) {
+        // Holds are consumed by the order
+        this.reservation = null;
+        this.pendingOrderId = null;
+        const lookupToken = response.data.lookupToken || this.lookupToken;
+        this.lookupToken = null;
+
         // Show success message
-        this.showOrderConfirmation(response.data.order, modal);
+        this.showOrderConfirmation(response.data.order, modal, isGuest ? lookupToken : null);
         
         // Clear cart
         this.cartManager.clearCart();
@@ -573,6 +987,12 @@ class CheckoutManager {
 
     } catch (error) {
       console.error('Place order error:', error);
+
+      if (error.data?.error?.code === 'PAYMENT_DECLINED') {
+        this.handlePaymentDeclined(error.data.error, modal);
+        return;
+      }
+
       this.notificationManager.show(error.message || 'Failed to place order', 'error');
       
       // Re-enable button
@@ -583,9 +1003,28 @@ class CheckoutManager {
   }
 
   /**
-   * Show order confirmation
+   * The order exists but wasn't paid: send the customer back to the payment
+   * step to try another card against the same order
    */
-  showOrderConfirmation(order, modal) {
+  handlePaymentDeclined(paymentError, modal) {
+    if (!this.pendingOrderId) {
+      // The order consumed the holds and the server-side cart
+      this.pendingOrderId = paymentError.orderId;
+      this.lookupToken = paymentError.lookupToken || null;
+      this.reservation = null;
+      this.cartManager.clearCart();
+    }
+
+    this.notificationManager.show(`${paymentError.message}. Please try another payment method.`, 'error');
+    this.currentStep = 2;
+    this.updateModalContent(modal);
+  }
+
+  /**
+   * Show order confirmation. Guest orders come with the lookup token that
+   * opens them without an account.
+   */
+  showOrderConfirmation(order, modal, lookupToken = null) {
     const content = modal.querySelector('.checkout-content');
     const actions = modal.querySelector('.checkout-actions');
 
@@ -597,7 +1036,7 @@ class CheckoutManager {
         <h3>Order Confirmed!</h3>
         <p>Thank you for your order. Your order number is:</p>
         <div class="order-number">#${order.id}</div>
-        <p>You will receive an email confirmation shortly.</p>
+        <p>You will receive an email confirmation${lookupToken ? ` at ${order.guestEmail}` : ''} shortly.</p>
         <div class="order-details">
           <h4>Order Summary</h4>
           <div class="summary-row">
@@ -616,10 +1055,24 @@ class CheckoutManager {
       <button class="btn btn-primary" onclick="this.closest('.checkout-modal').remove()">
         Continue Shopping
       </button>
-      <button class="btn btn-secondary" onclick="window.checkoutManager.viewOrderHistory()">
-        View Orders
-      </button>
+      ${lookupToken ? `
+        <button class="btn btn-secondary view-guest-order-btn">
+          View Order
+        </button>
+      ` : `
+        <button class="btn btn-secondary" onclick="window.checkoutManager.viewOrderHistory()">
+          View Orders
+        </button>
+      `}
     `;
+
+    const viewGuestOrderBtn = actions.querySelector('.view-guest-order-btn');
+    if (viewGuestOrderBtn) {
+      viewGuestOrderBtn.addEventListener('click', () => {
+        modal.remove();
+        this.viewGuestOrder(order.id, order.guestEmail, lookupToken);
+      });
+    }
   }
 
   /**
@@ -756,7 +1209,11 @@ class CheckoutManager {
       }
 
       const order = response.data.order;
-      this.showOrderDetailsModal(order);
+      const [returnsResponse, timelineResponse] = await Promise.all([
+        this.apiClient.returns.getAll({ orderId }),
+        this.apiClient.orders.getTimeline(orderId)
+      ]);
+      this.showOrderDetailsModal(order, returnsResponse.data.returns, timelineResponse.data.timeline);
 
     } catch (error) {
       console.error('View order details error:', error);
@@ -765,9 +1222,50 @@ class CheckoutManager {
   }
 
   /**
-   * Show order details modal
+   * View a guest order with its email address and lookup token. Signed-in
+   * customers using that address can add it to their account.
+   */
+  async viewGuestOrder(orderId, email, token) {
+    try {
+      const response = await this.apiClient.orders.lookup(email, orderId, token);
+      const order = response.data.order;
+
+      // Returns need an account, so guests don't get the returns section
+      const modal = this.showOrderDetailsModal(order, null);
+
+      if (this.userManager.isUserAuthenticated()) {
+        const claimBtn = document.createElement('button');
+        claimBtn.className = 'btn btn-primary claim-order-btn';
+        claimBtn.textContent = 'Add to My Account';
+        claimBtn.addEventListener('click', () => this.claimGuestOrder(order.id, token, modal));
+        modal.querySelector('.order-info').appendChild(claimBtn);
+      }
+    } catch (error) {
+      console.error('View guest order error:', error);
+      this.notificationManager.show(error.message || 'Failed to load order', 'error');
+    }
+  }
+
+  /**
+   * Move a guest order into the signed-in account
+   */
+  async claimGuestOrder(orderId, token, modal) {
+    try {
+      await this.apiClient.orders.claim(orderId, token);
+      modal.remove();
+      this.notificationManager.show('Order added to your account', 'success');
+      this.viewOrderDetails(orderId);
+    } catch (error) {
+      console.error('Claim order error:', error);
+      this.notificationManager.show(error.message || 'Failed to add order to your account', 'error');
+    }
+  }
+
+  /**
+   * Show order details modal. Pass null for `returns` to leave out the
+   * returns section.
    */
-  showOrderDetailsModal(order) {
+  showOrderDetailsModal(order, returns = [], timeline = []) {
     const modal = document.createElement('div');
     modal.className = 'order-details-modal';
     
@@ -816,6 +1314,8 @@ class CheckoutManager {
             ` : ''}
           </div>
           
+          ${this.generateTimelineHTML(timeline)}
+
           <div class="info-section">
             <h3>Shipping Address</h3>
             <div class="address">
@@ -825,6 +1325,15 @@ class CheckoutManager {
               ${order.shippingAddress.country}
             </div>
           </div>
+
+          ${order.billingAddress ? `
+            <div class="info-section">
+              <h3>Billing Address</h3>
+              <div class="address">
+                ${this.renderAddress(order.billingAddress)}
+              </div>
+            </div>
+          ` : ''}
           
           <div class="info-section">
             <h3>Order Items</h3>
@@ -837,15 +1346,175 @@ class CheckoutManager {
             <h3>Order Total</h3>
             <div class="total-amount">$${order.totalAmount.toFixed(2)}</div>
           </div>
+
+          ${returns ? this.generateReturnsHTML(order, returns) : ''}
         </div>
       </div>
     `;
 
     document.body.appendChild(modal);
+
+    const returnForm = modal.querySelector('.return-request-form');
+    if (returnForm) {
+      returnForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitReturnRequest(order, returnForm, modal);
+      });
+    }
     
     setTimeout(() => {
       modal.classList.add('show');
     }, 10);
+
+    return modal;
+  }
+
+  /**
+   * Generate the order's status timeline, oldest change first
+   */
+  generateTimelineHTML(timeline) {
+    if (timeline.length === 0) {
+      return '';
+    }
+
+    const actorLabels = {
+      customer: 'You',
+      admin: 'Store',
+      system: 'Automatic'
+    };
+
+    const entriesHtml = timeline.map(entry => `
+      <li class="timeline-entry ${entry.toStatus}">
+        <div class="timeline-status">
+          <span class="status-badge ${entry.toStatus}">${entry.fromStatus ? entry.toStatus.toUpperCase() : 'PLACED'}</span>
+          <span class="timeline-date">${new Date(entry.createdAt).toLocaleString()}</span>
+        </div>
+        <div class="timeline-actor">${actorLabels[entry.actor] || entry.actor}</div>
+        ${entry.note ? `<div class="timeline-note">${entry.note}</div>` : ''}
+      </li>
+    `).join('');
+
+    return `
+      <div class="info-section">
+        <h3>Order Timeline</h3>
+        <ol class="order-timeline">
+          ${entriesHtml}
+        </ol>
+      </div>
+    `;
+  }
+
+  /**
+   * Generate the returns section of the order details: existing returns and,
+   * for paid orders that have shipped, a form to return items
+   */
+  generateReturnsHTML(order, returns) {
+    // Units already covered by a return that wasn't rejected
+    const returned = {};
+    returns
+      .filter(rma => rma.status !== 'rejected')
+      .forEach(rma => rma.items.forEach(item => {
+        returned[item.orderItemId] = (returned[item.orderItemId] || 0) + item.quantity;
+      }));
+
+    const returnableItems = order.items
+      .map(item => ({ ...item, returnable: item.quantity - (returned[item.id] || 0) }))
+      .filter(item => item.returnable > 0);
+
+    const canReturn = ['shipped', 'delivered'].includes(order.status) &&
+      order.paymentStatus === 'completed' &&
+      returnableItems.length > 0;
+
+    if (returns.length === 0 && !canReturn) {
+      return '';
+    }
+
+    const returnsHtml = returns.map(rma => `
+      <div class="return-entry">
+        <div class="info-row">
+          <span>Return #${rma.id} · ${new Date(rma.createdAt).toLocaleDateString()}</span>
+          <span class="status-badge ${rma.status}">${rma.status.toUpperCase()}</span>
+        </div>
+        ${rma.items.map(item => `
+          <div class="return-entry-item">${item.product.name} × ${item.quantity}</div>
+        `).join('')}
+        ${rma.status === 'refunded' ? `
+          <div class="info-row">
+            <span>Refunded:</span>
+            <span>$${rma.refundAmount.toFixed(2)}</span>
+          </div>
+        ` : ''}
+        ${rma.adminNotes ? `<div class="return-notes">${rma.adminNotes}</div>` : ''}
+      </div>
+    `).join('');
+
+    const formHtml = canReturn ? `
+      <form class="return-request-form">
+        ${returnableItems.map(item => `
+          <div class="form-group return-item">
+            <label for="return-qty-${item.id}">${item.product.name} (up to ${item.returnable})</label>
+            <input type="number" id="return-qty-${item.id}" data-order-item-id="${item.id}"
+                   min="0" max="${item.returnable}" value="0">
+          </div>
+        `).join('')}
+        <div class="form-group">
+          <label for="return-reason">Reason</label>
+          <textarea id="return-reason" name="reason" rows="2" maxlength="500"></textarea>
+        </div>
+        <button type="submit" class="btn btn-secondary request-return-btn">Request Return</button>
+      </form>
+    ` : '';
+
+    return `
+      <div class="info-section returns-section">
+        <h3>Returns</h3>
+        ${returnsHtml}
+        ${formHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Submit a return request for the quantities entered in the form
+   */
+  async submitReturnRequest(order, form, modal) {
+    const items = Array.from(form.querySelectorAll('[data-order-item-id]'))
+      .map(input => ({
+        orderItemId: parseInt(input.dataset.orderItemId),
+        quantity: parseInt(input.value) || 0
+      }))
+      .filter(item => item.quantity > 0);
+
+    if (items.length === 0) {
+      this.notificationManager.show('Choose at least one item to return', 'error');
+      return;
+    }
+
+    const submitBtn = form.querySelector('.request-return-btn');
+    submitBtn.disabled = true;
+
+    try {
+      const response = await this.apiClient.returns.create({
+        orderId: order.id,
+        reason: form.querySelector('#return-reason').value.trim(),
+        items
+      });
+
+      if (!response.success) {
+        throw new Error(response.error?.message || 'Failed to request return');
+      }
+
+      this.notificationManager.show('Return requested successfully', 'success');
+
+      // Reopen the details to show the new return
+      modal.remove();
+      this.viewOrderDetails(order.id);
+
+    } catch (error) {
+      console.error('Return request error:', error);
+      this.notificationManager.show(error.message || 'Failed to request return', 'error');
+      submitBtn.disabled = false;
+    }
   }
 
   /**
@@ -10,23 +10,6 @@ class EnhancedCartModal {
         this.notificationManager = notificationManager;
         this.currentModal = null;
         this.keydownHandler = null;
-
-        // Tax rate (8.5% for demo)
-        this.TAX_RATE = 0.085;
-
-        // Free shipping threshold
-        this.FREE_SHIPPING_THRESHOLD = 100;
-        this.SHIPPING_COST = 15;
-    }
-
-    // Calculate tax
-    calculateTax(subtotal) {
-        return subtotal * this.TAX_RATE;
-    }
-
-    // Calculate shipping
-    calculateShipping(subtotal) {
-        return subtotal >= this.FREE_SHIPPING_THRESHOLD ? 0 : this.SHIPPING_COST;
     }
 
     // Get cart sync status indicator
@@ -92,14 +75,10 @@ class EnhancedCartModal {
         const modal = document.createElement('div');
         modal.className = 'cart-modal';
 
-        const subtotal = this.cartManager.getTotal();
-        const tax = this.calculateTax(subtotal);
-        const shipping = this.calculateShipping(subtotal);
-        const total = subtotal + tax + shipping;
         const itemCount = this.cartManager.getItemCount();
         const syncStatus = this.getSyncStatusIndicator();
 
-        modal.innerHTML = this.generateModalHTML(items, subtotal, tax, shipping, total, itemCount, syncStatus);
+        modal.innerHTML = this.generateModalHTML(items, itemCount, syncStatus);
 
         // Add enhanced cart modal styles
         this.addEnhancedStyles();
@@ -118,14 +97,83 @@ class EnhancedCartModal {
         document.body.appendChild(modal);
         this.currentModal = modal;
 
+        // Totals come from the server's pricing engine only
+        this.refreshQuote(modal);
+
         // Add animation class after a brief delay
         setTimeout(() => {
             modal.classList.add('modal-open');
         }, 10);
     }
 
+    // Fetch the server quote and render the summary with it. The summary
+    // shows a loading placeholder until then.
+    async refreshQuote(modal) {
+        try {
+            const quote = await this.cartManager.getQuote();
+            if (this.currentModal !== modal) return;
+
+            if (quote) {
+                this.renderQuote(modal, quote);
+            } else {
+                this.renderSummaryUnavailable(modal);
+            }
+        } catch (error) {
+            console.warn('Failed to fetch cart quote:', error);
+            if (this.currentModal === modal) {
+                this.renderSummaryUnavailable(modal);
+            }
+        }
+    }
+
+    // Replace the loading placeholder when no quote could be fetched
+    renderSummaryUnavailable(modal) {
+        const summary = modal.querySelector('.cart-summary');
+        if (summary) {
+            summary.innerHTML = this.generateSummaryPlaceholderHTML('Totals are calculated at checkout');
+        }
+    }
+
+    // Render a server quote into the summary and coupon sections
+    renderQuote(modal, quote) {
+        const summary = modal.querySelector('.cart-summary');
+        if (summary) {
+            summary.innerHTML = this.generateSummaryHTML(
+                quote,
+                this.cartManager.getItemCount(),
+                this.cartManager.couponCode
+            );
+        }
+
+        const coupon = modal.querySelector('.cart-coupon');
+        if (coupon) {
+            coupon.innerHTML = this.generateCouponHTML();
+        }
+    }
+
+    // Apply the code typed into the coupon field
+    async applyCoupon(modal) {
+        const input = modal.querySelector('.coupon-input');
+        const code = input ? input.value.trim() : '';
+        if (!code) return;
+
+        try {
+            const quote = await this.cartManager.applyCoupon(code);
+            this.renderQuote(modal, quote);
+            this.notificationManager.success(`Coupon ${this.cartManager.couponCode} applied`);
+        } catch (error) {
+            this.notificationManager.error(error.message || 'Coupon could not be applied');
+        }
+    }
+
+    // Remove the applied coupon and re-quote without it
+    async removeCoupon(modal) {
+        this.cartManager.removeCoupon();
+        await this.refreshQuote(modal);
+    }
+
     // Generate modal HTML
-    generateModalHTML(items, subtotal, tax, shipping, total, itemCount, syncStatus) {
+    generateModalHTML(items, itemCount, syncStatus) {
         return `
             <div class="modal-overlay"></div>
             <div class="modal-content">
@@ -146,8 +194,11 @@ class EnhancedCartModal {
                     <div class="cart-items">
                         ${items.map(item => this.generateItemHTML(item)).join('')}
                     </div>
+                    <div class="cart-coupon">
+                        ${this.generateCouponHTML()}
+                    </div>
                     <div class="cart-summary">
-                        ${this.generateSummaryHTML(subtotal, tax, shipping, total, itemCount)}
+                        ${this.generateSummaryPlaceholderHTML('Calculating totals...', true)}
                     </div>
                 </div>
                 <div class="modal-footer">
@@ -167,7 +218,7 @@ class EnhancedCartModal {
     // Generate individual item HTML
     generateItemHTML(item) {
         return `
-            <div class="cart-item" data-product-id="${item.id}">
+            <div class="cart-item" data-product-id="${item.id}" data-variant-id="${item.variantId || ''}">
                 <div class="item-icon">
                     <i class="${item.icon}"></i>
                 </div>
@@ -182,7 +233,7 @@ class EnhancedCartModal {
                 </div>
                 <div class="item-controls">
                     <button class="quantity-btn minus" 
-                            data-product-id="${item.id}"
+                            data-product-id="${item.id}" data-variant-id="${item.variantId || ''}"
                             data-action="decrease"
                             ${item.quantity <= 1 ? 'disabled' : ''}
                             aria-label="Decrease quantity">
@@ -194,11 +245,11 @@ class EnhancedCartModal {
                                value="${item.quantity}" 
                                min="1" 
                                max="${item.inventory || 999}"
-                               data-product-id="${item.id}"
+                               data-product-id="${item.id}" data-variant-id="${item.variantId || ''}"
                                aria-label="Quantity">
                     </div>
                     <button class="quantity-btn plus" 
-                            data-product-id="${item.id}"
+                            data-product-id="${item.id}" data-variant-id="${item.variantId || ''}"
                             data-action="increase"
                             ${item.inventory && item.quantity >= item.inventory ? 'disabled' : ''}
                             aria-label="Increase quantity">
@@ -210,7 +261,7 @@ class EnhancedCartModal {
                     <span class="total-amount">$${(item.price * item.quantity).toFixed(2)}</span>
                 </div>
                 <button class="remove-item" 
-                        data-product-id="${item.id}"
+                        data-product-id="${item.id}" data-variant-id="${item.variantId || ''}"
                         title="Remove item"
                         aria-label="Remove ${item.name} from cart">
                     <i class="fas fa-trash"></i>
@@ -219,16 +270,57 @@ class EnhancedCartModal {
         `;
     }
 
-    // Generate summary HTML
-    generateSummaryHTML(subtotal, tax, shipping, total, itemCount) {
+    // Generate coupon field HTML
+    generateCouponHTML() {
+        const couponCode = this.cartManager.couponCode;
+
+        if (couponCode) {
+            return `
+                <div class="coupon-applied">
+                    <i class="fas fa-tag"></i>
+                    <span>${couponCode}</span>
+                    <button class="coupon-remove" aria-label="Remove coupon">&times;</button>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="coupon-form">
+                <input type="text" class="coupon-input" placeholder="Coupon code" aria-label="Coupon code">
+                <button class="coupon-apply">Apply</button>
+            </div>
+        `;
+    }
+
+    // Generate the summary shown while there is no quote to show
+    generateSummaryPlaceholderHTML(message, loading = false) {
+        return `
+            <div class="summary-placeholder">
+                ${loading ? '<i class="fas fa-spinner fa-spin"></i>' : '<i class="fas fa-info-circle"></i>'}
+                <span>${message}</span>
+            </div>
+        `;
+    }
+
+    // Generate summary HTML from a server quote
+    generateSummaryHTML(quote, itemCount, couponCode = null) {
+        const { subtotal, tax, taxRate, shipping, total, freeShippingThreshold } = quote;
+        const discount = quote.discountTotal || 0;
+
         return `
             <div class="summary-section">
                 <div class="summary-row">
                     <span>Subtotal (${itemCount} items):</span>
                     <span>$${subtotal.toFixed(2)}</span>
                 </div>
+                ${discount > 0 ? `
+                    <div class="summary-row discount">
+                        <span>Discount${couponCode ? ` (${couponCode})` : ''}:</span>
+                        <span>-$${discount.toFixed(2)}</span>
+                    </div>
+                ` : ''}
                 <div class="summary-row">
-                    <span>Tax (${(this.TAX_RATE * 100).toFixed(1)}%):</span>
+                    <span>Tax (${(taxRate * 100).toFixed(1)}%):</span>
                     <span>$${tax.toFixed(2)}</span>
                 </div>
                 <div class="summary-row shipping">
@@ -240,7 +332,7 @@ class EnhancedCartModal {
                 ${shipping > 0 ? `
                     <div class="shipping-notice">
                         <i class="fas fa-info-circle"></i>
-                        Free shipping on orders over $${this.FREE_SHIPPING_THRESHOLD}
+                        Free shipping on orders over $${freeShippingThreshold}
                     </div>
                 ` : `
                     <div class="shipping-notice free">
@@ -275,6 +367,12 @@ class EnhancedCartModal {
 
         // Quantity control handlers
         modal.addEventListener('click', (e) => this.handleQuantityControls(e));
+
+        // Coupon handlers
+        modal.addEventListener('click', (e) => {
+            if (e.target.closest('.coupon-apply')) this.applyCoupon(modal);
+            if (e.target.closest('.coupon-remove')) this.removeCoupon(modal);
+        });
         modal.addEventListener('change', (e) => this.handleQuantityInput(e));
         modal.addEventListener('blur', (e) => this.handleQuantityBlur(e), true);
 
@@ -283,13 +381,20 @@ class EnhancedCartModal {
         document.addEventListener('keydown', this.keydownHandler);
     }
 
+    // Find the cart line for a product and (for products with variants) variant
+    findCartItem(productId, variantId = null) {
+        return this.cartManager.getItems()
+            .find(item => item.id === productId && (item.variantId || null) === variantId);
+    }
+
     // Handle quantity control buttons
     async handleQuantityControls(e) {
         if (e.target.closest('.quantity-btn')) {
             const btn = e.target.closest('.quantity-btn');
             const productId = parseInt(btn.dataset.productId);
+            const variantId = parseInt(btn.dataset.variantId) || null;
             const action = btn.dataset.action;
-            const currentItem = this.cartManager.getItems().find(item => item.id === productId);
+            const currentItem = this.findCartItem(productId, variantId);
 
             if (!currentItem) return;
 
@@ -300,11 +405,12 @@ class EnhancedCartModal {
                 newQuantity--;
             }
 
-            await this.updateQuantity(productId, newQuantity);
+            await this.updateQuantity(productId, newQuantity, variantId);
         } else if (e.target.closest('.remove-item')) {
             const btn = e.target.closest('.remove-item');
             const productId = parseInt(btn.dataset.productId);
-            await this.removeItem(productId);
+            const variantId = parseInt(btn.dataset.variantId) || null;
+            await this.removeItem(productId, variantId);
         }
     }
 
@@ -313,10 +419,11 @@ class EnhancedCartModal {
         if (e.target.classList.contains('quantity-input')) {
             const input = e.target;
             const productId = parseInt(input.dataset.productId);
+            const variantId = parseInt(input.dataset.variantId) || null;
             const newQuantity = parseInt(input.value);
 
             if (newQuantity && newQuantity > 0) {
-                await this.updateQuantity(productId, newQuantity);
+                await this.updateQuantity(productId, newQuantity, variantId);
             }
         }
     }
@@ -326,7 +433,8 @@ class EnhancedCartModal {
         if (e.target.classList.contains('quantity-input')) {
             const input = e.target;
             const productId = parseInt(input.dataset.productId);
-            const currentItem = this.cartManager.getItems().find(item => item.id === productId);
+            const variantId = parseInt(input.dataset.variantId) || null;
+            const currentItem = this.findCartItem(productId, variantId);
 
             if (!currentItem) return;
 
@@ -346,7 +454,7 @@ class EnhancedCartModal {
 
             // Update if different from current
             if (value !== currentItem.quantity) {
-                this.updateQuantity(productId, value);
+                this.updateQuantity(productId, value, variantId);
             }
         }
     }
@@ -363,6 +471,9 @@ class EnhancedCartModal {
                 if (e.target.classList.contains('checkout-btn')) {
                     this.proceedToCheckout();
                 }
+                if (e.target.classList.contains('coupon-input')) {
+                    this.applyCoupon(this.currentModal);
+                }
                 break;
             case 'Tab':
                 // Allow default tab behavior for accessibility
@@ -371,14 +482,14 @@ class EnhancedCartModal {
     }
 
     // Update item quantity
-    async updateQuantity(productId, newQuantity) {
+    async updateQuantity(productId, newQuantity, variantId = null) {
         try {
             if (newQuantity <= 0) {
-                await this.removeItem(productId);
+                await this.removeItem(productId, variantId);
                 return;
             }
 
-            await this.cartManager.updateQuantity(productId, newQuantity);
+            await this.cartManager.updateQuantity(productId, newQuantity, variantId);
 
             // Refresh modal with updated data
             const items = this.cartManager.getItems();
@@ -394,9 +505,9 @@ class EnhancedCartModal {
     }
 
     // Remove item from cart
-    async removeItem(productId) {
+    async removeItem(productId, variantId = null) {
         try {
-            await this.cartManager.removeItem(productId);
+            await this.cartManager.removeItem(productId, variantId);
 
             // Refresh modal with updated data
             const items = this.cartManager.getItems();
@@ -412,21 +523,8 @@ class EnhancedCartModal {
         }
     }
 
-    // Proceed to checkout
+    // Proceed to checkout (guests check out with an email address)
     proceedToCheckout() {
-        if (!this.userManager.isUserAuthenticated()) {
-            this.notificationManager.info('Please log in to proceed to checkout', {
-                title: 'Authentication Required',
-                actions: [
-                    {
-                        label: 'Login',
-                        handler: () => this.userManager.showAuthModal()
-                    }
-                ]
-            });
-            return;
-        }
-
         // Close cart modal
         this.close();
 
@@ -762,6 +860,14 @@ class EnhancedCartModal {
                 padding-top: 1.5rem;
             }
 
+            .cart-modal .summary-placeholder {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                color: var(--neon-cyan);
+                margin-bottom: 1rem;
+            }
+
             .cart-modal .summary-section {
                 margin-bottom: 1rem;
             }
@@ -774,6 +880,46 @@ class EnhancedCartModal {
                 font-size: 1rem;
             }
 
+            .cart-modal .summary-row.discount {
+                color: #4CAF50;
+            }
+
+            .cart-modal .cart-coupon {
+                margin-bottom: 1rem;
+            }
+
+            .cart-modal .coupon-form,
+            .cart-modal .coupon-applied {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+            }
+
+            .cart-modal .coupon-input {
+                flex: 1;
+                padding: 0.5rem;
+                background: rgba(0, 0, 0, 0.5);
+                border: 1px solid var(--neon-cyan);
+                border-radius: 4px;
+                color: white;
+                text-transform: uppercase;
+            }
+
+            .cart-modal .coupon-apply,
+            .cart-modal .coupon-remove {
+                padding: 0.5rem 1rem;
+                background: transparent;
+                border: 1px solid var(--neon-cyan);
+                border-radius: 4px;
+                color: var(--neon-cyan);
+                cursor: pointer;
+            }
+
+            .cart-modal .coupon-applied {
+                color: #4CAF50;
+                font-weight: bold;
+            }
+
             .cart-modal .summary-row.shipping {
                 padding-bottom: 0.5rem;
                 border-bottom: 1px solid rgba(0, 229, 255, 0.2);
@@ -5,7 +5,21 @@ class ProductManager {
     this.filteredProducts = [];
     this.currentFilters = {};
     this.searchQuery = '';
+    this.searchResults = null;
     this.isLoading = false;
+
+    // Category tree from the API, with `children` nested under each node
+    this.categories = [];
+    this.categoryNav = null;
+
+    // Paging: products are fetched a page at a time, following the cursor
+    // the API returns for the next page
+    this.pageSize = 12;
+    this.sort = 'newest';
+    this.listFilters = {};
+    this.nextCursor = null;
+    this.isLoadingMore = false;
+    this.loadMoreElement = null;
     
     // DOM elements
     this.productGrid = document.getElementById('productGrid');
@@ -18,6 +32,7 @@ class ProductManager {
   init() {
     this.setupSearchUI();
     this.setupFilterUI();
+    this.setupInfiniteScroll();
     this.loadProducts();
   }
 
@@ -116,58 +131,275 @@ class ProductManager {
       
       container.insertBefore(this.filterContainer, this.productGrid);
       this.createFilterButtons();
+      this.createSortSelect();
     }
   }
 
-  // Create filter buttons
-  createFilterButtons() {
-    const categories = ['All', 'Neural', 'Biometric', 'Quantum', 'Holo', 'Tactile', 'Wireless'];
+  // Create the sort dropdown
+  createSortSelect() {
+    const sorts = {
+      newest: 'Newest',
+      price: 'Price: Low to High',
+      'price-desc': 'Price: High to Low',
+      name: 'Name',
+      'best-selling': 'Best Selling'
+    };
+
+    const select = document.createElement('select');
+    select.className = 'sort-select';
+    select.innerHTML = Object.entries(sorts)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+    select.value = this.sort;
+    select.style.cssText = `
+      background: transparent;
+      border: 1px solid var(--neon-cyan);
+      color: var(--neon-cyan);
+      padding: 8px 16px;
+      font-family: 'Rajdhani', sans-serif;
+      font-weight: 500;
+      text-transform: uppercase;
+      cursor: pointer;
+    `;
+
+    select.addEventListener('change', () => {
+      this.sort = select.value;
+      this.loadProducts(this.listFilters);
+    });
+
+    this.filterContainer.appendChild(select);
+  }
+
+  // Infinite scroll: an element after the grid loads the next page when it
+  // scrolls into view. It doubles as a "Load More" button for browsers
+  // without IntersectionObserver.
+  setupInfiniteScroll() {
+    if (!this.productGrid) return;
+
+    this.loadMoreElement = document.createElement('button');
+    this.loadMoreElement.className = 'load-more-button';
+    this.loadMoreElement.textContent = 'Load More';
+    this.loadMoreElement.style.cssText = `
+      display: none;
+      margin: 2rem auto 0;
+      background: transparent;
+      border: 1px solid var(--neon-cyan);
+      color: var(--neon-cyan);
+      padding: 10px 24px;
+      font-family: 'Rajdhani', sans-serif;
+      font-weight: 600;
+      text-transform: uppercase;
+      cursor: pointer;
+    `;
+    this.loadMoreElement.addEventListener('click', () => this.loadMoreProducts());
+    this.productGrid.insertAdjacentElement('afterend', this.loadMoreElement);
+
+    if ('IntersectionObserver' in window) {
+      const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+          this.loadMoreProducts();
+        }
+      }, { rootMargin: '200px' });
+      observer.observe(this.loadMoreElement);
+    }
+  }
+
+  // Show the load more element while there are pages left to fetch
+  updateLoadMore() {
+    if (!this.loadMoreElement) return;
+    this.loadMoreElement.style.display = this.nextCursor && !this.searchResults ? 'block' : 'none';
+  }
+
+  // Create filter buttons from the category tree, falling back to the
+  // built-in categories when the API isn't available
+  async createFilterButtons() {
+    try {
+      if (this.apiClient) {
+        const response = await this.apiClient.categories.getAll();
+        if (response.success) {
+          this.categories = response.data.categories;
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load categories, using defaults:', error);
+    }
+
+    if (this.categories.length === 0) {
+      this.categories = ['Neural', 'Biometric', 'Quantum', 'Holo', 'Tactile', 'Wireless']
+        .map(name => ({ slug: name.toLowerCase(), name, children: [] }));
+    }
+
+    const sortSelect = this.filterContainer.querySelector('.sort-select');
+    [{ slug: 'all', name: 'All' }, ...this.categories].forEach(category => {
+      this.filterContainer.insertBefore(this.createFilterButton(category), sortSelect);
+    });
+  }
+
+  // A filter button for one category
+  createFilterButton(category, className = 'filter-button') {
+    const isAll = category.slug === 'all';
+    const button = document.createElement('button');
+    button.textContent = category.name;
+    button.className = className;
+    button.dataset.category = category.slug;
+    button.dataset.label = category.name;
     
-    categories.forEach(category => {
-      const button = document.createElement('button');
-      button.textContent = category;
-      button.className = 'filter-button';
-      button.dataset.category = category.toLowerCase();
-      
-      button.style.cssText = `
-        background: ${category === 'All' ? 'var(--neon-cyan)' : 'transparent'};
-        border: 1px solid var(--neon-cyan);
-        color: ${category === 'All' ? 'var(--dark-bg)' : 'var(--neon-cyan)'};
-        padding: 8px 16px;
-        font-family: 'Rajdhani', sans-serif;
-        font-weight: 500;
-        text-transform: uppercase;
-        cursor: pointer;
-        transition: all 0.3s ease;
-        letter-spacing: 1px;
+    button.style.cssText = `
+      background: ${isAll ? 'var(--neon-cyan)' : 'transparent'};
+      border: 1px solid var(--neon-cyan);
+      color: ${isAll ? 'var(--dark-bg)' : 'var(--neon-cyan)'};
+      padding: ${className === 'filter-button' ? '8px 16px' : '4px 12px'};
+      font-family: 'Rajdhani', sans-serif;
+      font-weight: 500;
+      text-transform: uppercase;
+      cursor: pointer;
+      transition: all 0.3s ease;
+      letter-spacing: 1px;
+    `;
+
+    button.addEventListener('click', () => {
+      this.setActiveFilter(button, category.slug);
+    });
+
+    button.addEventListener('mouseenter', () => {
+      if (!button.classList.contains('active')) {
+        button.style.background = 'var(--neon-cyan)';
+        button.style.color = 'var(--dark-bg)';
+        button.style.boxShadow = '0 0 15px var(--neon-cyan)';
+      }
+    });
+
+    button.addEventListener('mouseleave', () => {
+      if (!button.classList.contains('active')) {
+        button.style.background = 'transparent';
+        button.style.color = 'var(--neon-cyan)';
+        button.style.boxShadow = 'none';
+      }
+    });
+
+    return button;
+  }
+
+  // The chain of categories from the top level down to the one with this
+  // slug, or an empty array if it isn't in the tree
+  getCategoryPath(slug, categories = this.categories) {
+    for (const category of categories) {
+      if (category.slug === slug) {
+        return [category];
+      }
+      const path = this.getCategoryPath(slug, category.children || []);
+      if (path.length > 0) {
+        return [category, ...path];
+      }
+    }
+    return [];
+  }
+
+  // Slugs of a category and everything nested under it
+  getSubtreeSlugs(slug) {
+    const path = this.getCategoryPath(slug);
+    if (path.length === 0) {
+      return [slug];
+    }
+
+    const slugs = [];
+    const collect = (category) => {
+      slugs.push(category.slug);
+      (category.children || []).forEach(collect);
+    };
+    collect(path[path.length - 1]);
+    return slugs;
+  }
+
+  // Whether a product is in the category or one nested under it
+  matchesCategory(product, slug) {
+    if (!product.category) return false;
+    const category = product.category.toLowerCase();
+    return this.getSubtreeSlugs(slug).some(candidate => category.includes(candidate));
+  }
+
+  // Show the breadcrumb for the selected category and a row of buttons for
+  // its subcategories
+  renderCategoryNav(slug) {
+    if (!this.categoryNav) {
+      this.categoryNav = document.createElement('div');
+      this.categoryNav.className = 'category-nav';
+      this.categoryNav.style.cssText = `
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 0.75rem;
+        margin: -1rem 0 2rem;
       `;
+      this.filterContainer.insertAdjacentElement('afterend', this.categoryNav);
+    }
 
-      button.addEventListener('click', () => {
-        this.setActiveFilter(button, category.toLowerCase());
-      });
+    this.categoryNav.innerHTML = '';
+    const path = slug ? this.getCategoryPath(slug) : [];
+    if (path.length === 0) return;
 
-      button.addEventListener('mouseenter', () => {
-        if (!button.classList.contains('active')) {
-          button.style.background = 'var(--neon-cyan)';
-          button.style.color = 'var(--dark-bg)';
-          button.style.boxShadow = '0 0 15px var(--neon-cyan)';
-        }
+    const breadcrumb = document.createElement('nav');
+    breadcrumb.className = 'category-breadcrumb';
+    breadcrumb.style.cssText = `
+      color: #999;
+      font-family: 'Rajdhani', sans-serif;
+      letter-spacing: 1px;
+    `;
+    [{ slug: 'all', name: 'All' }, ...path].forEach((category, index) => {
+      if (index > 0) {
+        breadcrumb.appendChild(document.createTextNode(' / '));
+      }
+      const link = document.createElement('a');
+      link.href = '#products';
+      link.textContent = category.name;
+      link.dataset.category = category.slug;
+      link.style.color = index === path.length ? 'var(--neon-cyan)' : 'inherit';
+      link.addEventListener('click', (event) => {
+        event.preventDefault();
+        this.selectCategory(category.slug);
       });
+      breadcrumb.appendChild(link);
+    });
+    this.categoryNav.appendChild(breadcrumb);
 
-      button.addEventListener('mouseleave', () => {
-        if (!button.classList.contains('active')) {
-          button.style.background = 'transparent';
-          button.style.color = 'var(--neon-cyan)';
-          button.style.boxShadow = 'none';
-        }
+    const children = path[path.length - 1].children || [];
+    if (children.length > 0) {
+      const row = document.createElement('div');
+      row.className = 'subcategory-row';
+      row.style.cssText = `
+        display: flex;
+        justify-content: center;
+        gap: 0.5rem;
+        flex-wrap: wrap;
+      `;
+      children.forEach(child => {
+        row.appendChild(this.createFilterButton(child, 'subcategory-button'));
       });
+      this.categoryNav.appendChild(row);
+    }
+  }
 
-      this.filterContainer.appendChild(button);
-    });
+  // Select a category by slug, e.g. from the breadcrumb, highlighting its
+  // top-level button
+  selectCategory(slug) {
+    const topLevel = slug === 'all' ? 'all' : (this.getCategoryPath(slug)[0] || {}).slug;
+    const button = this.filterContainer.querySelector(`.filter-button[data-category="${topLevel}"]`);
+    if (button) {
+      this.setActiveFilter(button, slug);
+    }
   }
 
-  // Set active filter
+  // Set active filter. With the category tree from the API the products are
+  // reloaded for the category and its subcategories; otherwise the loaded
+  // products are filtered.
   setActiveFilter(activeButton, category) {
+    // Subcategory buttons keep their top-level button highlighted
+    if (activeButton.classList.contains('subcategory-button')) {
+      activeButton = this.filterContainer.querySelector(
+        `.filter-button[data-category="${this.getCategoryPath(category)[0].slug}"]`
+      );
+    }
+
     // Update button states
     this.filterContainer.querySelectorAll('.filter-button').forEach(btn => {
       btn.classList.remove('active');
@@ -183,19 +415,28 @@ class ProductManager {
 
     // Apply filter
     this.currentFilters.category = category === 'all' ? null : category;
-    this.applyFilters();
+    this.renderCategoryNav(this.currentFilters.category);
+
+    if (this.apiClient && this.categories.some(node => node.id)) {
+      this.loadProducts(this.currentFilters.category ? { category: this.currentFilters.category } : {});
+    } else {
+      this.applyFilters();
+    }
   }
 
-  // Load products from API or fallback data
+  // Load the first page of products from API or fallback data
   async loadProducts(filters = {}) {
     this.showLoading(true);
+    this.listFilters = filters;
+    this.nextCursor = null;
     
     try {
       // Try to load from API first
       if (this.apiClient) {
-        const response = await this.apiClient.get('/products', { params: filters });
+        const response = await this.apiClient.products.getAll({ ...filters, sort: this.sort, pageSize: this.pageSize });
         if (response.success) {
-          this.products = response.data;
+          this.products = response.data.products;
+          this.nextCursor = response.data.pagination.nextCursor;
         } else {
           throw new Error('API request failed');
         }
@@ -208,11 +449,36 @@ class ProductManager {
       this.products = this.getFallbackProducts();
     }
     
-    this.filteredProducts = [...this.products];
-    this.renderProducts();
+    this.applyFilters();
+    this.updateLoadMore();
     this.showLoading(false);
   }
 
+  // Append the next page of products
+  async loadMoreProducts() {
+    if (!this.nextCursor || this.isLoadingMore || this.searchResults) return;
+    this.isLoadingMore = true;
+
+    try {
+      const response = await this.apiClient.products.getAll({
+        ...this.listFilters,
+        sort: this.sort,
+        pageSize: this.pageSize,
+        cursor: this.nextCursor
+      });
+      if (response.success) {
+        this.products = this.products.concat(response.data.products);
+        this.nextCursor = response.data.pagination.nextCursor;
+        this.applyFilters();
+      }
+    } catch (error) {
+      console.warn('Failed to load more products:', error);
+    } finally {
+      this.isLoadingMore = false;
+      this.updateLoadMore();
+    }
+  }
+
   // Get fallback products
   getFallbackProducts() {
     return [
@@ -285,28 +551,57 @@ class ProductManager {
     this.performSearch();
   }
 
-  // Perform search
-  performSearch() {
-    if (!this.searchQuery.trim()) {
-      this.filteredProducts = [...this.products];
-    } else {
-      const query = this.searchQuery.toLowerCase();
-      this.filteredProducts = this.products.filter(product =>
-        product.name.toLowerCase().includes(query) ||
-        product.description.toLowerCase().includes(query) ||
-        (product.category && product.category.toLowerCase().includes(query))
-      );
+  // Perform search. Uses the server's ranked search when the API is
+  // available, otherwise filters the loaded products.
+  async performSearch() {
+    this.searchResults = null;
+
+    if (this.searchQuery.trim() && this.apiClient) {
+      try {
+        const response = await this.apiClient.products.search(this.searchQuery.trim(), { limit: 100 });
+        if (response.success) {
+          this.searchResults = response.data.products;
+          this.updateFacetCounts(response.data.facets);
+        }
+      } catch (error) {
+        console.warn('Product search failed, filtering loaded products:', error);
+      }
+    }
+
+    if (!this.searchResults) {
+      this.updateFacetCounts(null);
     }
     
     this.applyFilters();
+    this.updateLoadMore();
+  }
+
+  // Show how many search results fall in each category button, or clear
+  // the counts when there are no facets
+  updateFacetCounts(facets) {
+    if (!this.filterContainer) return;
+
+    this.filterContainer.querySelectorAll('.filter-button').forEach(button => {
+      if (!facets) {
+        button.textContent = button.dataset.label;
+        return;
+      }
+
+      const slugs = this.getSubtreeSlugs(button.dataset.category);
+      const count = facets.categories
+        .filter(facet => button.dataset.category === 'all' || slugs.some(slug => facet.value.toLowerCase().includes(slug)))
+        .reduce((sum, facet) => sum + facet.count, 0);
+      button.textContent = `${button.dataset.label} (${count})`;
+    });
   }
 
   // Apply current filters
   applyFilters() {
-    let filtered = [...this.products];
+    // Server search results are already matched and ranked
+    let filtered = this.searchResults ? [...this.searchResults] : [...this.products];
 
     // Apply search filter
-    if (this.searchQuery.trim()) {
+    if (!this.searchResults && this.searchQuery.trim()) {
       const query = this.searchQuery.toLowerCase();
       filtered = filtered.filter(product =>
         product.name.toLowerCase().includes(query) ||
@@ -317,9 +612,7 @@ class ProductManager {
 
     // Apply category filter
     if (this.currentFilters.category) {
-      filtered = filtered.filter(product =>
-        product.category && product.category.toLowerCase().includes(this.currentFilters.category)
-      );
+      filtered = filtered.filter(product => this.matchesCategory(product, this.currentFilters.category));
     }
 
     this.filteredProducts = filtered;
@@ -359,13 +652,14 @@ class ProductManager {
         ${isLowStock ? '<div class="stock-indicator">LOW STOCK</div>' : ''}
       </div>
       <h3>${product.name}</h3>
+      ${this.formatRating(product)}
       <p>${product.description}</p>
-      <div class="product-price">$${product.price.toFixed(2)}</div>
+      <div class="product-price">${this.formatPriceRange(product)}</div>
       <div class="product-actions">
         <button class="add-to-cart" 
                 onclick="window.productManager.addToCart(${product.id})"
                 ${isOutOfStock ? 'disabled' : ''}>
-          ${isOutOfStock ? 'OUT OF STOCK' : 'Add to Cart'}
+          ${isOutOfStock ? 'OUT OF STOCK' : (this.hasVariants(product) ? 'Choose Options' : 'Add to Cart')}
         </button>
         <button class="view-details" onclick="window.productManager.showProductDetails(${product.id})">
           View Details
@@ -419,16 +713,63 @@ class ProductManager {
       allButton.style.color = 'var(--dark-bg)';
     }
 
+    if (this.categoryNav) {
+      this.categoryNav.innerHTML = '';
+    }
+
+    // Products loaded for a single category need reloading
+    if (this.listFilters.category) {
+      this.loadProducts({});
+      return;
+    }
+
     this.filteredProducts = [...this.products];
     this.renderProducts();
   }
 
-  // Add to cart
-  async addToCart(productId) {
+  // Whether a product is sold as variants (sizes, colors...)
+  hasVariants(product) {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+  }
+
+  // Price of a variant: its own override, or the product's price
+  getVariantPrice(product, variant) {
+    return variant && variant.price !== null ? variant.price : product.price;
+  }
+
+  // "$X" or, when variants are priced differently, "From $X"
+  formatPriceRange(product) {
+    if (!this.hasVariants(product)) {
+      return `$${product.price.toFixed(2)}`;
+    }
+
+    const prices = product.variants.map(variant => this.getVariantPrice(product, variant));
+    const lowest = Math.min(...prices);
+    return lowest === Math.max(...prices) ? `$${lowest.toFixed(2)}` : `From $${lowest.toFixed(2)}`;
+  }
+
+  // The variant matching a selection of option values, e.g. { size: 'L' }
+  findVariant(product, selection) {
+    return product.variants.find(variant =>
+      Object.entries(variant.options).every(([name, value]) => selection[name] === value)
+    ) || null;
+  }
+
+  // Add to cart. Products with variants open the details modal to pick one
+  // unless a variantId is given.
+  async addToCart(productId, variantId = null) {
     const product = this.products.find(p => p.id === productId);
     if (!product) return;
 
-    if (product.inventory <= 0) {
+    if (this.hasVariants(product) && !variantId) {
+      this.createProductModal(product);
+      return;
+    }
+
+    const variant = variantId ? product.variants.find(v => v.id === variantId) : null;
+    const stock = variant ? variant.inventory : product.inventory;
+
+    if (stock <= 0) {
       this.showNotification('Product is out of stock', 'error');
       return;
     }
@@ -436,10 +777,11 @@ class ProductManager {
     try {
       // Dispatch event for cart manager to handle
       window.dispatchEvent(new CustomEvent('addToCart', {
-        detail: { productId, quantity: 1 }
+        detail: { productId, quantity: 1, variantId }
       }));
       
-      this.showNotification(`${product.name} added to cart!`, 'success');
+      const name = variant ? `${product.name} (${variant.label})` : product.name;
+      this.showNotification(`${name} added to cart!`, 'success');
     } catch (error) {
       console.error('Failed to add item to cart:', error);
       this.showNotification('Failed to add item to cart', 'error');
@@ -473,21 +815,54 @@ class ProductManager {
             <i class="${product.icon}"></i>
           </div>
           <div class="modal-details">
+            ${this.getCategoryPath(product.category).length > 0 ? `
+              <div class="modal-breadcrumb">
+                ${this.getCategoryPath(product.category).map(category => category.name).join(' / ')}
+              </div>
+            ` : ''}
             <h2>${product.name}</h2>
+            ${this.formatRating(product)}
             <p class="modal-description">${product.description}</p>
-            <div class="modal-price">$${product.price.toFixed(2)}</div>
+            <div class="modal-price">${this.formatPriceRange(product)}</div>
+            ${this.hasVariants(product) ? `
+              <div class="modal-variants">
+                ${product.options.map(option => `
+                  <label class="variant-option">
+                    <span>${option.name}</span>
+                    <select class="variant-select" data-option="${option.name}">
+                      <option value="">Select ${option.name}</option>
+                      ${option.values.map(value => `<option value="${value}">${value}</option>`).join('')}
+                    </select>
+                  </label>
+                `).join('')}
+              </div>
+            ` : ''}
             <div class="modal-stock">
               Stock: <span class="${product.inventory <= 5 ? 'low-stock' : ''}">${product.inventory} units</span>
             </div>
             <div class="modal-actions">
               <button class="modal-add-to-cart" 
-                      onclick="window.productManager.addToCart(${product.id})"
-                      ${product.inventory <= 0 ? 'disabled' : ''}>
-                ${product.inventory <= 0 ? 'OUT OF STOCK' : 'Add to Cart'}
+                      ${product.inventory <= 0 || this.hasVariants(product) ? 'disabled' : ''}>
+                ${product.inventory <= 0 ? 'OUT OF STOCK' : (this.hasVariants(product) ? 'Select Options' : 'Add to Cart')}
               </button>
             </div>
           </div>
         </div>
+        <div class="modal-reviews">
+          <h3>Reviews</h3>
+          <div class="review-list">Loading reviews...</div>
+          ${this.apiClient && this.apiClient.token ? `
+            <form class="review-form">
+              <select name="rating" required>
+                <option value="">Your rating</option>
+                ${[5, 4, 3, 2, 1].map(stars => `<option value="${stars}">${stars} star${stars > 1 ? 's' : ''}</option>`).join('')}
+              </select>
+              <input type="text" name="title" maxlength="120" placeholder="Title (optional)">
+              <textarea name="body" rows="3" maxlength="5000" placeholder="What did you think?"></textarea>
+              <button type="submit">Post Review</button>
+            </form>
+          ` : ''}
+        </div>
       </div>
     `;
 
@@ -497,7 +872,29 @@ class ProductManager {
     // Add event listeners
     const closeBtn = modal.querySelector('.modal-close');
     const overlay = modal.querySelector('.modal-overlay');
+    const addButton = modal.querySelector('.modal-add-to-cart');
+    let selectedVariant = null;
+
+    addButton.addEventListener('click', () => {
+      this.addToCart(product.id, selectedVariant ? selectedVariant.id : null);
+    });
+
+    if (this.hasVariants(product)) {
+      modal.querySelectorAll('.variant-select').forEach(select => {
+        select.addEventListener('change', () => {
+          selectedVariant = this.updateVariantSelection(modal, product);
+        });
+      });
+    }
     
+    const reviewForm = modal.querySelector('.review-form');
+    if (reviewForm) {
+      reviewForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.submitReview(modal, product, reviewForm);
+      });
+    }
+
     closeBtn.addEventListener('click', () => modal.remove());
     overlay.addEventListener('click', () => modal.remove());
     
@@ -506,6 +903,112 @@ class ProductManager {
     });
 
     document.body.appendChild(modal);
+    this.loadReviews(modal, product);
+  }
+
+  // Star icons for a rating out of five, rounded to the nearest half star
+  renderStars(rating) {
+    const halves = Math.round(rating * 2);
+    return [1, 2, 3, 4, 5].map(star => {
+      if (halves >= star * 2) return '<i class="fas fa-star"></i>';
+      if (halves === star * 2 - 1) return '<i class="fas fa-star-half-alt"></i>';
+      return '<i class="far fa-star"></i>';
+    }).join('');
+  }
+
+  // Average rating and review count, or nothing for unreviewed products
+  formatRating(product) {
+    if (!product.rating || product.rating.count === 0) return '';
+
+    const { average, count } = product.rating;
+    return `
+      <div class="product-rating" title="${average.toFixed(1)} out of 5">
+        ${this.renderStars(average)}
+        <span class="rating-count">(${count})</span>
+      </div>
+    `;
+  }
+
+  // Fetch the product's newest reviews into the modal
+  async loadReviews(modal, product) {
+    const list = modal.querySelector('.review-list');
+
+    try {
+      if (!this.apiClient) throw new Error('No API client available');
+      const response = await this.apiClient.products.getReviews(product.id, { pageSize: 5 });
+      if (!response.success) throw new Error('API request failed');
+
+      const { reviews } = response.data;
+      list.innerHTML = reviews.length === 0
+        ? '<p class="no-reviews">No reviews yet.</p>'
+        : reviews.map(review => `
+          <div class="review">
+            <div class="review-header">
+              <span class="product-rating">${this.renderStars(review.rating)}</span>
+              <strong>${review.title || ''}</strong>
+            </div>
+            ${review.body ? `<p>${review.body}</p>` : ''}
+            <div class="review-author">
+              ${review.author}
+              ${review.isVerified ? '<span class="verified-badge"><i class="fas fa-check-circle"></i> Verified purchase</span>' : ''}
+            </div>
+          </div>
+        `).join('');
+    } catch (error) {
+      console.warn('Failed to load reviews:', error);
+      list.innerHTML = '<p class="no-reviews">Reviews are unavailable right now.</p>';
+    }
+  }
+
+  // Post the review form, then reload the reviews
+  async submitReview(modal, product, form) {
+    const button = form.querySelector('button');
+    button.disabled = true;
+
+    try {
+      const response = await this.apiClient.products.addReview(product.id, {
+        rating: parseInt(form.rating.value),
+        title: form.title.value.trim() || null,
+        body: form.body.value.trim() || null
+      });
+
+      if (response.success) {
+        form.remove();
+        this.showNotification('Thanks for your review!', 'success');
+        this.loadReviews(modal, product);
+      }
+    } catch (error) {
+      console.error('Failed to post review:', error);
+      this.showNotification(error.message || 'Failed to post review', 'error');
+      button.disabled = false;
+    }
+  }
+
+  // Show the price and stock of the variant picked in the modal and enable
+  // adding it once every option is chosen. Returns the variant, if any.
+  updateVariantSelection(modal, product) {
+    const selection = {};
+    modal.querySelectorAll('.variant-select').forEach(select => {
+      selection[select.dataset.option] = select.value;
+    });
+
+    const complete = Object.values(selection).every(Boolean);
+    const variant = complete ? this.findVariant(product, selection) : null;
+    const button = modal.querySelector('.modal-add-to-cart');
+    const stock = modal.querySelector('.modal-stock span');
+
+    if (variant) {
+      modal.querySelector('.modal-price').textContent = `$${this.getVariantPrice(product, variant).toFixed(2)}`;
+      stock.textContent = `${variant.inventory} units`;
+      stock.className = variant.inventory <= 5 ? 'low-stock' : '';
+      button.disabled = variant.inventory <= 0;
+      button.textContent = variant.inventory <= 0 ? 'OUT OF STOCK' : 'Add to Cart';
+    } else {
+      button.disabled = true;
+      button.textContent = complete ? 'UNAVAILABLE' : 'Select Options';
+    }
+
+    return variant;
   }
 
   // Add modal styles
@@ -587,6 +1090,14 @@ class ProductManager {
         text-shadow: 0 0 20px var(--neon-orange);
       }
 
+      .modal-breadcrumb {
+        color: #999;
+        font-family: 'Rajdhani', sans-serif;
+        letter-spacing: 1px;
+        text-transform: uppercase;
+        margin-bottom: 0.5rem;
+      }
+
       .modal-details h2 {
         color: var(--neon-cyan);
         font-family: 'Orbitron', monospace;
@@ -622,6 +1133,31 @@ class ProductManager {
         font-weight: bold;
       }
 
+      .modal-variants {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 1rem;
+        margin-bottom: 1rem;
+      }
+
+      .variant-option {
+        display: flex;
+        flex-direction: column;
+        gap: 0.3rem;
+        color: var(--neon-cyan);
+        font-family: 'Rajdhani', sans-serif;
+        text-transform: uppercase;
+      }
+
+      .variant-select {
+        background: rgba(0, 0, 0, 0.6);
+        color: white;
+        border: 1px solid var(--neon-cyan);
+        padding: 8px 12px;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 1rem;
+      }
+
       .modal-add-to-cart {
         background: linear-gradient(45deg, var(--neon-red), var(--neon-orange));
         color: white;
@@ -649,6 +1185,68 @@ class ProductManager {
         cursor: not-allowed;
       }
 
+      .modal-reviews {
+        border-top: 1px solid rgba(0, 255, 255, 0.3);
+        margin-top: 2rem;
+        padding-top: 1.5rem;
+        color: #ccc;
+      }
+
+      .modal-reviews h3 {
+        color: var(--neon-cyan);
+        font-family: 'Orbitron', monospace;
+        margin-bottom: 1rem;
+      }
+
+      .review {
+        margin-bottom: 1.2rem;
+      }
+
+      .review-header {
+        display: flex;
+        gap: 0.75rem;
+        align-items: center;
+      }
+
+      .review-author {
+        color: #999;
+        font-size: 0.9rem;
+      }
+
+      .verified-badge {
+        color: var(--neon-cyan);
+        margin-left: 0.5rem;
+      }
+
+      .review-form {
+        display: flex;
+        flex-direction: column;
+        gap: 0.75rem;
+        margin-top: 1.5rem;
+      }
+
+      .review-form select,
+      .review-form input,
+      .review-form textarea {
+        background: rgba(0, 0, 0, 0.6);
+        color: white;
+        border: 1px solid var(--neon-cyan);
+        padding: 8px 12px;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 1rem;
+      }
+
+      .review-form button {
+        align-self: flex-start;
+        background: transparent;
+        border: 1px solid var(--neon-cyan);
+        color: var(--neon-cyan);
+        padding: 8px 20px;
+        font-family: 'Rajdhani', sans-serif;
+        text-transform: uppercase;
+        cursor: pointer;
+      }
+
       @media (min-width: 768px) {
         .modal-body {
           flex-direction: row;
@@ -4,6 +4,7 @@ class UserManager {
     this.currentUser = null;
     this.isAuthenticated = false;
     this.token = null;
+    this.resetToken = null;
     this.apiBaseUrl = '/api';
     
     this.init();
@@ -13,6 +14,50 @@ class UserManager {
     this.loadStoredAuth();
     this.setupAuthUI();
     this.updateUIState();
+    this.handleEmailLinks();
+  }
+
+  // Act on the links in password reset and verification emails
+  // (/?resetToken=... and /?verifyToken=...)
+  handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const resetToken = params.get('resetToken');
+    const verifyToken = params.get('verifyToken');
+
+    if (!resetToken && !verifyToken) return;
+
+    // Keep the token out of the address bar and browser history
+    params.delete('resetToken');
+    params.delete('verifyToken');
+    const query = params.toString();
+    window.history.replaceState({}, '', window.location.pathname + (query ? `?${query}` : ''));
+
+    if (resetToken) {
+      this.resetToken = resetToken;
+      this.showAuthModal();
+      this.switchAuthTab('reset');
+    } else {
+      this.verifyEmail(verifyToken);
+    }
+  }
+
+  // Confirm the email address from a verification link
+  async verifyEmail(token) {
+    try {
+      const response = await this.makeApiRequest('/auth/verify-email', {
+        method: 'POST',
+        body: JSON.stringify({ token })
+      });
+
+      if (this.isAuthenticated) {
+        this.currentUser = response.data.user;
+        localStorage.setItem('userData', JSON.stringify(this.currentUser));
+      }
+      this.showNotification('Email verified successfully!', 'success');
+    } catch (error) {
+      console.error('Email verification error:', error);
+      this.showNotification(error.message || 'Email verification failed', 'error');
+    }
   }
 
   // Load stored authentication data
@@ -121,6 +166,41 @@ class UserManager {
               <div class="loading-spinner" style="display: none;"></div>
             </button>
             <div class="auth-error" style="display: none;"></div>
+            <button type="button" class="auth-link" data-show-form="forgot">Forgot password?</button>
+          </form>
+
+          <!-- Forgot Password Form -->
+          <form class="auth-form forgot-form" id="forgotPasswordForm">
+            <h2>Key Recovery</h2>
+            <div class="form-group">
+              <input type="email" id="forgotEmail" placeholder="Email" required>
+              <i class="fas fa-envelope"></i>
+            </div>
+            <button type="submit" class="auth-submit">
+              <span class="button-text">SEND RESET LINK</span>
+              <div class="loading-spinner" style="display: none;"></div>
+            </button>
+            <div class="auth-error" style="display: none;"></div>
+            <div class="auth-message" style="display: none;"></div>
+            <button type="button" class="auth-link" data-show-form="login">Back to login</button>
+          </form>
+
+          <!-- Reset Password Form -->
+          <form class="auth-form reset-form" id="resetPasswordForm">
+            <h2>New Access Key</h2>
+            <div class="form-group">
+              <input type="password" id="resetPassword" placeholder="New Password" required>
+              <i class="fas fa-lock"></i>
+            </div>
+            <div class="form-group">
+              <input type="password" id="resetConfirmPassword" placeholder="Confirm Password" required>
+              <i class="fas fa-lock"></i>
+            </div>
+            <button type="submit" class="auth-submit">
+              <span class="button-text">RESET PASSWORD</span>
+              <div class="loading-spinner" style="display: none;"></div>
+            </button>
+            <div class="auth-error" style="display: none;"></div>
           </form>
 
           <!-- Register Form -->
@@ -357,6 +437,32 @@ class UserManager {
         font-family: 'Rajdhani', sans-serif;
       }
 
+      .auth-message {
+        background: rgba(0, 229, 255, 0.1);
+        border: 1px solid var(--neon-cyan);
+        color: var(--neon-cyan);
+        padding: 10px;
+        margin-top: 1rem;
+        text-align: center;
+        font-family: 'Rajdhani', sans-serif;
+      }
+
+      .auth-link {
+        display: block;
+        margin: 1rem auto 0;
+        background: none;
+        border: none;
+        color: #ccc;
+        font-family: 'Rajdhani', sans-serif;
+        font-size: 0.95rem;
+        cursor: pointer;
+        transition: color 0.3s ease;
+      }
+
+      .auth-link:hover {
+        color: var(--neon-cyan);
+      }
+
       .user-menu {
         position: absolute;
         top: 100%;
@@ -433,6 +539,21 @@ class UserManager {
       this.handleRegister();
     });
 
+    this.authModal.querySelector('#forgotPasswordForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleForgotPassword();
+    });
+
+    this.authModal.querySelector('#resetPasswordForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleResetPassword();
+    });
+
+    // Links between the login, forgot and reset forms
+    this.authModal.querySelectorAll('.auth-link').forEach(link => {
+      link.addEventListener('click', () => this.switchAuthTab(link.dataset.showForm));
+    });
+
     // Close modal
     const closeBtn = this.authModal.querySelector('.modal-close');
     const overlay = this.authModal.querySelector('.modal-overlay');
@@ -453,7 +574,8 @@ class UserManager {
     this.authModal.querySelectorAll('.auth-tab').forEach(tab => {
       tab.classList.remove('active');
     });
-    this.authModal.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+    // The forgot and reset forms have no tab of their own
+    this.authModal.querySelector(`[data-tab="${tabName}"]`)?.classList.add('active');
 
     // Update forms
     this.authModal.querySelectorAll('.auth-form').forEach(form => {
@@ -509,6 +631,75 @@ class UserManager {
     }
   }
 
+  // Handle forgot password: email a reset link
+  async handleForgotPassword() {
+    const email = this.authModal.querySelector('#forgotEmail').value;
+    const form = this.authModal.querySelector('.forgot-form');
+    const submitBtn = form.querySelector('.auth-submit');
+    const buttonText = submitBtn.querySelector('.button-text');
+    const spinner = submitBtn.querySelector('.loading-spinner');
+    const message = form.querySelector('.auth-message');
+
+    this.clearAuthErrors();
+    message.style.display = 'none';
+    this.setAuthLoading(submitBtn, buttonText, spinner, true);
+
+    try {
+      const response = await this.makeApiRequest('/auth/forgot-password', {
+        method: 'POST',
+        body: JSON.stringify({ email })
+      });
+
+      message.textContent = response.message;
+      message.style.display = 'block';
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      this.showAuthError('.forgot-form', error.message || 'Failed to send reset link. Please try again.');
+    } finally {
+      this.setAuthLoading(submitBtn, buttonText, spinner, false);
+    }
+  }
+
+  // Handle reset password: set a new password with the emailed token
+  async handleResetPassword() {
+    const password = this.authModal.querySelector('#resetPassword').value;
+    const confirmPassword = this.authModal.querySelector('#resetConfirmPassword').value;
+    const submitBtn = this.authModal.querySelector('.reset-form .auth-submit');
+    const buttonText = submitBtn.querySelector('.button-text');
+    const spinner = submitBtn.querySelector('.loading-spinner');
+
+    this.clearAuthErrors();
+
+    if (password !== confirmPassword) {
+      this.showAuthError('.reset-form', 'Passwords do not match');
+      return;
+    }
+
+    this.setAuthLoading(submitBtn, buttonText, spinner, true);
+
+    try {
+      await this.makeApiRequest('/auth/reset-password', {
+        method: 'POST',
+        body: JSON.stringify({ token: this.resetToken, password })
+      });
+
+      this.resetToken = null;
+
+      // Every session was logged out, including this one
+      if (this.isAuthenticated) {
+        this.clearAuth();
+      }
+
+      this.switchAuthTab('login');
+      this.showNotification('Password reset! Log in with your new password.', 'success');
+    } catch (error) {
+      console.error('Reset password error:', error);
+      this.showAuthError('.reset-form', error.message || 'Failed to reset password. Please try again.');
+    } finally {
+      this.setAuthLoading(submitBtn, buttonText, spinner, false);
+    }
+  }
+
   // Handle registration
   async handleRegister() {
     const firstName = this.authModal.querySelector('#registerFirstName').value;
@@ -550,7 +741,7 @@ class UserManager {
       if (response.success) {
         this.handleAuthSuccess(response.data);
         this.hideAuthModal();
-        this.showNotification('Account created successfully!', 'success');
+        this.showNotification('Account created! Check your email to verify your address.', 'success');
       } else {
         throw new Error(response.error?.message || 'Registration failed');
       }
@@ -570,6 +761,7 @@ class UserManager {
 
     // Store in localStorage
     localStorage.setItem('authToken', this.token);
+    localStorage.setItem('refreshToken', authData.refreshToken);
     localStorage.setItem('userData', JSON.stringify(this.currentUser));
 
     // Update UI
@@ -577,7 +769,7 @@ class UserManager {
 
     // Notify other components
     window.dispatchEvent(new CustomEvent('userAuthenticated', {
-      detail: { user: this.currentUser, token: this.token }
+      detail: { user: this.currentUser, token: this.token, refreshToken: authData.refreshToken }
     }));
   }
 
@@ -680,9 +872,10 @@ class UserManager {
   // Logout user
   async logout() {
     try {
-      // Call logout endpoint if available
+      // End the session on the server; the API client refreshes an
+      // expired access token first
       if (this.token) {
-        await this.makeApiRequest('/auth/logout', { method: 'POST' });
+        await this.apiClient.auth.logout();
       }
     } catch (error) {
       console.warn('Logout API call failed:', error);
@@ -700,6 +893,7 @@ class UserManager {
 
     // Clear localStorage
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('userData');
 
     // Update UI
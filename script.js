@@ -54,10 +54,11 @@ function initializeManagers() {
 function setupAuthIntegration() {
     // Listen for authentication events
     window.addEventListener('userAuthenticated', function(event) {
-        const { user, token } = event.detail;
+        const { user, token, refreshToken } = event.detail;
         
-        // Update API client token
+        // Update API client tokens
         apiClient.setToken(token);
+        apiClient.setRefreshToken(refreshToken);
         
         // Update cart manager authentication status
         cartManager.setAuthenticated(true, token);
@@ -69,24 +70,40 @@ function setupAuthIntegration() {
     });
     
     window.addEventListener('userLoggedOut', function() {
-        // Clear API client token
+        // Clear API client tokens
         apiClient.setToken(null);
+        apiClient.setRefreshToken(null);
         
         // Update cart manager authentication status
         cartManager.setAuthenticated(false);
         
         notificationManager.info('You have been logged out');
     });
+    
+    // The API client refreshed the access token; keep the other managers' copies current
+    window.addEventListener('authTokenRefreshed', function(event) {
+        const { token } = event.detail;
+        
+        userManager.token = token;
+        cartManager.userToken = token;
+    });
+    
+    // The refresh token was rejected, so the session is over
+    window.addEventListener('authSessionExpired', function() {
+        if (userManager.isUserAuthenticated()) {
+            userManager.clearAuth();
+        }
+    });
 }
 
 // Setup global event listeners
 function setupGlobalEventListeners() {
     // Listen for add to cart events from product manager
     window.addEventListener('addToCart', async function(event) {
-        const { productId, quantity } = event.detail;
+        const { productId, quantity, variantId } = event.detail;
         
         try {
-            await cartManager.addItem(productId, quantity);
+            await cartManager.addItem(productId, quantity, variantId);
             showAddToCartFeedback();
         } catch (error) {
             console.error('Failed to add item to cart:', error);